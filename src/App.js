@@ -1,35 +1,65 @@
 // App.js - Complete Multi-Tenant React Frontend with Nutrition Support
-import React, { useState, useEffect, createContext, useContext, useRef } from 'react';
+import React, { useState, useEffect, useCallback, useMemo, createContext, useContext, useRef } from 'react';
+import {
+  createBrowserRouter, createRoutesFromElements, RouterProvider, Routes, Route, Navigate, Link, Outlet,
+  useBlocker, useNavigate, useLocation, useParams, useSearchParams
+} from 'react-router-dom';
 import './App.css';
-
-// Enhanced Configuration with better error handling
-const API_BASE = process.env.REACT_APP_API_URL || 
-                 (process.env.NODE_ENV === 'production' 
-                   ? 'https://foodguard-backend.onrender.com/api'
-                   : 'http://localhost:5000/api');
-
-// Add API health check function
-const checkAPIHealth = async () => {
-  try {
-    const response = await fetch(`${API_BASE.replace('/api', '')}`, {
-      method: 'GET',
-      headers: {
-        'Accept': 'application/json',
-        'Content-Type': 'application/json'
-      },
-      mode: 'cors'
-    });
-    
-    if (response.ok) {
-      const data = await response.json();
-      console.log('✅ API Health Check:', data);
-      return data;
-    }
-  } catch (error) {
-    console.error('❌ API Health Check Failed:', error);
-  }
-  return null;
-};
+import {
+  api, tokenStorage, checkAPIHealth, onUnauthorized, refreshSession, getTokenExpiry,
+  broadcastSessionEvent, onOtherTabSessionChange, HttpError, UnauthorizedError, TimeoutError,
+  NetworkError, CancelledError, analyzeFood, REFRESH_MARGIN
+} from './api';
+import {
+  readHistoryFilters, writeHistoryFilters, buildHistoryParams, matchesHistoryFilters,
+  getScanWarnings, hasMorePages
+} from './history';
+import { recheckScan, translateAllergen } from './allergens';
+import {
+  assessScan, loadConfidenceThresholds, saveConfidenceThresholds, DEFAULT_CONFIDENCE_THRESHOLDS
+} from './confidence';
+import {
+  getScanId, applyIngredientEdits, renameIngredient, addIngredient, removeIngredient, cleanEdits,
+  recalculateNutrition, submitCorrections
+} from './corrections';
+import {
+  isOffline, isConnectionError, saveSnapshot, loadSnapshot, queueScan, listQueuedScans,
+  removeQueuedScan, retryQueuedScan, syncQueuedScans, clearOfflineData
+} from './offline';
+import {
+  validateImageFile, getImageFiles, prepareImageForUpload, hasCameraSupport, captureVideoFrame,
+  cameraErrorType, MAX_IMAGE_SIZE, MAX_BATCH_SIZE
+} from './images';
+import { analyzeIngredientText, isValidBarcode, lookupProduct, analyzeProduct } from './products';
+import {
+  SELF_ID, createMember, householdPeople, addAllergyTo, loadEating, saveEating, checkForPeople, saveHousehold
+} from './household';
+import {
+  CARD_LANGUAGES, buildCardContent, renderCard, exportCard, loadCardDetails, saveCardDetails
+} from './cards';
+import {
+  PLATE_SIZES, DEFAULT_SERVING_GRAMS, DEFAULT_PORTION, DEFAULT_REFERENCE_INTAKES, portionGrams, scaleNutrition,
+  dailyValue, referenceUnit, loadReferenceIntakes, saveReferenceIntakes
+} from './nutrition';
+import {
+  MEALS, DIARY_NUTRIENTS, TREND_DAYS, mealForTime, dayKey, addDays, dayRange, buildDiaryEntry, logMeal,
+  fetchDiary, deleteDiaryEntry, sumNutrition, entriesOn, totalsByDay, DEFAULT_NUTRITION_GOALS,
+  loadNutritionGoals, saveNutritionGoals
+} from './diary';
+import {
+  ALLERGY_EXPORT_FORMATS, exportAllergies, parseAllergyFile, planAllergyImport
+} from './allergyFiles';
+import { EXPORT_FORMATS, fetchScansForExport, toExportRecord, exportHistory } from './reports';
+import { DIETS, DIET_IDS, dietLimit, evaluateDiets, saveDiets } from './diets';
+import {
+  describeResult, resultStatus, loadAccessibilitySettings, saveAccessibilitySettings, canSpeak, speak, stopSpeaking
+} from './accessibility';
+import {
+  createNotification, addNotification, removeNotification, notificationRole
+} from './notifications';
+import {
+  LANGUAGES, createTranslator, detectLanguage, saveLanguage, formatNumber, formatDate, languageName, errorMessage
+} from './i18n';
 
 // Auth Context
 const AuthContext = createContext();
@@ -38,19 +68,71 @@ const AuthContext = createContext();
 const useAuth = () => {
   const [user, setUser] = useState(null);
   const [loading, setLoading] = useState(true);
+  const [sessionExpired, setSessionExpired] = useState(false);
+  const [tokenVersion, setTokenVersion] = useState(0);
+  const [thresholds, setThresholds] = useState(loadConfidenceThresholds);
+  const [referenceIntakes, setReferenceIntakes] = useState(loadReferenceIntakes);
+  const [accessibility, setAccessibility] = useState(loadAccessibilitySettings);
+  const signedIn = !!user;
 
   useEffect(() => {
-    const token = localStorage.getItem('access_token');
-    if (token) {
-      fetchProfile(token);
+    if (tokenStorage.get()) {
+      fetchProfile();
     } else {
       setLoading(false);
     }
   }, []);
 
+  // Any 401 that survives a refresh attempt ends the session here.
+  // The user stays in place so the scanner keeps its current image.
+  useEffect(() => onUnauthorized(() => expireSession()), []);
+
+  // Silently renew the access token shortly before it expires
+  useEffect(() => {
+    if (!signedIn || sessionExpired) return;
+    const token = tokenStorage.get();
+    const expiresAt = getTokenExpiry(token);
+    if (!expiresAt || !tokenStorage.getRefresh()) return;
+
+    const timer = setTimeout(async () => {
+      try {
+        await refreshSession(token);
+        setTokenVersion(v => v + 1);
+      } catch (error) {
+        console.error('❌ Silent token renewal failed:', error);
+        // Offline or server hiccup: the next 401 will try again
+        if (error instanceof HttpError) expireSession();
+      }
+    }, Math.max(expiresAt - Date.now() - REFRESH_MARGIN, 0));
+
+    return () => clearTimeout(timer);
+  }, [signedIn, sessionExpired, tokenVersion]);
+
+  // Keep the offline copy of the profile current, including local edits
+  useEffect(() => {
+    if (user) saveSnapshot('profile', user);
+  }, [user]);
+
+  // Keep every open tab on the same session
+  useEffect(() => onOtherTabSessionChange((type) => {
+    if (type === 'logout') {
+      setSessionExpired(false);
+      setUser(null);
+    } else if (type === 'login') {
+      setSessionExpired(false);
+      fetchProfile();
+    } else if (type === 'expired') {
+      // The tab that found the session ended has already cleared the tokens
+      setSessionExpired(true);
+      setLoading(false);
+    } else if (type === 'token-refreshed') {
+      setTokenVersion(v => v + 1);
+    }
+  }), []);
+
   const login = async (email, password) => {
     try {
-      console.log('🔐 Login attempt to:', `${API_BASE}/auth/login`);
+      console.log('🔐 Login attempt');
       
       // Check API health first
       const healthCheck = await checkAPIHealth();
@@ -58,59 +140,22 @@ const useAuth = () => {
         console.warn('⚠️ API health check failed, but continuing...');
       }
       
-      const response = await fetch(`${API_BASE}/auth/login`, {
-        method: 'POST',
-        headers: { 
-          'Content-Type': 'application/json',
-          'Accept': 'application/json',
-          'Origin': window.location.origin
-        },
-        mode: 'cors',
-        body: JSON.stringify({ email, password })
-      });
-
-      console.log('📡 Login response status:', response.status);
-      console.log('📡 Login response headers:', Object.fromEntries(response.headers.entries()));
-
-      if (response.ok) {
-        const data = await response.json();
-        localStorage.setItem('access_token', data.access_token);
-        await fetchProfile(data.access_token);
-        return { success: true };
-      } else {
-        const errorText = await response.text();
-        let errorMessage = 'Login failed';
-        
-        try {
-          const errorData = JSON.parse(errorText);
-          errorMessage = errorData.error || errorMessage;
-        } catch {
-          errorMessage = `Server error: ${response.status}`;
-        }
-        
-        console.error('❌ Login error response:', errorText);
-        return { success: false, error: errorMessage };
-      }
+      const data = await api.post('/auth/login', { email, password }, { skipAuthHandler: true });
+      tokenStorage.save(data);
+      setSessionExpired(false);
+      await fetchProfile();
+      broadcastSessionEvent('login');
+      return { success: true };
     } catch (error) {
-      console.error('❌ Login network error:', error);
-      
-      // Better error messages for different scenarios
-      let errorMessage = 'Connection failed';
-      
-      if (error.name === 'TypeError' && error.message.includes('Failed to fetch')) {
-        errorMessage = 'Cannot connect to server. Please check your internet connection.';
-      } else if (error.message.includes('CORS')) {
-        errorMessage = 'CORS error - server configuration issue.';
-      }
-      
-      return { success: false, error: errorMessage };
+      console.error('❌ Login error:', error);
+      // error is shown through errorMessage, so it can be one of ours or the server's own
+      return { success: false, error: error.status === 401 && !error.data?.error ? { code: 'invalidLogin' } : error };
     }
   };
 
   const register = async (userData) => {
     try {
-      console.log('🚀 Registration attempt to:', `${API_BASE}/auth/register`);
-      console.log('🚀 Registration data:', userData);
+      console.log('🚀 Registration attempt');
       
       // Check API health first
       const healthCheck = await checkAPIHealth();
@@ -118,86 +163,162 @@ const useAuth = () => {
         console.warn('⚠️ API health check failed, but continuing...');
       }
       
-      const response = await fetch(`${API_BASE}/auth/register`, {
-        method: 'POST',
-        headers: { 
-          'Content-Type': 'application/json',
-          'Accept': 'application/json',
-          'Origin': window.location.origin
-        },
-        mode: 'cors',
-        body: JSON.stringify(userData)
-      });
-
-      console.log('📡 Registration response status:', response.status);
-      
-      if (response.ok) {
-        const data = await response.json();
-        console.log('✅ Registration successful:', data);
-        localStorage.setItem('access_token', data.access_token);
-        await fetchProfile(data.access_token);
-        return { success: true };
-      } else {
-        const errorText = await response.text();
-        let errorMessage = 'Registration failed';
-        
-        try {
-          const errorData = JSON.parse(errorText);
-          errorMessage = errorData.error || errorMessage;
-        } catch {
-          errorMessage = `Server error: ${response.status}`;
-        }
-        
-        console.error('❌ Registration error response:', errorText);
-        return { success: false, error: errorMessage };
-      }
+      const data = await api.post('/auth/register', userData, { skipAuthHandler: true });
+      console.log('✅ Registration successful');
+      tokenStorage.save(data);
+      setSessionExpired(false);
+      await fetchProfile();
+      broadcastSessionEvent('login');
+      return { success: true };
     } catch (error) {
-      console.error('❌ Registration network error:', error);
-      
-      let errorMessage = 'Connection failed';
-      
-      if (error.name === 'TypeError' && error.message.includes('Failed to fetch')) {
-        errorMessage = 'Cannot connect to server. Please check your internet connection.';
-      } else if (error.message.includes('CORS')) {
-        errorMessage = 'CORS error - server configuration issue.';
-      }
-      
-      return { success: false, error: errorMessage };
+      console.error('❌ Registration error:', error);
+      return { success: false, error };
     }
   };
 
-  const fetchProfile = async (token) => {
+  const fetchProfile = async () => {
     try {
-      const response = await fetch(`${API_BASE}/profile`, {
-        headers: { 
-          'Authorization': `Bearer ${token}`,
-          'Accept': 'application/json',
-          'Content-Type': 'application/json',
-          'Origin': window.location.origin
-        },
-        mode: 'cors'
-      });
-      
-      if (response.ok) {
-        const data = await response.json();
-        setUser(data);
+      const data = await api.get('/profile');
+      setUser(data);
+    } catch (error) {
+      if (error instanceof UnauthorizedError) return; // handled by expireSession
+      console.error('Profile fetch failed:', error);
+      // No connection - carry on with the last profile we saw
+      const snapshot = isConnectionError(error) && loadSnapshot('profile');
+      if (snapshot) {
+        setUser(snapshot);
       } else {
-        console.error('Profile fetch failed:', response.status);
-        localStorage.removeItem('access_token');
+        tokenStorage.clear();
       }
-    } catch (error) {
-      console.error('Profile fetch error:', error);
-      localStorage.removeItem('access_token');
     }
     setLoading(false);
   };
 
+  const expireSession = () => {
+    tokenStorage.clear();
+    broadcastSessionEvent('expired');
+    setSessionExpired(true);
+    setLoading(false);
+  };
+
   const logout = () => {
-    localStorage.removeItem('access_token');
+    tokenStorage.clear();
+    clearOfflineData();
+    broadcastSessionEvent('logout');
+    setSessionExpired(false);
     setUser(null);
   };
 
-  return { user, loading, login, register, logout, setUser };
+  // Confidence thresholds are a per-device preference
+  const updateThresholds = (next) => {
+    saveConfidenceThresholds(next);
+    setThresholds(next);
+  };
+
+  // So are the daily reference intakes behind nutrition percentages
+  const updateReferenceIntakes = (next) => {
+    saveReferenceIntakes(next);
+    setReferenceIntakes(next);
+  };
+
+  // And the display settings: high contrast applies to every screen, sign-in included
+  const updateAccessibility = (next) => {
+    saveAccessibilitySettings(next);
+    setAccessibility(next);
+  };
+
+  useEffect(() => {
+    document.documentElement.classList.toggle('high-contrast', accessibility.highContrast);
+  }, [accessibility.highContrast]);
+
+  return {
+    user, loading, sessionExpired, login, register, logout, setUser,
+    thresholds, updateThresholds, referenceIntakes, updateReferenceIntakes,
+    accessibility, updateAccessibility
+  };
+};
+
+// Language Context
+const I18nContext = createContext();
+
+// Custom hook for the interface language, its translator and formatters
+const useLanguage = () => {
+  const [lang, setLang] = useState(detectLanguage);
+
+  useEffect(() => {
+    document.documentElement.lang = lang;
+  }, [lang]);
+
+  const changeLanguage = useCallback((next) => {
+    saveLanguage(next);
+    setLang(next);
+  }, []);
+
+  return useMemo(() => ({
+    lang,
+    changeLanguage,
+    t: createTranslator(lang),
+    formatNumber: (value, options) => formatNumber(value, lang, options),
+    formatDate: (value, options) => formatDate(value, lang, options),
+    languageName: (code) => languageName(code, lang),
+    allergenName: (name) => translateAllergen(name, lang),
+    errorMessage: (error) => errorMessage(error, lang)
+  }), [lang, changeLanguage]);
+};
+
+// Notification Context
+const NotificationContext = createContext();
+
+// Custom hook for toast notifications and confirmation dialogs, in place of alert() and confirm()
+const useNotificationCenter = () => {
+  const [notifications, setNotifications] = useState([]);
+  const [dialog, setDialog] = useState(null);
+
+  const dismiss = useCallback((id) => {
+    setNotifications(prev => removeNotification(prev, id));
+  }, []);
+
+  const notify = useCallback((options) => {
+    const notification = createNotification(options);
+    setNotifications(prev => addNotification(prev, notification));
+    return notification.id;
+  }, []);
+
+  // Resolves true when confirmed; a newer question cancels one still open
+  const confirm = useCallback((options) => new Promise(resolve => {
+    setDialog(prev => {
+      prev?.resolve(false);
+      return { ...options, resolve };
+    });
+  }), []);
+
+  const closeDialog = useCallback((confirmed) => {
+    setDialog(prev => {
+      prev?.resolve(confirmed);
+      return null;
+    });
+  }, []);
+
+  return useMemo(() => ({
+    notifications, notify, dismiss, dialog, confirm, closeDialog
+  }), [notifications, notify, dismiss, dialog, confirm, closeDialog]);
+};
+
+// Language Switcher
+const LanguageSwitcher = () => {
+  const { lang, changeLanguage, t } = useContext(I18nContext);
+  return (
+    <select
+      className="language-switcher"
+      aria-label={t('language.label')}
+      value={lang}
+      onChange={(e) => changeLanguage(e.target.value)}
+    >
+      {LANGUAGES.map(([code, name]) => (
+        <option key={code} value={code}>{name}</option>
+      ))}
+    </select>
+  );
 };
 
 // Login Component
@@ -206,6 +327,7 @@ const LoginForm = ({ onToggleMode }) => {
   const [error, setError] = useState('');
   const [loading, setLoading] = useState(false);
   const { login } = useContext(AuthContext);
+  const { t, errorMessage } = useContext(I18nContext);
 
   const handleSubmit = async (e) => {
     e.preventDefault();
@@ -214,20 +336,20 @@ const LoginForm = ({ onToggleMode }) => {
 
     const result = await login(formData.email, formData.password);
     if (!result.success) {
-      setError(result.error);
+      setError(errorMessage(result.error));
     }
     setLoading(false);
   };
 
   return (
     <div className="auth-form">
-      <h2>🍽️ Sign In to FoodGuard</h2>
+      <h2>{t('login.title')}</h2>
       {error && <div className="error-message">{error}</div>}
       <form onSubmit={handleSubmit}>
         <div className="form-group">
           <input
             type="email"
-            placeholder="Email Address"
+            placeholder={t('auth.email')}
             value={formData.email}
             onChange={(e) => setFormData({...formData, email: e.target.value})}
             required
@@ -236,22 +358,24 @@ const LoginForm = ({ onToggleMode }) => {
         <div className="form-group">
           <input
             type="password"
-            placeholder="Password"
+            placeholder={t('auth.password')}
             value={formData.password}
             onChange={(e) => setFormData({...formData, password: e.target.value})}
             required
           />
         </div>
         <button type="submit" className="auth-btn" disabled={loading}>
-          {loading ? 'Signing In...' : 'Sign In'}
+          {loading ? t('login.submitting') : t('login.submit')}
         </button>
       </form>
-      <p className="auth-toggle">
-        Don't have an account?{' '}
-        <button className="link-btn" onClick={onToggleMode}>
-          Create Account
-        </button>
-      </p>
+      {onToggleMode && (
+        <p className="auth-toggle">
+          {t('login.noAccount')}{' '}
+          <button className="link-btn" onClick={onToggleMode}>
+            {t('register.submit')}
+          </button>
+        </p>
+      )}
     </div>
   );
 };
@@ -267,6 +391,7 @@ const RegisterForm = ({ onToggleMode }) => {
   const [error, setError] = useState('');
   const [loading, setLoading] = useState(false);
   const { register } = useContext(AuthContext);
+  const { t } = useContext(I18nContext);
 
   const handleSubmit = async (e) => {
     e.preventDefault();
@@ -274,12 +399,12 @@ const RegisterForm = ({ onToggleMode }) => {
     
     // Validation
     if (formData.password.length < 6) {
-      setError('Password must be at least 6 characters');
+      setError(t('register.passwordTooShort'));
       return;
     }
     
     if (!formData.email.trim() || !formData.first_name.trim() || !formData.last_name.trim()) {
-      setError('All fields are required');
+      setError(t('register.allRequired'));
       return;
     }
     
@@ -297,7 +422,7 @@ const RegisterForm = ({ onToggleMode }) => {
     
     if (!result.success) {
       console.error('❌ Registration result:', result);
-      setError(result.error);
+      setError(errorMessage(result.error));
     } else {
       console.log('✅ Registration successful');
     }
@@ -307,14 +432,14 @@ const RegisterForm = ({ onToggleMode }) => {
 
   return (
     <div className="auth-form">
-      <h2>🚀 Create Your Account</h2>
+      <h2>{t('register.title')}</h2>
       {error && <div className="error-message">{error}</div>}
       <form onSubmit={handleSubmit}>
         <div className="form-row">
           <div className="form-group">
             <input
               type="text"
-              placeholder="First Name"
+              placeholder={t('register.firstName')}
               value={formData.first_name}
               onChange={(e) => setFormData({...formData, first_name: e.target.value})}
               required
@@ -323,7 +448,7 @@ const RegisterForm = ({ onToggleMode }) => {
           <div className="form-group">
             <input
               type="text"
-              placeholder="Last Name"
+              placeholder={t('register.lastName')}
               value={formData.last_name}
               onChange={(e) => setFormData({...formData, last_name: e.target.value})}
               required
@@ -333,7 +458,7 @@ const RegisterForm = ({ onToggleMode }) => {
         <div className="form-group">
           <input
             type="email"
-            placeholder="Email Address"
+            placeholder={t('auth.email')}
             value={formData.email}
             onChange={(e) => setFormData({...formData, email: e.target.value})}
             required
@@ -342,7 +467,7 @@ const RegisterForm = ({ onToggleMode }) => {
         <div className="form-group">
           <input
             type="password"
-            placeholder="Password (minimum 6 characters)"
+            placeholder={t('register.passwordHint')}
             value={formData.password}
             onChange={(e) => setFormData({...formData, password: e.target.value})}
             minLength={6}
@@ -350,28 +475,206 @@ const RegisterForm = ({ onToggleMode }) => {
           />
         </div>
         <button type="submit" className="auth-btn" disabled={loading}>
-          {loading ? 'Creating Account...' : 'Create Account'}
+          {loading ? t('register.submitting') : t('register.submit')}
         </button>
       </form>
       <p className="auth-toggle">
-        Already have an account?{' '}
+        {t('register.haveAccount')}{' '}
         <button className="link-btn" onClick={onToggleMode}>
-          Sign In
+          {t('login.submit')}
         </button>
       </p>
     </div>
   );
 };
 
+// Session Expired Dialog - re-authenticate without leaving the current screen
+const SessionExpiredDialog = () => {
+  const { logout } = useContext(AuthContext);
+  const { t } = useContext(I18nContext);
+
+  return (
+    <div className="modal-overlay">
+      <div
+        className="modal-content session-expired"
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="session-expired-title"
+      >
+        <h3 id="session-expired-title">{t('session.expired')}</h3>
+        <p>{t('session.signInAgain')}</p>
+        <LoginForm />
+        <button className="link-btn" onClick={logout}>
+          {t('session.signOut')}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+// Toast - one notification, with its actions; timed ones leave on their own
+const Toast = ({ notification, onDismiss }) => {
+  const { t } = useContext(I18nContext);
+  const { id, level, title, message, actions, duration } = notification;
+
+  useEffect(() => {
+    if (!duration) return;
+    const timer = setTimeout(() => onDismiss(id), duration);
+    return () => clearTimeout(timer);
+  }, [id, duration, onDismiss]);
+
+  return (
+    <div className={`toast toast-${level}`} role={notificationRole(level)}>
+      <div className="toast-body">
+        {title && <strong>{title}</strong>}
+        <p>{message}</p>
+        {actions.length > 0 && (
+          <div className="toast-actions">
+            {actions.map(action => (
+              <button
+                key={action.label}
+                className="toast-action"
+                onClick={() => {
+                  onDismiss(id);
+                  action.onClick();
+                }}
+              >
+                {action.label}
+              </button>
+            ))}
+          </div>
+        )}
+      </div>
+      <button className="toast-close" onClick={() => onDismiss(id)} aria-label={t('notify.dismiss')}>
+        ×
+      </button>
+    </div>
+  );
+};
+
+const NotificationStack = () => {
+  const { notifications, dismiss } = useContext(NotificationContext);
+  const { t } = useContext(I18nContext);
+  return (
+    <section className="toast-stack" aria-label={t('notify.region')}>
+      {notifications.map(notification => (
+        <Toast key={notification.id} notification={notification} onDismiss={dismiss} />
+      ))}
+    </section>
+  );
+};
+
+// Confirm Dialog - a modal question; focus stays inside until it is answered, Escape cancels
+const ConfirmDialog = () => {
+  const { dialog, closeDialog } = useContext(NotificationContext);
+  const { t } = useContext(I18nContext);
+  const dialogRef = useRef(null);
+  const cancelRef = useRef(null);
+
+  useEffect(() => {
+    if (!dialog) return;
+    const returnFocus = document.activeElement;
+    cancelRef.current?.focus(); // the choice that changes nothing
+    return () => returnFocus?.focus?.();
+  }, [dialog]);
+
+  if (!dialog) return null;
+
+  const handleKeyDown = (event) => {
+    if (event.key === 'Escape') {
+      event.preventDefault();
+      closeDialog(false);
+    } else if (event.key === 'Tab') {
+      const buttons = dialogRef.current.querySelectorAll('button');
+      const first = buttons[0];
+      const last = buttons[buttons.length - 1];
+      if (event.shiftKey && document.activeElement === first) {
+        event.preventDefault();
+        last.focus();
+      } else if (!event.shiftKey && document.activeElement === last) {
+        event.preventDefault();
+        first.focus();
+      }
+    }
+  };
+
+  return (
+    <div className="modal-overlay" onClick={(e) => e.target === e.currentTarget && closeDialog(false)}>
+      <div
+        ref={dialogRef}
+        className="modal-content confirm-dialog"
+        role="alertdialog"
+        aria-modal="true"
+        aria-labelledby={dialog.title ? 'confirm-dialog-title' : 'confirm-dialog-message'}
+        aria-describedby={dialog.title ? 'confirm-dialog-message' : undefined}
+        onKeyDown={handleKeyDown}
+      >
+        {dialog.title && <h3 id="confirm-dialog-title">{dialog.title}</h3>}
+        <p id="confirm-dialog-message">{dialog.message}</p>
+        <div className="confirm-actions">
+          <button ref={cancelRef} className="link-btn" onClick={() => closeDialog(false)}>
+            {dialog.cancelLabel || t('dialog.cancel')}
+          </button>
+          <button
+            className={dialog.danger ? 'confirm-danger' : 'retry-btn'}
+            onClick={() => closeDialog(true)}
+          >
+            {dialog.confirmLabel || t('dialog.confirm')}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
 // NEW: Nutrition Facts Component
-const NutritionFacts = ({ nutrition, totalNutrition, confidence }) => {
+const NutritionFacts = ({ nutrition, totalNutrition, confidence, onLogMeal }) => {
   const [expanded, setExpanded] = useState(false);
+  const [portion, setPortion] = useState(DEFAULT_PORTION);
+  const [meal, setMeal] = useState(() => mealForTime());
+  const [logStatus, setLogStatus] = useState({ state: 'idle', message: '' });
+  const { referenceIntakes } = useContext(AuthContext);
+  const { t, formatNumber, errorMessage } = useContext(I18nContext);
+  const grams = (value) => `${formatNumber(value, { maximumFractionDigits: 1 })}g`;
+  const percentOf = (value, reference) => {
+    const share = dailyValue(value, reference);
+    return share == null ? null : t('nutrition.dailyValue', {
+      value: formatNumber(share, { style: 'percent', maximumFractionDigits: 0 })
+    });
+  };
+
+  const servingGrams = nutrition?.serving_size_g || DEFAULT_SERVING_GRAMS;
+  const portionWeight = portionGrams(portion, servingGrams);
+  const portionNutrition = totalNutrition && scaleNutrition(totalNutrition, portionWeight);
+
+  // Switching units keeps a sensible amount rather than reading 100 servings
+  const changeUnit = (unit) => {
+    if (unit === 'plate') setPortion({ unit, size: 'medium' });
+    else setPortion({ unit, amount: unit === 'servings' ? 1 : 100 });
+  };
+
+  const logPortion = async () => {
+    setLogStatus({ state: 'logging', message: '' });
+    try {
+      await onLogMeal({ meal, grams: portionWeight, nutrition: portionNutrition });
+      setLogStatus({ state: 'idle', message: t('diary.logged', { meal: t(`diary.meal.${meal}`) }) });
+    } catch (error) {
+      setLogStatus({ state: 'idle', message: t('diary.logError', { message: errorMessage(error) }) });
+    }
+  };
+
+  const macros = [
+    ['protein', t('nutrition.protein')],
+    ['carbs', t('nutrition.carbs')],
+    ['fat', t('nutrition.fat')],
+    ['fiber', t('nutrition.fiber')]
+  ];
 
   if (!nutrition && !totalNutrition) {
     return (
       <div className="nutrition-section">
-        <h4>📊 Nutritional Information</h4>
-        <p className="no-nutrition">No nutritional data available for this scan.</p>
+        <h4>{t('nutrition.title')}</h4>
+        <p className="no-nutrition">{t('nutrition.none')}</p>
       </div>
     );
   }
@@ -379,55 +682,102 @@ const NutritionFacts = ({ nutrition, totalNutrition, confidence }) => {
   return (
     <div className="nutrition-section">
       <div className="nutrition-header">
-        <h4>📊 Nutritional Information</h4>
+        <h4>{t('nutrition.title')}</h4>
         <button 
           className="expand-btn"
           onClick={() => setExpanded(!expanded)}
         >
-          {expanded ? '▼ Hide Details' : '▶ Show Details'}
+          {expanded ? t('nutrition.hide') : t('nutrition.show')}
         </button>
       </div>
       
       {/* Always show basic nutrition summary */}
       {totalNutrition && (
         <div className="nutrition-summary">
-          <h5>🥗 Total Estimated (per 100g)</h5>
+          <div className="portion-picker">
+            <strong>{t('nutrition.portion')}</strong>
+            {portion.unit === 'plate' ? (
+              <select
+                aria-label={t('nutrition.portionAmount')}
+                value={portion.size}
+                onChange={(e) => setPortion({ unit: 'plate', size: e.target.value })}
+              >
+                {Object.entries(PLATE_SIZES).map(([size, weight]) => (
+                  <option key={size} value={size}>{t(`nutrition.plate.${size}`, { grams: grams(weight) })}</option>
+                ))}
+              </select>
+            ) : (
+              <input
+                type="number"
+                min="0"
+                step={portion.unit === 'servings' ? 0.5 : 10}
+                aria-label={t('nutrition.portionAmount')}
+                value={portion.amount}
+                onChange={(e) => setPortion({ ...portion, amount: e.target.value })}
+              />
+            )}
+            <select
+              aria-label={t('nutrition.portionUnit')}
+              value={portion.unit}
+              onChange={(e) => changeUnit(e.target.value)}
+            >
+              {['grams', 'servings', 'plate'].map(unit => (
+                <option key={unit} value={unit}>{t(`nutrition.unit.${unit}`)}</option>
+              ))}
+            </select>
+            {portion.unit === 'servings' && (
+              <small>{t('nutrition.servingSize', { grams: grams(servingGrams) })}</small>
+            )}
+          </div>
+
+          {onLogMeal && (
+            <div className="meal-logger">
+              <select aria-label={t('diary.meal')} value={meal} onChange={(e) => setMeal(e.target.value)}>
+                {MEALS.map(value => (
+                  <option key={value} value={value}>{t(`diary.meal.${value}`)}</option>
+                ))}
+              </select>
+              <button
+                className="retry-btn"
+                onClick={logPortion}
+                disabled={logStatus.state === 'logging' || portionWeight <= 0}
+              >
+                {logStatus.state === 'logging' ? t('diary.logging') : t('diary.log')}
+              </button>
+              {logStatus.message && <span role="status">{logStatus.message}</span>}
+            </div>
+          )}
+
+          <h5>{t('nutrition.total', { grams: grams(portionWeight) })}</h5>
           <div className="nutrition-grid">
             <div className="nutrition-item calories">
-              <span className="nutrition-label">Calories</span>
-              <span className="nutrition-value">{Math.round(totalNutrition.calories)} kcal</span>
-            </div>
-            <div className="nutrition-item protein">
-              <span className="nutrition-label">Protein</span>
-              <span className="nutrition-value">{Math.round(totalNutrition.protein * 10) / 10}g</span>
-            </div>
-            <div className="nutrition-item carbs">
-              <span className="nutrition-label">Carbs</span>
-              <span className="nutrition-value">{Math.round(totalNutrition.carbs * 10) / 10}g</span>
-            </div>
-            <div className="nutrition-item fat">
-              <span className="nutrition-label">Fat</span>
-              <span className="nutrition-value">{Math.round(totalNutrition.fat * 10) / 10}g</span>
+              <span className="nutrition-label">{t('nutrition.calories')}</span>
+              <span className="nutrition-value">{formatNumber(Math.round(portionNutrition.calories))} kcal</span>
+              <span className="daily-value">{percentOf(portionNutrition.calories, referenceIntakes.calories)}</span>
             </div>
-            {totalNutrition.fiber > 0 && (
-              <div className="nutrition-item fiber">
-                <span className="nutrition-label">Fiber</span>
-                <span className="nutrition-value">{Math.round(totalNutrition.fiber * 10) / 10}g</span>
+            {macros.filter(([key]) => key !== 'fiber' || totalNutrition.fiber > 0).map(([key, label]) => (
+              <div key={key} className={`nutrition-item ${key}`}>
+                <span className="nutrition-label">{label}</span>
+                <span className="nutrition-value">{grams(portionNutrition[key])}</span>
+                <span className="daily-value">{percentOf(portionNutrition[key], referenceIntakes[key])}</span>
               </div>
-            )}
+            ))}
           </div>
           
           {/* Expanded details */}
           {expanded && (
             <div className="nutrition-details">
               {/* Vitamins */}
-              {totalNutrition.vitamins && Object.keys(totalNutrition.vitamins).length > 0 && (
+              {portionNutrition.vitamins && Object.keys(portionNutrition.vitamins).length > 0 && (
                 <div className="vitamins-section">
-                  <h6>💊 Key Vitamins:</h6>
+                  <h6>{t('nutrition.vitamins')}</h6>
                   <div className="nutrients-list">
-                    {Object.entries(totalNutrition.vitamins).map(([vitamin, value]) => (
+                    {Object.entries(portionNutrition.vitamins).map(([vitamin, value]) => (
                       <span key={vitamin} className="nutrient-tag vitamin-tag">
-                        Vitamin {vitamin.toUpperCase()}: {Math.round(value * 10) / 10}
+                        {t('nutrition.vitamin', { name: vitamin.toUpperCase() })}: {formatNumber(value, { maximumFractionDigits: 1 })}
+                        {percentOf(value, referenceIntakes.vitamins[vitamin]) && (
+                          <> · {percentOf(value, referenceIntakes.vitamins[vitamin])}</>
+                        )}
                       </span>
                     ))}
                   </div>
@@ -435,13 +785,16 @@ const NutritionFacts = ({ nutrition, totalNutrition, confidence }) => {
               )}
               
               {/* Minerals */}
-              {totalNutrition.minerals && Object.keys(totalNutrition.minerals).length > 0 && (
+              {portionNutrition.minerals && Object.keys(portionNutrition.minerals).length > 0 && (
                 <div className="minerals-section">
-                  <h6>⚡ Key Minerals:</h6>
+                  <h6>{t('nutrition.minerals')}</h6>
                   <div className="nutrients-list">
-                    {Object.entries(totalNutrition.minerals).map(([mineral, value]) => (
+                    {Object.entries(portionNutrition.minerals).map(([mineral, value]) => (
                       <span key={mineral} className="nutrient-tag mineral-tag">
-                        {mineral.charAt(0).toUpperCase() + mineral.slice(1)}: {Math.round(value * 10) / 10}mg
+                        {mineral.charAt(0).toUpperCase() + mineral.slice(1)}: {formatNumber(value, { maximumFractionDigits: 1 })}mg
+                        {percentOf(value, referenceIntakes.minerals[mineral]) && (
+                          <> · {percentOf(value, referenceIntakes.minerals[mineral])}</>
+                        )}
                       </span>
                     ))}
                   </div>
@@ -451,16 +804,16 @@ const NutritionFacts = ({ nutrition, totalNutrition, confidence }) => {
               {/* Individual ingredient nutrition */}
               {nutrition && nutrition.individual_ingredients && (
                 <div className="individual-nutrition">
-                  <h6>🔍 Per Ingredient:</h6>
+                  <h6>{t('nutrition.perIngredient')}</h6>
                   <div className="ingredient-nutrition-list">
                     {Object.entries(nutrition.individual_ingredients).map(([ingredient, data]) => (
                       <div key={ingredient} className="ingredient-nutrition-item">
                         <strong>{ingredient}</strong>
                         <div className="ingredient-nutrition-values">
-                          <span>Cal: {Math.round(data.nutrition_per_100g.calories)}</span>
-                          <span>P: {Math.round(data.nutrition_per_100g.protein * 10) / 10}g</span>
-                          <span>C: {Math.round(data.nutrition_per_100g.carbs * 10) / 10}g</span>
-                          <span>F: {Math.round(data.nutrition_per_100g.fat * 10) / 10}g</span>
+                          <span>{t('nutrition.caloriesShort')}: {formatNumber(Math.round(data.nutrition_per_100g.calories))}</span>
+                          <span>{t('nutrition.proteinShort')}: {grams(data.nutrition_per_100g.protein)}</span>
+                          <span>{t('nutrition.carbsShort')}: {grams(data.nutrition_per_100g.carbs)}</span>
+                          <span>{t('nutrition.fatShort')}: {grams(data.nutrition_per_100g.fat)}</span>
                         </div>
                       </div>
                     ))}
@@ -472,118 +825,850 @@ const NutritionFacts = ({ nutrition, totalNutrition, confidence }) => {
           
           {confidence && (
             <div className="nutrition-confidence">
-              <small>🤖 Nutritional Estimate - Confidence: {(confidence * 100).toFixed(1)}%</small>
+              <small>
+                {t('nutrition.confidence', {
+                  value: formatNumber(confidence, { style: 'percent', minimumFractionDigits: 1, maximumFractionDigits: 1 })
+                })}
+              </small>
+            </div>
+          )}
+          {nutrition?.corrected && (
+            <div className="nutrition-confidence">
+              <small>{t('nutrition.corrected')}</small>
             </div>
           )}
         </div>
       )}
       
       <div className="nutrition-disclaimer">
-        <small>⚠️ Nutritional values are estimates based on detected ingredients. Actual values may vary by preparation method, portion size, and ingredient brands.</small>
+        {totalNutrition && <small>{t('nutrition.dailyValueNote')}<br /></small>}
+        <small>{t('nutrition.disclaimer')}</small>
       </div>
     </div>
   );
 };
 
-// User Profile Management Component
-const UserProfile = ({ user, onProfileUpdate, onBack }) => {
-  const [allergies, setAllergies] = useState(user.allergies || []);
-  const [newAllergy, setNewAllergy] = useState({ name: '', severity: 'moderate', notes: '' });
-  const [loading, setLoading] = useState(false);
+// Confidence Settings - how sure an analysis must be before its verdict is trusted
+const ConfidenceSettings = () => {
+  const { thresholds, updateThresholds } = useContext(AuthContext);
+  const { t, formatNumber } = useContext(I18nContext);
 
-  const commonAllergens = [
-    'milk', 'eggs', 'peanuts', 'tree nuts', 'almonds', 'walnuts', 'soy', 'wheat', 
-    'shellfish', 'shrimp', 'crab', 'fish', 'salmon', 'sesame', 'mustard', 'celery', 
-    'lupin', 'sulfites', 'gluten', 'cheese', 'butter', 'lactose'
-  ];
+  // Severe allergies never get a looser threshold than the rest
+  const setThreshold = (key, percent) => {
+    const next = { ...thresholds, [key]: percent / 100 };
+    if (key === 'standard') next.severe = Math.max(next.severe, next.standard);
+    if (key === 'severe') next.standard = Math.min(next.standard, next.severe);
+    updateThresholds(next);
+  };
 
-  const addAllergy = () => {
-    if (newAllergy.name.trim() && !allergies.find(a => a.name.toLowerCase() === newAllergy.name.toLowerCase())) {
-      const allergy = {
-        name: newAllergy.name.trim().toLowerCase(),
-        severity: newAllergy.severity,
-        notes: newAllergy.notes.trim()
-      };
-      setAllergies([...allergies, allergy]);
-      setNewAllergy({ name: '', severity: 'moderate', notes: '' });
-    }
+  return (
+    <div className="confidence-settings">
+      <h3>{t('thresholds.title')}</h3>
+      <p className="settings-hint">{t('thresholds.hint')}</p>
+      {['standard', 'severe'].map(key => (
+        <label key={key} className="threshold-row">
+          <span>{t(`thresholds.${key}`)}</span>
+          <input
+            type="range"
+            min="50"
+            max="99"
+            value={Math.round(thresholds[key] * 100)}
+            onChange={(e) => setThreshold(key, Number(e.target.value))}
+          />
+          <strong>{formatNumber(thresholds[key], { style: 'percent' })}</strong>
+        </label>
+      ))}
+      <button className="link-btn" onClick={() => updateThresholds(DEFAULT_CONFIDENCE_THRESHOLDS)}>
+        {t('thresholds.reset')}
+      </button>
+    </div>
+  );
+};
+
+// Accessibility Settings - high contrast and reading results aloud
+const AccessibilitySettings = () => {
+  const { accessibility, updateAccessibility } = useContext(AuthContext);
+  const { t } = useContext(I18nContext);
+  const speechAvailable = canSpeak();
+
+  const toggle = (key) => updateAccessibility({ ...accessibility, [key]: !accessibility[key] });
+
+  return (
+    <div className="accessibility-settings">
+      <h3>{t('a11y.title')}</h3>
+      <p className="settings-hint">{t('a11y.hint')}</p>
+      <label className="checkbox-label">
+        <input
+          type="checkbox"
+          checked={accessibility.highContrast}
+          onChange={() => toggle('highContrast')}
+          aria-describedby="high-contrast-hint"
+        />
+        {t('a11y.highContrast')}
+      </label>
+      <p id="high-contrast-hint" className="settings-hint">{t('a11y.highContrastHint')}</p>
+      <label className="checkbox-label">
+        <input
+          type="checkbox"
+          checked={speechAvailable && accessibility.readAloud}
+          onChange={() => toggle('readAloud')}
+          disabled={!speechAvailable}
+          aria-describedby="read-aloud-hint"
+        />
+        {t('a11y.readAloud')}
+      </label>
+      <p id="read-aloud-hint" className="settings-hint">
+        {speechAvailable ? t('a11y.readAloudHint') : t('a11y.noSpeech')}
+      </p>
+    </div>
+  );
+};
+
+// Reference Intake Settings - the daily amounts nutrition percentages are measured against
+const ReferenceIntakeSettings = () => {
+  const { referenceIntakes, updateReferenceIntakes } = useContext(AuthContext);
+  const { t } = useContext(I18nContext);
+  const [showMore, setShowMore] = useState(false);
+
+  const setIntake = (group, key, value) => {
+    const amount = Number(value);
+    if (!(amount >= 0)) return;
+    updateReferenceIntakes(group
+      ? { ...referenceIntakes, [group]: { ...referenceIntakes[group], [key]: amount } }
+      : { ...referenceIntakes, [key]: amount });
   };
 
-  const removeAllergy = (name) => {
-    setAllergies(allergies.filter(a => a.name !== name));
+  const field = (group, key, label) => (
+    <label key={key} className="intake-field">
+      <span>{label}</span>
+      <input
+        type="number"
+        min="0"
+        value={group ? referenceIntakes[group][key] : referenceIntakes[key]}
+        onChange={(e) => setIntake(group, key, e.target.value)}
+      />
+      <small>{referenceUnit(group, key)}</small>
+    </label>
+  );
+
+  return (
+    <div className="confidence-settings">
+      <h3>{t('intakes.title')}</h3>
+      <p className="settings-hint">{t('intakes.hint')}</p>
+      <div className="intake-grid">
+        {['calories', 'protein', 'carbs', 'fat', 'fiber'].map(key => field(null, key, t(`nutrition.${key}`)))}
+      </div>
+      <button className="expand-btn" onClick={() => setShowMore(!showMore)}>
+        {showMore ? t('intakes.hideMore') : t('intakes.showMore')}
+      </button>
+      {showMore && (
+        <div className="intake-grid">
+          {Object.keys(referenceIntakes.vitamins).map(key => (
+            field('vitamins', key, t('nutrition.vitamin', { name: key.toUpperCase() }))
+          ))}
+          {Object.keys(referenceIntakes.minerals).map(key => (
+            field('minerals', key, key.charAt(0).toUpperCase() + key.slice(1))
+          ))}
+        </div>
+      )}
+      <button className="link-btn" onClick={() => updateReferenceIntakes(DEFAULT_REFERENCE_INTAKES)}>
+        {t('intakes.reset')}
+      </button>
+    </div>
+  );
+};
+
+const EMPTY_ALLERGY = {
+  name: '',
+  severity: 'moderate',
+  notes: '',
+  reaction_type: '',
+  diagnosed_on: '',    // YYYY-MM-DD
+  epinephrine: false   // auto-injector prescribed
+};
+
+const SEVERITIES = ['mild', 'moderate', 'severe'];
+
+const COMMON_ALLERGENS = [
+  'milk', 'eggs', 'peanuts', 'tree nuts', 'almonds', 'walnuts', 'soy', 'wheat',
+  'shellfish', 'shrimp', 'crab', 'fish', 'salmon', 'sesame', 'mustard', 'celery',
+  'lupin', 'sulfites', 'gluten', 'cheese', 'butter', 'lactose'
+];
+
+// Labels are translated as reaction.<type>; '' reads as "Not specified"
+const REACTION_TYPES = ['', 'skin', 'swelling', 'digestive', 'respiratory', 'anaphylaxis', 'other'];
+
+// Allergy Details Fields - reaction, diagnosis, auto-injector and notes for one allergy
+const AllergyDetailsFields = ({ allergy, onChange, idPrefix }) => {
+  const { t } = useContext(I18nContext);
+  return (
+    <div className="allergy-details">
+      <label htmlFor={`${idPrefix}-reaction`}>
+        {t('details.reaction')}
+        <select
+          id={`${idPrefix}-reaction`}
+          value={allergy.reaction_type || ''}
+          onChange={(e) => onChange({ reaction_type: e.target.value })}
+        >
+          {REACTION_TYPES.map(value => (
+            <option key={value} value={value}>{t(`reaction.${value || 'none'}`)}</option>
+          ))}
+        </select>
+      </label>
+      <label htmlFor={`${idPrefix}-diagnosed`}>
+        {t('details.diagnosed')}
+        <input
+          id={`${idPrefix}-diagnosed`}
+          type="date"
+          value={allergy.diagnosed_on || ''}
+          max={new Date().toISOString().slice(0, 10)}
+          onChange={(e) => onChange({ diagnosed_on: e.target.value })}
+        />
+      </label>
+      <label className="checkbox-label">
+        <input
+          type="checkbox"
+          checked={!!allergy.epinephrine}
+          onChange={(e) => onChange({ epinephrine: e.target.checked })}
+        />
+        {t('details.epinephrine')}
+      </label>
+      <label htmlFor={`${idPrefix}-notes`} className="allergy-notes">
+        {t('details.notes')}
+        <textarea
+          id={`${idPrefix}-notes`}
+          rows={2}
+          value={allergy.notes || ''}
+          placeholder={t('details.notesPlaceholder')}
+          onChange={(e) => onChange({ notes: e.target.value })}
+        />
+      </label>
+    </div>
+  );
+};
+
+const describeAllergyDetails = (allergy, { t, formatDate }) => [
+  allergy.reaction_type && t(`reaction.${allergy.reaction_type}`),
+  allergy.diagnosed_on && t('details.diagnosedOn', { date: formatDate(`${allergy.diagnosed_on}T00:00:00`) }),
+  allergy.notes
+].filter(Boolean).join(' · ');
+
+// Save a generated file through a temporary link
+const downloadFile = (file) => {
+  const url = URL.createObjectURL(file);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = file.name;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+// Allergy Card Builder - wallet and chef cards to print, download or share
+const AllergyCardBuilder = ({ allergies, holder }) => {
+  const { lang: uiLang, t, errorMessage } = useContext(I18nContext);
+  const { notify } = useContext(NotificationContext);
+  const [open, setOpen] = useState(false);
+  const [type, setType] = useState('wallet');
+  const [lang, setLang] = useState(() => (CARD_LANGUAGES.some(([code]) => code === uiLang) ? uiLang : 'en'));
+  const [details, setDetails] = useState(loadCardDetails);
+  const [preview, setPreview] = useState(null);
+  const [exporting, setExporting] = useState(false);
+
+  const content = useMemo(() => buildCardContent({
+    type, lang, holder, allergies, contact: details.contact, instructions: details.instructions
+  }), [type, lang, holder, allergies, details]);
+
+  useEffect(() => {
+    if (open) setPreview(renderCard(content).toDataURL('image/png'));
+  }, [open, content]);
+
+  const updateDetails = (changes) => {
+    const next = { ...details, ...changes };
+    setDetails(next);
+    saveCardDetails(next);
   };
 
-  const saveAllergies = async () => {
-    setLoading(true);
-    try {
-      const token = localStorage.getItem('access_token');
-      const response = await fetch(`${API_BASE}/profile/allergies`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${token}`,
-          'Accept': 'application/json'
-        },
-        body: JSON.stringify({ allergies })
-      });
+  const updateContact = (field, value) => updateDetails({ contact: { ...details.contact, [field]: value } });
 
-      if (response.ok) {
-        onProfileUpdate({ ...user, allergies });
-        alert('✅ Allergies updated successfully!');
+  const exportAs = async (format, share = false) => {
+    setExporting(true);
+    try {
+      const file = await exportCard(content, format);
+      if (share && navigator.canShare?.({ files: [file] })) {
+        await navigator.share({ files: [file], title: content.title });
       } else {
-        alert('❌ Error updating allergies');
+        downloadFile(file);
       }
     } catch (error) {
-      alert('❌ Connection error');
+      if (error.name !== 'AbortError') {
+        notify({
+          level: 'error',
+          message: t('cards.error', { message: errorMessage(error) }),
+          actions: [{ label: t('notify.retry'), onClick: () => exportAs(format, share) }]
+        });
+      }
     }
-    setLoading(false);
+    setExporting(false);
   };
 
-  return (
-    <div className="profile-container">
-      <div className="profile-header">
-        <button className="back-btn" onClick={onBack}>← Back to Scanner</button>
-        <h2>👤 Your Profile</h2>
+  if (!open) {
+    return (
+      <div className="allergy-card-builder">
+        <h3>{t('cards.title')}</h3>
+        <p className="settings-hint">{t('cards.hint')}</p>
+        <button className="retry-btn" onClick={() => setOpen(true)} disabled={allergies.length === 0}>
+          {t('cards.create')}
+        </button>
       </div>
+    );
+  }
 
-      <div className="profile-content">
-        <div className="profile-info">
-          <h3>Account Information</h3>
-          <div className="info-grid">
-            <div className="info-item">
-              <label>Name</label>
-              <span>{user.user.first_name} {user.user.last_name}</span>
-            </div>
-            <div className="info-item">
-              <label>Email</label>
-              <span>{user.user.email}</span>
-            </div>
-            <div className="info-item">
-              <label>Total Scans</label>
-              <span>{user.total_scans}</span>
-            </div>
-          </div>
+  return (
+    <div className="allergy-card-builder">
+      <h3>{t('cards.title')}</h3>
+      <div className="card-options">
+        <div className="card-type-tabs" role="group" aria-label={t('cards.type')}>
+          {['wallet', 'chef'].map(value => (
+            <button
+              key={value}
+              className={`scan-mode-tab ${type === value ? 'active' : ''}`}
+              aria-pressed={type === value}
+              onClick={() => setType(value)}
+            >
+              {t(`cards.${value}`)}
+            </button>
+          ))}
+        </div>
+        <label className="card-language">
+          {t('cards.language')}
+          <select value={lang} onChange={(e) => setLang(e.target.value)}>
+            {CARD_LANGUAGES.map(([code, name]) => (
+              <option key={code} value={code}>{name}</option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      <div className="card-details">
+        {[['name', 'text'], ['relationship', 'text'], ['phone', 'tel']].map(([field, inputType]) => (
+          <label key={field}>
+            {t(`cards.contact.${field}`)}
+            <input
+              type={inputType}
+              placeholder={t(`cards.contact.${field}Placeholder`)}
+              value={details.contact[field]}
+              onChange={(e) => updateContact(field, e.target.value)}
+            />
+          </label>
+        ))}
+        <label className="card-instructions">
+          {t('cards.instructions')}
+          <textarea
+            rows="2"
+            placeholder={t('cards.instructionsPlaceholder')}
+            value={details.instructions}
+            onChange={(e) => updateDetails({ instructions: e.target.value })}
+          />
+        </label>
+      </div>
+      {lang !== 'en' && details.instructions.trim() && (
+        <p className="settings-hint">{t('cards.ownInstructions')}</p>
+      )}
+
+      {preview && (
+        <img className={`card-preview card-preview-${type}`} src={preview} alt={t('cards.previewAlt', { title: content.title })} />
+      )}
+
+      <div className="card-actions">
+        <button className="retry-btn" onClick={() => exportAs('pdf')} disabled={exporting}>
+          {t('cards.pdf')}
+        </button>
+        <button className="retry-btn" onClick={() => exportAs('png')} disabled={exporting}>
+          {t('cards.image')}
+        </button>
+        {navigator.share && (
+          <button className="retry-btn" onClick={() => exportAs('png', true)} disabled={exporting}>
+            {t('cards.share')}
+          </button>
+        )}
+        <button className="link-btn" onClick={() => setOpen(false)}>{t('cards.close')}</button>
+      </div>
+      <p className="settings-hint">{t('cards.printHint')}</p>
+    </div>
+  );
+};
+
+// Allergy Transfer - export the allergy list, or import one with a preview before it is merged
+const AllergyTransfer = ({ allergies, holder, onImport }) => {
+  const { t, allergenName, errorMessage } = useContext(I18nContext);
+  const [preview, setPreview] = useState(null); // { file, merged, changes, skipped }
+  const [error, setError] = useState('');
+
+  const readFile = async (event) => {
+    const file = event.target.files[0];
+    event.target.value = ''; // choosing the same file again should read it again
+    if (!file) return;
+    setError('');
+    setPreview(null);
+    try {
+      const { allergies: incoming, skipped } = parseAllergyFile(await file.text());
+      if (incoming.length === 0) {
+        setError(t('transfer.empty', { file: file.name }));
+        return;
+      }
+      setPreview({ file: file.name, skipped, ...planAllergyImport(allergies, incoming) });
+    } catch (err) {
+      setError(t('transfer.readError', { file: file.name, message: errorMessage(err) }));
+    }
+  };
+
+  const applyImport = () => {
+    onImport(preview.merged);
+    setPreview(null);
+  };
+
+  const count = (status) => preview.changes.filter(change => change.status === status).length;
+
+  return (
+    <div className="allergy-transfer">
+      <h4>{t('transfer.title')}</h4>
+      <p className="settings-hint">{t('transfer.hint')}</p>
+      <div className="transfer-actions">
+        {ALLERGY_EXPORT_FORMATS.map(format => (
+          <button
+            key={format}
+            className="retry-btn"
+            onClick={() => downloadFile(exportAllergies(format, allergies, { patient: holder }))}
+            disabled={allergies.length === 0}
+          >
+            {t(format === 'fhir' ? 'transfer.exportFhir' : 'transfer.exportJson')}
+          </button>
+        ))}
+        <input
+          type="file"
+          accept=".json,.csv,application/json,application/fhir+json,text/csv"
+          aria-label={t('transfer.file')}
+          onChange={readFile}
+        />
+      </div>
+      {error && <p className="error-message" role="alert">{error}</p>}
+
+      {preview && (
+        <div className="import-preview">
+          <h5>{t('transfer.previewTitle', { file: preview.file })}</h5>
+          <p>
+            {t('transfer.summary', {
+              added: count('new'), updated: count('updated'), unchanged: count('unchanged')
+            })}
+          </p>
+          <ul>
+            {preview.changes.map(({ allergy, status }, index) => (
+              <li key={`${allergy.name}-${index}`} className={`import-${status}`}>
+                <span className="import-status">{t(`transfer.status.${status}`)}</span>
+                <strong>{allergenName(allergy.name)}</strong>
+                <span className={`severity-badge severity-${allergy.severity}`}>
+                  {t(`severity.${allergy.severity}`)}
+                </span>
+                {allergy.epinephrine && <span className="epinephrine-badge">{t('profile.autoInjector')}</span>}
+              </li>
+            ))}
+          </ul>
+          {preview.skipped > 0 && (
+            <p className="settings-hint">{t('transfer.skipped', { count: preview.skipped })}</p>
+          )}
+          <p className="settings-hint">{t('transfer.mergeHint')}</p>
+          <div className="transfer-actions">
+            <button
+              className="retry-btn"
+              onClick={applyImport}
+              disabled={preview.changes.every(change => change.status === 'unchanged')}
+            >
+              {t('transfer.apply')}
+            </button>
+            <button className="link-btn" onClick={() => setPreview(null)}>{t('transfer.cancel')}</button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Dietary Rules - diets every scan is checked against, separately from allergies
+const DietaryRules = ({ user, onProfileUpdate, onDirtyChange }) => {
+  const { t, errorMessage } = useContext(I18nContext);
+  const { notify } = useContext(NotificationContext);
+  const [diets, setDiets] = useState(user.diets || []);
+  const [saving, setSaving] = useState(false);
+
+  const isDirty = JSON.stringify(diets) !== JSON.stringify(user.diets || []);
+
+  useEffect(() => {
+    onDirtyChange(isDirty);
+  }, [isDirty, onDirtyChange]);
+
+  const toggleDiet = (id) => {
+    setDiets(diets.some(d => d.id === id)
+      ? diets.filter(d => d.id !== id)
+      : [...diets, { id }]);
+  };
+
+  const setLimit = (id, value) => {
+    setDiets(diets.map(d => (d.id === id ? { ...d, limit: value === '' ? undefined : Number(value) } : d)));
+  };
+
+  const nutrientName = (nutrient) => t(`nutrition.${nutrient}`);
+
+  const save = async () => {
+    setSaving(true);
+    try {
+      await saveDiets(diets);
+      onProfileUpdate({ ...user, diets });
+      notify({ level: 'success', message: t('diets.saveSuccess') });
+    } catch (error) {
+      notify({
+        level: 'error',
+        message: t('diets.saveError', { message: errorMessage(error) }),
+        actions: [{ label: t('notify.retry'), onClick: save }]
+      });
+    }
+    setSaving(false);
+  };
+
+  return (
+    <div className="dietary-rules">
+      <h3>{t('diets.title')}</h3>
+      <p className="settings-hint">{t('diets.hint')}</p>
+      <div className="diet-options">
+        {DIET_IDS.map(id => {
+          const selected = diets.find(d => d.id === id);
+          const limit = selected && dietLimit(selected);
+          return (
+            <div key={id} className={`diet-option ${selected ? 'selected' : ''}`}>
+              <label>
+                <input type="checkbox" checked={!!selected} onChange={() => toggleDiet(id)} />
+                {t(`diet.${id}`)}
+              </label>
+              {limit && (
+                <label className="diet-limit">
+                  {t('diets.limit', { nutrient: nutrientName(DIETS[id].limit.nutrient) })}
+                  <input
+                    type="number"
+                    min="0"
+                    value={selected.limit ?? limit.default}
+                    onChange={(e) => setLimit(id, e.target.value)}
+                  />
+                  <small>{limit.unit}</small>
+                </label>
+              )}
+            </div>
+          );
+        })}
+      </div>
+      <button className="save-allergies-btn" onClick={save} disabled={saving || !isDirty}>
+        {saving ? t('profile.saving') : isDirty ? t('diets.save') : t('profile.saved')}
+      </button>
+    </div>
+  );
+};
+
+// Household Manager - dependents on this account, each with their own allergy list
+const HouseholdManager = ({ user, onProfileUpdate, onDirtyChange }) => {
+  const { t, allergenName, errorMessage } = useContext(I18nContext);
+  const { notify, confirm } = useContext(NotificationContext);
+  const [members, setMembers] = useState(user.household || []);
+  const [newName, setNewName] = useState('');
+  const [drafts, setDrafts] = useState({}); // allergy being added, by member id
+  const [saving, setSaving] = useState(false);
+
+  const isDirty = JSON.stringify(members) !== JSON.stringify(user.household || []);
+
+  useEffect(() => {
+    onDirtyChange(isDirty);
+  }, [isDirty, onDirtyChange]);
+
+  const updateMember = (id, changes) => {
+    setMembers(members.map(m => (m.id === id ? { ...m, ...changes } : m)));
+  };
+
+  const addMember = () => {
+    if (!newName.trim()) return;
+    setMembers([...members, createMember(newName)]);
+    setNewName('');
+  };
+
+  const removeMember = async (member) => {
+    const confirmed = await confirm({
+      message: t('household.confirmRemove', { name: member.name }),
+      confirmLabel: t('dialog.remove'),
+      danger: true
+    });
+    if (confirmed) setMembers(prev => prev.filter(m => m.id !== member.id));
+  };
+
+  const draftFor = (id) => drafts[id] || { name: '', severity: 'moderate' };
+
+  const addMemberAllergy = (member) => {
+    const draft = draftFor(member.id);
+    updateMember(member.id, { allergies: addAllergyTo(member.allergies, draft.name, draft.severity) });
+    setDrafts({ ...drafts, [member.id]: undefined });
+  };
+
+  const setAllergySeverity = (member, name, severity) => updateMember(member.id, {
+    allergies: member.allergies.map(a => (a.name === name ? { ...a, severity } : a))
+  });
+
+  const saveMembers = async () => {
+    setSaving(true);
+    try {
+      // A person whose name was cleared keeps their place under the old name
+      const household = members.map(m => ({
+        ...m,
+        name: m.name.trim() || (user.household || []).find(old => old.id === m.id)?.name || '?'
+      }));
+      await saveHousehold(household);
+      setMembers(household);
+      onProfileUpdate({ ...user, household });
+      notify({ level: 'success', message: t('household.saveSuccess') });
+    } catch (error) {
+      notify({
+        level: 'error',
+        message: t('household.saveError', { message: errorMessage(error) }),
+        actions: [{ label: t('notify.retry'), onClick: saveMembers }]
+      });
+    }
+    setSaving(false);
+  };
+
+  return (
+    <div className="household-section">
+      <h3>{t('household.title', { count: members.length })}</h3>
+      <p className="settings-hint">{t('household.hint')}</p>
+
+      {members.map(member => (
+        <div key={member.id} className="household-member">
+          <div className="household-member-header">
+            <input
+              type="text"
+              aria-label={t('household.memberName')}
+              value={member.name}
+              onChange={(e) => updateMember(member.id, { name: e.target.value })}
+            />
+            <button
+              className="remove-btn"
+              onClick={() => removeMember(member)}
+              title={t('household.removeMember', { name: member.name })}
+            >
+              ×
+            </button>
+          </div>
+
+          <div className="member-allergies">
+            {member.allergies.length === 0 && (
+              <span className="person-note">{t('household.noAllergies')}</span>
+            )}
+            {member.allergies.map(allergy => (
+              <span key={allergy.name} className={`member-allergy severity-${allergy.severity}`}>
+                {allergenName(allergy.name)}
+                <select
+                  aria-label={t('household.allergySeverity', { name: member.name, allergy: allergenName(allergy.name) })}
+                  value={allergy.severity}
+                  onChange={(e) => setAllergySeverity(member, allergy.name, e.target.value)}
+                >
+                  {SEVERITIES.map(severity => (
+                    <option key={severity} value={severity}>{t(`severity.${severity}`)}</option>
+                  ))}
+                </select>
+                <button
+                  className="remove-btn"
+                  onClick={() => updateMember(member.id, {
+                    allergies: member.allergies.filter(a => a.name !== allergy.name)
+                  })}
+                  title={t('profile.remove')}
+                >
+                  ×
+                </button>
+              </span>
+            ))}
+          </div>
+
+          <div className="allergy-input-group">
+            <input
+              type="text"
+              list="common-allergens"
+              aria-label={t('household.newAllergy', { name: member.name })}
+              placeholder={t('household.allergyPlaceholder')}
+              value={draftFor(member.id).name}
+              onChange={(e) => setDrafts({ ...drafts, [member.id]: { ...draftFor(member.id), name: e.target.value } })}
+              onKeyPress={(e) => e.key === 'Enter' && addMemberAllergy(member)}
+            />
+            <select
+              value={draftFor(member.id).severity}
+              onChange={(e) => setDrafts({ ...drafts, [member.id]: { ...draftFor(member.id), severity: e.target.value } })}
+            >
+              {SEVERITIES.map(severity => (
+                <option key={severity} value={severity}>{t(`severity.${severity}`)}</option>
+              ))}
+            </select>
+            <button onClick={() => addMemberAllergy(member)} disabled={!draftFor(member.id).name.trim()}>
+              {t('profile.add')}
+            </button>
+          </div>
+        </div>
+      ))}
+
+      <div className="allergy-input-group">
+        <input
+          type="text"
+          aria-label={t('household.newMember')}
+          placeholder={t('household.newMemberPlaceholder')}
+          value={newName}
+          onChange={(e) => setNewName(e.target.value)}
+          onKeyPress={(e) => e.key === 'Enter' && addMember()}
+        />
+        <button onClick={addMember} disabled={!newName.trim()}>
+          {t('household.addMember')}
+        </button>
+      </div>
+      <datalist id="common-allergens">
+        {COMMON_ALLERGENS.map(allergen => <option key={allergen} value={allergen} />)}
+      </datalist>
+
+      <button
+        className="save-allergies-btn"
+        onClick={saveMembers}
+        disabled={saving || !isDirty}
+      >
+        {saving ? t('profile.saving') : isDirty ? t('household.save') : t('profile.saved')}
+      </button>
+    </div>
+  );
+};
+
+const UserProfile = ({ user, onProfileUpdate, onBack, onDirtyChange }) => {
+  const [allergies, setAllergies] = useState(user.allergies || []);
+  const [newAllergy, setNewAllergy] = useState(EMPTY_ALLERGY);
+  const [showNewDetails, setShowNewDetails] = useState(false);
+  const [expanded, setExpanded] = useState(null); // allergy whose details are open
+  const [loading, setLoading] = useState(false);
+  const i18n = useContext(I18nContext);
+  const { t, allergenName, errorMessage } = i18n;
+  const { notify, confirm } = useContext(NotificationContext);
+
+  const [householdDirty, setHouseholdDirty] = useState(false);
+  const [dietsDirty, setDietsDirty] = useState(false);
+
+  const holder = `${user.user.first_name} ${user.user.last_name}`.trim();
+
+  // Unsaved edits, compared with what the server last confirmed
+  const isDirty = JSON.stringify(allergies) !== JSON.stringify(user.allergies || []);
+  const hasUnsaved = isDirty || householdDirty || dietsDirty;
+
+  useEffect(() => {
+    onDirtyChange?.(hasUnsaved);
+    if (!hasUnsaved) return;
+    const warnBeforeUnload = (event) => {
+      event.preventDefault();
+      event.returnValue = '';
+    };
+    window.addEventListener('beforeunload', warnBeforeUnload);
+    return () => window.removeEventListener('beforeunload', warnBeforeUnload);
+  }, [hasUnsaved, onDirtyChange]);
+
+  useEffect(() => () => onDirtyChange?.(false), [onDirtyChange]);
+
+  // Links, the header buttons and the browser's back button all wait for a yes
+  const blocker = useBlocker(({ currentLocation, nextLocation }) => (
+    hasUnsaved && currentLocation.pathname !== nextLocation.pathname
+  ));
+
+  useEffect(() => {
+    if (blocker.state !== 'blocked') return;
+    confirm({ message: t('profile.leaveUnsaved'), confirmLabel: t('dialog.leave'), danger: true })
+      .then(leave => (leave ? blocker.proceed() : blocker.reset()));
+  }, [blocker, confirm, t]);
+
+  const addAllergy = () => {
+    if (newAllergy.name.trim() && !allergies.find(a => a.name.toLowerCase() === newAllergy.name.toLowerCase())) {
+      const allergy = {
+        ...newAllergy,
+        name: newAllergy.name.trim().toLowerCase(),
+        notes: newAllergy.notes.trim()
+      };
+      setAllergies([...allergies, allergy]);
+      setNewAllergy(EMPTY_ALLERGY);
+      setShowNewDetails(false);
+    }
+  };
+
+  const updateAllergy = (name, changes) => {
+    setAllergies(allergies.map(a => (a.name === name ? { ...a, ...changes } : a)));
+  };
+
+  const removeAllergy = (name) => {
+    setAllergies(allergies.filter(a => a.name !== name));
+  };
+
+  const saveAllergies = async () => {
+    setLoading(true);
+    try {
+      await api.post('/profile/allergies', { allergies });
+      onProfileUpdate({ ...user, allergies });
+      notify({ level: 'success', message: t('profile.saveSuccess') });
+    } catch (error) {
+      notify({
+        level: 'error',
+        message: t('profile.saveError', { message: errorMessage(error) }),
+        actions: [{ label: t('notify.retry'), onClick: saveAllergies }]
+      });
+    }
+    setLoading(false);
+  };
+
+  return (
+    <div className="profile-container">
+      <div className="profile-header">
+        <button className="back-btn" onClick={onBack}>{t('profile.back')}</button>
+        <h2>{t('profile.title')}</h2>
+      </div>
+
+      <div className="profile-content">
+        <div className="profile-info">
+          <h3>{t('profile.account')}</h3>
+          <div className="info-grid">
+            <div className="info-item">
+              <label>{t('profile.name')}</label>
+              <span>{user.user.first_name} {user.user.last_name}</span>
+            </div>
+            <div className="info-item">
+              <label>{t('profile.email')}</label>
+              <span>{user.user.email}</span>
+            </div>
+            <div className="info-item">
+              <label>{t('profile.totalScans')}</label>
+              <span>{i18n.formatNumber(user.total_scans || 0)}</span>
+            </div>
+          </div>
         </div>
 
         <div className="allergies-section">
-          <h3>🚨 Your Allergies ({allergies.length})</h3>
+          <h3>{t('profile.allergies', { count: allergies.length })}</h3>
           
           {/* Quick Add Common Allergens */}
           <div className="quick-allergens">
-            <h4>Quick Add Common Allergens:</h4>
+            <h4>{t('profile.quickAdd')}</h4>
             <div className="allergen-buttons">
-              {commonAllergens.map(allergen => (
+              {COMMON_ALLERGENS.map(allergen => (
                 <button
                   key={allergen}
                   className={`allergen-quick-btn ${allergies.find(a => a.name === allergen) ? 'added' : ''}`}
                   onClick={() => {
                     if (!allergies.find(a => a.name === allergen)) {
-                      setAllergies([...allergies, { name: allergen, severity: 'moderate', notes: '' }]);
+                      setAllergies([...allergies, { ...EMPTY_ALLERGY, name: allergen }]);
                     }
                   }}
                   disabled={allergies.find(a => a.name === allergen)}
                 >
-                  {allergen} {allergies.find(a => a.name === allergen) ? '✓' : '+'}
+                  {allergenName(allergen)} {allergies.find(a => a.name === allergen) ? '✓' : '+'}
                 </button>
               ))}
             </div>
@@ -591,11 +1676,11 @@ const UserProfile = ({ user, onProfileUpdate, onBack }) => {
 
           {/* Custom Allergy Input */}
           <div className="custom-allergy">
-            <h4>Add Custom Allergy:</h4>
+            <h4>{t('profile.custom')}</h4>
             <div className="allergy-input-group">
               <input
                 type="text"
-                placeholder="Enter allergy name"
+                placeholder={t('profile.customPlaceholder')}
                 value={newAllergy.name}
                 onChange={(e) => setNewAllergy({...newAllergy, name: e.target.value})}
                 onKeyPress={(e) => e.key === 'Enter' && addAllergy()}
@@ -604,167 +1689,1951 @@ const UserProfile = ({ user, onProfileUpdate, onBack }) => {
                 value={newAllergy.severity}
                 onChange={(e) => setNewAllergy({...newAllergy, severity: e.target.value})}
               >
-                <option value="mild">Mild</option>
-                <option value="moderate">Moderate</option>
-                <option value="severe">Severe</option>
+                {SEVERITIES.map(severity => (
+                  <option key={severity} value={severity}>{t(`severity.${severity}`)}</option>
+                ))}
               </select>
               <button onClick={addAllergy} disabled={!newAllergy.name.trim()}>
-                Add
+                {t('profile.add')}
               </button>
             </div>
+            <button className="link-btn" onClick={() => setShowNewDetails(!showNewDetails)}>
+              {showNewDetails ? t('profile.hideDetails') : t('profile.showDetails')}
+            </button>
+            {showNewDetails && (
+              <AllergyDetailsFields
+                allergy={newAllergy}
+                idPrefix="new-allergy"
+                onChange={(changes) => setNewAllergy({ ...newAllergy, ...changes })}
+              />
+            )}
           </div>
 
           {/* Current Allergies */}
           <div className="current-allergies">
-            <h4>Current Allergies:</h4>
+            <h4>{t('profile.current')}</h4>
             {allergies.length === 0 ? (
               <div className="no-allergies">
-                <p>No allergies configured yet.</p>
-                <p>Add some above to get personalized food safety warnings!</p>
+                <p>{t('profile.none')}</p>
+                <p>{t('profile.noneHint')}</p>
               </div>
             ) : (
               <div className="allergies-list">
                 {allergies.map((allergy, index) => (
-                  <div key={index} className={`allergy-item severity-${allergy.severity}`}>
-                    <div className="allergy-info">
-                      <strong>{allergy.name}</strong>
-                      <span className={`severity-badge severity-${allergy.severity}`}>
-                        {allergy.severity}
-                      </span>
+                  <div key={allergy.name} className={`allergy-item severity-${allergy.severity}`}>
+                    <div className="allergy-row">
+                      <div className="allergy-info">
+                        <strong>{allergenName(allergy.name)}</strong>
+                        <select
+                          className={`severity-select severity-${allergy.severity}`}
+                          aria-label={t('profile.severityOf', { name: allergenName(allergy.name) })}
+                          value={allergy.severity}
+                          onChange={(e) => updateAllergy(allergy.name, { severity: e.target.value })}
+                        >
+                          {SEVERITIES.map(severity => (
+                            <option key={severity} value={severity}>{t(`severity.${severity}`)}</option>
+                          ))}
+                        </select>
+                        {allergy.epinephrine && (
+                          <span className="epinephrine-badge">{t('profile.autoInjector')}</span>
+                        )}
+                      </div>
+                      <div className="allergy-actions">
+                        <button
+                          className="link-btn"
+                          onClick={() => setExpanded(expanded === allergy.name ? null : allergy.name)}
+                        >
+                          {expanded === allergy.name ? t('profile.done') : t('profile.details')}
+                        </button>
+                        <button
+                          className="remove-btn"
+                          onClick={() => removeAllergy(allergy.name)}
+                          title={t('profile.remove')}
+                        >
+                          ×
+                        </button>
+                      </div>
                     </div>
-                    <button
-                      className="remove-btn"
-                      onClick={() => removeAllergy(allergy.name)}
-                      title="Remove allergy"
-                    >
-                      ×
-                    </button>
+                    {expanded === allergy.name ? (
+                      <AllergyDetailsFields
+                        allergy={allergy}
+                        idPrefix={`allergy-${index}`}
+                        onChange={(changes) => updateAllergy(allergy.name, changes)}
+                      />
+                    ) : describeAllergyDetails(allergy, i18n) && (
+                      <p className="allergy-summary">{describeAllergyDetails(allergy, i18n)}</p>
+                    )}
                   </div>
                 ))}
               </div>
             )}
           </div>
 
+          {isDirty && (
+            <p className="unsaved-note">{t('profile.unsaved')}</p>
+          )}
           <button
             className="save-allergies-btn"
             onClick={saveAllergies}
-            disabled={loading}
+            disabled={loading || !isDirty}
           >
-            {loading ? '💾 Saving...' : '💾 Save Allergies'}
+            {loading ? t('profile.saving') : isDirty ? t('profile.save') : t('profile.saved')}
           </button>
+
+          <AllergyTransfer allergies={allergies} holder={holder} onImport={setAllergies} />
         </div>
+
+        <DietaryRules user={user} onProfileUpdate={onProfileUpdate} onDirtyChange={setDietsDirty} />
+
+        <HouseholdManager user={user} onProfileUpdate={onProfileUpdate} onDirtyChange={setHouseholdDirty} />
+
+        <AllergyCardBuilder allergies={allergies} holder={holder} />
+
+        <ConfidenceSettings />
+
+        <ReferenceIntakeSettings />
+
+        <AccessibilitySettings />
       </div>
     </div>
   );
 };
 
-// Main Food Scanner Component
-const FoodScannerApp = () => {
-  const { user, setUser, logout } = useContext(AuthContext);
-  const [selectedImage, setSelectedImage] = useState(null);
-  const [imagePreview, setImagePreview] = useState(null);
-  const [isAnalyzing, setIsAnalyzing] = useState(false);
-  const [scanResult, setScanResult] = useState(null);
-  const [nutritionData, setNutritionData] = useState(null); // NEW: Nutrition state
-  const [showProfile, setShowProfile] = useState(false);
-  const [scanHistory, setScanHistory] = useState([]);
-  const fileInputRef = useRef(null);
-  
-  useEffect(() => {
-    loadScanHistory();
-  }, []);
+// Scan check hook - re-evaluates any result against the current allergies and confidence thresholds
+const useScanCheck = () => {
+  const { user, thresholds } = useContext(AuthContext);
+  const allergies = user.allergies;
+  return useCallback((scan) => {
+    const current = allergies || [];
+    return assessScan(recheckScan(scan, current), current, thresholds);
+  }, [allergies, thresholds]);
+};
+
+// Severity is never shown by color alone
+const SEVERITY_MARKS = { mild: '●', moderate: '▲', severe: '⬣' };
+
+// Why a warning matched, from the { id, ...values } reason allergens.js gives it
+const describeMatch = (reason, i18n) => {
+  const { t, allergenName, languageName } = i18n;
+  if (reason.id === 'translation') {
+    const meaning = t('match.translation', {
+      term: reason.term, language: languageName(reason.lang), english: allergenName(reason.english)
+    });
+    return reason.detail ? `${meaning} - ${describeMatch(reason.detail, i18n)}` : meaning;
+  }
+  return t(`match.${reason.id}`, {
+    ...reason,
+    ...(reason.allergen && { allergen: allergenName(reason.allergen) }),
+    ...(reason.group && { group: allergenName(reason.group) })
+  });
+};
+
+// Why a verdict is uncertain, from the reasons confidence.js gives it
+const describeUncertainty = (reason, { t, formatNumber, allergenName }) => {
+  const percent = (value) => formatNumber(value, { style: 'percent' });
+  return reason.id === 'overall'
+    ? t('uncertain.overall', { confidence: percent(reason.confidence), threshold: percent(reason.threshold) })
+    : t('uncertain.ingredient', {
+      ingredient: reason.ingredient, allergen: allergenName(reason.allergen), confidence: percent(reason.confidence)
+    });
+};
+
+const UncertainReasons = ({ reasons }) => {
+  const i18n = useContext(I18nContext);
+  return (
+    <ul className="uncertain-reasons">
+      {reasons.map(reason => describeUncertainty(reason, i18n)).map(text => <li key={text}>{text}</li>)}
+    </ul>
+  );
+};
+
+// Allergen Warning List - each warning with why it matched and how sure the analysis is
+const AllergenWarningList = ({ warnings }) => {
+  const i18n = useContext(I18nContext);
+  const { t, formatNumber, allergenName } = i18n;
+
+  return (
+    <div className="warnings-list">
+      {warnings.map((warning, index) => (
+        <div key={index} className={`warning-item severity-${warning.severity} ${warning.uncertain ? 'uncertain' : ''}`}>
+          <div className="warning-content">
+            <strong>{allergenName(warning.allergen)}</strong> {t('warnings.detectedIn')} <em>{warning.ingredient}</em>
+            {warning.match && (
+              <p className="warning-reason">{t('warnings.why', { reason: describeMatch(warning.match.reason, i18n) })}</p>
+            )}
+            <div className="warning-details">
+              <span className={`severity-badge severity-${warning.severity}`}>
+                <span aria-hidden="true">{SEVERITY_MARKS[warning.severity]} </span>
+                {t(`warnings.severity.${warning.severity}`)}
+              </span>
+              {warning.match?.type === 'cross-reactive' && (
+                <span className="match-badge">{t('warnings.crossReaction')}</span>
+              )}
+              {warning.uncertain && (
+                <span className="match-badge uncertain">{t('warnings.lowConfidence')}</span>
+              )}
+              {warning.confidence != null && (
+                <span className="confidence">
+                  {t('warnings.confidence', {
+                    value: formatNumber(warning.confidence, { style: 'percent', minimumFractionDigits: 1 })
+                  })}
+                </span>
+              )}
+            </div>
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+// Household Verdicts - safe or not for each person eating, with their warnings
+const HouseholdVerdicts = ({ checks }) => {
+  const { t } = useContext(I18nContext);
+
+  return (
+    <div className="household-verdicts">
+      <h4>{t('verdicts.title')}</h4>
+      {checks.map(({ person, result }) => (
+        <div key={person.id} className={`person-verdict ${result.status}`}>
+          <div className="person-verdict-header">
+            <strong>{person.name}</strong>
+            <span className={`person-status ${result.status}`}>{t(`verdicts.${result.status}`)}</span>
+          </div>
+          {person.allergies.length === 0 && (
+            <p className="person-note">{t('verdicts.noAllergies')}</p>
+          )}
+          {result.uncertain_reasons.length > 0 && <UncertainReasons reasons={result.uncertain_reasons} />}
+          {result.allergen_warnings.length > 0 && (
+            <AllergenWarningList warnings={result.allergen_warnings} />
+          )}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+// Diet Check - diet rule violations, kept apart from allergen warnings
+const DietCheck = ({ diets, violations }) => {
+  const { t, formatNumber } = useContext(I18nContext);
+  const dietName = (id) => t(`diet.${id}`);
+
+  const describe = (violation) => {
+    const diet = dietName(violation.diet);
+    if (violation.type === 'combination') {
+      const [meat, dairy] = violation.ingredients;
+      return t('diets.violation.combination', { meat, dairy, diet });
+    }
+    if (violation.type === 'nutrient') {
+      const amount = (value) => `${formatNumber(value, { maximumFractionDigits: 1 })}${violation.unit}`;
+      return t('diets.violation.nutrient', {
+        nutrient: t(`nutrition.${violation.nutrient}`),
+        diet,
+        value: amount(violation.value),
+        limit: amount(violation.limit)
+      });
+    }
+    return t('diets.violation.ingredient', { ingredient: violation.ingredient, diet });
+  };
+
+  return (
+    <div className={`diet-check ${violations.length > 0 ? 'has-violations' : ''}`}>
+      <h4>{t('diets.results')}</h4>
+      {violations.length > 0 ? (
+        <ul>
+          {violations.map(violation => <li key={describe(violation)}>{describe(violation)}</li>)}
+        </ul>
+      ) : (
+        <p>{t('diets.fits', { diets: diets.map(d => dietName(d.id)).join(', ') })}</p>
+      )}
+    </div>
+  );
+};
+
+// Scan Results - shared by fresh scans and stored scans; the verdict titles are result.<status>
+const STATUS_ICONS = { safe: '✅', warning: '⚠️', uncertain: '❓' };
+
+// Result Announcer - live regions that tell screen readers each new verdict, and read-aloud when chosen.
+// The regions stay mounted between results, so assistive technology notices when their text changes.
+const ResultAnnouncer = ({ result, people }) => {
+  const { thresholds, accessibility } = useContext(AuthContext);
+  const { lang } = useContext(I18nContext);
+  const checks = result && people && checkForPeople(result, people, thresholds);
+  const text = result ? describeResult(result, checks, lang) : '';
+  const urgent = !!result && resultStatus(result, checks) === 'warning';
+
+  // Turning read-aloud on or off should not read out the result already on screen,
+  // so the effect below sees the setting through a ref instead of depending on it
+  const readAloud = useRef(accessibility.readAloud);
+  useEffect(() => {
+    readAloud.current = accessibility.readAloud;
+  }, [accessibility.readAloud]);
+
+  useEffect(() => {
+    if (text && readAloud.current) speak(text, lang);
+  }, [text, lang]);
+
+  useEffect(() => stopSpeaking, []);
+
+  return (
+    <>
+      <div className="sr-only" role="alert">{urgent ? text : ''}</div>
+      <div className="sr-only" role="status">{urgent ? '' : text}</div>
+    </>
+  );
+};
+
+// With people (everyone eating), the verdict and warnings are given per person
+const ScanResults = ({ scanResult: result, nutritionData: nutrition, ingredientLimit = 15, onSaveCorrections, people }) => {
+  const checkScan = useScanCheck();
+  const { user, thresholds } = useContext(AuthContext);
+  const { lang, t, formatNumber, errorMessage } = useContext(I18nContext);
+  const { notify } = useContext(NotificationContext);
+  const [draft, setDraft] = useState(null); // ingredient list being corrected
+  const [newIngredient, setNewIngredient] = useState('');
+  const [savingCorrections, setSavingCorrections] = useState(false);
+
+  // A new scan, or saved corrections, end the editing session
+  useEffect(() => setDraft(null), [result.ingredients]);
+
+  // While correcting, warnings and nutrition follow the edited list as it is typed
+  const scanResult = draft ? checkScan(applyIngredientEdits(result, draft)) : result;
+  const nutritionData = draft ? recalculateNutrition(nutrition, draft) : nutrition;
+  const diets = user?.diets || [];
+  const dietViolations = evaluateDiets(scanResult, nutritionData, diets);
+  const isCorrected = scanResult.ingredients?.some(ing => ing.user_added || ing.original_name);
+
+  const saveCorrections = async () => {
+    setSavingCorrections(true);
+    try {
+      await onSaveCorrections(cleanEdits(draft));
+    } catch (error) {
+      console.error('❌ Saving corrections failed:', error);
+      if (!(error instanceof UnauthorizedError)) {
+        notify({
+          level: 'error',
+          message: t('corrections.error', { message: errorMessage(error) }),
+          actions: [{ label: t('notify.retry'), onClick: saveCorrections }]
+        });
+      }
+    }
+    setSavingCorrections(false);
+  };
+
+  const checks = people && checkForPeople(scanResult, people, thresholds);
+  const status = resultStatus(scanResult, checks);
+  const confirmedWarnings = (scanResult.allergen_warnings || []).filter(w => !w.uncertain);
+  const affected = checks?.filter(({ result: check }) => check.status === status).map(({ person }) => person.name);
+  const percent = (value, digits = 0) => formatNumber(value, { style: 'percent', minimumFractionDigits: digits });
+
+  return (
+    <div className="results-section">
+      {/* Packaged product found by barcode */}
+      {scanResult.product && (
+        <div className="product-header">
+          {scanResult.product.imageUrl && (
+            <img src={scanResult.product.imageUrl} alt={scanResult.product.name} />
+          )}
+          <div>
+            <h3>{scanResult.product.name}</h3>
+            {scanResult.product.brand && <p>{scanResult.product.brand}</p>}
+            <small>
+              {t('result.barcode', { barcode: scanResult.product.barcode })}
+              {scanResult.product.nutrition && ` · ${t('result.per100g')}`}
+            </small>
+          </div>
+        </div>
+      )}
+
+      <div className={`safety-status ${status}`}>
+        <div className="status-icon">
+          {STATUS_ICONS[status]}
+        </div>
+        <div className="status-content">
+          <h3>{t(checks ? `result.household.${status}` : `result.${status}`)}</h3>
+          {checks ? (
+            <p>{t(`result.household.${status}Detail`, { names: affected.join(', ') })}</p>
+          ) : (
+            <p>{t(`result.${status}Detail`, { count: confirmedWarnings.length })}</p>
+          )}
+          {!checks && scanResult.uncertain_reasons?.length > 0 && (
+            <UncertainReasons reasons={scanResult.uncertain_reasons} />
+          )}
+          {scanResult.confidence_score && (
+            <small>{t('result.confidence', { value: percent(scanResult.confidence_score, 1) })}</small>
+          )}
+          {/* NEW: Nutrition availability indicator */}
+          {scanResult.nutrition_available && (
+            <div className="nutrition-available-badge">
+              {t('result.nutritionAvailable')}
+            </div>
+          )}
+          {canSpeak() && (
+            <button className="link-btn read-aloud-btn" onClick={() => speak(describeResult(scanResult, checks, lang), lang)}>
+              {t('result.readAloud')}
+            </button>
+          )}
+        </div>
+      </div>
+
+      {/* Allergen Warnings */}
+      {checks ? (
+        <HouseholdVerdicts checks={checks} />
+      ) : scanResult.allergen_warnings && scanResult.allergen_warnings.length > 0 && (
+        <div className="warnings-section">
+          <h4>{t('result.warnings')}</h4>
+          <AllergenWarningList warnings={scanResult.allergen_warnings} />
+        </div>
+      )}
+
+      {/* Diet rules, separate from allergies */}
+      {diets.length > 0 && <DietCheck diets={diets} violations={dietViolations} />}
+
+      {/* NEW: Nutrition Information */}
+      {nutritionData && (
+        <NutritionFacts 
+          nutrition={nutritionData}
+          totalNutrition={nutritionData.total_estimated}
+          confidence={nutritionData.confidence}
+          onLogMeal={({ meal, grams, nutrition: eaten }) => logMeal(
+            buildDiaryEntry({ scan: scanResult, meal, grams, nutrition: eaten })
+          )}
+        />
+      )}
+
+      {/* Detected Ingredients */}
+      {scanResult.ingredients && (scanResult.ingredients.length > 0 || draft) && (
+        <div className="ingredients-section">
+          <div className="ingredients-header">
+            <h4>
+              {t(scanResult.source === 'text' || scanResult.source === 'barcode'
+                ? 'result.ingredientsListed'
+                : 'result.ingredientsDetected', { count: scanResult.ingredients.length })}
+            </h4>
+            {isCorrected && !draft && <span className="corrected-badge">{t('corrections.corrected')}</span>}
+            {onSaveCorrections && !draft && (
+              <button className="expand-btn" onClick={() => setDraft(result.ingredients)}>
+                {t('corrections.edit')}
+              </button>
+            )}
+          </div>
+          {draft ? (
+            <div className="ingredient-editor">
+              {draft.map((ingredient, index) => (
+                <div key={index} className={`ingredient-edit-row ${ingredient.user_added ? 'added' : ''}`}>
+                  <input
+                    type="text"
+                    aria-label={t('corrections.ingredient', { number: index + 1 })}
+                    value={ingredient.name}
+                    onChange={(e) => setDraft(renameIngredient(draft, index, e.target.value))}
+                  />
+                  {ingredient.original_name && ingredient.original_name !== ingredient.name.trim() && (
+                    <small>{t('corrections.was', { name: ingredient.original_name })}</small>
+                  )}
+                  <button
+                    className="remove-btn"
+                    onClick={() => setDraft(removeIngredient(draft, index))}
+                    title={t('corrections.removeTitle')}
+                    aria-label={t('corrections.remove', { name: ingredient.name })}
+                  >
+                    ×
+                  </button>
+                </div>
+              ))}
+              <form
+                className="add-ingredient-form"
+                onSubmit={(e) => {
+                  e.preventDefault();
+                  setDraft(addIngredient(draft, newIngredient));
+                  setNewIngredient('');
+                }}
+              >
+                <input
+                  type="text"
+                  aria-label={t('corrections.missing')}
+                  placeholder={t('corrections.missing')}
+                  value={newIngredient}
+                  onChange={(e) => setNewIngredient(e.target.value)}
+                />
+                <button type="submit" disabled={!newIngredient.trim()}>{t('corrections.add')}</button>
+              </form>
+              <div className="ingredient-editor-actions">
+                <small>{t('corrections.hint')}</small>
+                <button className="link-btn" onClick={() => setDraft(null)} disabled={savingCorrections}>
+                  {t('dialog.cancel')}
+                </button>
+                <button className="retry-btn" onClick={saveCorrections} disabled={savingCorrections}>
+                  {savingCorrections ? t('corrections.saving') : t('corrections.save')}
+                </button>
+              </div>
+            </div>
+          ) : (
+            <>
+              <div className="ingredients-grid">
+                {scanResult.ingredients.slice(0, ingredientLimit ?? undefined).map((ingredient, index) => (
+                  <div key={index} className="ingredient-item">
+                    <span className="ingredient-name">{ingredient.name}</span>
+                    <span className="ingredient-confidence">
+                      {percent(ingredient.confidence)}
+                    </span>
+                    {/* NEW: Show if nutrition data available for this ingredient */}
+                    {nutritionData && nutritionData.individual_ingredients && 
+                     nutritionData.individual_ingredients[ingredient.name] && (
+                      <span className="nutrition-indicator">📊</span>
+                    )}
+                  </div>
+                ))}
+              </div>
+              {ingredientLimit && scanResult.ingredients.length > ingredientLimit && (
+                <p className="ingredients-note">
+                  {t('result.moreIngredients', { count: scanResult.ingredients.length - ingredientLimit })}
+                </p>
+              )}
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Scan History Card - the verdict reflects the current allergy profile
+const ScanHistoryCard = ({ scan }) => {
+  const checked = useScanCheck()(scan);
+  const { t, formatDate } = useContext(I18nContext);
+  const label = t(`historyCard.${checked.status}`, {
+    count: getScanWarnings(checked).filter(w => !w.uncertain).length
+  });
+
+  return (
+    <Link
+      to={`/history/${scan.id}`}
+      state={{ scan }}
+      className={`history-card ${checked.status}`}
+    >
+      <div className="history-status">
+        <span className={`status-badge ${checked.status}`}>
+          {label}
+        </span>
+        <span className="scan-time">
+          {formatDate(scan.created_at)}
+        </span>
+      </div>
+      <div className="history-ingredients">
+        {scan.ingredients?.slice(0, 3).map(ing => ing.name).join(', ')}
+        {scan.ingredients?.length > 3 && '...'}
+      </div>
+      {/* NEW: Show nutrition indicator in history */}
+      {scan.has_nutrition && (
+        <div className="history-nutrition">{t('historyCard.nutrition')}</div>
+      )}
+    </Link>
+  );
+};
+
+// Scan History Grid
+const ScanHistoryGrid = ({ scans, title }) => {
+  const { t } = useContext(I18nContext);
+
+  return (
+    <div className="history-section">
+      <div className="history-header">
+        <h3>{title}</h3>
+        <Link to="/history" className="view-all-link">{t('history.viewAll')}</Link>
+      </div>
+      <div className="history-grid">
+        {scans.map((scan) => (
+          <ScanHistoryCard key={scan.id} scan={scan} />
+        ))}
+      </div>
+    </div>
+  );
+};
+
+// Queued Scans - photos taken offline, with their upload state
+const QueuedScansList = ({ entries, onDiscard, onRetry }) => {
+  const { t, formatDate, errorMessage } = useContext(I18nContext);
+  const statusBadge = (entry) => {
+    switch (entry.status) {
+      case 'synced': return entry.is_safe ? t('queue.syncedSafe') : t('queue.syncedWarnings');
+      case 'failed': return t('queue.failed', { message: errorMessage(entry.error) });
+      case 'rejected': return t('queue.rejected', { message: errorMessage(entry.error) });
+      default: return t('queue.pending');
+    }
+  };
+
+  return (
+    <div className="history-section queued-scans">
+      <h3>{t('queue.title', { count: entries.length })}</h3>
+      <div className="history-grid">
+        {entries.map(entry => {
+          const card = (
+            <>
+              <div className="history-status">
+                <span className={`status-badge queue-${entry.status}`}>{statusBadge(entry)}</span>
+                <span className="scan-time">{formatDate(entry.created_at)}</span>
+              </div>
+              <div className="history-ingredients">{entry.name}</div>
+            </>
+          );
+          return entry.status === 'synced' && entry.scan_id ? (
+            <Link key={entry.id} to={`/history/${entry.scan_id}`} className="history-card queued">
+              {card}
+            </Link>
+          ) : (
+            <div key={entry.id} className="history-card queued">
+              {card}
+              {entry.status === 'rejected' && (
+                <button className="link-btn" onClick={() => onRetry(entry.id)}>
+                  {t('queue.retry')}
+                </button>
+              )}
+              {entry.status !== 'synced' && (
+                <button className="link-btn" onClick={() => onDiscard(entry.id)}>
+                  {t('queue.discard')}
+                </button>
+              )}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+// History Export - scans in a date range as CSV, JSON or a PDF report for a clinician.
+// Format names are translated as export.format.<format>.
+const HistoryExport = ({ filters }) => {
+  const { user } = useContext(AuthContext);
+  const { lang, t, errorMessage } = useContext(I18nContext);
+  const today = dayKey(new Date());
+  const [open, setOpen] = useState(false);
+  const [range, setRange] = useState({ from: '', to: '' });
+  const [format, setFormat] = useState('pdf');
+  const [exporting, setExporting] = useState(false);
+  const [message, setMessage] = useState('');
+
+  // Start from the dates already filtered on, or the last 30 days
+  const openExport = () => {
+    setRange({ from: filters.from || addDays(today, -29), to: filters.to || today });
+    setMessage('');
+    setOpen(true);
+  };
+
+  const runExport = async () => {
+    setExporting(true);
+    setMessage('');
+    try {
+      const records = (await fetchScansForExport(range)).map(toExportRecord);
+      if (records.length === 0) {
+        setMessage(t('export.empty'));
+      } else {
+        downloadFile(exportHistory(format, records, {
+          ...range,
+          holder: `${user.user.first_name} ${user.user.last_name || ''}`.trim(),
+          allergies: user.allergies || [],
+          lang
+        }));
+        setMessage(t('export.done', { count: records.length }));
+      }
+    } catch (err) {
+      console.error('❌ History export error:', err);
+      setMessage(t('export.error', { message: errorMessage(err) }));
+    }
+    setExporting(false);
+  };
+
+  if (!open) {
+    return (
+      <button className="expand-btn history-export-toggle" onClick={openExport}>
+        {t('export.open')}
+      </button>
+    );
+  }
+
+  const validRange = range.from && range.to && range.from <= range.to;
+
+  return (
+    <div className="history-export">
+      <div className="history-filters">
+        <label>
+          {t('export.from')}
+          <input
+            type="date"
+            value={range.from}
+            max={range.to || today}
+            onChange={(e) => setRange({ ...range, from: e.target.value })}
+          />
+        </label>
+        <label>
+          {t('export.to')}
+          <input
+            type="date"
+            value={range.to}
+            min={range.from}
+            max={today}
+            onChange={(e) => setRange({ ...range, to: e.target.value })}
+          />
+        </label>
+        <select aria-label={t('export.format')} value={format} onChange={(e) => setFormat(e.target.value)}>
+          {EXPORT_FORMATS.map(value => (
+            <option key={value} value={value}>{t(`export.format.${value}`)}</option>
+          ))}
+        </select>
+        <button className="retry-btn" onClick={runExport} disabled={exporting || !validRange}>
+          {exporting ? t('export.exporting') : t('export.submit')}
+        </button>
+        <button className="link-btn" onClick={() => setOpen(false)}>{t('export.close')}</button>
+      </div>
+      <p className="settings-hint">{t('export.hint')}</p>
+      {message && <p role="status">{message}</p>}
+    </div>
+  );
+};
+
+// Full Scan History Browser - paged, filterable and searchable
+const HistoryBrowser = () => {
+  const { user } = useContext(AuthContext);
+  const { t, allergenName, errorMessage } = useContext(I18nContext);
+  const checkScan = useScanCheck();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const filters = useMemo(() => readHistoryFilters(searchParams), [searchParams]);
+  const [searchText, setSearchText] = useState(filters.q);
+  const [scans, setScans] = useState([]);
+  const [page, setPage] = useState(0);
+  const [hasMore, setHasMore] = useState(true);
+  const [total, setTotal] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const requestRef = useRef(0);
+  const sentinelRef = useRef(null);
+
+  const updateFilters = useCallback((changes) => {
+    setSearchParams(writeHistoryFilters({ ...filters, ...changes }), { replace: true });
+  }, [filters, setSearchParams]);
+
+  const loadPage = useCallback(async (pageToLoad) => {
+    const requestId = ++requestRef.current;
+    setLoading(true);
+    setError('');
+    try {
+      const data = await api.get('/scan-history', { params: buildHistoryParams(filters, pageToLoad) });
+      if (requestId !== requestRef.current) return; // filters changed meanwhile
+      setScans(prev => (pageToLoad === 1 ? [] : prev).concat(data.scans || []));
+      setPage(pageToLoad);
+      setHasMore(hasMorePages(data, pageToLoad));
+      setTotal(data.total ?? null);
+    } catch (err) {
+      if (requestId !== requestRef.current) return;
+      console.error('Failed to load scan history:', err);
+      const snapshot = pageToLoad === 1 && isConnectionError(err) && loadSnapshot('recentScans');
+      if (snapshot) {
+        setScans(snapshot);
+        setError(t('history.offline'));
+      } else {
+        setError(errorMessage(err));
+      }
+      setHasMore(false);
+    }
+    setLoading(false);
+  }, [filters, t, errorMessage]);
+
+  // Start over from page one whenever the filters change
+  useEffect(() => {
+    setScans([]);
+    setHasMore(true);
+    loadPage(1);
+  }, [loadPage]);
+
+  // Debounce the free-text search before it hits the URL and the server
+  useEffect(() => {
+    if (searchText === filters.q) return;
+    const timer = setTimeout(() => updateFilters({ q: searchText }), 300);
+    return () => clearTimeout(timer);
+  }, [searchText, filters.q, updateFilters]);
+
+  // Infinite scroll - load the next page when the end of the list comes into view
+  useEffect(() => {
+    if (!hasMore || loading || !sentinelRef.current || !('IntersectionObserver' in window)) return;
+    const observer = new IntersectionObserver((entries) => {
+      if (entries[0].isIntersecting) loadPage(page + 1);
+    }, { rootMargin: '200px' });
+    observer.observe(sentinelRef.current);
+    return () => observer.disconnect();
+  }, [hasMore, loading, page, loadPage]);
+
+  // Result and allergen filters go by the current profile, like the cards do
+  const visibleScans = scans.filter(scan => matchesHistoryFilters(checkScan(scan), filters));
+  const allergenOptions = [...new Set([
+    ...(user.allergies || []).map(a => a.name),
+    ...scans.flatMap(scan => getScanWarnings(scan).map(w => w.allergen?.toLowerCase()))
+  ].filter(Boolean))].sort();
+  const hasFilters = Object.keys(writeHistoryFilters(filters)).length > 0;
+
+  return (
+    <div className="history-section history-browser">
+      <div className="history-browser-header">
+        <h3>{t('history.title')}</h3>
+        <HistoryExport filters={filters} />
+      </div>
+
+      <div className="history-filters">
+        <input
+          type="search"
+          placeholder={t('history.searchPlaceholder')}
+          aria-label={t('history.search')}
+          value={searchText}
+          onChange={(e) => setSearchText(e.target.value)}
+        />
+        <select
+          aria-label={t('history.result')}
+          value={filters.status}
+          onChange={(e) => updateFilters({ status: e.target.value })}
+        >
+          {['all', 'safe', 'warning', 'uncertain'].map(status => (
+            <option key={status} value={status}>{t(`history.status.${status}`)}</option>
+          ))}
+        </select>
+        <select
+          aria-label={t('history.allergen')}
+          value={filters.allergen}
+          onChange={(e) => updateFilters({ allergen: e.target.value })}
+        >
+          <option value="">{t('history.anyAllergen')}</option>
+          {allergenOptions.map(name => (
+            <option key={name} value={name}>{allergenName(name)}</option>
+          ))}
+        </select>
+        <label>
+          {t('export.from')}
+          <input
+            type="date"
+            value={filters.from}
+            max={filters.to || undefined}
+            onChange={(e) => updateFilters({ from: e.target.value })}
+          />
+        </label>
+        <label>
+          {t('export.to')}
+          <input
+            type="date"
+            value={filters.to}
+            min={filters.from || undefined}
+            onChange={(e) => updateFilters({ to: e.target.value })}
+          />
+        </label>
+        {hasFilters && (
+          <button
+            className="link-btn"
+            onClick={() => {
+              setSearchText('');
+              setSearchParams({}, { replace: true });
+            }}
+          >
+            {t('history.clearFilters')}
+          </button>
+        )}
+      </div>
+
+      {error && <div className="error-message">{error}</div>}
+
+      <p className="history-count">
+        {total !== null && !hasFilters
+          ? t('history.countOf', { count: visibleScans.length, total })
+          : t('history.count', { count: visibleScans.length })}
+      </p>
+
+      {visibleScans.length > 0 ? (
+        <div className="history-grid">
+          {visibleScans.map((scan) => (
+            <ScanHistoryCard key={scan.id} scan={scan} />
+          ))}
+        </div>
+      ) : (
+        !loading && !error && (
+          <p className="history-empty">
+            {hasFilters ? t('history.noMatches') : t('history.empty')}
+          </p>
+        )
+      )}
+
+      <div ref={sentinelRef} className="history-footer">
+        {loading && <p className="loading-text">{t('history.loading')}</p>}
+        {!loading && hasMore && (
+          <button className="load-more-btn" onClick={() => loadPage(page + 1)}>
+            {t('history.loadMore')}
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+// Stored Scan Detail - the full result of a past scan, in the same layout as a fresh one
+const ScanDetail = () => {
+  const { scanId } = useParams();
+  const location = useLocation();
+  const { user } = useContext(AuthContext);
+  const { t, formatDate, errorMessage } = useContext(I18nContext);
+  // The history card passes along what it already has, so something shows right away
+  const [scan, setScan] = useState(location.state?.scan || null);
+  const [error, setError] = useState(null);
+  const [rechecked, setRechecked] = useState(true);
+
+  useEffect(() => {
+    // A slower answer for the scan shown before must not replace this one
+    let cancelled = false;
+    setError(null);
+    setRechecked(true);
+    api.get(`/scan-history/${scanId}`)
+      .then(data => {
+        if (!cancelled) setScan(data.scan || data);
+      })
+      .catch(err => {
+        if (!cancelled) setError(err);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [scanId]);
+
+  const checkScan = useScanCheck();
+  const storedResult = scan && { ...scan, allergen_warnings: getScanWarnings(scan) };
+
+  const saveCorrections = async (edited) => {
+    await submitCorrections(scanId, scan.ingredients, edited);
+    setScan(prev => ({
+      ...applyIngredientEdits(prev, edited),
+      nutrition: recalculateNutrition(prev.nutrition, edited)
+    }));
+  };
+  const allergies = user.allergies || [];
+  // As originally scanned means the stored warnings and verdict, untouched by today's allergies or thresholds
+  const shownResult = storedResult && (rechecked ? checkScan(storedResult) : storedResult);
+
+  return (
+    <div className="scan-detail">
+      <Link to="/history" className="back-link">{t('detail.back')}</Link>
+      {error && !scan && <div className="error-message">{errorMessage(error)}</div>}
+      {!scan && !error && <p className="loading-text">{t('detail.loading')}</p>}
+      {scan && (
+        <>
+          <div className="scan-detail-bar">
+            <span>
+              {t('detail.scanned', { date: formatDate(scan.created_at, { dateStyle: 'medium', timeStyle: 'short' }) })}
+            </span>
+            <button className="recheck-btn" onClick={() => setRechecked(!rechecked)}>
+              {rechecked ? t('detail.showOriginal') : t('detail.recheck')}
+            </button>
+          </div>
+          {rechecked && (
+            <div className={`recheck-note ${storedResult.is_safe === shownResult.is_safe ? '' : 'changed'}`}>
+              {t('detail.checked', { count: allergies.length })}{' '}
+              {storedResult.is_safe === shownResult.is_safe
+                ? t('detail.sameVerdict')
+                : t(storedResult.is_safe ? 'detail.wasSafe' : 'detail.wasUnsafe')}
+            </div>
+          )}
+          <ScanResults
+            scanResult={shownResult}
+            nutritionData={scan.nutrition}
+            ingredientLimit={null}
+            onSaveCorrections={saveCorrections}
+          />
+        </>
+      )}
+    </div>
+  );
+};
+
+// Analysis Progress - upload percentage, then an indeterminate "server is working" phase
+const AnalysisProgress = ({ phase, progress, onCancel }) => {
+  const { t } = useContext(I18nContext);
+
+  return (
+    <div className="analysis-progress" role="status" aria-live="polite">
+      <div className="progress-label">
+        {phase === 'uploading' ? t('progress.uploading', { progress }) : t('progress.analyzing')}
+      </div>
+      <div
+        className="progress-track"
+        role="progressbar"
+        aria-valuemin={0}
+        aria-valuemax={100}
+        aria-valuenow={phase === 'uploading' ? progress : undefined}
+      >
+        <div
+          className={`progress-bar ${phase}`}
+          style={{ width: phase === 'uploading' ? `${progress}%` : '100%' }}
+        />
+      </div>
+      <button className="cancel-btn" onClick={onCancel}>
+        {t('progress.cancel')}
+      </button>
+    </div>
+  );
+};
+
+// Camera Capture - live viewfinder for scanning at the table
+const CameraCapture = ({ onCapture, onClose }) => {
+  const { t } = useContext(I18nContext);
+  const videoRef = useRef(null);
+  const [facingMode, setFacingMode] = useState('environment');
+  const [canSwitch, setCanSwitch] = useState(false);
+  const [captured, setCaptured] = useState(null);
+  const [error, setError] = useState(null); // { type, message }, shown as camera.error.<type>
+  const [ready, setReady] = useState(false);
+
+  // (Re)start the stream whenever the camera direction changes
+  useEffect(() => {
+    if (captured) return;
+    let stream = null;
+    let cancelled = false;
+    setReady(false);
+    setError(null);
+
+    navigator.mediaDevices.getUserMedia({
+      video: { facingMode: { ideal: facingMode }, width: { ideal: 1920 }, height: { ideal: 1080 } },
+      audio: false
+    })
+      .then(async (mediaStream) => {
+        if (cancelled) {
+          mediaStream.getTracks().forEach(track => track.stop());
+          return;
+        }
+        stream = mediaStream;
+        videoRef.current.srcObject = mediaStream;
+        const devices = await navigator.mediaDevices.enumerateDevices();
+        setCanSwitch(devices.filter(device => device.kind === 'videoinput').length > 1);
+      })
+      .catch(err => {
+        console.error('❌ Camera error:', err);
+        setError({ type: cameraErrorType(err), message: err.message });
+      });
+
+    return () => {
+      cancelled = true;
+      if (stream) stream.getTracks().forEach(track => track.stop());
+    };
+  }, [facingMode, captured]);
+
+  // Free the captured preview URL when it is replaced or the camera closes
+  useEffect(() => () => {
+    if (captured) URL.revokeObjectURL(captured.preview);
+  }, [captured]);
+
+  const capture = async () => {
+    try {
+      const file = await captureVideoFrame(videoRef.current);
+      setCaptured({ file, preview: URL.createObjectURL(file) });
+    } catch (err) {
+      setError({ type: 'capture', message: err.message });
+    }
+  };
+
+  return (
+    <div className="camera-capture">
+      {error ? (
+        <div className="camera-error">
+          <p>{t(`camera.error.${error.type}`, { message: error.message })}</p>
+        </div>
+      ) : captured ? (
+        <img src={captured.preview} alt={t('camera.captured')} className="camera-view" />
+      ) : (
+        <video
+          ref={videoRef}
+          className={`camera-view ${facingMode === 'user' ? 'mirrored' : ''}`}
+          autoPlay
+          playsInline
+          muted
+          onLoadedMetadata={() => setReady(true)}
+        />
+      )}
+
+      <div className="camera-controls">
+        <button className="camera-btn secondary" onClick={onClose}>
+          {t('camera.close')}
+        </button>
+        {captured ? (
+          <>
+            <button className="camera-btn secondary" onClick={() => setCaptured(null)}>
+              {t('camera.retake')}
+            </button>
+            <button className="camera-btn primary" onClick={() => onCapture(captured.file)}>
+              {t('camera.use')}
+            </button>
+          </>
+        ) : !error && (
+          <>
+            {canSwitch && (
+              <button
+                className="camera-btn secondary"
+                onClick={() => setFacingMode(facingMode === 'environment' ? 'user' : 'environment')}
+              >
+                {t('camera.switch')}
+              </button>
+            )}
+            <button className="camera-btn primary" onClick={capture} disabled={!ready}>
+              {t('camera.capture')}
+            </button>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+// Barcode Scanner - reads EAN/UPC codes from the live camera where the browser can decode them
+const BarcodeScanner = ({ onDetected, onClose }) => {
+  const { t } = useContext(I18nContext);
+  const videoRef = useRef(null);
+  const [error, setError] = useState(null); // { type, message }, as in CameraCapture
+
+  useEffect(() => {
+    let stream = null;
+    let timer = null;
+    let cancelled = false;
+
+    navigator.mediaDevices.getUserMedia({ video: { facingMode: { ideal: 'environment' } }, audio: false })
+      .then((mediaStream) => {
+        if (cancelled) {
+          mediaStream.getTracks().forEach(track => track.stop());
+          return;
+        }
+        stream = mediaStream;
+        videoRef.current.srcObject = mediaStream;
+        const detector = new window.BarcodeDetector({ formats: ['ean_13', 'ean_8', 'upc_a'] });
+
+        // Poll the viewfinder until a barcode with a valid check digit shows up
+        timer = setInterval(async () => {
+          if (!videoRef.current || videoRef.current.readyState < 2) return;
+          try {
+            const codes = await detector.detect(videoRef.current);
+            const code = codes.map(c => c.rawValue).find(isValidBarcode);
+            if (code && !cancelled) {
+              clearInterval(timer);
+              onDetected(code);
+            }
+          } catch (err) {
+            console.error('❌ Barcode detection error:', err);
+          }
+        }, 300);
+      })
+      .catch(err => {
+        console.error('❌ Camera error:', err);
+        setError({ type: cameraErrorType(err), message: err.message });
+      });
+
+    return () => {
+      cancelled = true;
+      clearInterval(timer);
+      if (stream) stream.getTracks().forEach(track => track.stop());
+    };
+  }, [onDetected]);
+
+  return (
+    <div className="camera-capture">
+      {error ? (
+        <div className="camera-error">
+          <p>{t(`camera.error.${error.type}`, { message: error.message })}</p>
+        </div>
+      ) : (
+        <div className="barcode-viewfinder">
+          <video ref={videoRef} className="camera-view" autoPlay playsInline muted />
+          <div className="barcode-guide" />
+        </div>
+      )}
+      <div className="camera-controls">
+        <button className="camera-btn secondary" onClick={onClose}>
+          {t('camera.close')}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+// Label Check - printed ingredient lists and packaged-food barcodes, checked on the device
+const LabelCheck = ({ mode, allergies, onResult }) => {
+  const { t, errorMessage } = useContext(I18nContext);
+  const [ingredientText, setIngredientText] = useState('');
+  const [barcode, setBarcode] = useState('');
+  const [scanning, setScanning] = useState(false);
+  const [lookingUp, setLookingUp] = useState(false);
+  const [error, setError] = useState(null); // { id, cause?, ...values }, shown as label.error.<id>
+  const canScanBarcodes = hasCameraSupport() && 'BarcodeDetector' in window;
+
+  const checkText = () => {
+    const result = analyzeIngredientText(ingredientText, allergies);
+    if (result.ingredients.length === 0) {
+      setError({ id: 'noIngredients' });
+      return;
+    }
+    setError(null);
+    onResult(result);
+  };
+
+  const checkBarcode = useCallback(async (code) => {
+    const value = code.trim();
+    setBarcode(value);
+    setScanning(false);
+    if (!isValidBarcode(value)) {
+      setError({ id: 'invalidBarcode' });
+      return;
+    }
+
+    setLookingUp(true);
+    setError(null);
+    try {
+      const product = await lookupProduct(value);
+      if (!product) {
+        setError({ id: 'unknownProduct' });
+      } else if (!product.ingredientsText && product.allergens.length === 0) {
+        setError({ id: 'noIngredientList', product: product.name });
+      } else {
+        onResult(analyzeProduct(product, allergies));
+      }
+    } catch (err) {
+      console.error('❌ Product lookup error:', err);
+      setError({ id: 'lookupFailed', cause: err });
+    }
+    setLookingUp(false);
+  }, [allergies, onResult]);
+
+  if (mode === 'text') {
+    return (
+      <div className="label-check">
+        <label htmlFor="ingredient-text">{t('label.ingredients')}</label>
+        <textarea
+          id="ingredient-text"
+          className="ingredient-textarea"
+          rows={6}
+          value={ingredientText}
+          onChange={(e) => setIngredientText(e.target.value)}
+          placeholder={t('label.ingredientsPlaceholder')}
+        />
+        {error && <p className="label-error">{t(`label.error.${error.id}`, { ...error, message: error.cause && errorMessage(error.cause) })}</p>}
+        <div className="upload-actions">
+          <button className="analyze-btn" onClick={checkText} disabled={!ingredientText.trim()}>
+            {t('label.check')}
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="label-check">
+      {scanning ? (
+        <BarcodeScanner onDetected={checkBarcode} onClose={() => setScanning(false)} />
+      ) : (
+        <>
+          <label htmlFor="barcode-input">{t('label.barcode')}</label>
+          <form
+            className="barcode-form"
+            onSubmit={(e) => {
+              e.preventDefault();
+              checkBarcode(barcode);
+            }}
+          >
+            <input
+              id="barcode-input"
+              type="text"
+              inputMode="numeric"
+              autoComplete="off"
+              value={barcode}
+              onChange={(e) => setBarcode(e.target.value.replace(/\D/g, ''))}
+              placeholder={t('label.barcodePlaceholder')}
+              maxLength={14}
+            />
+            <button type="submit" className="analyze-btn" disabled={!barcode || lookingUp}>
+              {lookingUp ? t('label.lookingUp') : t('label.lookUp')}
+            </button>
+          </form>
+          {canScanBarcodes ? (
+            <div className="upload-actions">
+              <button className="camera-toggle-btn" onClick={() => setScanning(true)} disabled={lookingUp}>
+                {t('label.scan')}
+              </button>
+            </div>
+          ) : (
+            <small className="label-hint">{t('label.noDetector')}</small>
+          )}
+        </>
+      )}
+      {error && <p className="label-error">{t(`label.error.${error.id}`, { ...error, message: error.cause && errorMessage(error.cause) })}</p>}
+    </div>
+  );
+};
+
+// Who's Eating - the household members a scan is checked for
+const WhoIsEating = ({ people, selected, onToggle }) => {
+  const { t } = useContext(I18nContext);
+  return (
+    <div className="who-is-eating" role="group" aria-label={t('eating.label')}>
+      <span>{t('eating.title')}</span>
+      {people.map(person => (
+        <button
+          key={person.id}
+          className={`person-chip ${selected.includes(person.id) ? 'selected' : ''}`}
+          aria-pressed={selected.includes(person.id)}
+          onClick={() => onToggle(person.id)}
+        >
+          {person.id === SELF_ID ? t('eating.you', { name: person.name }) : person.name}
+        </button>
+      ))}
+    </div>
+  );
+};
+
+// Batch Summary - per-photo status while a queue is analyzed, and the verdicts together at the end
+const BatchSummary = ({ items, isAnalyzing, onView, onClear }) => {
+  const { t, errorMessage } = useContext(I18nContext);
+  const checkScan = useScanCheck();
+  const verdicts = Object.fromEntries(items
+    .filter(item => item.status === 'done')
+    .map(item => [item.id, checkScan(item.result)]));
+  const done = items.filter(item => item.status === 'done');
+  const unsafe = done.filter(item => verdicts[item.id].status === 'warning');
+  const uncertain = done.filter(item => verdicts[item.id].status === 'uncertain');
+  const failed = items.filter(item => item.status === 'error');
+
+  const statusLabel = (item) => {
+    const verdict = verdicts[item.id];
+    switch (item.status) {
+      case 'analyzing': return t('batch.analyzing');
+      case 'done':
+        if (verdict.status === 'uncertain') return t('batch.verify');
+        return verdict.is_safe
+          ? t('batch.safe')
+          : t('batch.allergens', { count: verdict.allergen_warnings.filter(w => !w.uncertain).length });
+      case 'error': return t('batch.failed', { message: errorMessage(item.error) });
+      case 'queued': return t('batch.queued');
+      default: return t('batch.waiting');
+    }
+  };
+
+  return (
+    <div className="batch-section">
+      <div className="batch-header">
+        <h3>{t('batch.title', { count: items.length })}</h3>
+        {!isAnalyzing && (
+          <button className="link-btn" onClick={onClear}>{t('batch.clear')}</button>
+        )}
+      </div>
+
+      {done.length + failed.length === items.length && done.length > 0 && (
+        <div className={`batch-summary ${unsafe.length > 0 ? 'warning' : uncertain.length > 0 ? 'uncertain' : 'safe'}`}>
+          <strong>{t('batch.summary.safe', { count: done.length - unsafe.length - uncertain.length })}</strong>
+          {' · '}<strong>{t('batch.summary.unsafe', { count: unsafe.length })}</strong>
+          {uncertain.length > 0 && <>{' · '}<strong>{t('batch.summary.uncertain', { count: uncertain.length })}</strong></>}
+          {failed.length > 0 && <>{' · '}<strong>{t('batch.summary.failed', { count: failed.length })}</strong></>}
+        </div>
+      )}
+
+      <div className="batch-list">
+        {items.map(item => (
+          <div key={item.id} className={`batch-item status-${item.status} ${verdicts[item.id] && !verdicts[item.id].is_safe ? verdicts[item.id].status : ''}`}>
+            <img src={item.preview} alt={item.file.name} className="batch-thumb" />
+            <div className="batch-info">
+              <span className="batch-name">{item.file.name}</span>
+              <span className="batch-status">{statusLabel(item)}</span>
+            </div>
+            {item.status === 'done' && (
+              <button className="expand-btn" onClick={() => onView(item)}>
+                {t('batch.view')}
+              </button>
+            )}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+// Main Food Scanner Component
+const FoodScannerApp = () => {
+  const { user, setUser, logout } = useContext(AuthContext);
+  const { t, errorMessage } = useContext(I18nContext);
+  const { notify, confirm } = useContext(NotificationContext);
+  const [selectedImage, setSelectedImage] = useState(null);
+  const [imagePreview, setImagePreview] = useState(null);
+  const [isAnalyzing, setIsAnalyzing] = useState(false);
+  const [scanResult, setScanResult] = useState(null);
+  const [nutritionData, setNutritionData] = useState(null); // NEW: Nutrition state
+  const [scanHistory, setScanHistory] = useState([]);
+  const [batch, setBatch] = useState([]);
+  const [isDragging, setIsDragging] = useState(false);
+  const [cameraOpen, setCameraOpen] = useState(false);
+  const [isPreparing, setIsPreparing] = useState(false);
+  const [analysisPhase, setAnalysisPhase] = useState(null); // 'uploading' | 'processing'
+  const [uploadProgress, setUploadProgress] = useState(0);
+  const [analysisError, setAnalysisError] = useState(null); // a TimeoutError or NetworkError
+  const abortRef = useRef(null);
+  const [isOnline, setIsOnline] = useState(!isOffline());
+  const [queuedScans, setQueuedScans] = useState([]);
+  const [savedOffline, setSavedOffline] = useState(0); // photos just kept for later
+  const [scanMode, setScanMode] = useState('photo'); // 'photo' | 'text' | 'barcode'
+  const [profileDirty, setProfileDirty] = useState(false);
+  const fileInputRef = useRef(null);
+  const navigate = useNavigate();
+  const onScanner = useLocation().pathname === '/scan';
+  
+  const loadScanHistory = useCallback(async () => {
+    try {
+      const data = await api.get('/scan-history', { params: { per_page: 5 } });
+      setScanHistory(data.scans || []);
+      saveSnapshot('recentScans', data.scans || []);
+    } catch (error) {
+      console.error('Failed to load scan history:', error);
+      if (isConnectionError(error)) {
+        setScanHistory(loadSnapshot('recentScans') || []);
+      }
+    }
+  }, []);
+
+  useEffect(() => {
+    loadScanHistory();
+  }, [loadScanHistory]);
+
+  const refreshQueue = useCallback(async () => {
+    try {
+      setQueuedScans(await listQueuedScans());
+    } catch (error) {
+      console.error('Failed to read offline queue:', error);
+    }
+  }, []);
+
+  // Upload anything that was scanned while offline
+  const syncOfflineScans = useCallback(async () => {
+    const synced = await syncQueuedScans().catch(error => {
+      console.error('Offline sync failed:', error);
+      return 0;
+    });
+    await refreshQueue();
+    if (synced > 0) {
+      setUser(prev => ({ ...prev, total_scans: (prev.total_scans || 0) + synced }));
+      await loadScanHistory();
+    }
+  }, [refreshQueue, loadScanHistory, setUser]);
+
+  // Sync on start-up and every time the connection comes back
+  useEffect(() => {
+    refreshQueue();
+    if (isOnline) syncOfflineScans();
+  }, [isOnline, refreshQueue, syncOfflineScans]);
+
+  useEffect(() => {
+    const goOnline = () => setIsOnline(true);
+    const goOffline = () => setIsOnline(false);
+    window.addEventListener('online', goOnline);
+    window.addEventListener('offline', goOffline);
+    return () => {
+      window.removeEventListener('online', goOnline);
+      window.removeEventListener('offline', goOffline);
+    };
+  }, []);
+
+  // Keep photos for later when there is no connection to analyze them now. Resolves to
+  // { saved, error }: the files actually stored, and why the rest were not. The batch
+  // shows unsaved photos as failed instead, so it asks for no retry button here.
+  const saveForLater = async (files, { retry = true } = {}) => {
+    const saved = [];
+    let failure = null;
+    try {
+      for (const file of files) {
+        await queueScan(file);
+        saved.push(file);
+      }
+      setAnalysisError(null);
+      setSelectedImage(null);
+      setImagePreview(null);
+      setSavedOffline(files.length);
+    } catch (error) {
+      console.error('Failed to queue scan:', error);
+      failure = error;
+      notify({
+        level: 'error',
+        message: t('offline.saveError', { message: errorMessage(error) }),
+        actions: retry
+          ? [{ label: t('notify.retry'), onClick: () => saveForLater(files.slice(saved.length)) }]
+          : []
+      });
+    }
+    if (saved.length > 0) await refreshQueue();
+    return { saved, error: failure };
+  };
+
+  const discardQueuedScan = async (id) => {
+    await removeQueuedScan(id);
+    await refreshQueue();
+  };
+
+  const retryQueuedUpload = async (id) => {
+    await retryQueuedScan(id);
+    if (isOffline()) await refreshQueue();
+    else await syncOfflineScans();
+  };
+
+  // Paste images from the clipboard while the scanner is on screen. The listener stays
+  // attached meanwhile, and reaches this render's selectFiles through a ref.
+  const pasteFiles = useRef(null);
+  useEffect(() => {
+    pasteFiles.current = selectFiles;
+  });
+
+  useEffect(() => {
+    if (!onScanner || scanMode !== 'photo') return;
+    const handlePaste = (event) => {
+      const files = getImageFiles(event.clipboardData);
+      if (files.length === 0) return; // let text pastes through
+      event.preventDefault();
+      pasteFiles.current(files);
+    };
+    document.addEventListener('paste', handlePaste);
+    return () => document.removeEventListener('paste', handlePaste);
+  }, [onScanner, scanMode]);
+
+  const clearBatch = () => {
+    batch.forEach(item => URL.revokeObjectURL(item.preview));
+    setBatch([]);
+  };
+
+  const selectFiles = async (fileList) => {
+    const files = Array.from(fileList || []);
+    if (files.length === 0 || isAnalyzing || isPreparing) return;
+
+    const rejected = [];
+    const valid = files.filter(file => {
+      const error = validateImageFile(file);
+      if (error) {
+        rejected.push({ name: file.name, error: t(`upload.error.${error}`, { size: MAX_IMAGE_SIZE / (1024 * 1024) }) });
+      }
+      return !error;
+    });
+    if (valid.length > MAX_BATCH_SIZE) {
+      notify({ level: 'warning', message: t('upload.tooMany', { count: MAX_BATCH_SIZE }) });
+    }
+
+    // Downscale, upright and strip metadata before anything is shown or uploaded
+    setIsPreparing(true);
+    const accepted = [];
+    for (const file of valid.slice(0, MAX_BATCH_SIZE)) {
+      try {
+        accepted.push(await prepareImageForUpload(file));
+      } catch (error) {
+        rejected.push({ name: file.name, error: errorMessage(error) });
+      }
+    }
+    setIsPreparing(false);
+
+    if (files.length === 1 && rejected.length === 1) {
+      notify({ level: 'error', message: rejected[0].error });
+    } else if (rejected.length > 0) {
+      notify({
+        level: 'warning',
+        title: t('upload.skipped'),
+        message: rejected.map(r => `${r.name}: ${r.error}`).join('\n')
+      });
+    }
+    if (accepted.length === 0) return;
+
+    setScanResult(null);
+    setNutritionData(null); // NEW: Reset nutrition data
+    setAnalysisError(null);
+    setSavedOffline(0);
+    clearBatch();
+
+    if (accepted.length === 1) {
+      const file = accepted[0];
+      setSelectedImage(file);
+      const reader = new FileReader();
+      reader.onload = (e) => setImagePreview(e.target.result);
+      reader.readAsDataURL(file);
+      return;
+    }
+
+    // Several photos - analyze them one after another as a queue
+    setSelectedImage(null);
+    setImagePreview(null);
+    setBatch(accepted.map((file, index) => ({
+      id: `${Date.now()}-${index}`,
+      file,
+      preview: URL.createObjectURL(file),
+      status: 'pending',
+      result: null,
+      error: null
+    })));
+  };
+
+  const handleImageSelect = (event) => {
+    selectFiles(event.target.files);
+    event.target.value = ''; // allow picking the same photo again
+  };
+
+  const handleDragOver = (event) => {
+    event.preventDefault();
+    if (!isAnalyzing) setIsDragging(true);
+  };
+
+  const handleDrop = (event) => {
+    event.preventDefault();
+    setIsDragging(false);
+    selectFiles(event.dataTransfer.files);
+  };
+
+  // Upload with progress, then wait on the server - either phase can be cancelled
+  const submitScan = async (file) => {
+    const controller = new AbortController();
+    abortRef.current = controller;
+    setAnalysisPhase('uploading');
+    setUploadProgress(0);
 
-  const loadScanHistory = async () => {
     try {
-      const token = localStorage.getItem('access_token');
-      const response = await fetch(`${API_BASE}/scan-history?per_page=5`, {
-        headers: { 
-          'Authorization': `Bearer ${token}`,
-          'Accept': 'application/json'
+      return await analyzeFood(file, {
+        signal: controller.signal,
+        onUploadProgress: ({ loaded, total }) => {
+          if (!total) return;
+          setUploadProgress(Math.round((loaded / total) * 100));
+          if (loaded >= total) setAnalysisPhase('processing');
         }
       });
-
-      if (response.ok) {
-        const data = await response.json();
-        setScanHistory(data.scans || []);
-      }
-    } catch (error) {
-      console.error('Failed to load scan history:', error);
+    } finally {
+      abortRef.current = null;
+      setAnalysisPhase(null);
     }
   };
 
-  const handleImageSelect = (event) => {
-    const file = event.target.files[0];
-    if (file) {
-      // Validate file type
-      if (!file.type.startsWith('image/')) {
-        alert('Please select a valid image file');
-        return;
-      }
-      
-      // Validate file size (max 10MB)
-      if (file.size > 10 * 1024 * 1024) {
-        alert('Image size must be less than 10MB');
-        return;
-      }
+  const cancelAnalysis = () => {
+    abortRef.current?.abort();
+  };
 
-      setSelectedImage(file);
-      const reader = new FileReader();
-      reader.onload = (e) => setImagePreview(e.target.result);
-      reader.readAsDataURL(file);
-      setScanResult(null);
-      setNutritionData(null); // NEW: Reset nutrition data
+  // Fresh results are re-checked as the allergy list or thresholds change, with a reason for every match
+  const checkScan = useScanCheck();
+  const shownResult = useMemo(() => scanResult && checkScan(scanResult), [scanResult, checkScan]);
+
+  // Household members the current meal is checked for; the account holder alone is the usual single verdict
+  const people = useMemo(() => householdPeople(user), [user]);
+  const [eatingIds, setEatingIds] = useState(loadEating);
+  const eating = people.filter(person => eatingIds.includes(person.id));
+  const onlySelf = eating.length === 0 || (eating.length === 1 && eating[0].id === SELF_ID);
+  const eatingPeople = onlySelf ? undefined : eating;
+
+  const toggleEating = (id) => {
+    const next = eatingIds.includes(id) ? eatingIds.filter(other => other !== id) : [...eatingIds, id];
+    if (!people.some(person => next.includes(person.id))) return; // someone has to be eating
+    setEatingIds(next);
+    saveEating(next);
+  };
+
+  // Navigating away is held back by the profile itself; logging out unmounts it
+  // without a navigation, so unsaved allergy edits are confirmed here
+  const confirmLeave = async () => !profileDirty || confirm({
+    message: t('profile.leaveUnsaved'),
+    confirmLabel: t('dialog.leave'),
+    danger: true
+  });
+
+  // Logging out deletes the offline queue, so scans still waiting to upload need a yes first
+  const confirmLogout = async () => {
+    const pending = queuedScans.filter(entry => entry.status !== 'synced').length;
+    return pending === 0 || confirm({
+      message: t('offline.logoutPending', { count: pending }),
+      confirmLabel: t('dialog.logoutAnyway'),
+      danger: true
+    });
+  };
+
+  const showResult = (result) => {
+    setScanResult(result);
+    setNutritionData(result.nutrition); // NEW: Store nutrition data
+  };
+
+  // Label checks run on the device, so they are neither uploaded nor counted as scans
+  const showLabelResult = useCallback((result) => {
+    setScanResult(result);
+    setNutritionData(result.nutrition || null);
+  }, []);
+
+  // Label checks have no server-side scan, so their corrections stay on the device
+  const saveCorrections = async (edited) => {
+    const scanId = getScanId(scanResult);
+    if (scanId != null && !scanResult.source) {
+      await submitCorrections(scanId, scanResult.ingredients, edited);
+      loadScanHistory();
     }
+    setScanResult(prev => applyIngredientEdits(prev, edited));
+    setNutritionData(prev => recalculateNutrition(prev, edited));
+  };
+
+  const switchScanMode = (mode) => {
+    if (mode === scanMode) return;
+    setScanMode(mode);
+    setScanResult(null);
+    setNutritionData(null);
+    setCameraOpen(false);
   };
 
   // UPDATED: Enhanced analyzeImage function
   const analyzeImage = async () => {
     if (!selectedImage) return;
+    if (isOffline()) {
+      await saveForLater([selectedImage]);
+      return;
+    }
     
     setIsAnalyzing(true);
-    const formData = new FormData();
-    formData.append('image', selectedImage);
+    setAnalysisError(null);
 
     try {
-      const token = localStorage.getItem('access_token');
-      const response = await fetch(`${API_BASE}/analyze-food`, {
-        method: 'POST',
-        headers: { 
-          'Authorization': `Bearer ${token}`
-        },
-        body: formData,
-      });
-
-      if (response.ok) {
-        const result = await response.json();
-        console.log('🔍 Analysis result:', result); // Debug log
-        setScanResult(result);
-        setNutritionData(result.nutrition); // NEW: Store nutrition data
-        
-        // Update user's total scans count and reload history
-        setUser(prev => ({ ...prev, total_scans: (prev.total_scans || 0) + 1 }));
-        await loadScanHistory();
-      } else {
-        const error = await response.json();
-        alert(`Analysis failed: ${error.error || 'Unknown error'}`);
-      }
+      const result = await submitScan(selectedImage);
+      console.log('🔍 Analysis result:', result); // Debug log
+      showResult(result);
+      
+      // Update user's total scans count and reload history
+      setUser(prev => ({ ...prev, total_scans: (prev.total_scans || 0) + 1 }));
+      await loadScanHistory();
     } catch (error) {
       console.error('❌ Analysis error:', error);
-      alert(`Connection error: ${error.message}`);
+      if (error instanceof TimeoutError || error instanceof NetworkError) {
+        // Keep the photo selected so the same scan can simply be retried
+        setAnalysisError(error);
+      } else if (!(error instanceof UnauthorizedError) && !(error instanceof CancelledError)) {
+        notify({
+          level: 'error',
+          message: t('analyze.error.failed', { message: errorMessage(error) }),
+          actions: [{ label: t('notify.retry'), onClick: analyzeImage }]
+        });
+      }
     }
     
     setIsAnalyzing(false);
   };
 
-  if (showProfile) {
-    return (
-      <UserProfile 
-        user={user} 
-        onProfileUpdate={setUser} 
-        onBack={() => setShowProfile(false)} 
-      />
-    );
-  }
+  const updateBatchItem = (id, changes) => {
+    setBatch(prev => prev.map(item => (item.id === id ? { ...item, ...changes } : item)));
+  };
+
+  // Work through the queue one photo at a time; failed photos can be retried
+  const analyzeBatch = async () => {
+    if (isOffline()) {
+      const waiting = batch.filter(item => item.status !== 'done' && item.status !== 'queued');
+      const { saved, error } = await saveForLater(waiting.map(item => item.file), { retry: false });
+      // Photos that could not be stored stay in the batch as failed, to try again
+      waiting.forEach(item => updateBatchItem(item.id, saved.includes(item.file)
+        ? { status: 'queued', error: null }
+        : { status: 'error', error }));
+      return;
+    }
+
+    setIsAnalyzing(true);
+    setScanResult(null);
+    let completed = 0;
+
+    for (const item of batch) {
+      if (item.status === 'done' || item.status === 'queued') continue;
+      updateBatchItem(item.id, { status: 'analyzing', error: null });
+      try {
+        const result = await submitScan(item.file);
+        updateBatchItem(item.id, { status: 'done', result });
+        completed += 1;
+      } catch (error) {
+        if (error instanceof CancelledError) {
+          // Stop the whole queue; the rest stays pending for another run
+          updateBatchItem(item.id, { status: 'pending' });
+          break;
+        }
+        console.error(`❌ Analysis error for ${item.file.name}:`, error);
+        updateBatchItem(item.id, { status: 'error', error });
+        if (error instanceof UnauthorizedError) break;
+      }
+    }
+
+    if (completed > 0) {
+      setUser(prev => ({ ...prev, total_scans: (prev.total_scans || 0) + completed }));
+      await loadScanHistory();
+    }
+    setIsAnalyzing(false);
+  };
+
+  const scannerView = (
+    <>
+      {/* Image Upload Section */}
+      <div className="scanner-section">
+        {people.length > 1 && (
+          <WhoIsEating people={people} selected={eatingIds} onToggle={toggleEating} />
+        )}
+        <div className="scan-mode-tabs" role="tablist" aria-label={t('scan.modes')}>
+          {['photo', 'text', 'barcode'].map(mode => (
+            <button
+              key={mode}
+              role="tab"
+              aria-selected={scanMode === mode}
+              className={`scan-mode-tab ${scanMode === mode ? 'active' : ''}`}
+              onClick={() => switchScanMode(mode)}
+              disabled={isAnalyzing}
+            >
+              {t(`scan.${mode}`)}
+            </button>
+          ))}
+        </div>
+
+        {scanMode !== 'photo' ? (
+          <LabelCheck mode={scanMode} allergies={user.allergies} onResult={showLabelResult} />
+        ) : (
+          <div className="upload-area">
+            {cameraOpen ? (
+              <CameraCapture
+                onCapture={(file) => {
+                  setCameraOpen(false);
+                  selectFiles([file]);
+                }}
+                onClose={() => setCameraOpen(false)}
+              />
+            ) : (
+              <div
+                className={`image-upload-zone ${isDragging ? 'dragging' : ''}`}
+                role="button"
+                tabIndex={0}
+                aria-label={t('upload.title')}
+                aria-describedby="upload-zone-hint"
+                aria-busy={isPreparing}
+                onClick={() => fileInputRef.current?.click()}
+                onKeyDown={(e) => {
+                  if (e.key === 'Enter' || e.key === ' ') {
+                    e.preventDefault();
+                    fileInputRef.current?.click();
+                  }
+                }}
+                onDragOver={handleDragOver}
+                onDragLeave={() => setIsDragging(false)}
+                onDrop={handleDrop}
+              >
+                {imagePreview ? (
+                  <>
+                    <img src={imagePreview} alt={t('upload.selected')} className="preview-image" />
+                    {/* Still the zone's description once a photo is chosen, for screen readers only */}
+                    <p id="upload-zone-hint" className="sr-only">{t('upload.hint')}</p>
+                  </>
+                ) : (
+                  <div className="upload-placeholder">
+                    <div className="upload-icon">📸</div>
+                    <h3>
+                      {isPreparing ? t('upload.preparing') : isDragging ? t('upload.drop') : t('upload.title')}
+                    </h3>
+                    <p id="upload-zone-hint">{t('upload.hint')}</p>
+                    <small>
+                      {t('upload.formats', { size: MAX_IMAGE_SIZE / (1024 * 1024), count: MAX_BATCH_SIZE })}
+                    </small>
+                  </div>
+                )}
+              </div>
+            )}
+            
+            <input
+              ref={fileInputRef}
+              type="file"
+              accept="image/*,.heic,.heif"
+              multiple
+              onChange={handleImageSelect}
+              style={{ display: 'none' }}
+            />
+
+            <div className="upload-actions">
+              {!cameraOpen && hasCameraSupport() && (
+                <button
+                  className="camera-toggle-btn"
+                  onClick={() => setCameraOpen(true)}
+                  disabled={isAnalyzing}
+                >
+                  {t('upload.camera')}
+                </button>
+              )}
+              {batch.length > 0 ? (
+                <button 
+                  className="analyze-btn"
+                  onClick={analyzeBatch}
+                  disabled={isAnalyzing || batch.every(item => item.status === 'done')}
+                >
+                  {isAnalyzing
+                    ? t('analyze.batchProgress', {
+                      current: batch.findIndex(item => item.status === 'analyzing') + 1,
+                      total: batch.length
+                    })
+                    : t('analyze.batch', { count: batch.length })}
+                </button>
+              ) : (
+                <button 
+                  className="analyze-btn"
+                  onClick={analyzeImage}
+                  disabled={!selectedImage || isAnalyzing}
+                >
+                  {isAnalyzing ? t('analyze.waiting') : t('analyze.single')}
+                </button>
+              )}
+            </div>
+
+            {analysisPhase && (
+              <AnalysisProgress
+                phase={analysisPhase}
+                progress={uploadProgress}
+                onCancel={cancelAnalysis}
+              />
+            )}
+
+            {analysisError && !isAnalyzing && (
+              <div className="analysis-error">
+                <p>⏱️ {errorMessage(analysisError)}</p>
+                <div className="analysis-error-actions">
+                  <button className="retry-btn" onClick={analyzeImage}>
+                    {t('analyze.retry')}
+                  </button>
+                  <button className="link-btn" onClick={() => saveForLater([selectedImage])}>
+                    {t('analyze.saveLater')}
+                  </button>
+                </div>
+              </div>
+            )}
+
+            {savedOffline > 0 && (
+              <div className="offline-notice">{t('offline.saved', { count: savedOffline })}</div>
+            )}
+          </div>
+        )}
+      </div>
+
+      {/* Batch Queue & Summary */}
+      {batch.length > 0 && (
+        <BatchSummary
+          items={batch}
+          isAnalyzing={isAnalyzing}
+          onView={(item) => showResult(item.result)}
+          onClear={clearBatch}
+        />
+      )}
+
+      <ResultAnnouncer result={shownResult} people={eatingPeople} />
+
+      {/* UPDATED: Enhanced Analysis Results */}
+      {scanResult && (
+        <ScanResults
+          scanResult={shownResult}
+          nutritionData={nutritionData}
+          onSaveCorrections={saveCorrections}
+          people={eatingPeople}
+        />
+      )}
+
+      {/* Scans waiting for a connection */}
+      {queuedScans.length > 0 && (
+        <QueuedScansList entries={queuedScans} onDiscard={discardQueuedScan} onRetry={retryQueuedUpload} />
+      )}
+
+      {/* Recent Scans History */}
+      {scanHistory.length > 0 && (
+        <ScanHistoryGrid scans={scanHistory} title={t('history.recent')} />
+      )}
+    </>
+  );
 
   return (
     <div className="app">
@@ -772,222 +3641,439 @@ const FoodScannerApp = () => {
         <div className="header-content">
           <div className="header-left">
             <h1>🍽️ FoodGuard AI</h1>
-            <p>Welcome back, {user.user.first_name}!</p>
+            <p>{t('header.welcome', { name: user.user.first_name })}</p>
           </div>
           <div className="header-actions">
+            <LanguageSwitcher />
+            <button className="profile-btn" onClick={() => navigate('/history')}>
+              {t('header.history')}
+            </button>
+            <button className="profile-btn" onClick={() => navigate('/diary')}>
+              {t('header.diary')}
+            </button>
             <button 
               className="profile-btn"
-              onClick={() => setShowProfile(true)}
+              onClick={() => navigate('/profile')}
             >
-              👤 Profile ({user.allergies?.length || 0} allergies)
+              {t('header.profile', { count: user.allergies?.length || 0 })}
             </button>
-            <button className="logout-btn" onClick={logout}>
-              🚪 Logout
+            <button className="logout-btn" onClick={async () => (await confirmLeave()) && (await confirmLogout()) && logout()}>
+              {t('header.logout')}
             </button>
           </div>
         </div>
       </header>
 
+      {!isOnline && (
+        <div className="offline-banner" role="status">
+          {t('offline.banner')}
+        </div>
+      )}
+
       <main className="main-content">
-        {/* Image Upload Section */}
-        <div className="scanner-section">
-          <div className="upload-area">
-            <div 
-              className="image-upload-zone"
-              onClick={() => fileInputRef.current?.click()}
-            >
-              {imagePreview ? (
-                <img src={imagePreview} alt="Selected food" className="preview-image" />
-              ) : (
-                <div className="upload-placeholder">
-                  <div className="upload-icon">📸</div>
-                  <h3>Upload Food Image</h3>
-                  <p>Click here or drag & drop your food photo</p>
-                  <small>Supports JPG, PNG, WebP up to 10MB</small>
-                </div>
-              )}
-            </div>
-            
-            <input
-              ref={fileInputRef}
-              type="file"
-              accept="image/*"
-              onChange={handleImageSelect}
-              style={{ display: 'none' }}
+        <Routes>
+          <Route index element={<Navigate to="/scan" replace />} />
+          <Route path="scan" element={scannerView} />
+          <Route path="profile" element={
+            <UserProfile 
+              user={user} 
+              onProfileUpdate={setUser} 
+              onBack={() => navigate('/scan')} 
+              onDirtyChange={setProfileDirty}
             />
+          } />
+          <Route path="history" element={
+            <>
+              {queuedScans.length > 0 && (
+                <QueuedScansList entries={queuedScans} onDiscard={discardQueuedScan} onRetry={retryQueuedUpload} />
+              )}
+              <HistoryBrowser />
+            </>
+          } />
+          <Route path="history/:scanId" element={<ScanDetail />} />
+          <Route path="diary" element={<NutritionDiary onBack={() => navigate('/scan')} />} />
+          <Route path="*" element={<Navigate to="/scan" replace />} />
+        </Routes>
+      </main>
 
-            <div className="upload-actions">
-              <button 
-                className="analyze-btn"
-                onClick={analyzeImage}
-                disabled={!selectedImage || isAnalyzing}
-              >
-                {isAnalyzing ? (
-                  <>🔍 Analyzing... Please wait</>
-                ) : (
-                  <>🔍 Analyze for Allergens & Nutrition</>
-                )}
-              </button>
-            </div>
-          </div>
-        </div>
+      <footer className="app-footer">
+        <p>{t('footer.disclaimer')}</p>
+        <p>{t('footer.nutrition')}</p>
+      </footer>
+    </div>
+  );
+};
 
-        {/* UPDATED: Enhanced Analysis Results */}
-        {scanResult && (
-          <div className="results-section">
-            <div className={`safety-status ${scanResult.is_safe ? 'safe' : 'warning'}`}>
-              <div className="status-icon">
-                {scanResult.is_safe ? '✅' : '⚠️'}
-              </div>
-              <div className="status-content">
-                <h3>{scanResult.is_safe ? 'SAFE FOR YOU!' : '⚠️ ALLERGEN DETECTED!'}</h3>
-                <p>
-                  {scanResult.is_safe 
-                    ? 'No allergens found based on your profile'
-                    : `Found ${scanResult.allergen_warnings.length} potential allergen(s)`
-                  }
-                </p>
-                {scanResult.confidence_score && (
-                  <small>Analysis confidence: {(scanResult.confidence_score * 100).toFixed(1)}%</small>
-                )}
-                {/* NEW: Nutrition availability indicator */}
-                {scanResult.nutrition_available && (
-                  <div className="nutrition-available-badge">
-                    📊 Nutritional information available
-                  </div>
-                )}
-              </div>
-            </div>
+// Goal Progress - one nutrient's total against its goal
+const GoalProgress = ({ label, value, goal, unit }) => {
+  const { t, formatNumber } = useContext(I18nContext);
+  const share = goal > 0 ? value / goal : 0;
+  const amount = (n) => `${formatNumber(n, { maximumFractionDigits: 0 })}${unit === 'kcal' ? ' kcal' : unit}`;
+  return (
+    <div className="goal-progress">
+      <div className="goal-progress-label">
+        <span>{label}</span>
+        <span>{t('diary.ofGoal', { value: amount(value), goal: amount(goal) })}</span>
+      </div>
+      <div
+        className="goal-bar"
+        role="progressbar"
+        aria-label={label}
+        aria-valuemin={0}
+        aria-valuemax={Math.round(goal)}
+        aria-valuenow={Math.round(value)}
+      >
+        <div className={share > 1 ? 'over-goal' : ''} style={{ width: `${Math.min(share, 1) * 100}%` }} />
+      </div>
+    </div>
+  );
+};
 
-            {/* Allergen Warnings */}
-            {scanResult.allergen_warnings && scanResult.allergen_warnings.length > 0 && (
-              <div className="warnings-section">
-                <h4>⚠️ Allergen Warnings:</h4>
-                <div className="warnings-list">
-                  {scanResult.allergen_warnings.map((warning, index) => (
-                    <div key={index} className={`warning-item severity-${warning.severity}`}>
-                      <div className="warning-content">
-                        <strong>{warning.allergen}</strong> detected in <em>{warning.ingredient}</em>
-                        <div className="warning-details">
-                          <span className={`severity-badge severity-${warning.severity}`}>
-                            {warning.severity} allergy
-                          </span>
-                          <span className="confidence">
-                            {(warning.confidence * 100).toFixed(1)}% confidence
-                          </span>
-                        </div>
-                      </div>
-                    </div>
-                  ))}
-                </div>
-              </div>
-            )}
+// Trend Chart - daily totals for one nutrient as bars, with the goal as a dashed line
+const TrendChart = ({ series, nutrient, goal, label, describeDay }) => {
+  const width = 300;
+  const height = 120;
+  const max = Math.max(goal, ...series.map(({ totals }) => totals[nutrient])) || 1;
+  const barWidth = width / series.length;
+  const goalY = height - (goal / max) * height;
 
-            {/* NEW: Nutrition Information */}
-            {nutritionData && (
-              <NutritionFacts 
-                nutrition={nutritionData}
-                totalNutrition={nutritionData.total_estimated}
-                confidence={nutritionData.confidence}
-              />
-            )}
+  return (
+    <svg
+      className="trend-chart"
+      viewBox={`0 0 ${width} ${height}`}
+      preserveAspectRatio="none"
+      role="img"
+      aria-label={label}
+    >
+      {series.map(({ day, totals }, i) => {
+        const barHeight = (totals[nutrient] / max) * height;
+        return (
+          <rect
+            key={day}
+            x={i * barWidth + 1}
+            y={height - barHeight}
+            width={Math.max(barWidth - 2, 1)}
+            height={barHeight}
+            className={totals[nutrient] > goal ? 'over-goal' : ''}
+          >
+            <title>{describeDay(day, totals[nutrient])}</title>
+          </rect>
+        );
+      })}
+      <line className="goal-line" x1="0" x2={width} y1={goalY} y2={goalY} vectorEffect="non-scaling-stroke" />
+    </svg>
+  );
+};
+
+const atNoon = (day) => `${day}T12:00:00`; // so a calendar day never shifts across time zones
+
+// Nutrition Diary - logged meals by day, weekly totals against goals and 30-day trends
+const NutritionDiary = ({ onBack }) => {
+  const { t, formatNumber, formatDate, errorMessage } = useContext(I18nContext);
+  const { notify, confirm } = useContext(NotificationContext);
+  const today = dayKey(new Date());
+  const [day, setDay] = useState(today);
+  const [entries, setEntries] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [goals, setGoals] = useState(loadNutritionGoals);
+  const [showGoals, setShowGoals] = useState(false);
+  const [trendNutrient, setTrendNutrient] = useState('calories');
+
+  // The 30 days ending on the chosen day cover that day, its week and the trends
+  const days = useMemo(() => dayRange(day, TREND_DAYS), [day]);
+
+  const loadEntries = useCallback(async () => {
+    setLoading(true);
+    setError('');
+    try {
+      setEntries(await fetchDiary(days[0], days[days.length - 1]));
+    } catch (err) {
+      setError(t('diary.loadError', { message: errorMessage(err) }));
+    }
+    setLoading(false);
+  }, [days, t, errorMessage]);
+
+  useEffect(() => {
+    loadEntries();
+  }, [loadEntries]);
+
+  const deleteEntry = async (entry) => {
+    try {
+      await deleteDiaryEntry(entry.id);
+      setEntries(prev => prev.filter(e => e.id !== entry.id));
+    } catch (err) {
+      notify({
+        level: 'error',
+        message: t('diary.removeError', { message: errorMessage(err) }),
+        actions: [{ label: t('notify.retry'), onClick: () => deleteEntry(entry) }]
+      });
+    }
+  };
+
+  const removeEntry = async (entry) => {
+    const confirmed = await confirm({
+      message: t('diary.confirmRemove', { title: entry.title }),
+      confirmLabel: t('dialog.remove'),
+      danger: true
+    });
+    if (confirmed) deleteEntry(entry);
+  };
+
+  const updateGoal = (key, value) => {
+    const amount = Number(value);
+    if (!(amount >= 0)) return;
+    const next = { ...goals, [key]: amount };
+    saveNutritionGoals(next);
+    setGoals(next);
+  };
+
+  const resetGoals = () => {
+    saveNutritionGoals(DEFAULT_NUTRITION_GOALS);
+    setGoals(DEFAULT_NUTRITION_GOALS);
+  };
+
+  const labels = {
+    calories: t('nutrition.calories'),
+    protein: t('nutrition.protein'),
+    carbs: t('nutrition.carbs'),
+    fat: t('nutrition.fat'),
+    fiber: t('nutrition.fiber')
+  };
+  const unitOf = (key) => referenceUnit(null, key);
+  const amount = (key, value) => `${formatNumber(value, { maximumFractionDigits: 0 })} ${unitOf(key)}`;
+  const shortDate = (key) => formatDate(atNoon(key), { day: 'numeric', month: 'short' });
+
+  const dayEntries = entriesOn(entries, day);
+  const dayTotals = sumNutrition(dayEntries);
+  const week = days.slice(-7);
+  const weekTotals = sumNutrition(entries.filter(entry => week.includes(dayKey(entry.eaten_at))));
+  const series = totalsByDay(entries, days);
+
+  return (
+    <div className="profile-container nutrition-diary">
+      <div className="profile-header">
+        <button className="back-btn" onClick={onBack}>{t('profile.back')}</button>
+        <h2>{t('diary.title')}</h2>
+      </div>
 
-            {/* Detected Ingredients */}
-            {scanResult.ingredients && scanResult.ingredients.length > 0 && (
-              <div className="ingredients-section">
-                <h4>🥘 Detected Ingredients ({scanResult.ingredients.length}):</h4>
-                <div className="ingredients-grid">
-                  {scanResult.ingredients.slice(0, 15).map((ingredient, index) => (
-                    <div key={index} className="ingredient-item">
-                      <span className="ingredient-name">{ingredient.name}</span>
-                      <span className="ingredient-confidence">
-                        {(ingredient.confidence * 100).toFixed(0)}%
+      <div className="diary-day-nav">
+        <button className="link-btn" onClick={() => setDay(addDays(day, -1))}>{t('diary.previousDay')}</button>
+        <input
+          type="date"
+          aria-label={t('diary.day')}
+          value={day}
+          max={today}
+          onChange={(e) => e.target.value && setDay(e.target.value)}
+        />
+        <button className="link-btn" onClick={() => setDay(addDays(day, 1))} disabled={day >= today}>
+          {t('diary.nextDay')}
+        </button>
+      </div>
+
+      {error && (
+        <div className="error-message">
+          {error}
+          <button className="retry-btn" onClick={loadEntries}>{t('analyze.retry')}</button>
+        </div>
+      )}
+      {loading && <p className="loading-text">{t('app.loading')}</p>}
+
+      {!loading && !error && (
+        <>
+          <section className="diary-section">
+            <h3>{t('diary.dayTotals', { date: formatDate(atNoon(day)) })}</h3>
+            {DIARY_NUTRIENTS.map(key => (
+              <GoalProgress key={key} label={labels[key]} value={dayTotals[key]} goal={goals[key]} unit={unitOf(key)} />
+            ))}
+
+            {dayEntries.length === 0 ? (
+              <p className="settings-hint">{t('diary.empty')}</p>
+            ) : (
+              MEALS.filter(meal => dayEntries.some(entry => entry.meal === meal)).map(meal => (
+                <div key={meal} className="diary-meal">
+                  <h4>{t(`diary.meal.${meal}`)}</h4>
+                  {dayEntries.filter(entry => entry.meal === meal).map(entry => (
+                    <div key={entry.id} className="diary-entry">
+                      <span className="diary-entry-title">{entry.title}</span>
+                      <span className="diary-entry-amount">
+                        {t('diary.entry', {
+                          grams: `${formatNumber(entry.grams)}g`,
+                          calories: formatNumber(Math.round(entry.nutrition.calories))
+                        })}
                       </span>
-                      {/* NEW: Show if nutrition data available for this ingredient */}
-                      {nutritionData && nutritionData.individual_ingredients && 
-                       nutritionData.individual_ingredients[ingredient.name] && (
-                        <span className="nutrition-indicator">📊</span>
-                      )}
+                      <button
+                        className="remove-btn"
+                        onClick={() => removeEntry(entry)}
+                        title={t('diary.removeEntry', { title: entry.title })}
+                        aria-label={t('diary.removeEntry', { title: entry.title })}
+                      >
+                        ×
+                      </button>
                     </div>
                   ))}
                 </div>
-                {scanResult.ingredients.length > 15 && (
-                  <p className="ingredients-note">
-                    ...and {scanResult.ingredients.length - 15} more ingredients detected
-                  </p>
-                )}
-              </div>
+              ))
             )}
-          </div>
-        )}
+          </section>
 
-        {/* Recent Scans History */}
-        {scanHistory.length > 0 && (
-          <div className="history-section">
-            <h3>📋 Recent Scans</h3>
-            <div className="history-grid">
-              {scanHistory.map((scan) => (
-                <div key={scan.id} className={`history-card ${scan.is_safe ? 'safe' : 'warning'}`}>
-                  <div className="history-status">
-                    <span className={`status-badge ${scan.is_safe ? 'safe' : 'warning'}`}>
-                      {scan.is_safe ? '✅ Safe' : `⚠️ ${scan.warnings?.length || 0} warnings`}
-                    </span>
-                    <span className="scan-time">
-                      {new Date(scan.created_at).toLocaleDateString()}
-                    </span>
-                  </div>
-                  <div className="history-ingredients">
-                    {scan.ingredients?.slice(0, 3).map(ing => ing.name).join(', ')}
-                    {scan.ingredients?.length > 3 && '...'}
-                  </div>
-                  {/* NEW: Show nutrition indicator in history */}
-                  {scan.has_nutrition && (
-                    <div className="history-nutrition">📊 Nutrition data</div>
-                  )}
-                </div>
+          <section className="diary-section">
+            <h3>{t('diary.weekTotals', { from: shortDate(week[0]), to: shortDate(week[6]) })}</h3>
+            {DIARY_NUTRIENTS.map(key => (
+              <GoalProgress key={key} label={labels[key]} value={weekTotals[key]} goal={goals[key] * 7} unit={unitOf(key)} />
+            ))}
+          </section>
+
+          <section className="diary-section">
+            <h3>{t('diary.trends')}</h3>
+            <div className="card-type-tabs" role="group" aria-label={t('diary.trends')}>
+              {DIARY_NUTRIENTS.map(key => (
+                <button
+                  key={key}
+                  className={`scan-mode-tab ${trendNutrient === key ? 'active' : ''}`}
+                  aria-pressed={trendNutrient === key}
+                  onClick={() => setTrendNutrient(key)}
+                >
+                  {labels[key]}
+                </button>
               ))}
             </div>
-          </div>
-        )}
-      </main>
+            <TrendChart
+              series={series}
+              nutrient={trendNutrient}
+              goal={goals[trendNutrient]}
+              label={t('diary.chart', {
+                nutrient: labels[trendNutrient],
+                from: shortDate(days[0]),
+                to: shortDate(day),
+                goal: amount(trendNutrient, goals[trendNutrient])
+              })}
+              describeDay={(key, value) => `${shortDate(key)}: ${amount(trendNutrient, value)}`}
+            />
+            <div className="trend-axis">
+              <span>{shortDate(days[0])}</span>
+              <span>{shortDate(day)}</span>
+            </div>
+          </section>
+        </>
+      )}
 
-      <footer className="app-footer">
-        <p>⚠️ This tool is for informational purposes only. Always verify with food labels and restaurant staff for severe allergies.</p>
-        <p>📊 Nutritional information is AI-generated and should be used as estimates only.</p>
-      </footer>
+      <section className="diary-section">
+        <h3>{t('diary.goals')}</h3>
+        <button className="expand-btn" onClick={() => setShowGoals(!showGoals)}>
+          {showGoals ? t('diary.hideGoals') : t('diary.showGoals')}
+        </button>
+        {showGoals && (
+          <>
+            <p className="settings-hint">{t('diary.goalsHint')}</p>
+            <div className="intake-grid">
+              {DIARY_NUTRIENTS.map(key => (
+                <label key={key} className="intake-field">
+                  <span>{labels[key]}</span>
+                  <input
+                    type="number"
+                    min="0"
+                    value={goals[key]}
+                    onChange={(e) => updateGoal(key, e.target.value)}
+                  />
+                  <small>{unitOf(key)}</small>
+                </label>
+              ))}
+            </div>
+            <button className="link-btn" onClick={resetGoals}>{t('intakes.reset')}</button>
+          </>
+        )}
+      </section>
     </div>
   );
 };
 
+// Protected Route - send signed-out users to login, remembering where they were going
+const RequireAuth = ({ children }) => {
+  const { user } = useContext(AuthContext);
+  const location = useLocation();
+
+  if (!user) {
+    return <Navigate to="/login" replace state={{ from: location }} />;
+  }
+  return children;
+};
+
 // Auth Wrapper
-const AuthWrapper = () => {
-  const [isLogin, setIsLogin] = useState(true);
+const AuthWrapper = ({ mode }) => {
+  const { user } = useContext(AuthContext);
+  const navigate = useNavigate();
+  const location = useLocation();
+  const { t } = useContext(I18nContext);
+
+  // Signed in - go back to the page that was originally requested
+  if (user) {
+    const from = location.state?.from;
+    return <Navigate to={from ? `${from.pathname}${from.search || ''}` : '/scan'} replace />;
+  }
+
+  // Keep the original destination when switching between login and register
+  const switchTo = (path) => navigate(path, { replace: true, state: location.state });
   
   return (
     <div className="auth-container">
       <div className="auth-hero">
+        <LanguageSwitcher />
         <h1>🍽️ FoodGuard AI</h1>
-        <p>AI-Powered Personal Food Allergen Detection with Nutrition Analysis</p>
+        <p>{t('hero.tagline')}</p>
         <div className="hero-features">
-          <div className="feature">📸 Scan any food</div>
-          <div className="feature">🤖 AI ingredient detection</div>
-          <div className="feature">⚠️ Personal allergen alerts</div>
-          <div className="feature">📊 Nutritional analysis</div>
+          <div className="feature">{t('hero.scan')}</div>
+          <div className="feature">{t('hero.detect')}</div>
+          <div className="feature">{t('hero.alerts')}</div>
+          <div className="feature">{t('hero.nutrition')}</div>
         </div>
       </div>
       
-      {isLogin ? (
-        <LoginForm onToggleMode={() => setIsLogin(false)} />
+      {mode === 'login' ? (
+        <LoginForm onToggleMode={() => switchTo('/register')} />
       ) : (
-        <RegisterForm onToggleMode={() => setIsLogin(true)} />
+        <RegisterForm onToggleMode={() => switchTo('/login')} />
       )}
     </div>
   );
 };
 
+// Dialogs and toasts sit beside every screen, inside the router so they can navigate
+const AppLayout = () => {
+  const auth = useContext(AuthContext);
+  return (
+    <>
+      <Outlet />
+      {auth.user && auth.sessionExpired && <SessionExpiredDialog />}
+      <ConfirmDialog />
+      <NotificationStack />
+    </>
+  );
+};
+
+// A data router, so screens with unsaved edits can hold back links and the back button
+const APP_ROUTES = createRoutesFromElements(
+  <Route element={<AppLayout />}>
+    <Route path="/login" element={<AuthWrapper mode="login" />} />
+    <Route path="/register" element={<AuthWrapper mode="register" />} />
+    <Route path="/*" element={<RequireAuth><FoodScannerApp /></RequireAuth>} />
+  </Route>
+);
+
+const ROUTER_FUTURE = {
+  v7_relativeSplatPath: true,
+  v7_fetcherPersist: true,
+  v7_normalizeFormMethod: true,
+  v7_partialHydration: true,
+  v7_skipActionErrorRevalidation: true
+};
+
 // Main App Component
 function App() {
   const auth = useAuth();
+  const i18n = useLanguage();
+  const notifications = useNotificationCenter();
+  const [router] = useState(() => createBrowserRouter(APP_ROUTES, { future: ROUTER_FUTURE }));
 
   if (auth.loading) {
     return (
@@ -995,16 +4081,20 @@ function App() {
         <div className="loading-content">
           <div className="loading-spinner"></div>
           <h2>🍽️ FoodGuard AI</h2>
-          <p>Loading your personalized food safety and nutrition assistant...</p>
+          <p>{i18n.t('app.loading')}</p>
         </div>
       </div>
     );
   }
 
   return (
-    <AuthContext.Provider value={auth}>
-      {auth.user ? <FoodScannerApp /> : <AuthWrapper />}
-    </AuthContext.Provider>
+    <I18nContext.Provider value={i18n}>
+      <AuthContext.Provider value={auth}>
+        <NotificationContext.Provider value={notifications}>
+          <RouterProvider router={router} future={{ v7_startTransition: true }} />
+        </NotificationContext.Provider>
+      </AuthContext.Provider>
+    </I18nContext.Provider>
   );
 }
 
@@ -1,8 +1,212 @@
-import { render, screen } from '@testing-library/react';
+import { render, screen, fireEvent, act } from '@testing-library/react';
 import App from './App';
+import { apiClient, tokenStorage } from './api';
+import { listQueuedScans } from './offline';
 
-test('renders learn react link', () => {
+// jsdom has no IndexedDB, so the offline queue is whatever a test says it is
+jest.mock('./offline', () => ({
+  ...jest.requireActual('./offline'),
+  listQueuedScans: jest.fn()
+}));
+
+beforeEach(() => {
+  listQueuedScans.mockResolvedValue([]);
+});
+
+// Signed in as Sam, with the server answering from routes: { url: data }
+const signIn = (routes) => {
+  tokenStorage.save({ access_token: 'token' });
+  apiClient.defaults.adapter = async (config) => ({
+    data: routes[config.url] ?? {}, status: 200, headers: {}, config
+  });
+};
+
+const profile = (allergies) => ({
+  user: { first_name: 'Sam', last_name: 'Blake', email: 'sam@example.com' },
+  allergies
+});
+
+afterEach(() => {
+  tokenStorage.clear();
+  localStorage.clear();
+  delete window.speechSynthesis;
+  delete window.SpeechSynthesisUtterance;
+  window.history.pushState({}, '', '/');
+});
+
+test('sends signed-out users to the login screen', async () => {
+  render(<App />);
+  expect(await screen.findByText(/sign in to foodguard/i)).toBeInTheDocument();
+  expect(window.location.pathname).toBe('/login');
+});
+
+test('explains a failed sign-in in the chosen language', async () => {
+  localStorage.setItem('language', 'es');
+  apiClient.defaults.adapter = async (config) => {
+    if (config.url === '/auth/login') {
+      throw Object.assign(new Error('Request failed with status code 401'), {
+        config, response: { status: 401, data: {}, headers: {}, config }
+      });
+    }
+    return { data: {}, status: 200, headers: {}, config };
+  };
   render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+
+  fireEvent.change(await screen.findByPlaceholderText('Correo electrónico'), { target: { value: 'sam@example.com' } });
+  fireEvent.change(screen.getByPlaceholderText('Contraseña'), { target: { value: 'wrong' } });
+  fireEvent.click(screen.getByText('Iniciar sesión'));
+  expect(await screen.findByText('Correo o contraseña incorrectos')).toBeInTheDocument();
+});
+
+test('shows a past scan as originally scanned, whatever the profile says now', async () => {
+  signIn({
+    '/profile': profile([]),
+    '/scan-history': { scans: [] },
+    '/scan-history/7': {
+      id: 7,
+      created_at: '2024-03-05T12:00:00',
+      is_safe: false,
+      confidence_score: 0.95,
+      ingredients: [{ name: 'peanut butter', confidence: 0.95 }],
+      allergen_warnings: [{ allergen: 'peanuts', ingredient: 'peanut butter', severity: 'severe', confidence: 0.5 }]
+    }
+  });
+  window.history.pushState({}, '', '/history/7');
+  render(<App />);
+
+  // Re-checked: peanuts are no longer on the profile
+  expect(await screen.findByText('SAFE FOR YOU!')).toBeInTheDocument();
+
+  fireEvent.click(screen.getByText('↩ Show result as originally scanned'));
+  expect(screen.getByText('⚠️ ALLERGEN DETECTED!')).toBeInTheDocument();
+  expect(screen.getByText('peanuts')).toBeInTheDocument();
+  // The stored warning is not re-judged against today's confidence thresholds
+  expect(screen.queryByText('low confidence - verify')).not.toBeInTheDocument();
+});
+
+test('asks before logging out with scans still waiting to upload', async () => {
+  listQueuedScans.mockResolvedValue([
+    { id: 'offline-1', name: 'lunch.jpg', created_at: '2024-03-05T12:00:00', status: 'pending' }
+  ]);
+  signIn({ '/profile': profile([]), '/scan-history': { scans: [] } });
+  window.history.pushState({}, '', '/scan');
+  render(<App />);
+
+  await screen.findByText('lunch.jpg');
+  fireEvent.click(screen.getByText('🚪 Logout'));
+  expect(await screen.findByText(/1 scan taken offline has not been uploaded yet/)).toBeInTheDocument();
+  fireEvent.click(screen.getByText('Cancel'));
+  expect(await screen.findByText('Welcome back, Sam!')).toBeInTheDocument();
+
+  fireEvent.click(screen.getByText('🚪 Logout'));
+  fireEvent.click(await screen.findByText('Log out anyway'));
+  expect(await screen.findByText(/sign in to foodguard/i)).toBeInTheDocument();
+});
+
+test('holds back the browser back button and in-app links while the profile has unsaved edits', async () => {
+  signIn({ '/profile': profile([]), '/scan-history': { scans: [] } });
+  window.history.pushState({}, '', '/scan');
+  render(<App />);
+
+  fireEvent.click(await screen.findByText('👤 Profile (0 allergies)'));
+  fireEvent.click(await screen.findByRole('button', { name: /peanuts \+/i }));
+  act(() => window.history.back());
+  expect(await screen.findByText(/unsaved allergy changes/)).toBeInTheDocument();
+  fireEvent.click(screen.getByText('Cancel'));
+  expect(await screen.findByRole('button', { name: /peanuts ✓/i })).toBeInTheDocument();
+  expect(window.location.pathname).toBe('/profile');
+
+  fireEvent.click(screen.getByText('📋 History'));
+  fireEvent.click(await screen.findByText('Leave without saving'));
+  expect(await screen.findByText('❓ Uncertain only')).toBeInTheDocument();
+  expect(window.location.pathname).toBe('/history');
+});
+
+test('shows a scan result in the chosen language', async () => {
+  localStorage.setItem('language', 'es');
+  signIn({
+    '/profile': profile([{ name: 'peanuts', severity: 'severe' }]),
+    '/scan-history': { scans: [] },
+    '/scan-history/7': {
+      id: 7,
+      created_at: '2024-03-05T12:00:00',
+      is_safe: false,
+      confidence_score: 0.95,
+      ingredients: [{ name: 'peanut butter', confidence: 0.95 }],
+      allergen_warnings: [{ allergen: 'peanuts', ingredient: 'peanut butter', severity: 'severe', confidence: 0.95 }]
+    }
+  });
+  window.history.pushState({}, '', '/history/7');
+  render(<App />);
+
+  expect(await screen.findByText('⚠️ ¡ALÉRGENO DETECTADO!')).toBeInTheDocument();
+  expect(screen.getByText('alergia grave')).toBeInTheDocument();
+  expect(screen.getByText('↩ Mostrar el resultado original del escaneo')).toBeInTheDocument();
+  expect(screen.queryByText(/ALLERGEN DETECTED/)).not.toBeInTheDocument();
+});
+
+test('reads each new result aloud once when read-aloud is on', async () => {
+  const spoken = [];
+  window.speechSynthesis = { cancel: jest.fn(), speak: (utterance) => spoken.push(utterance) };
+  window.SpeechSynthesisUtterance = function SpeechSynthesisUtterance(text) {
+    this.text = text;
+  };
+  localStorage.setItem('accessibility', JSON.stringify({ highContrast: false, readAloud: true }));
+  signIn({ '/profile': profile([{ name: 'milk', severity: 'severe' }]), '/scan-history': { scans: [] } });
+  window.history.pushState({}, '', '/scan');
+  render(<App />);
+
+  fireEvent.click(await screen.findByText('📝 Ingredient List'));
+  fireEvent.change(screen.getByLabelText('Ingredient list'), { target: { value: 'cream, sugar' } });
+  fireEvent.click(screen.getByText('🔍 Check Ingredients'));
+  expect(await screen.findByText('⚠️ ALLERGEN DETECTED!')).toBeInTheDocument();
+  expect(spoken).toHaveLength(1);
+  expect(spoken[0].text).toMatch(/^Warning: not safe\. Allergen detected: milk/);
+});
+
+test('keeps showing the latest scan when an earlier one answers late', async () => {
+  const scan = (id, ingredient) => ({
+    id,
+    created_at: '2024-03-05T12:00:00',
+    is_safe: true,
+    confidence_score: 0.95,
+    ingredients: [{ name: ingredient, confidence: 0.95 }],
+    allergen_warnings: []
+  });
+  let answerFirst;
+  signIn({ '/profile': profile([]), '/scan-history': { scans: [] }, '/scan-history/8': scan(8, 'rice') });
+  const adapter = apiClient.defaults.adapter;
+  apiClient.defaults.adapter = (config) => (config.url === '/scan-history/7'
+    ? new Promise(resolve => {
+      answerFirst = () => resolve({ data: scan(7, 'toast'), status: 200, headers: {}, config });
+    })
+    : adapter(config));
+  window.history.pushState({}, '', '/history/7');
+  render(<App />);
+  await screen.findByText('Loading scan...');
+
+  act(() => {
+    window.history.pushState({}, '', '/history/8');
+    window.dispatchEvent(new PopStateEvent('popstate'));
+  });
+  expect(await screen.findByText('rice')).toBeInTheDocument();
+  await act(async () => answerFirst());
+  expect(screen.getByText('rice')).toBeInTheDocument();
+  expect(screen.queryByText('toast')).not.toBeInTheDocument();
+});
+
+test('ends the session in every tab when one of them finds it expired', async () => {
+  signIn({ '/profile': profile([]), '/scan-history': { scans: [] } });
+  window.history.pushState({}, '', '/scan');
+  render(<App />);
+  await screen.findByText('Welcome back, Sam!');
+
+  // What the other tab's expireSession leaves behind
+  tokenStorage.clear();
+  act(() => {
+    window.dispatchEvent(new StorageEvent('storage', {
+      key: 'session_event', newValue: JSON.stringify({ type: 'expired', at: Date.now() })
+    }));
+  });
+  expect(await screen.findByText('⏰ Session expired')).toBeInTheDocument();
 });
@@ -0,0 +1,82 @@
+// accessibility.js - Spoken and screen-reader descriptions of a result, read-aloud, and display preferences
+import { householdStatus } from './household';
+import { translateAllergen } from './allergens';
+import { createTranslator, localeFor } from './i18n';
+
+// One sentence per allergen, however many ingredients it turned up in
+const describeWarnings = (warnings, t, lang) => {
+  const byAllergen = new Map();
+  (warnings || []).forEach(w => {
+    const key = w.allergen.toLowerCase();
+    const entry = byAllergen.get(key) || { ...w, ingredients: [] };
+    if (w.ingredient && !entry.ingredients.includes(w.ingredient)) entry.ingredients.push(w.ingredient);
+    byAllergen.set(key, entry);
+  });
+  const list = new Intl.ListFormat(localeFor(lang), { type: 'conjunction' });
+  return [...byAllergen.values()].map(w => [
+    t(w.uncertain ? 'speech.possible' : 'speech.detected', { allergen: translateAllergen(w.allergen, lang) }),
+    ...(w.severity ? [t(`speech.severity.${w.severity}`)] : []),
+    ...(w.ingredients.length ? [t('speech.in', { ingredients: list.format(w.ingredients) })] : []),
+    ...(w.uncertain ? [t('speech.lowConfidence')] : [])
+  ].join(', ') + '.');
+};
+
+// The overall verdict: per person when checks are given, the worst of them counting
+export const resultStatus = (scan, checks) => (
+  checks ? householdStatus(checks) : scan.status || (scan.is_safe ? 'safe' : 'warning')
+);
+
+// The verdict and every warning as plain sentences in the interface language, for live
+// regions and read-aloud. With checks (one per person eating), each person gets their own verdict.
+export const describeResult = (scan, checks, lang = 'en') => {
+  const t = createTranslator(lang);
+  const status = resultStatus(scan, checks);
+  if (checks) {
+    return [
+      t(`speech.household.${status}`),
+      ...checks.map(({ person, result }) => [
+        t('speech.person', { name: person.name, verdict: t(`speech.person.${result.status}`) }),
+        ...describeWarnings(result.allergen_warnings, t, lang)
+      ].join(' '))
+    ].join(' ');
+  }
+  return [t(`speech.${status}`), ...describeWarnings(scan.allergen_warnings, t, lang)].join(' ');
+};
+
+// Display preferences are per device, like the confidence thresholds
+const ACCESSIBILITY_KEY = 'accessibility';
+
+const prefersMoreContrast = () => (
+  typeof window !== 'undefined' && !!window.matchMedia?.('(prefers-contrast: more)').matches
+);
+
+export const loadAccessibilitySettings = () => {
+  const defaults = { highContrast: prefersMoreContrast(), readAloud: false };
+  try {
+    return { ...defaults, ...JSON.parse(localStorage.getItem(ACCESSIBILITY_KEY)) };
+  } catch {
+    return defaults;
+  }
+};
+
+export const saveAccessibilitySettings = (settings) => {
+  localStorage.setItem(ACCESSIBILITY_KEY, JSON.stringify(settings));
+};
+
+export const canSpeak = () => typeof window !== 'undefined' && 'speechSynthesis' in window &&
+  typeof window.SpeechSynthesisUtterance === 'function';
+
+// Reads text aloud in the voice for lang, cutting off anything still being read.
+// A regional voice (en-GB) is used where the browser has it.
+export const speak = (text, lang = 'en') => {
+  if (!canSpeak() || !text) return false;
+  window.speechSynthesis.cancel();
+  const utterance = new window.SpeechSynthesisUtterance(text);
+  utterance.lang = localeFor(lang);
+  window.speechSynthesis.speak(utterance);
+  return true;
+};
+
+export const stopSpeaking = () => {
+  if (canSpeak()) window.speechSynthesis.cancel();
+};
@@ -0,0 +1,68 @@
+import {
+  describeResult, loadAccessibilitySettings, saveAccessibilitySettings, speak, canSpeak
+} from './accessibility';
+
+afterEach(() => {
+  localStorage.clear();
+  delete window.speechSynthesis;
+  delete window.SpeechSynthesisUtterance;
+});
+
+test('describes the verdict and each allergen once, with its severity', () => {
+  expect(describeResult({ is_safe: true, allergen_warnings: [] })).toBe(
+    'Safe to eat. No allergens found based on your profile.'
+  );
+  expect(describeResult({
+    is_safe: false,
+    allergen_warnings: [
+      { allergen: 'peanuts', ingredient: 'satay sauce', severity: 'severe' },
+      { allergen: 'Peanuts', ingredient: 'peanut oil', severity: 'severe' },
+      { allergen: 'milk', ingredient: 'cream', severity: 'mild', uncertain: true }
+    ]
+  })).toBe(
+    'Warning: not safe. Allergen detected: peanuts, severe, in satay sauce and peanut oil. ' +
+    'Possible allergen: milk, mild, in cream, low confidence.'
+  );
+});
+
+test('gives each person eating their own verdict', () => {
+  const checks = [
+    { person: { name: 'Sam' }, result: { status: 'safe', allergen_warnings: [] } },
+    { person: { name: 'Mia' }, result: { status: 'warning', allergen_warnings: [{ allergen: 'sesame', severity: 'moderate' }] } }
+  ];
+  expect(describeResult({}, checks)).toBe(
+    'Warning: not safe for everyone. Sam: safe. Mia: not safe. Allergen detected: sesame, moderate.'
+  );
+});
+
+test('describes the result in the interface language', () => {
+  expect(describeResult({
+    is_safe: false,
+    allergen_warnings: [
+      { allergen: 'milk', ingredient: 'cream', severity: 'severe' },
+      { allergen: 'milk', ingredient: 'butter', severity: 'severe' }
+    ]
+  }, null, 'es')).toBe('Atención: no es seguro. Alérgeno detectado: leche, grave, en cream y butter.');
+});
+
+test('remembers display settings on this device', () => {
+  expect(loadAccessibilitySettings()).toEqual({ highContrast: false, readAloud: false });
+  saveAccessibilitySettings({ highContrast: true, readAloud: true });
+  expect(loadAccessibilitySettings()).toEqual({ highContrast: true, readAloud: true });
+});
+
+test('reads aloud only where the browser can', () => {
+  expect(canSpeak()).toBe(false);
+  expect(speak('Safe to eat.')).toBe(false);
+
+  const spoken = [];
+  window.speechSynthesis = { cancel: jest.fn(), speak: (utterance) => spoken.push(utterance) };
+  window.SpeechSynthesisUtterance = function SpeechSynthesisUtterance(text) {
+    this.text = text;
+  };
+  expect(speak('Safe to eat.')).toBe(true);
+  expect(window.speechSynthesis.cancel).toHaveBeenCalled();
+  expect(spoken[0]).toMatchObject({ text: 'Safe to eat.', lang: expect.stringMatching(/^en/) });
+  speak('Se puede comer.', 'es');
+  expect(spoken[1].lang).toMatch(/^es/);
+});
@@ -0,0 +1,342 @@
+// allergens.js - Client-side allergen matching against the user's profile
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Chinese and Japanese do not separate words, so their terms match anywhere
+const CJK = /[\u3040-\u30ff\u3400-\u9fff]/;
+
+// "eggs" should match "egg yolk" and "scrambled eggs", but not "eggplant".
+// Word edges are any letter, so "blé" and "œufs" work as well as "milk".
+const allergenPattern = (name) => {
+  const stem = name.toLowerCase().trim().replace(/([^s])s$/, '$1');
+  if (CJK.test(stem)) return new RegExp(escapeRegExp(stem));
+  return new RegExp(`(?<![\\p{L}\\p{N}])${escapeRegExp(stem)}(e?s)?(?![\\p{L}\\p{N}])`, 'iu');
+};
+
+export const ingredientMatchesAllergen = (ingredientName, allergenName) => {
+  if (!ingredientName || !allergenName) return false;
+  return allergenPattern(allergenName).test(ingredientName);
+};
+
+// What the profile names ("milk", "tree nuts") covers on an ingredient list.
+// synonyms are other names for the allergen, derived are foods made from it,
+// members are the foods in a family, and exclude lists look-alikes that are
+// not the allergen at all ("cocoa butter" for milk).
+export const ALLERGEN_GROUPS = [
+  {
+    name: 'milk',
+    aliases: ['dairy'],
+    derived: [
+      'casein', 'caseinate', 'whey', 'lactose', 'lactalbumin', 'lactoglobulin', 'butter', 'buttermilk',
+      'cheese', 'cream', 'ghee', 'yogurt', 'yoghurt', 'curd', 'kefir', 'paneer', 'custard', 'milk solids'
+    ],
+    exclude: [
+      'cocoa butter', 'shea butter', 'peanut butter', 'nut butter', 'coconut milk', 'coconut cream',
+      'almond milk', 'oat milk', 'soy milk', 'rice milk', 'cream of tartar'
+    ]
+  },
+  {
+    name: 'lactose',
+    synonyms: ['milk sugar'],
+    derived: ['milk', 'whey', 'cream', 'yogurt', 'yoghurt', 'buttermilk', 'ice cream', 'milk solids'],
+    exclude: ['coconut milk', 'coconut cream', 'almond milk', 'oat milk', 'soy milk', 'rice milk', 'lactose-free', 'lactose free']
+  },
+  {
+    name: 'eggs',
+    derived: ['albumin', 'ovalbumin', 'ovomucoid', 'lysozyme', 'mayonnaise', 'meringue', 'eggnog']
+  },
+  {
+    name: 'peanuts',
+    synonyms: ['groundnut', 'arachis', 'monkey nut', 'goober'],
+    crossReactive: [
+      { terms: ['lupin', 'lupine'], note: 'Lupin is a legume whose proteins often cross-react with peanut' }
+    ]
+  },
+  {
+    name: 'tree nuts',
+    aliases: ['nuts'],
+    members: [
+      'almond', 'cashew', 'walnut', 'pecan', 'pistachio', 'hazelnut', 'filbert', 'brazil nut',
+      'macadamia', 'pine nut', 'chestnut', 'praline', 'marzipan', 'gianduja'
+    ],
+    exclude: ['nutmeg', 'coconut', 'butternut', 'water chestnut', 'peanut', 'groundnut']
+  },
+  {
+    name: 'almonds',
+    derived: ['marzipan', 'frangipane', 'amaretti', 'praline']
+  },
+  {
+    name: 'walnuts',
+    crossReactive: [{ terms: ['pecan'], note: 'Pecans are closely related to walnuts and commonly cross-react' }]
+  },
+  {
+    name: 'cashews',
+    crossReactive: [{ terms: ['pistachio'], note: 'Pistachios are closely related to cashews and commonly cross-react' }]
+  },
+  {
+    name: 'soy',
+    synonyms: ['soya', 'soybean', 'soya bean', 'edamame'],
+    derived: ['tofu', 'tempeh', 'miso', 'natto', 'shoyu', 'tamari', 'textured vegetable protein']
+  },
+  {
+    name: 'wheat',
+    derived: [
+      'semolina', 'durum', 'spelt', 'farina', 'couscous', 'bulgur', 'seitan', 'farro', 'kamut',
+      'einkorn', 'emmer', 'wheat flour'
+    ],
+    exclude: ['buckwheat'],
+    crossReactive: [
+      { terms: ['barley', 'rye'], note: 'Barley and rye are cereal grains closely related to wheat' }
+    ]
+  },
+  {
+    name: 'gluten',
+    members: [
+      'wheat', 'barley', 'rye', 'spelt', 'malt', 'semolina', 'durum', 'triticale', 'seitan',
+      'couscous', 'bulgur', 'farro', 'kamut', 'einkorn', 'emmer'
+    ],
+    exclude: ['buckwheat', 'gluten-free', 'gluten free']
+  },
+  {
+    name: 'fish',
+    members: [
+      'salmon', 'tuna', 'cod', 'haddock', 'anchovy', 'sardine', 'mackerel', 'trout', 'tilapia', 'pollock',
+      'halibut', 'herring', 'bass', 'sole', 'plaice', 'snapper', 'swordfish', 'bonito', 'surimi', 'hake'
+    ],
+    exclude: ['shellfish']
+  },
+  {
+    name: 'shellfish',
+    members: [
+      'shrimp', 'prawn', 'crab', 'lobster', 'crayfish', 'crawfish', 'langoustine', 'krill', 'scampi',
+      'clam', 'mussel', 'oyster', 'scallop', 'squid', 'calamari', 'octopus', 'cuttlefish', 'abalone', 'whelk'
+    ]
+  },
+  {
+    name: 'shrimp',
+    synonyms: ['prawn'],
+    crossReactive: [
+      { terms: ['crab', 'lobster', 'crayfish', 'crawfish', 'langoustine'], note: 'Crustaceans share tropomyosin, the protein behind most shrimp reactions' }
+    ]
+  },
+  {
+    name: 'crab',
+    crossReactive: [
+      { terms: ['shrimp', 'prawn', 'lobster', 'crayfish', 'crawfish', 'langoustine'], note: 'Crustaceans share tropomyosin, the protein behind most crab reactions' }
+    ]
+  },
+  {
+    name: 'sesame',
+    derived: ['tahini', 'tahina', 'halva', 'halvah', 'gomasio', 'sesamol'],
+    synonyms: ['gingelly', 'benne']
+  },
+  {
+    name: 'celery',
+    synonyms: ['celeriac']
+  },
+  {
+    name: 'lupin',
+    synonyms: ['lupine', 'lupini'],
+    crossReactive: [
+      { terms: ['peanut'], note: 'Lupin and peanut are both legumes and often cross-react' }
+    ]
+  },
+  {
+    name: 'sulfites',
+    synonyms: ['sulphite', 'sulfur dioxide', 'sulphur dioxide', 'metabisulfite', 'metabisulphite', 'bisulfite', 'bisulphite']
+  },
+  {
+    name: 'latex',
+    crossReactive: [
+      { terms: ['banana', 'avocado', 'kiwi', 'chestnut', 'papaya', 'passion fruit'], note: 'Latex-fruit syndrome: these foods share proteins with natural latex' }
+    ]
+  }
+];
+
+// The profile's quick-add allergens in the languages our users read labels in.
+// Parentheses and "・" separate alternative names; every one of them is matched.
+export const ALLERGEN_TRANSLATIONS = {
+  milk: { es: 'leche', fr: 'lait', de: 'Milch', it: 'latte', pt: 'leite', ja: '牛乳（乳製品）', zh: '牛奶' },
+  eggs: { es: 'huevos', fr: 'œufs', de: 'Eier', it: 'uova', pt: 'ovos', ja: '卵', zh: '鸡蛋' },
+  peanuts: { es: 'cacahuetes (maní)', fr: 'arachides (cacahuètes)', de: 'Erdnüsse', it: 'arachidi', pt: 'amendoim', ja: '落花生（ピーナッツ）', zh: '花生' },
+  'tree nuts': { es: 'frutos secos', fr: 'fruits à coque', de: 'Schalenfrüchte (Nüsse)', it: 'frutta a guscio', pt: 'frutos de casca rija (nozes)', ja: '木の実類（ナッツ類）', zh: '坚果' },
+  almonds: { es: 'almendras', fr: 'amandes', de: 'Mandeln', it: 'mandorle', pt: 'amêndoas', ja: 'アーモンド', zh: '杏仁' },
+  walnuts: { es: 'nueces', fr: 'noix', de: 'Walnüsse', it: 'noci', pt: 'nozes', ja: 'くるみ', zh: '核桃' },
+  soy: { es: 'soja', fr: 'soja', de: 'Soja', it: 'soia', pt: 'soja', ja: '大豆', zh: '大豆' },
+  wheat: { es: 'trigo', fr: 'blé', de: 'Weizen', it: 'frumento', pt: 'trigo', ja: '小麦', zh: '小麦' },
+  shellfish: { es: 'mariscos', fr: 'fruits de mer', de: 'Meeresfrüchte', it: 'frutti di mare', pt: 'mariscos', ja: '甲殻類・貝類', zh: '贝类海鲜' },
+  shrimp: { es: 'gambas (camarones)', fr: 'crevettes', de: 'Garnelen', it: 'gamberi', pt: 'camarão', ja: 'えび', zh: '虾' },
+  crab: { es: 'cangrejo', fr: 'crabe', de: 'Krabbe', it: 'granchio', pt: 'caranguejo', ja: 'かに', zh: '蟹' },
+  fish: { es: 'pescado', fr: 'poisson', de: 'Fisch', it: 'pesce', pt: 'peixe', ja: '魚', zh: '鱼' },
+  salmon: { es: 'salmón', fr: 'saumon', de: 'Lachs', it: 'salmone', pt: 'salmão', ja: 'さけ', zh: '三文鱼' },
+  sesame: { es: 'sésamo', fr: 'sésame', de: 'Sesam', it: 'sesamo', pt: 'sésamo (gergelim)', ja: 'ごま', zh: '芝麻' },
+  mustard: { es: 'mostaza', fr: 'moutarde', de: 'Senf', it: 'senape', pt: 'mostarda', ja: 'マスタード', zh: '芥末' },
+  celery: { es: 'apio', fr: 'céleri', de: 'Sellerie', it: 'sedano', pt: 'aipo', ja: 'セロリ', zh: '芹菜' },
+  lupin: { es: 'altramuces', fr: 'lupin', de: 'Lupinen', it: 'lupini', pt: 'tremoço', ja: 'ルピナス', zh: '羽扇豆' },
+  sulfites: { es: 'sulfitos', fr: 'sulfites', de: 'Sulfite', it: 'solfiti', pt: 'sulfitos', ja: '亜硫酸塩', zh: '亚硫酸盐' },
+  gluten: { es: 'gluten', fr: 'gluten', de: 'Gluten', it: 'glutine', pt: 'glúten', ja: 'グルテン', zh: '麸质' },
+  cheese: { es: 'queso', fr: 'fromage', de: 'Käse', it: 'formaggio', pt: 'queijo', ja: 'チーズ', zh: '奶酪' },
+  butter: { es: 'mantequilla', fr: 'beurre', de: 'Butter', it: 'burro', pt: 'manteiga', ja: 'バター', zh: '黄油' },
+  lactose: { es: 'lactosa', fr: 'lactose', de: 'Laktose', it: 'lattosio', pt: 'lactose', ja: '乳糖', zh: '乳糖' }
+};
+
+const translationTerms = (translation) => translation.split(/[()（）・]/).map(t => t.trim()).filter(Boolean);
+
+// An allergen's name in another language, for display; unknown names are kept as entered
+export const translateAllergen = (name, lang) => ALLERGEN_TRANSLATIONS[name.toLowerCase()]?.[lang] || name;
+
+// "Tree nut" and "tree nuts" name the same allergen
+const sameName = (a, b) => {
+  const normalize = (name) => name.toLowerCase().trim().replace(/([^s])e?s$/, '$1');
+  return normalize(a) === normalize(b);
+};
+
+// An allergy entered as "leche" is the milk allergy, and one entered as "peanut" the peanuts allergy
+export const toEnglishAllergen = (allergenName) => {
+  const entry = Object.entries(ALLERGEN_TRANSLATIONS).find(([english, translations]) => (
+    [english, ...Object.values(translations)].some(translation => (
+      translationTerms(translation).some(term => sameName(term, allergenName))
+    ))
+  ));
+  return entry ? entry[0] : allergenName;
+};
+
+const sameAllergen = (a, b) => sameName(toEnglishAllergen(a), toEnglishAllergen(b));
+
+const findGroup = (allergenName) => ALLERGEN_GROUPS.find(group => (
+  [group.name, ...(group.aliases || [])].some(name => sameAllergen(name, allergenName))
+));
+
+// English vocabulary named in a foreign ingredient: "queso fresco" -> cheese (Spanish)
+const findTranslations = (ingredientName) => {
+  const found = [];
+  Object.entries(ALLERGEN_TRANSLATIONS).forEach(([english, translations]) => {
+    Object.entries(translations).forEach(([lang, translation]) => {
+      // German "Butter" is English butter; leave those to the exclusions of the English match
+      const term = translationTerms(translation)
+        .find(t => !sameName(t, english) && ingredientMatchesAllergen(ingredientName, t));
+      if (term && !found.some(f => f.english === english)) found.push({ english, term, lang });
+    });
+  });
+  return found;
+};
+
+const findTerm = (ingredientName, terms) => (terms || []).find(term => ingredientMatchesAllergen(ingredientName, term));
+
+// Remove look-alikes first, so "cocoa butter, milk" still matches milk
+const withoutExclusions = (ingredientName, group) => (group?.exclude || []).reduce(
+  (name, phrase) => name.replace(new RegExp(`\\b${escapeRegExp(phrase)}\\b`, 'gi'), ' '),
+  ingredientName
+);
+
+const matchAllergen = (ingredientName, allergenName) => {
+  const group = findGroup(allergenName);
+  const name = withoutExclusions(ingredientName, group);
+
+  if (ingredientMatchesAllergen(name, allergenName)) {
+    return { type: 'direct', term: allergenName, reason: { id: 'listed', allergen: allergenName } };
+  }
+  if (group) {
+    const alias = findTerm(name, [group.name, ...(group.aliases || [])]);
+    if (alias) return { type: 'direct', term: alias, reason: { id: 'alias', term: alias, allergen: allergenName } };
+
+    const synonym = findTerm(name, group.synonyms);
+    if (synonym) return { type: 'synonym', term: synonym, reason: { id: 'synonym', term: synonym, allergen: allergenName } };
+
+    const derived = findTerm(name, group.derived);
+    if (derived) return { type: 'derived', term: derived, reason: { id: 'derived', term: derived, allergen: allergenName } };
+
+    const member = findTerm(name, group.members);
+    if (member) return { type: 'family', term: member, reason: { id: 'member', term: member, group: group.name } };
+  }
+
+  // An almond allergy is also triggered by an unspecified "tree nuts" or "nuts"
+  const parent = ALLERGEN_GROUPS.find(g => (g.members || []).some(member => sameAllergen(member, allergenName)));
+  if (parent) {
+    const familyName = findTerm(withoutExclusions(ingredientName, parent), [parent.name, ...(parent.aliases || [])]);
+    if (familyName) {
+      return { type: 'family', term: familyName, reason: { id: 'parent', term: familyName, allergen: allergenName } };
+    }
+  }
+
+  for (const cross of group?.crossReactive || []) {
+    const term = findTerm(name, cross.terms);
+    if (term) {
+      return { type: 'cross-reactive', term, reason: { id: 'crossReactive', term, allergen: allergenName, note: cross.note } };
+    }
+  }
+  return null;
+};
+
+// Why an ingredient triggers an allergen: { type, term, reason }, or null when it does not.
+// type is 'direct', 'synonym', 'derived', 'family', 'cross-reactive' (a related
+// food that often causes the same reaction) or 'translation' (the allergen named
+// in another language). Allergies and ingredients may be in different languages.
+// reason is { id, ...values } for the interface to put into words in its own language;
+// a translation carries the reason for the English word it stands for as detail.
+export const explainMatch = (ingredientName, allergenName) => {
+  if (!ingredientName || !allergenName) return null;
+  const match = matchAllergen(ingredientName, allergenName);
+  if (match) return match;
+
+  for (const { english, term, lang } of findTranslations(ingredientName)) {
+    const translated = matchAllergen(english, allergenName);
+    if (translated) {
+      const reason = { id: 'translation', term, lang, english };
+      return translated.type === 'direct'
+        ? { type: 'translation', term, reason }
+        : { ...translated, term, reason: { ...reason, detail: translated.reason } };
+    }
+  }
+  return null;
+};
+
+// Build allergen warnings in the same shape the backend returns, plus the reason for each match
+export const checkIngredients = (ingredients, allergies) => {
+  const warnings = [];
+  (allergies || []).forEach(allergy => {
+    (ingredients || []).forEach(ingredient => {
+      const match = explainMatch(ingredient.name, allergy.name);
+      if (match) {
+        warnings.push({
+          allergen: allergy.name,
+          ingredient: ingredient.name,
+          severity: allergy.severity,
+          confidence: ingredient.confidence ?? null,
+          match
+        });
+      }
+    });
+  });
+  return warnings;
+};
+
+const warningKey = (warning) => `${warning.allergen?.toLowerCase()}|${warning.ingredient?.toLowerCase()}`;
+
+// Re-evaluate a scan against the current allergy list. Warnings the server
+// raised are kept while the allergen is still in the profile, since its
+// analysis can see things an ingredient name does not say.
+export const recheckScan = (scan, allergies) => {
+  if (!scan.ingredients) return scan;
+  const { warnings, ...rest } = scan; // history entries name the list "warnings"
+  const current = allergies || [];
+  const allergenWarnings = checkIngredients(scan.ingredients, current);
+  const found = new Set(allergenWarnings.map(warningKey));
+
+  (scan.allergen_warnings || warnings || []).forEach(warning => {
+    const allergy = current.find(a => sameAllergen(a.name, warning.allergen || ''));
+    if (!allergy || found.has(warningKey(warning))) return;
+    found.add(warningKey(warning));
+    allergenWarnings.push({
+      ...warning,
+      severity: allergy.severity,
+      match: warning.match || { type: 'reported', term: warning.allergen, reason: { id: 'reported' } }
+    });
+  });
+
+  return {
+    ...rest,
+    allergen_warnings: allergenWarnings,
+    is_safe: allergenWarnings.length === 0
+  };
+};
@@ -0,0 +1,101 @@
+import { ingredientMatchesAllergen, explainMatch, checkIngredients, recheckScan, translateAllergen } from './allergens';
+
+test('matches allergen names as whole words, with or without a plural', () => {
+  expect(ingredientMatchesAllergen('scrambled eggs', 'eggs')).toBe(true);
+  expect(ingredientMatchesAllergen('egg yolk', 'eggs')).toBe(true);
+  expect(ingredientMatchesAllergen('eggplant', 'eggs')).toBe(false);
+  expect(ingredientMatchesAllergen('Roasted Peanuts', 'peanuts')).toBe(true);
+  expect(ingredientMatchesAllergen('sulfite', 'sulfites')).toBe(true);
+});
+
+test('builds warnings with the severity from the profile', () => {
+  const warnings = checkIngredients(
+    [{ name: 'peanut sauce', confidence: 0.9 }, { name: 'rice', confidence: 0.95 }],
+    [{ name: 'peanuts', severity: 'severe' }, { name: 'milk', severity: 'mild' }]
+  );
+  expect(warnings).toEqual([
+    {
+      allergen: 'peanuts',
+      ingredient: 'peanut sauce',
+      severity: 'severe',
+      confidence: 0.9,
+      match: { type: 'direct', term: 'peanuts', reason: { id: 'listed', allergen: 'peanuts' } }
+    }
+  ]);
+});
+
+test('matches synonyms, derived ingredients and family members', () => {
+  expect(explainMatch('whey powder', 'milk')).toMatchObject({ type: 'derived', term: 'whey' });
+  expect(explainMatch('Sodium caseinate', 'milk')).toMatchObject({ type: 'derived', term: 'caseinate' });
+  expect(explainMatch('roasted cashews', 'tree nuts')).toMatchObject({ type: 'family', term: 'cashew' });
+  expect(explainMatch('garlic prawns', 'shellfish')).toMatchObject({ type: 'family', term: 'prawn' });
+  expect(explainMatch('garlic prawns', 'shrimp')).toMatchObject({ type: 'synonym', term: 'prawn' });
+  expect(explainMatch('groundnut oil', 'peanuts')).toMatchObject({ type: 'synonym', term: 'groundnut' });
+  expect(explainMatch('mixed nuts', 'almonds')).toMatchObject({
+    type: 'family',
+    reason: { id: 'parent', term: 'nuts', allergen: 'almonds' }
+  });
+});
+
+test('ignores look-alikes that are not the allergen', () => {
+  expect(explainMatch('cocoa butter', 'milk')).toBeNull();
+  expect(explainMatch('coconut milk', 'milk')).toBeNull();
+  expect(explainMatch('cocoa butter, milk powder', 'milk')).toMatchObject({ type: 'direct' });
+  expect(explainMatch('nutmeg', 'tree nuts')).toBeNull();
+  expect(explainMatch('buckwheat noodles', 'wheat')).toBeNull();
+  expect(explainMatch('rice', 'milk')).toBeNull();
+});
+
+test('flags known cross-reactive foods with the reason', () => {
+  const match = explainMatch('lupin flour', 'peanuts');
+  expect(match.type).toBe('cross-reactive');
+  expect(match.reason).toMatchObject({ id: 'crossReactive', term: 'lupin', allergen: 'peanuts' });
+  expect(match.reason.note).toMatch(/legume/);
+  expect(explainMatch('boiled crab', 'shrimp')).toMatchObject({ type: 'cross-reactive', term: 'crab' });
+});
+
+test('re-checks a stored scan against the current allergy list', () => {
+  const scan = { id: 7, is_safe: true, allergen_warnings: [], ingredients: [{ name: 'milk chocolate' }] };
+  const result = recheckScan(scan, [{ name: 'milk', severity: 'moderate' }]);
+  expect(result.is_safe).toBe(false);
+  expect(result.allergen_warnings).toHaveLength(1);
+  expect(result.id).toBe(7);
+});
+
+test('keeps server warnings only for allergens still in the profile', () => {
+  const scan = {
+    is_safe: false,
+    ingredients: [{ name: 'curry sauce', confidence: 0.7 }],
+    warnings: [
+      { allergen: 'mustard', ingredient: 'curry sauce', severity: 'mild' },
+      { allergen: 'celery', ingredient: 'curry sauce', severity: 'mild' }
+    ]
+  };
+  const result = recheckScan(scan, [{ name: 'mustard', severity: 'severe' }]);
+  expect(result.warnings).toBeUndefined();
+  expect(result.allergen_warnings).toEqual([
+    expect.objectContaining({ allergen: 'mustard', severity: 'severe', match: expect.objectContaining({ type: 'reported' }) })
+  ]);
+  expect(recheckScan(scan, []).is_safe).toBe(true);
+});
+
+test('matches allergies and ingredients named in different languages', () => {
+  expect(explainMatch('leche entera', 'milk')).toEqual({
+    type: 'translation', term: 'leche', reason: { id: 'translation', term: 'leche', lang: 'es', english: 'milk' }
+  });
+  expect(explainMatch('queso fresco', 'milk')).toMatchObject({
+    type: 'derived',
+    term: 'queso',
+    reason: {
+      id: 'translation', term: 'queso', lang: 'es', english: 'cheese',
+      detail: { id: 'derived', term: 'cheese', allergen: 'milk' }
+    }
+  });
+  expect(explainMatch('farine de blé', 'gluten')).toMatchObject({ type: 'family', term: 'blé' });
+  expect(explainMatch('ごま油', 'sesame')).toMatchObject({ type: 'translation', term: 'ごま' });
+  expect(explainMatch('whey powder', 'Milch')).toMatchObject({ type: 'derived', term: 'whey' });
+  expect(explainMatch('cocoa butter', 'milk')).toBeNull();
+  expect(explainMatch('豆乳', 'milk')).toBeNull();
+  expect(translateAllergen('Eggs', 'ja')).toBe('卵');
+  expect(translateAllergen('kiwi', 'fr')).toBe('kiwi');
+});
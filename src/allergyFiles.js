@@ -0,0 +1,251 @@
+// allergyFiles.js - Moving allergy lists in and out: FoodGuard JSON, FHIR AllergyIntolerance and CSV
+import { toEnglishAllergen } from './allergens';
+
+const SEVERITIES = ['mild', 'moderate', 'severe'];
+const DEFAULT_SEVERITY = 'moderate';
+
+const JSON_FORMAT = 'foodguard-allergies';
+
+// FHIR has no code for our reaction types, so manifestations travel as text
+const MANIFESTATIONS = {
+  skin: 'Skin reaction',
+  swelling: 'Swelling',
+  digestive: 'Digestive symptoms',
+  respiratory: 'Breathing difficulty',
+  anaphylaxis: 'Anaphylaxis',
+  other: 'Other reaction'
+};
+
+// Also carried as a note, since AllergyIntolerance has no field for it
+const EPINEPHRINE_NOTE = 'Epinephrine auto-injector prescribed';
+
+const CLINICAL_STATUS = 'http://terminology.hl7.org/CodeSystem/allergyintolerance-clinical';
+const VERIFICATION_STATUS = 'http://terminology.hl7.org/CodeSystem/allergyintolerance-verification';
+
+const isDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value || '');
+
+// Every imported allergy takes the same shape as one entered by hand. Names are
+// stored in English where we know the allergen, so "Leche" merges with "milk".
+export const normalizeAllergy = (raw) => {
+  const name = String(raw.name || '').trim();
+  if (!name) return null;
+  const severity = String(raw.severity || '').trim().toLowerCase();
+  const reaction = String(raw.reaction_type || '').trim().toLowerCase();
+  const diagnosed = String(raw.diagnosed_on || '').trim().slice(0, 10);
+  return {
+    name: toEnglishAllergen(name).toLowerCase(),
+    severity: SEVERITIES.includes(severity) ? severity : DEFAULT_SEVERITY,
+    notes: String(raw.notes || '').trim(),
+    reaction_type: MANIFESTATIONS[reaction] ? reaction : '',
+    diagnosed_on: isDate(diagnosed) ? diagnosed : '',
+    epinephrine: raw.epinephrine === true || /^(true|yes|y|1)$/i.test(String(raw.epinephrine ?? '').trim())
+  };
+};
+
+export const buildAllergyJson = (allergies) => JSON.stringify({
+  format: JSON_FORMAT,
+  version: 1,
+  exported_at: new Date().toISOString(),
+  allergies
+}, null, 2);
+
+const toAllergyIntolerance = (allergy, patient) => ({
+  resourceType: 'AllergyIntolerance',
+  clinicalStatus: { coding: [{ system: CLINICAL_STATUS, code: 'active' }] },
+  verificationStatus: {
+    coding: [{ system: VERIFICATION_STATUS, code: allergy.diagnosed_on ? 'confirmed' : 'unconfirmed' }]
+  },
+  type: 'allergy',
+  category: ['food'],
+  criticality: allergy.severity === 'severe' ? 'high' : 'low',
+  code: { text: allergy.name },
+  patient: { display: patient },
+  ...(allergy.diagnosed_on && { recordedDate: allergy.diagnosed_on }),
+  reaction: [{
+    manifestation: [{ text: MANIFESTATIONS[allergy.reaction_type] || 'Not specified' }],
+    severity: allergy.severity
+  }],
+  ...((allergy.notes || allergy.epinephrine) && {
+    note: [
+      ...(allergy.notes ? [{ text: allergy.notes }] : []),
+      ...(allergy.epinephrine ? [{ text: EPINEPHRINE_NOTE }] : [])
+    ]
+  })
+});
+
+// A collection Bundle, which clinic systems and patient apps import as a batch
+export const buildFhirBundle = (allergies, { patient }) => JSON.stringify({
+  resourceType: 'Bundle',
+  type: 'collection',
+  timestamp: new Date().toISOString(),
+  entry: allergies.map(allergy => ({ resource: toAllergyIntolerance(allergy, patient) }))
+}, null, 2);
+
+export const ALLERGY_EXPORT_FORMATS = ['json', 'fhir'];
+
+export const exportAllergies = (format, allergies, { patient }) => {
+  const body = format === 'fhir' ? buildFhirBundle(allergies, { patient }) : buildAllergyJson(allergies);
+  const name = format === 'fhir' ? 'foodguard-allergies.fhir.json' : 'foodguard-allergies.json';
+  return new File([body], name, { type: format === 'fhir' ? 'application/fhir+json' : 'application/json' });
+};
+
+const codeOf = (concept) => concept?.coding?.[0]?.code;
+
+// Resolved, refuted and mistaken records are history, not allergies to check for
+const isCurrent = (resource) => (
+  !['inactive', 'resolved'].includes(codeOf(resource.clinicalStatus)) &&
+  !['refuted', 'entered-in-error'].includes(codeOf(resource.verificationStatus))
+);
+
+const fromAllergyIntolerance = (resource) => {
+  const reactions = resource.reaction || [];
+  const severity = SEVERITIES.filter(s => reactions.some(r => r.severity === s)).pop() ||
+    (resource.criticality === 'high' ? 'severe' : DEFAULT_SEVERITY);
+  const manifestations = reactions.flatMap(r => r.manifestation || [])
+    .map(m => m.text || m.coding?.[0]?.display || '');
+  const reaction = Object.keys(MANIFESTATIONS).find(type => (
+    manifestations.some(text => text.toLowerCase().includes(type === 'respiratory' ? 'breath' : type))
+  ));
+  const notes = (resource.note || []).map(n => n.text).filter(Boolean);
+  return {
+    name: resource.code?.text || resource.code?.coding?.[0]?.display,
+    severity,
+    reaction_type: reaction || '',
+    diagnosed_on: resource.recordedDate || resource.onsetDateTime || '',
+    epinephrine: notes.includes(EPINEPHRINE_NOTE),
+    notes: notes.filter(text => text !== EPINEPHRINE_NOTE).join('\n')
+  };
+};
+
+const fromFhir = (data) => {
+  const resources = data.resourceType === 'Bundle'
+    ? (data.entry || []).map(entry => entry.resource).filter(r => r?.resourceType === 'AllergyIntolerance')
+    : [data];
+  const current = resources.filter(isCurrent);
+  return { rows: current.map(fromAllergyIntolerance), skipped: resources.length - current.length };
+};
+
+const parseCsvRows = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i += 1) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i += 1;
+      } else if (char === '"') quoted = false;
+      else cell += char;
+    } else if (char === '"') quoted = true;
+    else if (char === ',' || char === ';') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i += 1;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else cell += char;
+  }
+  row.push(cell);
+  rows.push(row);
+  return rows.filter(r => r.some(value => value.trim()));
+};
+
+// Header names people are likely to use for each column
+const CSV_COLUMNS = {
+  name: ['name', 'allergen', 'allergy', 'substance'],
+  severity: ['severity'],
+  reaction_type: ['reaction', 'reaction_type', 'reaction type'],
+  diagnosed_on: ['diagnosed', 'diagnosed_on', 'diagnosed on', 'date'],
+  epinephrine: ['epinephrine', 'auto-injector', 'autoinjector', 'epipen'],
+  notes: ['notes', 'note', 'comment', 'comments']
+};
+
+// With a header row, columns are found by name; without one, it is name then severity
+const fromCsv = (text) => {
+  const rows = parseCsvRows(text.replace(/^\uFEFF/, ''));
+  const header = (rows[0] || []).map(cell => cell.trim().toLowerCase());
+  const hasHeader = CSV_COLUMNS.name.some(name => header.includes(name));
+  const columns = hasHeader
+    ? Object.fromEntries(Object.entries(CSV_COLUMNS).map(([field, names]) => (
+      [field, header.findIndex(cell => names.includes(cell))]
+    )))
+    : { name: 0, severity: 1 };
+  return {
+    rows: (hasHeader ? rows.slice(1) : rows).map(row => Object.fromEntries(
+      Object.entries(columns).filter(([, index]) => index >= 0).map(([field, index]) => [field, row[index]])
+    )),
+    skipped: 0
+  };
+};
+
+// The stricter severity wins; details already on the profile are kept and gaps are filled in
+export const mergeAllergy = (current, incoming) => ({
+  ...current,
+  severity: SEVERITIES.indexOf(incoming.severity) > SEVERITIES.indexOf(current.severity)
+    ? incoming.severity
+    : current.severity,
+  reaction_type: current.reaction_type || incoming.reaction_type,
+  diagnosed_on: current.diagnosed_on || incoming.diagnosed_on,
+  epinephrine: !!current.epinephrine || incoming.epinephrine,
+  notes: current.notes || incoming.notes
+});
+
+// Reads any supported file into { allergies, skipped }; throws when the file is none of them
+export const parseAllergyFile = (text) => {
+  let data = null;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    // not JSON - read it as CSV
+  }
+  let parsed;
+  if (data?.resourceType === 'Bundle' || data?.resourceType === 'AllergyIntolerance') {
+    parsed = fromFhir(data);
+  } else if (Array.isArray(data) || Array.isArray(data?.allergies)) {
+    parsed = { rows: Array.isArray(data) ? data : data.allergies, skipped: 0 };
+  } else if (data === null) {
+    parsed = fromCsv(text);
+  } else {
+    throw new Error('Unrecognized file format');
+  }
+
+  const allergies = [];
+  let skipped = parsed.skipped;
+  parsed.rows.forEach(row => {
+    const allergy = row && typeof row === 'object' ? normalizeAllergy(row) : null;
+    if (!allergy) {
+      skipped += 1;
+      return;
+    }
+    // The same allergen twice in one file becomes one entry
+    const index = allergies.findIndex(a => a.name === allergy.name);
+    if (index >= 0) allergies[index] = mergeAllergy(allergies[index], allergy);
+    else allergies.push(allergy);
+  });
+  return { allergies, skipped };
+};
+
+const sameEntry = (a, b) => ['severity', 'reaction_type', 'diagnosed_on', 'epinephrine', 'notes']
+  .every(field => (a[field] || '') === (b[field] || ''));
+
+// The preview of an import: { merged, changes: [{ allergy, status: 'new' | 'updated' | 'unchanged' }] }
+export const planAllergyImport = (current, incoming) => {
+  const merged = [...current];
+  const changes = incoming.map(allergy => {
+    const index = merged.findIndex(a => a.name.toLowerCase() === allergy.name);
+    if (index < 0) {
+      merged.push(allergy);
+      return { allergy, status: 'new' };
+    }
+    const combined = mergeAllergy(merged[index], allergy);
+    if (sameEntry(combined, merged[index])) return { allergy: merged[index], status: 'unchanged' };
+    merged[index] = combined;
+    return { allergy: combined, status: 'updated' };
+  });
+  return { merged, changes };
+};
@@ -0,0 +1,82 @@
+import {
+  normalizeAllergy, buildAllergyJson, buildFhirBundle, parseAllergyFile, planAllergyImport
+} from './allergyFiles';
+
+const allergies = [
+  {
+    name: 'peanuts', severity: 'severe', notes: 'Carries two pens', reaction_type: 'anaphylaxis',
+    diagnosed_on: '2019-04-02', epinephrine: true
+  },
+  { name: 'sesame', severity: 'mild', notes: '', reaction_type: '', diagnosed_on: '', epinephrine: false }
+];
+
+test('round-trips the profile through its own JSON and through FHIR', () => {
+  expect(parseAllergyFile(buildAllergyJson(allergies))).toEqual({ allergies, skipped: 0 });
+
+  const bundle = JSON.parse(buildFhirBundle(allergies, { patient: 'Sam Blake' }));
+  expect(bundle.entry[0].resource).toMatchObject({
+    resourceType: 'AllergyIntolerance',
+    category: ['food'],
+    criticality: 'high',
+    code: { text: 'peanuts' },
+    patient: { display: 'Sam Blake' },
+    recordedDate: '2019-04-02',
+    reaction: [{ manifestation: [{ text: 'Anaphylaxis' }], severity: 'severe' }]
+  });
+  expect(bundle.entry[1].resource.verificationStatus.coding[0].code).toBe('unconfirmed');
+  expect(parseAllergyFile(JSON.stringify(bundle))).toEqual({ allergies, skipped: 0 });
+});
+
+test('reads clinic FHIR records, leaving out resolved and refuted ones', () => {
+  const resource = (text, changes) => ({ resource: { resourceType: 'AllergyIntolerance', code: { text }, ...changes } });
+  const bundle = {
+    resourceType: 'Bundle',
+    entry: [
+      resource('Cow milk', { criticality: 'high', onsetDateTime: '2015-06-01T00:00:00Z' }),
+      resource('Shrimp', { clinicalStatus: { coding: [{ code: 'resolved' }] } }),
+      resource('Kiwi', { verificationStatus: { coding: [{ code: 'refuted' }] } }),
+      { resource: { resourceType: 'Patient' } },
+      { resource: { resourceType: 'AllergyIntolerance', code: { coding: [{ display: 'Leche' }] } } }
+    ]
+  };
+  const { allergies: imported, skipped } = parseAllergyFile(JSON.stringify(bundle));
+  expect(imported.map(a => [a.name, a.severity, a.diagnosed_on])).toEqual([
+    ['cow milk', 'severe', '2015-06-01'],
+    ['milk', 'moderate', '']
+  ]);
+  expect(skipped).toBe(2);
+});
+
+test('reads a CSV with or without a header row', () => {
+  const csv = 'Allergen;Severity;Notes;EpiPen\r\npeanut;SEVERE;"hives, then ""swelling""";yes\r\n;mild;;\r\nsoy;unknown;;\r\n';
+  expect(parseAllergyFile(csv)).toEqual({
+    allergies: [
+      normalizeAllergy({ name: 'peanuts', severity: 'severe', notes: 'hives, then "swelling"', epinephrine: true }),
+      normalizeAllergy({ name: 'soy' })
+    ],
+    skipped: 1
+  });
+  expect(parseAllergyFile('eggs,mild\nmustard').allergies.map(a => [a.name, a.severity])).toEqual([
+    ['eggs', 'mild'], ['mustard', 'moderate']
+  ]);
+  expect(() => parseAllergyFile('{"patients": []}')).toThrow('Unrecognized file format');
+});
+
+test('previews an import, merging duplicates into the existing allergies', () => {
+  const current = [allergies[1], { ...allergies[0], notes: '' }];
+  const incoming = [
+    normalizeAllergy({ name: 'Sesame', severity: 'severe', reaction_type: 'skin' }),
+    normalizeAllergy({ name: 'peanuts', severity: 'mild', notes: 'Carries two pens' }),
+    normalizeAllergy({ name: 'sesame seeds' }),
+    normalizeAllergy({ name: 'peanuts', severity: 'severe', diagnosed_on: '2019-04-02' })
+  ];
+  const { merged, changes } = planAllergyImport(current, incoming);
+  expect(changes.map(c => [c.allergy.name, c.status])).toEqual([
+    ['sesame', 'updated'], ['peanuts', 'updated'], ['sesame seeds', 'new'], ['peanuts', 'unchanged']
+  ]);
+  expect(merged).toEqual([
+    { ...allergies[1], severity: 'severe', reaction_type: 'skin' },
+    allergies[0],
+    incoming[2]
+  ]);
+});
@@ -0,0 +1,289 @@
+// api.js - Shared API client for the FoodGuard backend
+import axios from 'axios';
+
+// Enhanced Configuration with better error handling
+export const API_BASE = process.env.REACT_APP_API_URL ||
+                        (process.env.NODE_ENV === 'production'
+                          ? 'https://foodguard-backend.onrender.com/api'
+                          : 'http://localhost:5000/api');
+
+export const DEFAULT_TIMEOUT = 20000;   // 20s for regular JSON calls
+// Image analysis can take a while on cold starts - override with REACT_APP_ANALYZE_TIMEOUT_MS
+export const ANALYZE_TIMEOUT = Number(process.env.REACT_APP_ANALYZE_TIMEOUT_MS) || 90000;
+export const MAX_GET_RETRIES = 2;
+
+export const REFRESH_MARGIN = 60000;    // renew the access token a minute before it expires
+
+const TOKEN_KEY = 'access_token';
+const REFRESH_KEY = 'refresh_token';
+const SESSION_EVENT_KEY = 'session_event';
+const REFRESH_LOCK = 'foodguard-token-refresh';
+
+// Token storage - the only place that touches localStorage for auth
+export const tokenStorage = {
+  get: () => localStorage.getItem(TOKEN_KEY),
+  getRefresh: () => localStorage.getItem(REFRESH_KEY),
+  save: ({ access_token, refresh_token }) => {
+    localStorage.setItem(TOKEN_KEY, access_token);
+    if (refresh_token) localStorage.setItem(REFRESH_KEY, refresh_token);
+  },
+  clear: () => {
+    localStorage.removeItem(TOKEN_KEY);
+    localStorage.removeItem(REFRESH_KEY);
+  }
+};
+
+// Read the `exp` claim of a JWT, in milliseconds
+export const getTokenExpiry = (token) => {
+  try {
+    const payload = token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/');
+    const { exp } = JSON.parse(atob(payload));
+    return exp ? exp * 1000 : null;
+  } catch {
+    return null;
+  }
+};
+
+// Multi-tab session sync - storage events only fire in the *other* tabs
+export const broadcastSessionEvent = (type) => {
+  localStorage.setItem(SESSION_EVENT_KEY, JSON.stringify({ type, at: Date.now() }));
+};
+
+export const onOtherTabSessionChange = (handler) => {
+  const listener = (event) => {
+    if (event.key === SESSION_EVENT_KEY && event.newValue) {
+      handler(JSON.parse(event.newValue).type);
+    } else if (event.key === TOKEN_KEY && event.newValue) {
+      handler('token-refreshed');
+    }
+  };
+  window.addEventListener('storage', listener);
+  return () => window.removeEventListener('storage', listener);
+};
+
+// Typed errors so every screen can react the same way. An error with a code carries
+// our own default message, which the interface shows translated as error.<code>;
+// one without a code has the server's own message.
+export class ApiError extends Error {
+  constructor(message, { status = null, data = null, cause = null, code = null } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.data = data;
+    this.cause = cause;
+    this.code = code;
+  }
+}
+
+export class NetworkError extends ApiError {
+  constructor(message, options) {
+    super(message || 'Cannot connect to server. Please check your internet connection.', {
+      ...options, code: message ? null : 'network'
+    });
+    this.name = 'NetworkError';
+  }
+}
+
+export class TimeoutError extends ApiError {
+  constructor(message, options) {
+    super(message || 'The server took too long to respond. Please try again.', {
+      ...options, code: message ? null : 'timeout'
+    });
+    this.name = 'TimeoutError';
+  }
+}
+
+export class CancelledError extends ApiError {
+  constructor(message, options) {
+    super(message || 'Request was cancelled', { ...options, code: message ? null : 'cancelled' });
+    this.name = 'CancelledError';
+  }
+}
+
+export class HttpError extends ApiError {
+  constructor(message, options) {
+    super(message || `Server error: ${options?.status}`, { ...options, code: message ? null : 'server' });
+    this.name = 'HttpError';
+  }
+}
+
+export class UnauthorizedError extends HttpError {
+  constructor(message, options) {
+    super(message || 'Your session has ended. Please sign in again.', options);
+    if (!message) this.code = 'unauthorized';
+    this.name = 'UnauthorizedError';
+  }
+}
+
+// Pull a readable message out of whatever the server sent back (JSON or not)
+const extractMessage = (data) => (
+  data && typeof data === 'object' ? data.error || data.message || null : null
+);
+
+export const toApiError = (error) => {
+  if (error instanceof ApiError) return error;
+
+  if (axios.isCancel(error)) {
+    return new CancelledError(undefined, { cause: error });
+  }
+
+  if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
+    return new TimeoutError(undefined, { cause: error });
+  }
+
+  if (error.response) {
+    const { status, data } = error.response;
+    const options = { status, data, cause: error };
+    if (status === 401) {
+      return new UnauthorizedError(data?.error, options);
+    }
+    return new HttpError(extractMessage(data), options);
+  }
+
+  return new NetworkError(undefined, { cause: error });
+};
+
+// Single logout path for tokens that are rejected and cannot be refreshed
+let unauthorizedHandler = null;
+
+export const onUnauthorized = (handler) => {
+  unauthorizedHandler = handler;
+  return () => {
+    if (unauthorizedHandler === handler) unauthorizedHandler = null;
+  };
+};
+
+const isRetriable = (error) => {
+  if (axios.isCancel(error)) return false;
+  if (!error.response) return true; // network failure or timeout
+  return error.response.status >= 500 || error.response.status === 429;
+};
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+export const apiClient = axios.create({
+  baseURL: API_BASE,
+  timeout: DEFAULT_TIMEOUT,
+  headers: { 'Accept': 'application/json' }
+});
+
+// Attach the bearer token to every request
+apiClient.interceptors.request.use((config) => {
+  const token = tokenStorage.get();
+  if (token && !config.headers.Authorization) {
+    config.headers.Authorization = `Bearer ${token}`;
+  }
+  return config;
+});
+
+apiClient.interceptors.response.use(
+  (response) => response,
+  async (error) => {
+    const config = error.config || {};
+
+    // Retry idempotent GETs with a short backoff
+    const retries = config.retries ?? MAX_GET_RETRIES;
+    config.retryCount = config.retryCount || 0;
+    if (config.method === 'get' && config.retryCount < retries && isRetriable(error)) {
+      config.retryCount += 1;
+      console.warn(`⚠️ Retrying ${config.url} (attempt ${config.retryCount} of ${retries})`);
+      await wait(config.retryDelay ?? 500 * 2 ** (config.retryCount - 1));
+      return apiClient(config);
+    }
+
+    // Expired access token - renew it once and replay the request
+    if (error.response?.status === 401 && !config.skipRefresh && !config.refreshed && tokenStorage.getRefresh()) {
+      config.refreshed = true;
+      try {
+        const token = await refreshSession(config.headers.Authorization?.replace(/^Bearer /, ''));
+        config.headers.Authorization = `Bearer ${token}`;
+        return apiClient(config);
+      } catch (refreshError) {
+        console.error('❌ Token refresh failed:', refreshError);
+      }
+    }
+
+    const apiError = toApiError(error);
+    if (apiError instanceof UnauthorizedError && !config.skipAuthHandler && unauthorizedHandler) {
+      unauthorizedHandler(apiError);
+    }
+    return Promise.reject(apiError);
+  }
+);
+
+// Other tabs share the tokens, and refresh tokens are single use: only one tab may
+// renew at a time. Where the browser has no Web Locks, re-reading storage below is all.
+const withRefreshLock = (task) => (
+  typeof navigator !== 'undefined' && navigator.locks?.request
+    ? navigator.locks.request(REFRESH_LOCK, task)
+    : task()
+);
+
+const renewTokens = (staleToken) => withRefreshLock(async () => {
+  // Another tab renewed while this one waited - its token is the one to use
+  const current = tokenStorage.get();
+  if (current && staleToken && current !== staleToken) return current;
+
+  const refreshToken = tokenStorage.getRefresh();
+  if (!refreshToken) throw new UnauthorizedError();
+  try {
+    const res = await apiClient.post('/auth/refresh', null, {
+      headers: { Authorization: `Bearer ${refreshToken}` },
+      skipAuthHandler: true,
+      skipRefresh: true
+    });
+    tokenStorage.save(res.data);
+    return res.data.access_token;
+  } catch (error) {
+    // Lost a race with another tab, which has already stored the next tokens
+    const renewed = tokenStorage.getRefresh();
+    if (renewed && renewed !== refreshToken && tokenStorage.get()) return tokenStorage.get();
+    throw error;
+  }
+});
+
+// Concurrent 401s share a single refresh request. staleToken is the access token the
+// caller found expired; when storage already holds a different one, that is returned.
+let refreshPromise = null;
+
+export const refreshSession = (staleToken = tokenStorage.get()) => {
+  if (!tokenStorage.getRefresh()) {
+    return Promise.reject(new UnauthorizedError());
+  }
+  if (!refreshPromise) {
+    refreshPromise = renewTokens(staleToken).finally(() => {
+      refreshPromise = null;
+    });
+  }
+  return refreshPromise;
+};
+
+export const api = {
+  get: (url, config) => apiClient.get(url, config).then(res => res.data),
+  post: (url, data, config) => apiClient.post(url, data, config).then(res => res.data),
+  put: (url, data, config) => apiClient.put(url, data, config).then(res => res.data),
+  delete: (url, config) => apiClient.delete(url, config).then(res => res.data)
+};
+
+// Upload a food photo for analysis
+export const analyzeFood = (file, config = {}) => {
+  const formData = new FormData();
+  formData.append('image', file);
+  return api.post('/analyze-food', formData, { timeout: ANALYZE_TIMEOUT, ...config });
+};
+
+// Add API health check function
+export const checkAPIHealth = async () => {
+  try {
+    const data = await api.get('/', {
+      baseURL: API_BASE.replace('/api', ''),
+      retries: 0,
+      skipAuthHandler: true
+    });
+    console.log('✅ API Health Check:', data);
+    return data;
+  } catch (error) {
+    console.error('❌ API Health Check Failed:', error);
+  }
+  return null;
+};
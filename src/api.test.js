@@ -0,0 +1,165 @@
+import axios from 'axios';
+import {
+  api, apiClient, tokenStorage, onUnauthorized, getTokenExpiry, refreshSession,
+  HttpError, NetworkError, TimeoutError, UnauthorizedError, CancelledError
+} from './api';
+
+// Swap the network layer for a scripted adapter
+const respondWith = (...replies) => {
+  const calls = [];
+  apiClient.defaults.adapter = async (config) => {
+    calls.push(config);
+    const reply = replies[Math.min(calls.length - 1, replies.length - 1)];
+    if (reply instanceof Error) {
+      reply.config = config;
+      throw reply;
+    }
+    const response = { data: reply.data, status: reply.status, statusText: '', headers: {}, config };
+    if (reply.status >= 400) {
+      const error = new Error(`Request failed with status code ${reply.status}`);
+      error.config = config;
+      error.response = response;
+      throw error;
+    }
+    return response;
+  };
+  return calls;
+};
+
+beforeEach(() => {
+  localStorage.clear();
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+test('attaches the stored bearer token', async () => {
+  tokenStorage.save({ access_token: 'abc123' });
+  const calls = respondWith({ status: 200, data: { ok: true } });
+
+  await expect(api.get('/profile')).resolves.toEqual({ ok: true });
+  expect(calls[0].headers.Authorization).toBe('Bearer abc123');
+});
+
+test('turns non-JSON server errors into an HttpError', async () => {
+  respondWith({ status: 502, data: '<html>Bad Gateway</html>' });
+
+  const error = await api.post('/analyze-food', {}).catch(e => e);
+  expect(error).toBeInstanceOf(HttpError);
+  expect(error.status).toBe(502);
+  expect(error.message).toBe('Server error: 502');
+  expect(error.code).toBe('server');
+});
+
+test('uses the server error message when there is one', async () => {
+  respondWith({ status: 400, data: { error: 'No image provided' } });
+
+  const error = await api.post('/analyze-food', {}).catch(e => e);
+  expect(error.message).toBe('No image provided');
+  expect(error.code).toBeNull();
+});
+
+test('retries failed GETs but not POSTs', async () => {
+  const getCalls = respondWith({ status: 503, data: {} }, { status: 200, data: { scans: [] } });
+  await expect(api.get('/scan-history', { retryDelay: 0 })).resolves.toEqual({ scans: [] });
+  expect(getCalls).toHaveLength(2);
+
+  const postCalls = respondWith({ status: 503, data: {} });
+  await expect(api.post('/profile/allergies', {})).rejects.toBeInstanceOf(HttpError);
+  expect(postCalls).toHaveLength(1);
+});
+
+test('maps timeouts and network failures to typed errors', async () => {
+  const timeout = new Error('timeout of 20000ms exceeded');
+  timeout.code = 'ECONNABORTED';
+  respondWith(timeout);
+  await expect(api.post('/analyze-food', {})).rejects.toBeInstanceOf(TimeoutError);
+
+  respondWith(new Error('Network Error'));
+  await expect(api.get('/profile', { retries: 0 })).rejects.toBeInstanceOf(NetworkError);
+});
+
+test('reports aborted requests as cancelled without retrying them', async () => {
+  const calls = respondWith(new axios.CanceledError('canceled'));
+
+  await expect(api.get('/scan-history', { retryDelay: 0 })).rejects.toBeInstanceOf(CancelledError);
+  expect(calls).toHaveLength(1);
+});
+
+test('sends 401 responses to the unauthorized handler', async () => {
+  const handler = jest.fn();
+  const unsubscribe = onUnauthorized(handler);
+
+  respondWith({ status: 401, data: { error: 'Token expired' } });
+  await expect(api.get('/profile')).rejects.toBeInstanceOf(UnauthorizedError);
+  expect(handler).toHaveBeenCalledTimes(1);
+
+  await expect(api.post('/auth/login', {}, { skipAuthHandler: true })).rejects.toThrow('Token expired');
+  expect(handler).toHaveBeenCalledTimes(1);
+
+  unsubscribe();
+});
+
+test('refreshes an expired access token once and replays the request', async () => {
+  tokenStorage.save({ access_token: 'old', refresh_token: 'refresh' });
+  const calls = respondWith(
+    { status: 401, data: { error: 'Token has expired' } },
+    { status: 200, data: { access_token: 'new' } },
+    { status: 200, data: { ok: true } }
+  );
+
+  await expect(api.post('/profile/allergies', {})).resolves.toEqual({ ok: true });
+  expect(calls[1].url).toBe('/auth/refresh');
+  expect(calls[1].headers.Authorization).toBe('Bearer refresh');
+  expect(calls[2].headers.Authorization).toBe('Bearer new');
+  expect(tokenStorage.get()).toBe('new');
+});
+
+test('falls back to the unauthorized handler when the refresh is rejected', async () => {
+  const handler = jest.fn();
+  const unsubscribe = onUnauthorized(handler);
+  tokenStorage.save({ access_token: 'old', refresh_token: 'revoked' });
+  respondWith({ status: 401, data: {} });
+
+  await expect(api.get('/profile')).rejects.toBeInstanceOf(UnauthorizedError);
+  expect(handler).toHaveBeenCalledTimes(1);
+
+  unsubscribe();
+});
+
+test('uses the tokens another tab renewed instead of refreshing again', async () => {
+  tokenStorage.save({ access_token: 'old', refresh_token: 'r1' });
+  const calls = [];
+  apiClient.defaults.adapter = async (config) => {
+    calls.push(config);
+    const fail = (status) => {
+      const error = new Error(`Request failed with status code ${status}`);
+      error.config = config;
+      error.response = { data: {}, status, statusText: '', headers: {}, config };
+      throw error;
+    };
+    if (config.url === '/auth/refresh') {
+      // The other tab won: it rotated r1 into r2 just before this request reached the server
+      tokenStorage.save({ access_token: 'new', refresh_token: 'r2' });
+      fail(401);
+    }
+    if (config.headers.Authorization !== 'Bearer new') fail(401);
+    return { data: { ok: true }, status: 200, statusText: '', headers: {}, config };
+  };
+
+  await expect(api.get('/profile')).resolves.toEqual({ ok: true });
+  expect(calls.map(c => c.url)).toEqual(['/profile', '/auth/refresh', '/profile']);
+
+  // Already renewed elsewhere by the time this tab notices: no refresh at all
+  await expect(refreshSession('old')).resolves.toBe('new');
+  expect(calls).toHaveLength(3);
+});
+
+test('reads the expiry from a JWT', () => {
+  const payload = btoa(JSON.stringify({ exp: 1700000000 })).replace(/=+$/, '');
+  expect(getTokenExpiry(`header.${payload}.signature`)).toBe(1700000000000);
+  expect(getTokenExpiry('not-a-jwt')).toBeNull();
+});
@@ -0,0 +1,340 @@
+// cards.js - Wallet and chef allergy cards: translated content, image rendering and PDF export
+import { translateAllergen } from './allergens';
+import { A4, writePdf } from './pdf';
+
+export const CARD_TYPES = {
+  wallet: { widthMm: 85.6, heightMm: 54 },   // credit-card size
+  chef: { widthMm: 148, heightMm: 105 }      // A6 landscape
+};
+
+const DPI = 300;
+const mmToPx = (mm) => Math.round((mm / 25.4) * DPI);
+
+export const CARD_LANGUAGES = [
+  ['en', 'English'],
+  ['es', 'Español'],
+  ['fr', 'Français'],
+  ['de', 'Deutsch'],
+  ['it', 'Italiano'],
+  ['pt', 'Português'],
+  ['ja', '日本語'],
+  ['zh', '中文']
+];
+
+const CARD_TEXT = {
+  en: {
+    walletTitle: 'Food Allergy Card',
+    chefTitle: 'Chef Card',
+    name: 'Name',
+    severity: { mild: 'mild', moderate: 'moderate', severe: 'severe' },
+    allergicTo: 'I am allergic to:',
+    chefIntro: 'I have food allergies. Please make sure my food does not contain any of the following, including as an ingredient, sauce, oil or garnish:',
+    crossContact: 'Please also prevent cross-contamination: clean surfaces, utensils and oil that touched these foods.',
+    thanks: 'Thank you for your help!',
+    emergencyTitle: 'In an emergency',
+    defaultInstructions: 'If I have trouble breathing, swelling or collapse, call emergency services immediately.',
+    epinephrine: 'Use my epinephrine auto-injector (outer thigh), then call emergency services.',
+    contactTitle: 'Emergency contact'
+  },
+  es: {
+    walletTitle: 'Tarjeta de alergias alimentarias',
+    chefTitle: 'Tarjeta para el chef',
+    name: 'Nombre',
+    severity: { mild: 'leve', moderate: 'moderada', severe: 'grave' },
+    allergicTo: 'Soy alérgico/a a:',
+    chefIntro: 'Tengo alergias alimentarias. Por favor, asegúrese de que mi comida no contenga ninguno de los siguientes alimentos, tampoco como ingrediente, salsa, aceite o decoración:',
+    crossContact: 'Evite también la contaminación cruzada: limpie superficies, utensilios y aceite que hayan estado en contacto con estos alimentos.',
+    thanks: '¡Gracias por su ayuda!',
+    emergencyTitle: 'En caso de emergencia',
+    defaultInstructions: 'Si tengo dificultad para respirar, hinchazón o me desmayo, llame inmediatamente a los servicios de emergencia.',
+    epinephrine: 'Use mi autoinyector de adrenalina (cara externa del muslo) y llame a los servicios de emergencia.',
+    contactTitle: 'Contacto de emergencia'
+  },
+  fr: {
+    walletTitle: "Carte d'allergies alimentaires",
+    chefTitle: 'Carte pour le chef',
+    name: 'Nom',
+    severity: { mild: 'légère', moderate: 'modérée', severe: 'sévère' },
+    allergicTo: 'Je suis allergique à :',
+    chefIntro: "J'ai des allergies alimentaires. Veuillez vous assurer que mon plat ne contient aucun des aliments suivants, y compris comme ingrédient, sauce, huile ou garniture :",
+    crossContact: "Merci d'éviter aussi toute contamination croisée : nettoyez les surfaces, les ustensiles et l'huile ayant été en contact avec ces aliments.",
+    thanks: 'Merci de votre aide !',
+    emergencyTitle: "En cas d'urgence",
+    defaultInstructions: "Si j'ai du mal à respirer, un gonflement ou si je perds connaissance, appelez immédiatement les secours.",
+    epinephrine: "Utilisez mon stylo auto-injecteur d'adrénaline (face externe de la cuisse), puis appelez les secours.",
+    contactTitle: "Contact d'urgence"
+  },
+  de: {
+    walletTitle: 'Lebensmittelallergie-Ausweis',
+    chefTitle: 'Karte für die Küche',
+    name: 'Name',
+    severity: { mild: 'leicht', moderate: 'mittel', severe: 'schwer' },
+    allergicTo: 'Ich bin allergisch gegen:',
+    chefIntro: 'Ich habe Lebensmittelallergien. Bitte stellen Sie sicher, dass mein Essen keine der folgenden Zutaten enthält, auch nicht in Soßen, Öl oder als Garnitur:',
+    crossContact: 'Bitte vermeiden Sie auch Kreuzkontamination: Reinigen Sie Flächen, Utensilien und Öl, die mit diesen Lebensmitteln in Kontakt waren.',
+    thanks: 'Vielen Dank für Ihre Hilfe!',
+    emergencyTitle: 'Im Notfall',
+    defaultInstructions: 'Wenn ich Atemnot habe, anschwelle oder zusammenbreche, rufen Sie sofort den Notruf.',
+    epinephrine: 'Verwenden Sie meinen Adrenalin-Autoinjektor (Außenseite des Oberschenkels) und rufen Sie dann den Notruf.',
+    contactTitle: 'Notfallkontakt'
+  },
+  it: {
+    walletTitle: 'Tessera allergie alimentari',
+    chefTitle: 'Scheda per lo chef',
+    name: 'Nome',
+    severity: { mild: 'lieve', moderate: 'moderata', severe: 'grave' },
+    allergicTo: 'Sono allergico/a a:',
+    chefIntro: 'Ho delle allergie alimentari. Vi prego di assicurarvi che il mio piatto non contenga nessuno dei seguenti alimenti, nemmeno come ingrediente, salsa, olio o guarnizione:',
+    crossContact: 'Evitate anche la contaminazione crociata: pulite superfici, utensili e olio venuti a contatto con questi alimenti.',
+    thanks: 'Grazie per il vostro aiuto!',
+    emergencyTitle: 'In caso di emergenza',
+    defaultInstructions: 'Se ho difficoltà a respirare, gonfiore o svengo, chiamate subito i soccorsi.',
+    epinephrine: 'Usate il mio autoiniettore di adrenalina (parte esterna della coscia), poi chiamate i soccorsi.',
+    contactTitle: 'Contatto di emergenza'
+  },
+  pt: {
+    walletTitle: 'Cartão de alergias alimentares',
+    chefTitle: 'Cartão para o chef',
+    name: 'Nome',
+    severity: { mild: 'leve', moderate: 'moderada', severe: 'grave' },
+    allergicTo: 'Sou alérgico/a a:',
+    chefIntro: 'Tenho alergias alimentares. Por favor, certifique-se de que a minha comida não contém nenhum dos seguintes alimentos, nem como ingrediente, molho, óleo ou guarnição:',
+    crossContact: 'Evite também a contaminação cruzada: limpe superfícies, utensílios e óleo que estiveram em contacto com estes alimentos.',
+    thanks: 'Obrigado pela sua ajuda!',
+    emergencyTitle: 'Em caso de emergência',
+    defaultInstructions: 'Se eu tiver dificuldade em respirar, inchaço ou desmaiar, ligue imediatamente para os serviços de emergência.',
+    epinephrine: 'Use o meu autoinjetor de adrenalina (parte externa da coxa) e depois ligue para os serviços de emergência.',
+    contactTitle: 'Contacto de emergência'
+  },
+  ja: {
+    walletTitle: '食物アレルギーカード',
+    chefTitle: 'シェフへのお願いカード',
+    name: '氏名',
+    severity: { mild: '軽度', moderate: '中等度', severe: '重度' },
+    allergicTo: '私は次の食物にアレルギーがあります：',
+    chefIntro: '私は食物アレルギーがあります。以下の食材を、材料・ソース・油・付け合わせも含めて一切使用しないでください：',
+    crossContact: 'これらの食材に触れた調理台・調理器具・油からの混入にもご注意ください。',
+    thanks: 'ご協力ありがとうございます。',
+    emergencyTitle: '緊急時の対応',
+    defaultInstructions: '呼吸困難、腫れ、意識消失などの症状が出た場合は、すぐに救急車を呼んでください。',
+    epinephrine: '私のアドレナリン自己注射薬を太ももの外側に注射し、救急車を呼んでください。',
+    contactTitle: '緊急連絡先'
+  },
+  zh: {
+    walletTitle: '食物过敏卡',
+    chefTitle: '厨师提示卡',
+    name: '姓名',
+    severity: { mild: '轻度', moderate: '中度', severe: '重度' },
+    allergicTo: '我对以下食物过敏：',
+    chefIntro: '我有食物过敏。请确保我的食物中不含以下任何食材，包括作为配料、酱汁、油或装饰：',
+    crossContact: '也请避免交叉污染：清洁接触过这些食物的台面、餐具和油。',
+    thanks: '感谢您的帮助！',
+    emergencyTitle: '紧急情况',
+    defaultInstructions: '如果我出现呼吸困难、肿胀或昏倒，请立即拨打急救电话。',
+    epinephrine: '请使用我的肾上腺素自动注射笔（大腿外侧），然后拨打急救电话。',
+    contactTitle: '紧急联系人'
+  }
+};
+
+// Contact and instructions stay on this device; the profile API only stores allergies
+const STORAGE_KEY = 'allergy_card';
+
+export const EMPTY_CARD_DETAILS = {
+  contact: { name: '', relationship: '', phone: '' },
+  instructions: ''
+};
+
+export const loadCardDetails = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return saved ? { ...EMPTY_CARD_DETAILS, ...saved } : EMPTY_CARD_DETAILS;
+  } catch {
+    return EMPTY_CARD_DETAILS;
+  }
+};
+
+export const saveCardDetails = (details) => {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(details));
+};
+
+const SEVERITY_ORDER = { severe: 0, moderate: 1, mild: 2 };
+
+// Everything printed on a card, in the card's language. Instructions the user
+// typed are printed as written, since there is nothing to translate them with.
+export const buildCardContent = ({ type, lang, holder, allergies, contact = {}, instructions = '' }) => {
+  const text = CARD_TEXT[lang] || CARD_TEXT.en;
+  const sorted = [...(allergies || [])].sort(
+    (a, b) => (SEVERITY_ORDER[a.severity] ?? 3) - (SEVERITY_ORDER[b.severity] ?? 3)
+  );
+
+  const emergency = [];
+  if (sorted.some(a => a.epinephrine)) emergency.push(text.epinephrine);
+  emergency.push(instructions.trim() || text.defaultInstructions);
+
+  const contactLine = [contact.name, contact.relationship && `(${contact.relationship})`, contact.phone]
+    .filter(Boolean).join(' ');
+
+  return {
+    type,
+    lang,
+    title: type === 'chef' ? text.chefTitle : text.walletTitle,
+    holder: holder ? `${text.name}: ${holder}` : '',
+    intro: type === 'chef' ? text.chefIntro : text.allergicTo,
+    allergens: sorted.map(allergy => {
+      const translated = translateAllergen(allergy.name, lang);
+      return {
+        name: translated,
+        original: translated !== allergy.name ? allergy.name : null,
+        severity: text.severity[allergy.severity] || allergy.severity,
+        severe: allergy.severity === 'severe'
+      };
+    }),
+    footer: type === 'chef' ? [text.crossContact, text.thanks] : [],
+    emergencyTitle: text.emergencyTitle,
+    emergency,
+    contact: contactLine ? `${text.contactTitle}: ${contactLine}` : ''
+  };
+};
+
+// Word wrap, falling back to per-character breaks for scripts without spaces
+const wrapText = (ctx, text, maxWidth) => {
+  const spaced = /\s/.test(text.trim());
+  const tokens = spaced ? text.split(/\s+/) : Array.from(text);
+  const joiner = spaced ? ' ' : '';
+  const lines = [];
+  let line = '';
+  tokens.forEach(token => {
+    const candidate = line ? line + joiner + token : token;
+    if (line && ctx.measureText(candidate).width > maxWidth) {
+      lines.push(line);
+      line = token;
+    } else {
+      line = candidate;
+    }
+  });
+  if (line) lines.push(line);
+  return lines;
+};
+
+const FONT_FAMILY = '"Segoe UI", "Hiragino Sans", "Noto Sans CJK JP", "Microsoft YaHei", sans-serif';
+
+// Lay the card out at a font scale; returns the height used. Nothing is drawn unless draw is set.
+const layoutCard = (ctx, content, width, height, scale, draw) => {
+  const unit = (content.type === 'chef' ? 34 : 26) * scale;
+  const pad = Math.round(width * 0.045);
+  const headerHeight = unit * 2.4;
+  const maxWidth = width - pad * 2;
+  let y = headerHeight + unit * 0.9;
+
+  if (draw) {
+    const gradient = ctx.createLinearGradient(0, 0, width, headerHeight);
+    gradient.addColorStop(0, '#667eea');
+    gradient.addColorStop(1, '#764ba2');
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, width, height);
+    ctx.fillStyle = gradient;
+    ctx.fillRect(0, 0, width, headerHeight);
+    ctx.fillStyle = '#ffffff';
+    ctx.font = `700 ${unit * 1.15}px ${FONT_FAMILY}`;
+    ctx.textBaseline = 'middle';
+    ctx.fillText(`⚠ ${content.title}`, pad, headerHeight / 2);
+    ctx.textBaseline = 'alphabetic';
+  }
+
+  const paragraph = (text, { size = 1, weight = 400, color = '#1f2937', gap = 0.35 } = {}) => {
+    ctx.font = `${weight} ${unit * size}px ${FONT_FAMILY}`;
+    wrapText(ctx, text, maxWidth).forEach(line => {
+      if (draw) {
+        ctx.fillStyle = color;
+        ctx.fillText(line, pad, y);
+      }
+      y += unit * size * 1.25;
+    });
+    y += unit * gap;
+  };
+
+  if (content.holder) paragraph(content.holder, { size: 0.85, color: '#4b5563' });
+  paragraph(content.intro, { weight: 600 });
+  content.allergens.forEach(allergen => {
+    const label = `• ${allergen.name.toUpperCase()} - ${allergen.severity}` +
+      (allergen.original ? ` (${allergen.original})` : '');
+    paragraph(label, { size: 1.05, weight: 700, color: allergen.severe ? '#dc2626' : '#1f2937', gap: 0.1 });
+  });
+  y += unit * 0.3;
+  content.footer.forEach(line => paragraph(line, { size: 0.85, color: '#374151' }));
+  paragraph(content.emergencyTitle, { size: 0.9, weight: 700, color: '#dc2626', gap: 0.05 });
+  content.emergency.forEach(line => paragraph(line, { size: 0.85, gap: 0.1 }));
+  if (content.contact) {
+    y += unit * 0.2;
+    paragraph(content.contact, { size: 0.85, weight: 600 });
+  }
+  return y;
+};
+
+// Draw the card at print resolution, shrinking the text until everything fits
+export const renderCard = (content) => {
+  const size = CARD_TYPES[content.type];
+  const canvas = document.createElement('canvas');
+  canvas.width = mmToPx(size.widthMm);
+  canvas.height = mmToPx(size.heightMm);
+  const ctx = canvas.getContext('2d');
+
+  let scale = 1;
+  while (scale > 0.4 && layoutCard(ctx, content, canvas.width, canvas.height, scale, false) > canvas.height) {
+    scale -= 0.05;
+  }
+  layoutCard(ctx, content, canvas.width, canvas.height, scale, true);
+
+  ctx.strokeStyle = '#d1d5db';
+  ctx.lineWidth = 4;
+  ctx.strokeRect(2, 2, canvas.width - 4, canvas.height - 4);
+  return canvas;
+};
+
+const mmToPt = (mm) => (mm / 25.4) * 72;
+
+// A one-page A4 PDF with the card JPEG at its real size and a dashed cutting line
+export const buildCardPdf = (jpegBytes, { imageWidth, imageHeight, widthMm, heightMm }) => {
+  const w = mmToPt(widthMm).toFixed(2);
+  const h = mmToPt(heightMm).toFixed(2);
+  const x = mmToPt(20).toFixed(2);
+  const y = (A4.height - mmToPt(20) - mmToPt(heightMm)).toFixed(2);
+  const drawing = `q ${w} 0 0 ${h} ${x} ${y} cm /Card Do Q\n` +
+    `q 0.6 0.6 0.6 RG 0.5 w [4 3] 0 d ${x} ${y} ${w} ${h} re S Q\n`;
+
+  return writePdf([
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+    `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${A4.width} ${A4.height}] ` +
+      '/Resources << /XObject << /Card 4 0 R >> >> /Contents 5 0 R >>',
+    [
+      `<< /Type /XObject /Subtype /Image /Width ${imageWidth} /Height ${imageHeight} ` +
+        `/ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${jpegBytes.length} >>\nstream\n`,
+      jpegBytes,
+      '\nendstream'
+    ],
+    `<< /Length ${drawing.length} >>\nstream\n${drawing}endstream`
+  ]);
+};
+
+const canvasToBlob = (canvas, type, quality) => new Promise((resolve, reject) => {
+  canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Could not render the card'))), type, quality);
+});
+
+export const cardFileName = (content, extension) => `allergy-${content.type}-card-${content.lang}.${extension}`;
+
+// The card as a downloadable PNG or PDF file
+export const exportCard = async (content, format) => {
+  const canvas = renderCard(content);
+  if (format === 'png') {
+    const blob = await canvasToBlob(canvas, 'image/png');
+    return new File([blob], cardFileName(content, 'png'), { type: 'image/png' });
+  }
+  const jpeg = new Uint8Array(await (await canvasToBlob(canvas, 'image/jpeg', 0.95)).arrayBuffer());
+  const pdf = buildCardPdf(jpeg, {
+    imageWidth: canvas.width,
+    imageHeight: canvas.height,
+    ...CARD_TYPES[content.type]
+  });
+  return new File([pdf], cardFileName(content, 'pdf'), { type: 'application/pdf' });
+};
@@ -0,0 +1,74 @@
+import {
+  buildCardContent, buildCardPdf, loadCardDetails, saveCardDetails, EMPTY_CARD_DETAILS
+} from './cards';
+
+const allergies = [
+  { name: 'milk', severity: 'mild' },
+  { name: 'peanuts', severity: 'severe', epinephrine: true },
+  { name: 'kiwi', severity: 'moderate' }
+];
+
+afterEach(() => localStorage.clear());
+
+test('lists allergens most severe first with the emergency details', () => {
+  const content = buildCardContent({
+    type: 'wallet',
+    lang: 'en',
+    holder: 'Sam',
+    allergies,
+    contact: { name: 'Alex', relationship: 'partner', phone: '+1 555 0100' }
+  });
+  expect(content.title).toBe('Food Allergy Card');
+  expect(content.holder).toBe('Name: Sam');
+  expect(content.allergens.map(a => [a.name, a.severity, a.severe])).toEqual([
+    ['peanuts', 'severe', true],
+    ['kiwi', 'moderate', false],
+    ['milk', 'mild', false]
+  ]);
+  expect(content.emergency).toHaveLength(2);
+  expect(content.emergency[0]).toMatch(/epinephrine auto-injector/);
+  expect(content.contact).toBe('Emergency contact: Alex (partner) +1 555 0100');
+  expect(content.footer).toEqual([]);
+});
+
+test('translates the chef card and keeps the original allergen names', () => {
+  const content = buildCardContent({
+    type: 'chef',
+    lang: 'es',
+    allergies,
+    instructions: 'Call my doctor, Dr. Lee'
+  });
+  expect(content.title).toBe('Tarjeta para el chef');
+  expect(content.allergens[0]).toEqual({
+    name: 'cacahuetes (maní)', original: 'peanuts', severity: 'grave', severe: true
+  });
+  expect(content.allergens[1]).toEqual({ name: 'kiwi', original: null, severity: 'moderada', severe: false });
+  expect(content.emergency[1]).toBe('Call my doctor, Dr. Lee');
+  expect(content.footer).toHaveLength(2);
+  expect(content.contact).toBe('');
+});
+
+test('writes a PDF with a valid cross-reference table', () => {
+  const jpeg = Uint8Array.from([0xff, 0xd8, 0xff, 0xd9]);
+  const pdf = buildCardPdf(jpeg, { imageWidth: 1011, imageHeight: 638, widthMm: 85.6, heightMm: 54 });
+  const text = String.fromCharCode(...pdf);
+
+  expect(text.startsWith('%PDF-1.4')).toBe(true);
+  expect(text).toContain('/Width 1011 /Height 638');
+  expect(text).toContain('/Filter /DCTDecode /Length 4');
+
+  const xrefStart = Number(text.match(/startxref\n(\d+)/)[1]);
+  expect(text.slice(xrefStart, xrefStart + 4)).toBe('xref');
+  const offsets = [...text.slice(xrefStart).matchAll(/(\d{10}) 00000 n/g)].map(m => Number(m[1]));
+  expect(offsets).toHaveLength(5);
+  offsets.forEach((offset, index) => {
+    expect(text.slice(offset, offset + 8)).toBe(`${index + 1} 0 obj\n`);
+  });
+});
+
+test('remembers the emergency contact and instructions', () => {
+  expect(loadCardDetails()).toEqual(EMPTY_CARD_DETAILS);
+  const details = { contact: { name: 'Alex', relationship: '', phone: '555' }, instructions: 'Inhaler in bag' };
+  saveCardDetails(details);
+  expect(loadCardDetails()).toEqual(details);
+});
@@ -0,0 +1,64 @@
+// confidence.js - Confidence thresholds and the safe / warning / uncertain verdict
+
+// Minimum confidence for a verdict to be trusted. Severe allergies need more
+// certainty before a result is shown as settled either way.
+export const DEFAULT_CONFIDENCE_THRESHOLDS = {
+  standard: 0.6,
+  severe: 0.85
+};
+
+const STORAGE_KEY = 'confidence_thresholds';
+
+export const loadConfidenceThresholds = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return saved ? { ...DEFAULT_CONFIDENCE_THRESHOLDS, ...saved } : DEFAULT_CONFIDENCE_THRESHOLDS;
+  } catch {
+    return DEFAULT_CONFIDENCE_THRESHOLDS;
+  }
+};
+
+export const saveConfidenceThresholds = (thresholds) => {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(thresholds));
+};
+
+export const thresholdFor = (severity, thresholds = DEFAULT_CONFIDENCE_THRESHOLDS) => (
+  severity === 'severe' ? thresholds.severe : thresholds.standard
+);
+
+// Adds status ('safe' | 'warning' | 'uncertain') and the reasons a result is uncertain, each
+// { id: 'ingredient', ingredient, allergen, confidence } or { id: 'overall', confidence, threshold }.
+// A warning is confirmed only when its ingredient was identified confidently;
+// a safe verdict needs the whole analysis to clear the strictest threshold in the profile.
+export const assessScan = (scan, allergies, thresholds = DEFAULT_CONFIDENCE_THRESHOLDS) => {
+  const uncertainReasons = [];
+  const warnings = (scan.allergen_warnings || []).map(warning => {
+    const required = thresholdFor(warning.severity, thresholds);
+    const uncertain = warning.confidence != null && warning.confidence < required;
+    if (uncertain) {
+      uncertainReasons.push({
+        id: 'ingredient', ingredient: warning.ingredient, allergen: warning.allergen, confidence: warning.confidence
+      });
+    }
+    return { ...warning, uncertain };
+  });
+
+  const overallRequired = (allergies || []).some(a => a.severity === 'severe')
+    ? thresholds.severe
+    : thresholds.standard;
+  if (scan.confidence_score != null && scan.confidence_score < overallRequired) {
+    uncertainReasons.push({ id: 'overall', confidence: scan.confidence_score, threshold: overallRequired });
+  }
+
+  let status = 'safe';
+  if (warnings.some(w => !w.uncertain)) status = 'warning';
+  else if (uncertainReasons.length > 0) status = 'uncertain';
+
+  return {
+    ...scan,
+    allergen_warnings: warnings,
+    status,
+    uncertain_reasons: uncertainReasons,
+    is_safe: status === 'safe'
+  };
+};
@@ -0,0 +1,50 @@
+import {
+  DEFAULT_CONFIDENCE_THRESHOLDS, loadConfidenceThresholds, saveConfidenceThresholds, assessScan
+} from './confidence';
+
+const thresholds = { standard: 0.6, severe: 0.9 };
+
+afterEach(() => localStorage.clear());
+
+test('falls back to the default thresholds', () => {
+  expect(loadConfidenceThresholds()).toEqual(DEFAULT_CONFIDENCE_THRESHOLDS);
+  saveConfidenceThresholds({ standard: 0.7, severe: 0.95 });
+  expect(loadConfidenceThresholds()).toEqual({ standard: 0.7, severe: 0.95 });
+});
+
+test('keeps confident warnings as warnings', () => {
+  const scan = {
+    confidence_score: 0.95,
+    allergen_warnings: [{ allergen: 'milk', ingredient: 'cheese', severity: 'moderate', confidence: 0.8 }]
+  };
+  const result = assessScan(scan, [{ name: 'milk', severity: 'moderate' }], thresholds);
+  expect(result.status).toBe('warning');
+  expect(result.is_safe).toBe(false);
+  expect(result.allergen_warnings[0].uncertain).toBe(false);
+});
+
+test('marks low-confidence allergen matches as uncertain, stricter for severe allergies', () => {
+  const scan = {
+    confidence_score: 0.95,
+    allergen_warnings: [{ allergen: 'peanuts', ingredient: 'satay sauce', severity: 'severe', confidence: 0.8 }]
+  };
+  const allergies = [{ name: 'peanuts', severity: 'severe' }];
+  const result = assessScan(scan, allergies, thresholds);
+  expect(result.status).toBe('uncertain');
+  expect(result.is_safe).toBe(false);
+  expect(result.uncertain_reasons).toEqual([
+    { id: 'ingredient', ingredient: 'satay sauce', allergen: 'peanuts', confidence: 0.8 }
+  ]);
+
+  const moderate = { ...scan, allergen_warnings: [{ ...scan.allergen_warnings[0], severity: 'moderate' }] };
+  expect(assessScan(moderate, allergies, thresholds).status).toBe('warning');
+});
+
+test('downgrades a safe result when the overall confidence is low', () => {
+  const scan = { confidence_score: 0.75, allergen_warnings: [] };
+  expect(assessScan(scan, [{ name: 'milk', severity: 'mild' }], thresholds).status).toBe('safe');
+  const result = assessScan(scan, [{ name: 'milk', severity: 'severe' }], thresholds);
+  expect(result.status).toBe('uncertain');
+  expect(result.uncertain_reasons).toEqual([{ id: 'overall', confidence: 0.75, threshold: 0.9 }]);
+  expect(assessScan({ confidence_score: null, allergen_warnings: [] }, [], thresholds).status).toBe('safe');
+});
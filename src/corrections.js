@@ -0,0 +1,119 @@
+// corrections.js - User corrections to detected ingredients, and the feedback sent back for training
+import { api } from './api';
+
+const normalize = (name) => (name || '').trim().toLowerCase();
+
+// The id the server gave a scan - fresh results call it scan_id, history entries id
+export const getScanId = (scan) => scan.scan_id ?? scan.id ?? null;
+
+// Edited ingredients remember what the model originally said (original_name),
+// so renames can be told apart from a removal plus an addition
+export const renameIngredient = (ingredients, index, name) => ingredients.map((ingredient, i) => {
+  if (i !== index) return ingredient;
+  const original = ingredient.original_name ?? (ingredient.user_added ? null : ingredient.name);
+  return { ...ingredient, name, original_name: original, confidence: 1 };
+});
+
+export const addIngredient = (ingredients, name) => {
+  if (!name.trim() || ingredients.some(ing => normalize(ing.name) === normalize(name))) return ingredients;
+  return [...ingredients, { name: name.trim(), confidence: 1, user_added: true }];
+};
+
+export const removeIngredient = (ingredients, index) => ingredients.filter((_, i) => i !== index);
+
+// Names are edited as typed; tidy them up before saving. A name cleared out counts as a removal.
+export const cleanEdits = (edited) => edited
+  .map(ing => ({ ...ing, name: ing.name.trim() }))
+  .filter(ing => ing.name);
+
+// The scan with edited ingredients. Server warnings about an ingredient the
+// user removed or renamed go too; the allergen check runs again on the new list.
+export const applyIngredientEdits = (scan, edited) => {
+  const before = new Set((scan.ingredients || []).map(ing => normalize(ing.name)));
+  const after = new Set(edited.map(ing => normalize(ing.name)));
+  const stillListed = (warning) => !before.has(normalize(warning.ingredient)) || after.has(normalize(warning.ingredient));
+  const { warnings, ...rest } = scan;
+  return {
+    ...rest,
+    ingredients: edited,
+    allergen_warnings: (scan.allergen_warnings || warnings || []).filter(stillListed)
+  };
+};
+
+// Labelled examples for the model: detections that were wrong, missed or misnamed
+export const buildCorrectionFeedback = (original, edited) => {
+  const feedback = [];
+  const kept = new Set(edited.map(ing => normalize(ing.original_name ?? (ing.user_added ? null : ing.name))));
+
+  original.forEach(ing => {
+    if (!kept.has(normalize(ing.name))) {
+      feedback.push({ label: 'false_positive', predicted: ing.name, confidence: ing.confidence ?? null });
+    }
+  });
+  edited.forEach(ing => {
+    if (ing.user_added) {
+      feedback.push({ label: 'missed', actual: ing.name });
+    } else if (ing.original_name && normalize(ing.original_name) !== normalize(ing.name)) {
+      const predicted = original.find(o => normalize(o.name) === normalize(ing.original_name));
+      feedback.push({
+        label: 'misidentified',
+        predicted: ing.original_name,
+        actual: ing.name,
+        confidence: predicted?.confidence ?? null
+      });
+    }
+  });
+  return feedback;
+};
+
+const NUTRIENTS = ['calories', 'protein', 'carbs', 'fat', 'fiber'];
+const MICRONUTRIENT_GROUPS = ['vitamins', 'minerals'];
+
+const average = (values) => values.reduce((sum, value) => sum + (value || 0), 0) / values.length;
+
+// Vitamins and minerals are averaged like the macros, but only when every remaining
+// ingredient reports them - half the data would understate things like sodium
+const averageGroup = (included, group) => {
+  const groups = included.map(([, data]) => data.nutrition_per_100g?.[group]);
+  if (!groups.length || groups.some(values => !values)) return undefined;
+  const keys = [...new Set(groups.flatMap(values => Object.keys(values)))];
+  return Object.fromEntries(keys.map(key => [key, average(groups.map(values => values[key]))]));
+};
+
+// Totals are per 100g of the dish. With no portion weights from the server,
+// each remaining ingredient that has nutrition data counts equally. A renamed
+// ingredient keeps the values detected for it, listed under its new name.
+export const recalculateNutrition = (nutrition, ingredients) => {
+  const perIngredient = nutrition?.individual_ingredients;
+  if (!perIngredient) return nutrition;
+
+  const included = ingredients
+    .map(ing => [ing.name, perIngredient[ing.name] ?? perIngredient[ing.original_name]])
+    .filter(([, data]) => data);
+  const unchanged = included.length === Object.keys(perIngredient).length &&
+    included.every(([name]) => name in perIngredient);
+  if (unchanged) return nutrition;
+
+  const totals = Object.fromEntries(NUTRIENTS.map(key => [
+    key,
+    included.length ? average(included.map(([, data]) => data.nutrition_per_100g?.[key])) : 0
+  ]));
+  const { vitamins, minerals, ...macros } = nutrition.total_estimated || {};
+  MICRONUTRIENT_GROUPS.forEach(group => {
+    const values = averageGroup(included, group);
+    if (values) totals[group] = values;
+  });
+
+  return {
+    ...nutrition,
+    individual_ingredients: Object.fromEntries(included),
+    total_estimated: { ...macros, ...totals },
+    corrected: true
+  };
+};
+
+// Store the corrected list with the scan and hand the labels to the training pipeline
+export const submitCorrections = (scanId, original, edited) => api.post(`/scan-history/${scanId}/corrections`, {
+  ingredients: edited.map(ing => ing.name),
+  feedback: buildCorrectionFeedback(original, edited)
+});
@@ -0,0 +1,113 @@
+import {
+  getScanId, applyIngredientEdits, renameIngredient, addIngredient, removeIngredient, cleanEdits,
+  buildCorrectionFeedback, recalculateNutrition, submitCorrections
+} from './corrections';
+import { apiClient } from './api';
+
+const detected = [
+  { name: 'cheese', confidence: 0.55 },
+  { name: 'rice', confidence: 0.9 },
+  { name: 'chicken', confidence: 0.8 }
+];
+
+test('finds the server id of fresh and stored scans', () => {
+  expect(getScanId({ scan_id: 4 })).toBe(4);
+  expect(getScanId({ id: 9 })).toBe(9);
+  expect(getScanId({})).toBeNull();
+});
+
+test('labels removals, additions and renames for the model', () => {
+  let edited = renameIngredient(detected, 0, 'tofu ');
+  edited = cleanEdits(removeIngredient(edited, 2));
+  edited = addIngredient(edited, 'peanut sauce');
+  expect(addIngredient(edited, 'Rice')).toBe(edited);
+
+  expect(edited).toEqual([
+    { name: 'tofu', confidence: 1, original_name: 'cheese' },
+    { name: 'rice', confidence: 0.9 },
+    { name: 'peanut sauce', confidence: 1, user_added: true }
+  ]);
+  expect(buildCorrectionFeedback(detected, edited)).toEqual([
+    { label: 'false_positive', predicted: 'chicken', confidence: 0.8 },
+    { label: 'misidentified', predicted: 'cheese', actual: 'tofu', confidence: 0.55 },
+    { label: 'missed', actual: 'peanut sauce' }
+  ]);
+});
+
+test('renaming an added ingredient is still a missed ingredient', () => {
+  const edited = renameIngredient(addIngredient(detected, 'sauce'), 3, 'soy sauce');
+  expect(buildCorrectionFeedback(detected, edited)).toEqual([{ label: 'missed', actual: 'soy sauce' }]);
+  expect(buildCorrectionFeedback(detected, cleanEdits(renameIngredient(detected, 1, ' ')))).toEqual([
+    { label: 'false_positive', predicted: 'rice', confidence: 0.9 }
+  ]);
+});
+
+test('drops server warnings about removed or renamed ingredients', () => {
+  const scan = {
+    ingredients: detected,
+    warnings: [
+      { allergen: 'milk', ingredient: 'cheese', severity: 'severe' },
+      { allergen: 'soy', ingredient: 'marinade', severity: 'mild' }
+    ]
+  };
+  const result = applyIngredientEdits(scan, renameIngredient(detected, 0, 'tofu'));
+  expect(result.ingredients[0].name).toBe('tofu');
+  expect(result.warnings).toBeUndefined();
+  expect(result.allergen_warnings).toEqual([{ allergen: 'soy', ingredient: 'marinade', severity: 'mild' }]);
+});
+
+test('recalculates nutrition totals from the remaining ingredients', () => {
+  const nutrition = {
+    total_estimated: { calories: 250, protein: 12, carbs: 20, fat: 10, fiber: 1 },
+    individual_ingredients: {
+      cheese: { nutrition_per_100g: { calories: 400, protein: 25, carbs: 1, fat: 33 } },
+      rice: { nutrition_per_100g: { calories: 130, protein: 2.7, carbs: 28, fat: 0.3, fiber: 0.4 } },
+      chicken: { nutrition_per_100g: { calories: 170, protein: 31, carbs: 0, fat: 4.7 } }
+    }
+  };
+  expect(recalculateNutrition(nutrition, detected)).toBe(nutrition);
+
+  const result = recalculateNutrition(nutrition, removeIngredient(detected, 0));
+  expect(Object.keys(result.individual_ingredients)).toEqual(['rice', 'chicken']);
+  expect(result.total_estimated).toEqual({ calories: 150, protein: 16.85, carbs: 14, fat: 2.5, fiber: 0.2 });
+  expect(result.corrected).toBe(true);
+  expect(recalculateNutrition(null, detected)).toBeNull();
+});
+
+test('keeps renamed ingredients in the totals and never keeps stale vitamins or minerals', () => {
+  const nutrition = {
+    total_estimated: { calories: 250, protein: 12, carbs: 20, fat: 10, fiber: 1, minerals: { sodium: 900 } },
+    individual_ingredients: {
+      cheese: { nutrition_per_100g: { calories: 400, protein: 25, carbs: 1, fat: 33, minerals: { sodium: 620 } } },
+      rice: { nutrition_per_100g: { calories: 130, protein: 2.7, carbs: 28, fat: 0.3, minerals: { sodium: 1 } } },
+      chicken: { nutrition_per_100g: { calories: 170, protein: 31, carbs: 0, fat: 4.7 } }
+    }
+  };
+  const renamed = recalculateNutrition(nutrition, renameIngredient(removeIngredient(detected, 2), 0, 'feta'));
+  expect(renamed.individual_ingredients).toEqual({
+    feta: nutrition.individual_ingredients.cheese,
+    rice: nutrition.individual_ingredients.rice
+  });
+  expect(renamed.total_estimated).toEqual({
+    calories: 265, protein: 13.85, carbs: 14.5, fat: 16.65, fiber: 0, minerals: { sodium: 310.5 }
+  });
+
+  // Chicken has no mineral data, so there is no sodium figure to trust any more
+  const withoutCheese = recalculateNutrition(nutrition, removeIngredient(detected, 0));
+  expect(withoutCheese.total_estimated.minerals).toBeUndefined();
+});
+
+test('sends the corrected list with the labelled feedback', async () => {
+  let request;
+  apiClient.defaults.adapter = async (config) => {
+    request = config;
+    return { data: { ok: true }, status: 200, headers: {}, config };
+  };
+  await submitCorrections(12, detected, removeIngredient(detected, 0));
+  expect(request.method).toBe('post');
+  expect(request.url).toBe('/scan-history/12/corrections');
+  expect(JSON.parse(request.data)).toEqual({
+    ingredients: ['rice', 'chicken'],
+    feedback: [{ label: 'false_positive', predicted: 'cheese', confidence: 0.55 }]
+  });
+});
@@ -0,0 +1,97 @@
+// diary.js - Logging scans as meals, and daily, weekly and 30-day nutrition totals
+import { api } from './api';
+import { getScanId } from './corrections';
+import { DEFAULT_REFERENCE_INTAKES } from './nutrition';
+
+export const MEALS = ['breakfast', 'lunch', 'dinner', 'snack'];
+
+export const DIARY_NUTRIENTS = ['calories', 'protein', 'carbs', 'fat', 'fiber'];
+
+export const TREND_DAYS = 30;
+
+// A sensible default for the meal picker; the user can always change it
+export const mealForTime = (date = new Date()) => {
+  const hour = date.getHours();
+  if (hour >= 5 && hour < 11) return 'breakfast';
+  if (hour >= 11 && hour < 15) return 'lunch';
+  if (hour >= 17 && hour < 22) return 'dinner';
+  return 'snack';
+};
+
+const pad = (n) => String(n).padStart(2, '0');
+
+// Days are local calendar days, written YYYY-MM-DD like the history filters
+export const dayKey = (date) => {
+  const d = new Date(date);
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+};
+
+export const addDays = (key, count) => {
+  const [year, month, day] = key.split('-').map(Number);
+  return dayKey(new Date(year, month - 1, day + count));
+};
+
+// The `count` days ending on `lastDay`, oldest first
+export const dayRange = (lastDay, count) => (
+  Array.from({ length: count }, (_, i) => addDays(lastDay, i - count + 1))
+);
+
+const describeScan = (scan) => {
+  if (scan.product?.name) return scan.product.name;
+  const names = (scan.ingredients || []).map(ing => ing.name);
+  return names.length > 3 ? `${names.slice(0, 3).join(', ')}…` : names.join(', ');
+};
+
+// `nutrition` is already scaled to the portion eaten (see scaleNutrition in nutrition.js)
+export const buildDiaryEntry = ({ scan, meal, grams, nutrition, eatenAt = new Date() }) => ({
+  scan_id: getScanId(scan),
+  meal,
+  eaten_at: eatenAt.toISOString(),
+  title: describeScan(scan),
+  grams: Math.round(grams),
+  nutrition: Object.fromEntries(DIARY_NUTRIENTS.map(key => [
+    key,
+    Math.round((nutrition?.[key] || 0) * 10) / 10
+  ]))
+});
+
+export const logMeal = (entry) => api.post('/diary', entry);
+
+export const fetchDiary = async (from, to) => {
+  const data = await api.get('/diary', { params: { date_from: from, date_to: to } });
+  return data.entries || [];
+};
+
+export const deleteDiaryEntry = (id) => api.delete(`/diary/${id}`);
+
+export const sumNutrition = (entries) => Object.fromEntries(DIARY_NUTRIENTS.map(key => [
+  key,
+  entries.reduce((sum, entry) => sum + (entry.nutrition?.[key] || 0), 0)
+]));
+
+export const entriesOn = (entries, day) => entries.filter(entry => dayKey(entry.eaten_at) === day);
+
+// One { day, totals } per day, oldest first, including days with nothing logged
+export const totalsByDay = (entries, days) => days.map(day => ({
+  day,
+  totals: sumNutrition(entriesOn(entries, day))
+}));
+
+export const DEFAULT_NUTRITION_GOALS = Object.fromEntries(
+  DIARY_NUTRIENTS.map(key => [key, DEFAULT_REFERENCE_INTAKES[key]])
+);
+
+const GOALS_KEY = 'nutrition_goals';
+
+export const loadNutritionGoals = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(GOALS_KEY));
+    return saved ? { ...DEFAULT_NUTRITION_GOALS, ...saved } : DEFAULT_NUTRITION_GOALS;
+  } catch {
+    return DEFAULT_NUTRITION_GOALS;
+  }
+};
+
+export const saveNutritionGoals = (goals) => {
+  localStorage.setItem(GOALS_KEY, JSON.stringify(goals));
+};
@@ -0,0 +1,69 @@
+import {
+  mealForTime, dayKey, addDays, dayRange, buildDiaryEntry, logMeal, fetchDiary, totalsByDay,
+  DEFAULT_NUTRITION_GOALS, loadNutritionGoals, saveNutritionGoals
+} from './diary';
+import { apiClient } from './api';
+
+afterEach(() => localStorage.clear());
+
+test('suggests a meal from the time of day', () => {
+  expect(mealForTime(new Date(2024, 2, 5, 7, 30))).toBe('breakfast');
+  expect(mealForTime(new Date(2024, 2, 5, 12, 0))).toBe('lunch');
+  expect(mealForTime(new Date(2024, 2, 5, 19, 15))).toBe('dinner');
+  expect(mealForTime(new Date(2024, 2, 5, 16, 0))).toBe('snack');
+});
+
+test('counts calendar days across month ends', () => {
+  expect(dayKey(new Date(2024, 2, 5, 23, 59))).toBe('2024-03-05');
+  expect(addDays('2024-03-01', -1)).toBe('2024-02-29');
+  expect(dayRange('2024-03-02', 3)).toEqual(['2024-02-29', '2024-03-01', '2024-03-02']);
+});
+
+test('logs a scan as a meal with the nutrition for the portion eaten', async () => {
+  const entry = buildDiaryEntry({
+    scan: { scan_id: 42, ingredients: [{ name: 'rice' }, { name: 'beans' }, { name: 'corn' }, { name: 'salsa' }] },
+    meal: 'lunch',
+    grams: 249.6,
+    nutrition: { calories: 312.456, protein: 11.04, carbs: 50, fat: 6.2, vitamins: { c: 3 } },
+    eatenAt: new Date(2024, 2, 5, 12, 30)
+  });
+  expect(entry).toMatchObject({
+    scan_id: 42,
+    meal: 'lunch',
+    title: 'rice, beans, corn…',
+    grams: 250,
+    nutrition: { calories: 312.5, protein: 11, carbs: 50, fat: 6.2, fiber: 0 }
+  });
+
+  let request;
+  apiClient.defaults.adapter = async (config) => {
+    request = config;
+    return { data: { entries: [entry] }, status: 200, headers: {}, config };
+  };
+  await logMeal(entry);
+  expect(request.url).toBe('/diary');
+  expect(JSON.parse(request.data).meal).toBe('lunch');
+
+  await expect(fetchDiary('2024-02-05', '2024-03-05')).resolves.toEqual([entry]);
+  expect(request.params).toEqual({ date_from: '2024-02-05', date_to: '2024-03-05' });
+});
+
+test('totals each day, including days with nothing logged', () => {
+  const at = (day, hour) => new Date(2024, 2, day, hour).toISOString();
+  const entries = [
+    { eaten_at: at(4, 8), nutrition: { calories: 300, protein: 10, carbs: 40, fat: 8, fiber: 3 } },
+    { eaten_at: at(4, 20), nutrition: { calories: 700, protein: 30, carbs: 80, fat: 25, fiber: 6 } },
+    { eaten_at: at(5, 13), nutrition: { calories: 500 } }
+  ];
+  expect(totalsByDay(entries, dayRange('2024-03-05', 3))).toEqual([
+    { day: '2024-03-03', totals: { calories: 0, protein: 0, carbs: 0, fat: 0, fiber: 0 } },
+    { day: '2024-03-04', totals: { calories: 1000, protein: 40, carbs: 120, fat: 33, fiber: 9 } },
+    { day: '2024-03-05', totals: { calories: 500, protein: 0, carbs: 0, fat: 0, fiber: 0 } }
+  ]);
+});
+
+test('keeps default goals for anything the user has not set', () => {
+  expect(loadNutritionGoals()).toEqual(DEFAULT_NUTRITION_GOALS);
+  saveNutritionGoals({ calories: 1800 });
+  expect(loadNutritionGoals()).toEqual({ ...DEFAULT_NUTRITION_GOALS, calories: 1800 });
+});
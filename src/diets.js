@@ -0,0 +1,162 @@
+// diets.js - Dietary rules (vegan, halal, keto, ...) checked against a scan's ingredients and nutrition
+import { api } from './api';
+import { ingredientMatchesAllergen } from './allergens';
+
+const PORK = ['pork', 'bacon', 'ham', 'lard', 'prosciutto', 'pancetta', 'chorizo', 'pepperoni', 'salami'];
+
+const MEAT = [
+  ...PORK, 'meat', 'beef', 'veal', 'lamb', 'mutton', 'goat', 'venison', 'chicken', 'turkey', 'duck', 'goose',
+  'sausage', 'tallow', 'suet', 'bone broth', 'beef stock', 'chicken stock'
+];
+
+const SHELLFISH = [
+  'shellfish', 'shrimp', 'prawn', 'crab', 'lobster', 'crayfish', 'oyster', 'mussel', 'clam', 'scallop',
+  'squid', 'calamari', 'octopus'
+];
+
+const FISH = [
+  'fish', 'salmon', 'tuna', 'cod', 'haddock', 'anchovy', 'sardine', 'mackerel', 'trout', 'eel', 'fish sauce',
+  ...SHELLFISH
+];
+
+const DAIRY = [
+  'milk', 'butter', 'buttermilk', 'cheese', 'cream', 'yogurt', 'yoghurt', 'whey', 'casein', 'caseinate',
+  'ghee', 'lactose', 'kefir', 'paneer', 'custard', 'milk solids'
+];
+
+const EGGS = ['egg', 'albumin', 'mayonnaise', 'meringue'];
+
+// Animal-derived but neither meat nor dairy - easy to miss on a label
+const ANIMAL_PRODUCTS = [
+  'honey', 'gelatin', 'gelatine', 'collagen', 'rennet', 'isinglass', 'carmine', 'cochineal', 'shellac',
+  'beeswax', 'lanolin'
+];
+
+const ALCOHOL = ['alcohol', 'ethanol', 'wine', 'beer', 'rum', 'brandy', 'vodka', 'whisky', 'whiskey', 'sake', 'mirin', 'liqueur'];
+
+// Plant foods named after the animal product they replace or resemble
+const PLANT_LOOKALIKES = [
+  'coconut milk', 'coconut cream', 'almond milk', 'oat milk', 'soy milk', 'rice milk', 'peanut butter',
+  'cocoa butter', 'shea butter', 'nut butter', 'apple butter', 'butter bean', 'cream of tartar'
+];
+
+// Explicitly plant-based versions ("vegan cheese") are never flagged as animal products
+const PLANT_BASED = /(?<![\p{L}])(vegan|plant[- ]based)(?![\p{L}])/iu;
+
+// Each diet lists the ingredients it rules out, and may also limit a nutrient
+// per 100g (the scan totals are per 100g). exclude removes look-alikes before
+// matching, skip ignores an ingredient altogether, combination flags a scan that
+// contains something from each list.
+export const DIETS = {
+  vegan: {
+    terms: [...MEAT, ...FISH, ...DAIRY, ...EGGS, ...ANIMAL_PRODUCTS],
+    exclude: PLANT_LOOKALIKES,
+    skip: PLANT_BASED
+  },
+  vegetarian: {
+    terms: [...MEAT, ...FISH, 'gelatin', 'gelatine', 'collagen', 'rennet', 'isinglass', 'carmine', 'cochineal'],
+    exclude: PLANT_LOOKALIKES,
+    skip: PLANT_BASED
+  },
+  halal: {
+    terms: [...PORK, ...ALCOHOL, 'gelatin', 'gelatine', 'blood'],
+    exclude: ['rice wine vinegar', 'wine vinegar']
+  },
+  kosher: {
+    terms: [...PORK, ...SHELLFISH, 'eel', 'catfish', 'shark', 'blood', 'gelatin', 'gelatine'],
+    combination: {
+      lists: [MEAT.filter(term => !PORK.includes(term)), DAIRY],
+      exclude: PLANT_LOOKALIKES
+    }
+  },
+  low_fodmap: {
+    terms: [
+      'onion', 'garlic', 'shallot', 'leek', 'wheat', 'rye', 'barley', 'honey', 'agave', 'high fructose corn syrup',
+      'apple', 'pear', 'mango', 'watermelon', 'milk', 'lactose', 'ice cream', 'bean', 'lentil', 'chickpea',
+      'cashew', 'pistachio', 'mushroom', 'cauliflower', 'inulin', 'chicory root', 'sorbitol', 'mannitol',
+      'xylitol', 'maltitol', 'isomalt'
+    ],
+    exclude: [
+      'garlic-infused oil', 'garlic infused oil', 'lactose-free milk', 'lactose free milk', 'almond milk',
+      'rice milk', 'green bean', 'spring onion greens'
+    ]
+  },
+  keto: {
+    terms: [
+      'sugar', 'rice', 'bread', 'pasta', 'noodle', 'potato', 'flour', 'oats', 'corn syrup', 'glucose syrup',
+      'maltodextrin', 'dextrose', 'honey', 'agave'
+    ],
+    exclude: [
+      'almond flour', 'coconut flour', 'sugar-free', 'sugar free', 'cauliflower rice', 'rice vinegar',
+      'sugar snap'
+    ],
+    limit: { nutrient: 'carbs', default: 10, unit: 'g' }
+  },
+  low_sodium: {
+    terms: ['soy sauce', 'fish sauce', 'monosodium glutamate', 'msg', 'bouillon', 'stock cube'],
+    limit: { nutrient: 'sodium', default: 120, unit: 'mg' }
+  }
+};
+
+export const DIET_IDS = Object.keys(DIETS);
+
+// A diet on the profile: { id, limit? } - limit overrides the diet's default nutrient limit
+export const dietLimit = (diet) => {
+  const rule = DIETS[diet.id]?.limit;
+  return rule ? { ...rule, value: diet.limit ?? rule.default } : null;
+};
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const withoutPhrases = (name, phrases) => (phrases || []).reduce(
+  (result, phrase) => result.replace(new RegExp(`(?<![\\p{L}])${escapeRegExp(phrase)}s?(?![\\p{L}])`, 'giu'), ' '),
+  name
+);
+
+const findTerm = (name, terms, exclude) => {
+  const cleaned = withoutPhrases(name, exclude);
+  return terms.find(term => ingredientMatchesAllergen(cleaned, term));
+};
+
+// Sodium is a mineral; every other limited nutrient is a top-level total
+const nutrientValue = (totals, nutrient) => (
+  nutrient === 'sodium' ? totals?.minerals?.sodium : totals?.[nutrient]
+);
+
+// Violations: { diet, type: 'ingredient', ingredient, term }
+//           | { diet, type: 'combination', ingredients: [a, b] }
+//           | { diet, type: 'nutrient', nutrient, value, limit, unit }
+export const evaluateDiets = (scan, nutrition, diets) => {
+  const names = (scan.ingredients || []).map(ing => ing.name).filter(Boolean);
+  const violations = [];
+
+  (diets || []).forEach(diet => {
+    const rule = DIETS[diet.id];
+    if (!rule) return;
+    const considered = rule.skip ? names.filter(name => !rule.skip.test(name)) : names;
+
+    considered.forEach(name => {
+      const term = findTerm(name, rule.terms, rule.exclude);
+      if (term) violations.push({ diet: diet.id, type: 'ingredient', ingredient: name, term });
+    });
+
+    if (rule.combination) {
+      const found = rule.combination.lists.map(terms => (
+        considered.find(name => findTerm(name, terms, rule.combination.exclude))
+      ));
+      if (found.every(Boolean)) violations.push({ diet: diet.id, type: 'combination', ingredients: found });
+    }
+
+    const limit = dietLimit(diet);
+    const value = limit && nutrientValue(nutrition?.total_estimated, limit.nutrient);
+    if (limit && value != null && value > limit.value) {
+      violations.push({
+        diet: diet.id, type: 'nutrient', nutrient: limit.nutrient, value, limit: limit.value, unit: limit.unit
+      });
+    }
+  });
+
+  return violations;
+};
+
+export const saveDiets = (diets) => api.post('/profile/diets', { diets });
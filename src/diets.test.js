@@ -0,0 +1,45 @@
+import { evaluateDiets, dietLimit, saveDiets } from './diets';
+import { apiClient } from './api';
+
+const scanOf = (...names) => ({ ingredients: names.map(name => ({ name })) });
+
+test('flags animal products for vegans, but not their plant look-alikes', () => {
+  const scan = scanOf('oats', 'honey', 'coconut milk', 'peanut butter', 'vegan cheese', 'egg yolk');
+  expect(evaluateDiets(scan, null, [{ id: 'vegan' }])).toEqual([
+    { diet: 'vegan', type: 'ingredient', ingredient: 'honey', term: 'honey' },
+    { diet: 'vegan', type: 'ingredient', ingredient: 'egg yolk', term: 'egg' }
+  ]);
+  expect(evaluateDiets(scan, null, [{ id: 'vegetarian' }])).toEqual([]);
+});
+
+test('checks religious diets, including meat with dairy for kosher', () => {
+  const scan = scanOf('beef', 'cheddar cheese', 'white wine', 'wine vinegar');
+  expect(evaluateDiets(scan, null, [{ id: 'halal' }]).map(v => v.ingredient)).toEqual(['white wine']);
+  expect(evaluateDiets(scan, null, [{ id: 'kosher' }])).toEqual([
+    { diet: 'kosher', type: 'combination', ingredients: ['beef', 'cheddar cheese'] }
+  ]);
+  expect(evaluateDiets(scanOf('shrimp', 'rice'), null, [{ id: 'kosher' }]).map(v => v.term)).toEqual(['shrimp']);
+});
+
+test('compares per-100g nutrition with the limit on the profile', () => {
+  const nutrition = { total_estimated: { carbs: 14, minerals: { sodium: 450 } } };
+  expect(evaluateDiets(scanOf('almond flour', 'eggs'), nutrition, [{ id: 'keto' }, { id: 'low_sodium', limit: 300 }])).toEqual([
+    { diet: 'keto', type: 'nutrient', nutrient: 'carbs', value: 14, limit: 10, unit: 'g' },
+    { diet: 'low_sodium', type: 'nutrient', nutrient: 'sodium', value: 450, limit: 300, unit: 'mg' }
+  ]);
+  // Without sodium data there is nothing to compare
+  expect(evaluateDiets(scanOf('rice cakes'), { total_estimated: { carbs: 5 } }, [{ id: 'low_sodium' }])).toEqual([]);
+  expect(dietLimit({ id: 'vegan' })).toBeNull();
+  expect(dietLimit({ id: 'keto', limit: 20 })).toEqual({ nutrient: 'carbs', default: 10, unit: 'g', value: 20 });
+});
+
+test('saves the diets with the profile', async () => {
+  let request;
+  apiClient.defaults.adapter = async (config) => {
+    request = config;
+    return { data: { ok: true }, status: 200, headers: {}, config };
+  };
+  await saveDiets([{ id: 'keto', limit: 20 }]);
+  expect(request.url).toBe('/profile/diets');
+  expect(JSON.parse(request.data)).toEqual({ diets: [{ id: 'keto', limit: 20 }] });
+});
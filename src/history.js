@@ -0,0 +1,74 @@
+// history.js - Scan history paging and filter helpers
+
+export const HISTORY_PAGE_SIZE = 20;
+
+export const EMPTY_HISTORY_FILTERS = {
+  status: 'all',    // 'all' | 'safe' | 'warning' | 'uncertain'
+  from: '',         // YYYY-MM-DD, inclusive
+  to: '',           // YYYY-MM-DD, inclusive
+  allergen: '',
+  q: ''             // free text over ingredient names
+};
+
+// Filters live in the URL so a filtered history view can be bookmarked
+export const readHistoryFilters = (searchParams) => {
+  const filters = { ...EMPTY_HISTORY_FILTERS };
+  Object.keys(filters).forEach(key => {
+    const value = searchParams.get(key);
+    if (value) filters[key] = value;
+  });
+  return filters;
+};
+
+export const writeHistoryFilters = (filters) => {
+  const params = {};
+  Object.entries(filters).forEach(([key, value]) => {
+    if (value && value !== EMPTY_HISTORY_FILTERS[key]) params[key] = value;
+  });
+  return params;
+};
+
+// Query parameters for /scan-history - the list is filtered again client-side,
+// so a backend that ignores some of these still shows the right scans. The result
+// and allergen filters are not sent: the server only knows the verdict stored when
+// the meal was scanned, while the list shows each scan re-checked against the
+// current profile, and filtering on both would drop or repeat rows between pages.
+export const buildHistoryParams = (filters, page) => {
+  const params = { page, per_page: HISTORY_PAGE_SIZE };
+  if (filters.from) params.date_from = filters.from;
+  if (filters.to) params.date_to = filters.to;
+  if (filters.q.trim()) params.search = filters.q.trim();
+  return params;
+};
+
+export const getScanWarnings = (scan) => scan.warnings || scan.allergen_warnings || [];
+
+// 'safe', 'warning' or 'uncertain'; scans stored before there was a status only have is_safe
+export const scanStatus = (scan) => scan.status || (scan.is_safe ? 'safe' : 'warning');
+
+export const matchesHistoryFilters = (scan, filters) => {
+  if (filters.status !== 'all' && scanStatus(scan) !== filters.status) return false;
+
+  const scannedAt = new Date(scan.created_at);
+  if (filters.from && scannedAt < new Date(`${filters.from}T00:00:00`)) return false;
+  if (filters.to && scannedAt > new Date(`${filters.to}T23:59:59.999`)) return false;
+
+  if (filters.allergen) {
+    const allergen = filters.allergen.toLowerCase();
+    if (!getScanWarnings(scan).some(w => w.allergen?.toLowerCase() === allergen)) return false;
+  }
+
+  const query = filters.q.trim().toLowerCase();
+  if (query && !(scan.ingredients || []).some(ing => ing.name?.toLowerCase().includes(query))) {
+    return false;
+  }
+
+  return true;
+};
+
+// Work out whether another page exists from whichever paging fields the server sent
+export const hasMorePages = (data, page) => {
+  if (typeof data.has_next === 'boolean') return data.has_next;
+  if (data.pages) return page < data.pages;
+  return (data.scans || []).length >= HISTORY_PAGE_SIZE;
+};
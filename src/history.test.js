@@ -0,0 +1,65 @@
+import {
+  EMPTY_HISTORY_FILTERS, readHistoryFilters, writeHistoryFilters,
+  buildHistoryParams, matchesHistoryFilters, hasMorePages, scanStatus
+} from './history';
+
+const scan = {
+  id: 1,
+  is_safe: false,
+  created_at: '2024-03-10T12:30:00',
+  ingredients: [{ name: 'Peanut Butter' }, { name: 'bread' }],
+  warnings: [{ allergen: 'peanuts', ingredient: 'peanut butter', severity: 'severe' }]
+};
+
+const withFilters = (changes) => ({ ...EMPTY_HISTORY_FILTERS, ...changes });
+
+test('round-trips filters through the URL, dropping defaults', () => {
+  const params = writeHistoryFilters(withFilters({ status: 'warning', q: 'nut' }));
+  expect(params).toEqual({ status: 'warning', q: 'nut' });
+  expect(readHistoryFilters(new URLSearchParams(params))).toEqual(withFilters({ status: 'warning', q: 'nut' }));
+});
+
+test('builds server query parameters, leaving verdict filters to the client', () => {
+  expect(buildHistoryParams(withFilters({
+    status: 'warning', from: '2024-03-01', allergen: 'milk', q: ' egg '
+  }), 2)).toEqual({
+    page: 2,
+    per_page: 20,
+    date_from: '2024-03-01',
+    search: 'egg'
+  });
+});
+
+test('filters by result, date range, allergen and ingredient text', () => {
+  expect(matchesHistoryFilters(scan, EMPTY_HISTORY_FILTERS)).toBe(true);
+  expect(matchesHistoryFilters(scan, withFilters({ status: 'safe' }))).toBe(false);
+  expect(matchesHistoryFilters(scan, withFilters({ status: 'warning' }))).toBe(true);
+  expect(matchesHistoryFilters(scan, withFilters({ status: 'uncertain' }))).toBe(false);
+
+  expect(matchesHistoryFilters(scan, withFilters({ from: '2024-03-10', to: '2024-03-10' }))).toBe(true);
+  expect(matchesHistoryFilters(scan, withFilters({ from: '2024-03-11' }))).toBe(false);
+  expect(matchesHistoryFilters(scan, withFilters({ to: '2024-03-09' }))).toBe(false);
+
+  expect(matchesHistoryFilters(scan, withFilters({ allergen: 'Peanuts' }))).toBe(true);
+  expect(matchesHistoryFilters(scan, withFilters({ allergen: 'milk' }))).toBe(false);
+
+  expect(matchesHistoryFilters(scan, withFilters({ q: 'butter' }))).toBe(true);
+  expect(matchesHistoryFilters(scan, withFilters({ q: 'cheese' }))).toBe(false);
+});
+
+test('works out whether more pages exist', () => {
+  expect(hasMorePages({ scans: [], has_next: true }, 1)).toBe(true);
+  expect(hasMorePages({ scans: [], pages: 3 }, 3)).toBe(false);
+  expect(hasMorePages({ scans: new Array(20).fill(scan) }, 1)).toBe(true);
+  expect(hasMorePages({ scans: [scan] }, 1)).toBe(false);
+});
+
+test('filters on the re-checked status, including uncertain results', () => {
+  const uncertain = { ...scan, status: 'uncertain', is_safe: false };
+  expect(scanStatus(uncertain)).toBe('uncertain');
+  expect(scanStatus({ is_safe: true })).toBe('safe');
+  expect(scanStatus({ is_safe: false })).toBe('warning');
+  expect(matchesHistoryFilters(uncertain, withFilters({ status: 'uncertain' }))).toBe(true);
+  expect(matchesHistoryFilters(uncertain, withFilters({ status: 'warning' }))).toBe(false);
+  expect(matchesHistoryFilters(uncertain, withFilters({ status: 'safe' }))).toBe(false);
+});
@@ -0,0 +1,57 @@
+// household.js - Dependent profiles on one account, and checking a scan for everyone who is eating
+import { api } from './api';
+import { recheckScan } from './allergens';
+import { assessScan } from './confidence';
+
+// The account holder is always "self"; dependents get generated ids
+export const SELF_ID = 'self';
+
+export const createMember = (name) => ({
+  id: `member-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+  name: name.trim(),
+  allergies: []
+});
+
+// Everyone whose allergies a scan can be checked against, the account holder first
+export const householdPeople = (user) => [
+  { id: SELF_ID, name: user.user.first_name, allergies: user.allergies || [] },
+  ...(user.household || [])
+];
+
+export const addAllergyTo = (allergies, name, severity) => {
+  const clean = name.trim().toLowerCase();
+  if (!clean || allergies.some(a => a.name.toLowerCase() === clean)) return allergies;
+  return [...allergies, { name: clean, severity }];
+};
+
+// Who is eating is remembered on this device; the same people usually sit down together
+const EATING_KEY = 'household_eating';
+
+export const loadEating = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(EATING_KEY));
+    return Array.isArray(saved) && saved.length > 0 ? saved : [SELF_ID];
+  } catch {
+    return [SELF_ID];
+  }
+};
+
+export const saveEating = (ids) => {
+  localStorage.setItem(EATING_KEY, JSON.stringify(ids));
+};
+
+// One verdict per person: [{ person, result }], each result checked against that person's allergies
+export const checkForPeople = (scan, people, thresholds) => people.map(person => ({
+  person,
+  result: assessScan(recheckScan(scan, person.allergies), person.allergies, thresholds)
+}));
+
+const STATUS_RANK = { safe: 0, uncertain: 1, warning: 2 };
+
+// The table is only as safe as its most affected person
+export const householdStatus = (checks) => checks.reduce(
+  (worst, { result }) => (STATUS_RANK[result.status] > STATUS_RANK[worst] ? result.status : worst),
+  'safe'
+);
+
+export const saveHousehold = (members) => api.post('/profile/household', { members });
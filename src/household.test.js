@@ -0,0 +1,64 @@
+import {
+  SELF_ID, createMember, householdPeople, addAllergyTo, loadEating, saveEating, checkForPeople,
+  householdStatus, saveHousehold
+} from './household';
+import { apiClient } from './api';
+
+const user = {
+  user: { first_name: 'Sam' },
+  allergies: [{ name: 'shellfish', severity: 'mild' }],
+  household: [
+    { id: 'member-1', name: 'Mia', allergies: [{ name: 'peanuts', severity: 'severe' }] },
+    { id: 'member-2', name: 'Leo', allergies: [] }
+  ]
+};
+
+afterEach(() => localStorage.clear());
+
+test('lists the account holder first, then the dependents', () => {
+  expect(householdPeople(user).map(p => [p.id, p.name])).toEqual([
+    [SELF_ID, 'Sam'], ['member-1', 'Mia'], ['member-2', 'Leo']
+  ]);
+  expect(householdPeople({ user: { first_name: 'Jo' } })).toEqual([{ id: SELF_ID, name: 'Jo', allergies: [] }]);
+  expect(createMember('  Ava ')).toEqual({ id: expect.stringMatching(/^member-/), name: 'Ava', allergies: [] });
+});
+
+test('adds allergies without duplicates', () => {
+  const allergies = addAllergyTo([], ' Eggs ', 'severe');
+  expect(allergies).toEqual([{ name: 'eggs', severity: 'severe' }]);
+  expect(addAllergyTo(allergies, 'EGGS', 'mild')).toBe(allergies);
+  expect(addAllergyTo(allergies, ' ', 'mild')).toBe(allergies);
+});
+
+test('checks one scan for each person eating', () => {
+  const scan = { confidence_score: 0.95, ingredients: [{ name: 'satay peanut sauce', confidence: 0.95 }] };
+  const checks = checkForPeople(scan, householdPeople(user), { standard: 0.6, severe: 0.85 });
+
+  expect(checks.map(({ person, result }) => [person.name, result.status])).toEqual([
+    ['Sam', 'safe'], ['Mia', 'warning'], ['Leo', 'safe']
+  ]);
+  expect(checks[1].result.allergen_warnings).toEqual([
+    expect.objectContaining({ allergen: 'peanuts', severity: 'severe' })
+  ]);
+  expect(householdStatus(checks)).toBe('warning');
+  expect(householdStatus([checks[0], checks[2]])).toBe('safe');
+});
+
+test('remembers who is eating', () => {
+  expect(loadEating()).toEqual([SELF_ID]);
+  saveEating(['member-1']);
+  expect(loadEating()).toEqual(['member-1']);
+  saveEating([]);
+  expect(loadEating()).toEqual([SELF_ID]);
+});
+
+test('saves the dependents with the account', async () => {
+  let request;
+  apiClient.defaults.adapter = async (config) => {
+    request = config;
+    return { data: { ok: true }, status: 200, headers: {}, config };
+  };
+  await saveHousehold(user.household);
+  expect(request.url).toBe('/profile/household');
+  expect(JSON.parse(request.data)).toEqual({ members: user.household });
+});
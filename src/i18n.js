@@ -0,0 +1,2118 @@
+// i18n.js - Interface translations, the chosen language and locale-aware number and date formatting
+
+export const LANGUAGES = [
+  ['en', 'English'],
+  ['es', 'Español'],
+  ['fr', 'Français'],
+  ['de', 'Deutsch']
+];
+
+// Keys missing from a language fall back to English. A message with one/other
+// forms is picked by the {count} it is given.
+const MESSAGES = {
+  en: {
+    'language.label': 'Display language',
+    'app.loading': 'Loading your personalized food safety and nutrition assistant...',
+    'hero.tagline': 'AI-Powered Personal Food Allergen Detection with Nutrition Analysis',
+    'hero.scan': '📸 Scan any food',
+    'hero.detect': '🤖 AI ingredient detection',
+    'hero.alerts': '⚠️ Personal allergen alerts',
+    'hero.nutrition': '📊 Nutritional analysis',
+    'auth.email': 'Email Address',
+    'auth.password': 'Password',
+    'login.title': '🍽️ Sign In to FoodGuard',
+    'login.submit': 'Sign In',
+    'login.submitting': 'Signing In...',
+    'login.noAccount': "Don't have an account?",
+    'register.title': '🚀 Create Your Account',
+    'register.firstName': 'First Name',
+    'register.lastName': 'Last Name',
+    'register.passwordHint': 'Password (minimum 6 characters)',
+    'register.submit': 'Create Account',
+    'register.submitting': 'Creating Account...',
+    'register.haveAccount': 'Already have an account?',
+    'register.passwordTooShort': 'Password must be at least 6 characters',
+    'register.allRequired': 'All fields are required',
+    'header.welcome': 'Welcome back, {name}!',
+    'header.history': '📋 History',
+    'header.diary': '📔 Diary',
+    'header.profile': { one: '👤 Profile ({count} allergy)', other: '👤 Profile ({count} allergies)' },
+    'header.logout': '🚪 Logout',
+    'offline.banner': "📴 You're offline - showing your saved profile and scans. New scans will upload when you reconnect.",
+    'offline.logoutPending': {
+      one: '{count} scan taken offline has not been uploaded yet. Logging out deletes it.',
+      other: '{count} scans taken offline have not been uploaded yet. Logging out deletes them.'
+    },
+    'notify.region': 'Notifications',
+    'notify.dismiss': 'Dismiss notification',
+    'notify.retry': 'Retry',
+    'dialog.confirm': 'OK',
+    'dialog.cancel': 'Cancel',
+    'dialog.remove': 'Remove',
+    'dialog.leave': 'Leave without saving',
+    'dialog.logoutAnyway': 'Log out anyway',
+    'scan.modes': 'How to check your food',
+    'scan.photo': '📸 Photo',
+    'scan.text': '📝 Ingredient List',
+    'scan.barcode': '🏷️ Barcode',
+    'upload.preparing': 'Preparing photo...',
+    'upload.drop': 'Drop to upload',
+    'upload.title': 'Upload Food Image',
+    'upload.hint': 'Click here or press Enter, drag & drop or paste (Ctrl+V) your food photos',
+    'upload.formats': 'Supports JPG, PNG, WebP and HEIC up to {size}MB · up to {count} photos at once',
+    'upload.selected': 'Selected food',
+    'upload.camera': '📷 Use Camera',
+    'analyze.batchProgress': '🔍 Analyzing {current} of {total}...',
+    'analyze.batch': '🔍 Analyze {count} Photos',
+    'analyze.waiting': '🔍 Analyzing... Please wait',
+    'analyze.single': '🔍 Analyze for Allergens & Nutrition',
+    'analyze.retry': '🔄 Retry',
+    'analyze.saveLater': '📥 Save & upload later',
+    'history.recent': '📋 Recent Scans',
+    'footer.disclaimer': '⚠️ This tool is for informational purposes only. Always verify with food labels and restaurant staff for severe allergies.',
+    'footer.nutrition': '📊 Nutritional information is AI-generated and should be used as estimates only.',
+    'nutrition.title': '📊 Nutritional Information',
+    'nutrition.none': 'No nutritional data available for this scan.',
+    'nutrition.show': '▶ Show Details',
+    'nutrition.hide': '▼ Hide Details',
+    'nutrition.total': '🥗 Total Estimated ({grams})',
+    'nutrition.calories': 'Calories',
+    'nutrition.protein': 'Protein',
+    'nutrition.carbs': 'Carbs',
+    'nutrition.fat': 'Fat',
+    'nutrition.fiber': 'Fiber',
+    'nutrition.vitamins': '💊 Key Vitamins:',
+    'nutrition.vitamin': 'Vitamin {name}',
+    'nutrition.minerals': '⚡ Key Minerals:',
+    'nutrition.perIngredient': '🔍 Per Ingredient:',
+    'nutrition.caloriesShort': 'Cal',
+    'nutrition.proteinShort': 'P',
+    'nutrition.carbsShort': 'C',
+    'nutrition.fatShort': 'F',
+    'nutrition.confidence': '🤖 Nutritional Estimate - Confidence: {value}',
+    'nutrition.corrected': '✏️ Totals recalculated from your corrected ingredients',
+    'nutrition.disclaimer': '⚠️ Nutritional values are estimates based on detected ingredients. Actual values may vary by preparation method, portion size, and ingredient brands.',
+    'nutrition.portion': 'Portion',
+    'nutrition.portionAmount': 'Portion amount',
+    'nutrition.portionUnit': 'Portion unit',
+    'nutrition.unit.grams': 'grams',
+    'nutrition.unit.servings': 'servings',
+    'nutrition.unit.plate': 'plate',
+    'nutrition.plate.small': 'Small plate (~{grams})',
+    'nutrition.plate.medium': 'Medium plate (~{grams})',
+    'nutrition.plate.large': 'Large plate (~{grams})',
+    'nutrition.servingSize': '1 serving = {grams}',
+    'nutrition.dailyValue': '{value} DV',
+    'nutrition.dailyValueNote': 'DV = share of your daily reference intake, which you can change in your profile.',
+    'a11y.title': '♿ Accessibility',
+    'a11y.hint': 'Saved on this device.',
+    'a11y.highContrast': 'High-contrast theme',
+    'a11y.highContrastHint': 'Black text on white, strong outlines, and severity shown by pattern as well as color.',
+    'a11y.readAloud': 'Read results aloud',
+    'a11y.readAloudHint': 'Speaks the verdict and every allergen warning as soon as a scan is checked.',
+    'a11y.noSpeech': 'This browser cannot read text aloud.',
+    'intakes.title': '🥗 Daily Reference Intakes',
+    'intakes.hint': 'Used for the daily value percentages in nutrition facts. The defaults are EU reference intakes for an average adult. Saved on this device.',
+    'intakes.showMore': '▶ Vitamins & minerals',
+    'intakes.hideMore': '▼ Vitamins & minerals',
+    'intakes.reset': 'Reset to defaults',
+    'diary.title': '📔 Nutrition Diary',
+    'diary.log': '📔 Log as meal',
+    'diary.logging': 'Logging...',
+    'diary.meal': 'Meal',
+    'diary.meal.breakfast': 'Breakfast',
+    'diary.meal.lunch': 'Lunch',
+    'diary.meal.dinner': 'Dinner',
+    'diary.meal.snack': 'Snack',
+    'diary.logged': '✓ Logged to your diary as {meal}',
+    'diary.logError': '❌ Could not log this meal: {message}',
+    'diary.previousDay': '← Previous day',
+    'diary.nextDay': 'Next day →',
+    'diary.day': 'Diary day',
+    'diary.dayTotals': 'Totals for {date}',
+    'diary.weekTotals': 'Last 7 days ({from} – {to})',
+    'diary.ofGoal': '{value} of {goal}',
+    'diary.empty': 'Nothing logged on this day. Log a meal from any scan result.',
+    'diary.entry': '{grams} · {calories} kcal',
+    'diary.removeEntry': 'Remove {title} from the diary',
+    'diary.confirmRemove': 'Remove {title} from your diary?',
+    'diary.removeError': '❌ Could not remove the entry: {message}',
+    'diary.loadError': 'Could not load your diary: {message}',
+    'diary.trends': '📈 Last 30 Days',
+    'diary.chart': '{nutrient} per day from {from} to {to}, with a daily goal of {goal}',
+    'diary.goals': '🎯 Daily Goals',
+    'diary.showGoals': '▶ Edit goals',
+    'diary.hideGoals': '▼ Edit goals',
+    'diary.goalsHint': 'Weekly goals are seven times the daily ones. Saved on this device.',
+    'nutrition.sodium': 'Sodium',
+    'diet.vegan': 'vegan',
+    'diet.vegetarian': 'vegetarian',
+    'diet.halal': 'halal',
+    'diet.kosher': 'kosher',
+    'diet.low_fodmap': 'low-FODMAP',
+    'diet.keto': 'keto',
+    'diet.low_sodium': 'low-sodium',
+    'diets.title': '🥗 Dietary Rules',
+    'diets.hint': 'Scans are also checked against these diets. Diet issues are shown separately from allergen warnings.',
+    'diets.limit': 'Max {nutrient} per 100g',
+    'diets.save': '💾 Save Diets',
+    'diets.saveSuccess': '✅ Dietary rules updated successfully!',
+    'diets.saveError': '❌ Error updating dietary rules: {message}',
+    'diets.results': '🥗 Diet Check',
+    'diets.fits': '✓ Fits your diets: {diets}',
+    'diets.violation.ingredient': 'Contains {ingredient} (not {diet})',
+    'diets.violation.combination': 'Mixes meat ({meat}) with dairy ({dairy}) (not {diet})',
+    'diets.violation.nutrient': '{nutrient} above your {diet} limit: {value} per 100g (limit {limit})',
+    'profile.back': '← Back to Scanner',
+    'profile.title': '👤 Your Profile',
+    'profile.account': 'Account Information',
+    'profile.name': 'Name',
+    'profile.email': 'Email',
+    'profile.totalScans': 'Total Scans',
+    'profile.allergies': '🚨 Your Allergies ({count})',
+    'profile.quickAdd': 'Quick Add Common Allergens:',
+    'profile.custom': 'Add Custom Allergy:',
+    'profile.customPlaceholder': 'Enter allergy name',
+    'profile.add': 'Add',
+    'profile.showDetails': '+ Add reaction, diagnosis and notes',
+    'profile.hideDetails': '− Hide details',
+    'profile.current': 'Current Allergies:',
+    'profile.none': 'No allergies configured yet.',
+    'profile.noneHint': 'Add some above to get personalized food safety warnings!',
+    'profile.severityOf': 'Severity of {name} allergy',
+    'profile.autoInjector': '💉 Auto-injector',
+    'profile.details': '✏️ Details',
+    'profile.done': 'Done',
+    'profile.remove': 'Remove allergy',
+    'profile.unsaved': '● You have unsaved changes',
+    'profile.save': '💾 Save Allergies',
+    'profile.saving': '💾 Saving...',
+    'profile.saved': '✓ All changes saved',
+    'profile.saveSuccess': '✅ Allergies updated successfully!',
+    'profile.saveError': '❌ Error updating allergies: {message}',
+    'profile.leaveUnsaved': 'You have unsaved allergy changes. Leave without saving them?',
+    'transfer.title': '📁 Import or Export Allergies',
+    'transfer.hint': 'Bring in a diagnosed allergy list from your clinic or another app, or export yours to share. FHIR, FoodGuard JSON and CSV files (a name and a severity column) can be imported.',
+    'transfer.exportJson': '⬇️ Export JSON',
+    'transfer.exportFhir': '⬇️ Export FHIR',
+    'transfer.file': 'Allergy file to import',
+    'transfer.readError': '❌ Could not read {file}: {message}',
+    'transfer.empty': 'No allergies found in {file}.',
+    'transfer.previewTitle': 'Preview of {file}',
+    'transfer.summary': '{added} new · {updated} merged · {unchanged} already on your list',
+    'transfer.skipped': { one: '{count} entry was left out: resolved, refuted or without a name.', other: '{count} entries were left out: resolved, refuted or without a name.' },
+    'transfer.status.new': 'New',
+    'transfer.status.updated': 'Merged',
+    'transfer.status.unchanged': 'Already listed',
+    'transfer.mergeHint': 'Duplicates are merged: the stricter severity is kept and missing details are filled in. Nothing is saved until you save your allergies.',
+    'transfer.apply': 'Add to my allergies',
+    'transfer.cancel': 'Cancel',
+    'household.title': '👨‍👩‍👧 Household ({count})',
+    'household.hint': 'People you scan for, each with their own allergies. Choose who is eating on the scanner.',
+    'household.memberName': 'Name of household member',
+    'household.removeMember': 'Remove {name}',
+    'household.confirmRemove': 'Remove {name} from your household?',
+    'household.noAllergies': 'No allergies yet',
+    'household.allergySeverity': "Severity of {name}'s {allergy} allergy",
+    'household.newAllergy': 'New allergy for {name}',
+    'household.allergyPlaceholder': 'Add an allergy',
+    'household.newMember': 'New household member',
+    'household.newMemberPlaceholder': 'Name, e.g. Mia',
+    'household.addMember': '+ Add person',
+    'household.save': '💾 Save Household',
+    'household.saveSuccess': '✅ Household updated successfully!',
+    'household.saveError': '❌ Error updating household: {message}',
+    'eating.label': 'Who is eating',
+    'eating.title': "🍽️ Who's eating?",
+    'eating.you': '{name} (you)',
+    'severity.mild': 'Mild',
+    'severity.moderate': 'Moderate',
+    'severity.severe': 'Severe',
+    'details.reaction': 'Reaction type',
+    'details.diagnosed': 'Diagnosed on',
+    'details.diagnosedOn': 'Diagnosed {date}',
+    'details.epinephrine': 'Epinephrine auto-injector prescribed',
+    'details.notes': 'Notes',
+    'details.notesPlaceholder': 'e.g. Trace amounts are fine, reacts to raw but not baked',
+    'reaction.none': 'Not specified',
+    'reaction.skin': 'Hives / skin rash',
+    'reaction.swelling': 'Swelling of lips, face or throat',
+    'reaction.digestive': 'Digestive upset',
+    'reaction.respiratory': 'Breathing difficulty',
+    'reaction.anaphylaxis': 'Anaphylaxis',
+    'reaction.other': 'Other',
+    'session.expired': '⏰ Session expired',
+    'session.signInAgain': 'Please sign in again to continue. Your current scan and image are kept.',
+    'session.signOut': 'Sign out instead',
+    'thresholds.title': '🎯 Confidence Thresholds',
+    'thresholds.hint': 'Matches and verdicts below these levels are shown as "uncertain - verify manually". Saved on this device.',
+    'thresholds.standard': 'Mild & moderate allergies',
+    'thresholds.severe': 'Severe allergies',
+    'thresholds.reset': 'Reset to defaults',
+    'cards.title': '🪪 Allergy Cards',
+    'cards.hint': 'A wallet card for emergencies and a chef card for restaurants, in the language of where you travel.',
+    'cards.create': 'Create allergy card',
+    'cards.type': 'Card type',
+    'cards.wallet': '💳 Wallet card',
+    'cards.chef': '👨‍🍳 Chef card',
+    'cards.language': 'Language',
+    'cards.contact.name': 'Emergency contact',
+    'cards.contact.namePlaceholder': 'Name',
+    'cards.contact.relationship': 'Relationship',
+    'cards.contact.relationshipPlaceholder': 'e.g. partner, parent',
+    'cards.contact.phone': 'Phone',
+    'cards.contact.phonePlaceholder': 'Include the country code for travel',
+    'cards.instructions': 'Emergency instructions',
+    'cards.instructionsPlaceholder': 'Leave empty to use the standard instructions',
+    'cards.ownInstructions': 'Your own instructions are printed as written, not translated.',
+    'cards.previewAlt': '{title} preview',
+    'cards.pdf': '📄 Download PDF',
+    'cards.image': '🖼️ Download image',
+    'cards.share': '📤 Share',
+    'cards.close': 'Close',
+    'cards.printHint': 'The PDF prints the card at its real size on A4 - cut along the dashed line. Contact details are saved on this device only.',
+    'cards.error': '❌ Could not create the card: {message}',
+    'match.listed': 'Listed as {allergen}',
+    'match.alias': '{term} is the same allergen as {allergen}',
+    'match.synonym': '{term} is another name for {allergen}',
+    'match.derived': '{term} is made from {allergen}',
+    'match.member': '{term} belongs to the {group} group',
+    'match.parent': '{term} can include {allergen}',
+    'match.crossReactive': '{note}',
+    'match.translation': '{term} is {language} for {english}',
+    'match.reported': 'Flagged by the FoodGuard analysis',
+    'uncertain.ingredient': '{ingredient} was identified with {confidence} confidence - check whether it contains {allergen}',
+    'uncertain.overall': 'The analysis is only {confidence} confident overall, below your {threshold} threshold',
+    'warnings.detectedIn': 'detected in',
+    'warnings.why': 'Why: {reason}',
+    'warnings.severity.mild': 'mild allergy',
+    'warnings.severity.moderate': 'moderate allergy',
+    'warnings.severity.severe': 'severe allergy',
+    'warnings.crossReaction': 'possible cross-reaction',
+    'warnings.lowConfidence': 'low confidence - verify',
+    'warnings.confidence': '{value} confidence',
+    'verdicts.title': '👨‍👩‍👧 Who can eat this?',
+    'verdicts.safe': '✅ Safe',
+    'verdicts.warning': '⚠️ Not safe',
+    'verdicts.uncertain': '❓ Verify',
+    'verdicts.noAllergies': 'No allergies on record',
+    'result.safe': 'SAFE FOR YOU!',
+    'result.warning': '⚠️ ALLERGEN DETECTED!',
+    'result.uncertain': '❓ UNCERTAIN - VERIFY MANUALLY',
+    'result.safeDetail': 'No allergens found based on your profile',
+    'result.warningDetail': {
+      one: 'Found {count} potential allergen',
+      other: 'Found {count} potential allergens'
+    },
+    'result.uncertainDetail': 'The analysis is not confident enough to call this safe. Check the label or ask the staff.',
+    'result.household.safe': 'SAFE FOR EVERYONE EATING!',
+    'result.household.warning': '⚠️ NOT SAFE FOR EVERYONE!',
+    'result.household.uncertain': '❓ VERIFY BEFORE SERVING',
+    'result.household.safeDetail': 'No allergens found for {names}',
+    'result.household.warningDetail': 'Not safe for {names}',
+    'result.household.uncertainDetail': 'Check the label before serving {names}',
+    'result.confidence': 'Analysis confidence: {value}',
+    'result.nutritionAvailable': '📊 Nutritional information available',
+    'result.readAloud': '🔊 Read aloud',
+    'result.warnings': '⚠️ Allergen Warnings:',
+    'result.barcode': 'Barcode {barcode}',
+    'result.per100g': 'nutrition per 100 g',
+    'result.ingredientsDetected': '🥘 Detected Ingredients ({count}):',
+    'result.ingredientsListed': '🥘 Listed Ingredients ({count}):',
+    'result.moreIngredients': {
+      one: '...and {count} more ingredient detected',
+      other: '...and {count} more ingredients detected'
+    },
+    'corrections.corrected': '✏️ Corrected by you',
+    'corrections.edit': '✏️ Correct ingredients',
+    'corrections.ingredient': 'Ingredient {number}',
+    'corrections.was': 'was "{name}"',
+    'corrections.removeTitle': 'Remove ingredient',
+    'corrections.remove': 'Remove {name}',
+    'corrections.missing': 'Add a missing ingredient',
+    'corrections.add': 'Add',
+    'corrections.hint': 'Corrections are saved with this scan and help FoodGuard recognise ingredients better.',
+    'corrections.saving': '💾 Saving...',
+    'corrections.save': '💾 Save corrections',
+    'corrections.error': 'Could not save your corrections: {message}',
+    'historyCard.safe': '✅ Safe',
+    'historyCard.warning': {
+      one: '⚠️ {count} warning',
+      other: '⚠️ {count} warnings'
+    },
+    'historyCard.uncertain': '❓ Verify',
+    'historyCard.nutrition': '📊 Nutrition data',
+    'history.viewAll': 'View all →',
+    'queue.title': '📥 Offline Scans ({count})',
+    'queue.syncedSafe': '☁️ Synced · ✅ Safe',
+    'queue.syncedWarnings': '☁️ Synced · ⚠️ Warnings',
+    'queue.failed': '❌ Upload failed: {message}',
+    'queue.pending': '⏳ Pending upload',
+    'queue.discard': 'Discard',
+    'export.open': '📤 Export history',
+    'export.from': 'From',
+    'export.to': 'To',
+    'export.format': 'Export format',
+    'export.format.csv': 'CSV spreadsheet',
+    'export.format.json': 'JSON data',
+    'export.format.pdf': 'PDF report for your doctor',
+    'export.exporting': 'Exporting...',
+    'export.submit': '📤 Export',
+    'export.close': 'Close',
+    'export.hint': 'Includes dates, results, allergen warnings with severity and confidence, ingredients and nutrition. The PDF report adds a summary of allergen exposures for your allergist or dietitian.',
+    'export.empty': 'No scans in this date range.',
+    'export.done': {
+      one: '✓ Exported {count} scan',
+      other: '✓ Exported {count} scans'
+    },
+    'export.error': '❌ Export failed: {message}',
+    'history.title': '📋 Scan History',
+    'history.offline': '📴 Offline - showing your most recent saved scans.',
+    'history.search': 'Search ingredients',
+    'history.searchPlaceholder': 'Search ingredients...',
+    'history.result': 'Result',
+    'history.status.all': 'All results',
+    'history.status.safe': '✅ Safe only',
+    'history.status.warning': '⚠️ Warnings only',
+    'history.status.uncertain': '❓ Uncertain only',
+    'history.allergen': 'Allergen',
+    'history.anyAllergen': 'Any allergen',
+    'history.clearFilters': 'Clear filters',
+    'history.count': {
+      one: 'Showing {count} scan',
+      other: 'Showing {count} scans'
+    },
+    'history.countOf': 'Showing {count} of {total} scans',
+    'history.noMatches': 'No scans match these filters.',
+    'history.empty': 'No scans yet - analyze a meal to start your history.',
+    'history.loading': 'Loading scans...',
+    'history.loadMore': 'Load more',
+    'detail.back': '← Back to History',
+    'detail.loading': 'Loading scan...',
+    'detail.scanned': '🕒 Scanned {date}',
+    'detail.showOriginal': '↩ Show result as originally scanned',
+    'detail.recheck': '🔄 Check with my current allergies',
+    'detail.checked': {
+      one: 'Checked against your current profile ({count} allergy).',
+      other: 'Checked against your current profile ({count} allergies).'
+    },
+    'detail.sameVerdict': 'The verdict is the same as when this meal was scanned.',
+    'detail.wasSafe': 'When scanned, this meal was marked safe.',
+    'detail.wasUnsafe': 'When scanned, this meal was marked unsafe.',
+    'progress.uploading': '📤 Uploading photo... {progress}%',
+    'progress.analyzing': '🤖 Photo uploaded - analyzing ingredients...',
+    'progress.cancel': '✕ Cancel',
+    'camera.error.blocked': 'Camera access was blocked. Allow camera permission in your browser settings, or upload a photo instead.',
+    'camera.error.missing': 'No camera was found on this device.',
+    'camera.error.busy': 'The camera is being used by another app.',
+    'camera.error.failed': 'Could not start the camera: {message}',
+    'camera.error.capture': 'Could not capture a photo from the camera',
+    'camera.captured': 'Captured food',
+    'camera.close': '✕ Close',
+    'camera.retake': '🔄 Retake',
+    'camera.use': '✓ Use Photo',
+    'camera.switch': '🔁 Switch Camera',
+    'camera.capture': '📸 Capture',
+    'label.ingredients': 'Ingredient list',
+    'label.ingredientsPlaceholder': 'Paste or type the ingredients from the package, e.g. Wheat flour, sugar, butter (milk), eggs. May contain nuts.',
+    'label.check': '🔍 Check Ingredients',
+    'label.barcode': 'Barcode number',
+    'label.barcodePlaceholder': 'e.g. 3017620422003',
+    'label.lookingUp': '🔍 Looking up...',
+    'label.lookUp': '🔍 Look Up Product',
+    'label.scan': '📷 Scan Barcode',
+    'label.noDetector': 'This browser cannot read barcodes from the camera - type the number printed under the bars.',
+    'label.error.noIngredients': 'No ingredients found - separate them with commas or new lines',
+    'label.error.invalidBarcode': 'That does not look like a valid EAN or UPC barcode - check the digits under the bars',
+    'label.error.unknownProduct': 'This product is not in the database yet. Type the ingredient list from the package instead.',
+    'label.error.noIngredientList': 'No ingredient list is on record for {product}. Type it from the package instead.',
+    'label.error.lookupFailed': 'Product lookup failed: {message}',
+    'batch.analyzing': '🔍 Analyzing...',
+    'batch.verify': '❓ Verify manually',
+    'batch.safe': '✅ Safe',
+    'batch.allergens': {
+      one: '⚠️ {count} allergen',
+      other: '⚠️ {count} allergens'
+    },
+    'batch.failed': '❌ {message}',
+    'batch.queued': '📥 Saved for upload',
+    'batch.waiting': '⏳ Waiting',
+    'batch.title': '🗂️ Photo Queue ({count})',
+    'batch.clear': 'Clear',
+    'batch.summary.safe': '{count} safe',
+    'batch.summary.unsafe': '{count} with allergens',
+    'batch.summary.uncertain': '{count} to verify',
+    'batch.summary.failed': '{count} failed',
+    'batch.view': 'View',
+    'upload.error.type': 'Please select a valid image file',
+    'upload.error.size': 'Image size must be less than {size}MB',
+    'upload.tooMany': 'Only the first {count} photos will be analyzed',
+    'upload.skipped': 'Skipped',
+    'analyze.error.failed': 'Analysis failed: {message}',
+    'offline.saved': {
+      one: '📥 Scan saved. It will be analyzed automatically when you are back online.',
+      other: '📥 {count} scans saved. They will be analyzed automatically when you are back online.'
+    },
+    'offline.saveError': 'Could not save the scan for later: {message}',
+    'speech.safe': 'Safe to eat. No allergens found based on your profile.',
+    'speech.warning': 'Warning: not safe.',
+    'speech.uncertain': 'Uncertain. The analysis is not confident enough to call this safe. Check the label.',
+    'speech.household.safe': 'Safe for everyone eating.',
+    'speech.household.warning': 'Warning: not safe for everyone.',
+    'speech.household.uncertain': 'Verify before serving.',
+    'speech.person': '{name}: {verdict}.',
+    'speech.person.safe': 'safe',
+    'speech.person.warning': 'not safe',
+    'speech.person.uncertain': 'verify before serving',
+    'speech.detected': 'Allergen detected: {allergen}',
+    'speech.possible': 'Possible allergen: {allergen}',
+    'speech.severity.mild': 'mild',
+    'speech.severity.moderate': 'moderate',
+    'speech.severity.severe': 'severe',
+    'speech.in': 'in {ingredients}',
+    'speech.lowConfidence': 'low confidence',
+    'error.network': 'Cannot connect to server. Please check your internet connection.',
+    'error.timeout': 'The server took too long to respond. Please try again.',
+    'error.cancelled': 'Request was cancelled',
+    'error.server': 'Server error: {status}',
+    'error.unauthorized': 'Your session has ended. Please sign in again.',
+    'error.invalidLogin': 'Invalid email or password',
+    'error.imageDecode': 'Image could not be decoded',
+    'error.imageHeic': 'This HEIC photo could not be converted. Try sharing it as a JPEG instead.',
+    'error.imageFormat': 'This image format is not supported. Please use a JPG, PNG or WebP photo.',
+    'error.imagePrepare': 'Could not prepare the image for upload',
+    'error.cameraCapture': 'Could not capture a photo from the camera',
+    'queue.rejected': '⚠️ Not uploaded: {message}',
+    'queue.retry': 'Try again',
+    'report.title': 'FoodGuard food and allergen report',
+    'report.patient': 'Patient: {name}',
+    'report.period': 'Period: {from} to {to}',
+    'report.generated': 'Generated: {date}',
+    'report.allergies': 'Recorded allergies',
+    'report.allergy': '- {name} ({severity})',
+    'report.allergyWithInjector': '- {name} ({severity}), auto-injector prescribed',
+    'report.noAllergies': 'None recorded',
+    'report.summary': 'Summary',
+    'report.summaryText': {
+      one: '{count} scan, {warnings} with allergen warnings or uncertain results.',
+      other: '{count} scans, {warnings} with allergen warnings or uncertain results.'
+    },
+    'report.exposures': 'Allergen exposures',
+    'report.exposure': {
+      one: '{allergen}: {count} scan',
+      other: '{allergen}: {count} scans'
+    },
+    'report.exposureSeverity': ', {severity} allergy',
+    'report.exposureConfidence': ', highest confidence {value}',
+    'report.exposureDetail': 'First {first}, last {last}. Found in: {foods}',
+    'report.notRecorded': 'not recorded',
+    'report.noExposures': 'No allergens were detected in this period.',
+    'report.log': 'Scan log',
+    'report.status.safe': 'SAFE',
+    'report.status.warning': 'WARNING',
+    'report.status.uncertain': 'UNCERTAIN',
+    'report.warning': 'Warning: {warning}',
+    'report.warningIn': '{allergen} in {ingredient}',
+    'report.ingredients': 'Ingredients: {ingredients}',
+    'report.per100g': 'Per 100g: {values}',
+    'report.severity.mild': 'mild',
+    'report.severity.moderate': 'moderate',
+    'report.severity.severe': 'severe',
+    'report.disclaimer': 'Warnings come from automated photo and label analysis and may be incomplete. They are not a diagnosis.'
+  },
+  es: {
+    'language.label': 'Idioma',
+    'app.loading': 'Cargando tu asistente personal de seguridad alimentaria y nutrición...',
+    'hero.tagline': 'Detección personal de alérgenos en alimentos con IA y análisis nutricional',
+    'hero.scan': '📸 Escanea cualquier comida',
+    'hero.detect': '🤖 Detección de ingredientes con IA',
+    'hero.alerts': '⚠️ Alertas de alérgenos personalizadas',
+    'hero.nutrition': '📊 Análisis nutricional',
+    'auth.email': 'Correo electrónico',
+    'auth.password': 'Contraseña',
+    'login.title': '🍽️ Inicia sesión en FoodGuard',
+    'login.submit': 'Iniciar sesión',
+    'login.submitting': 'Iniciando sesión...',
+    'login.noAccount': '¿No tienes cuenta?',
+    'register.title': '🚀 Crea tu cuenta',
+    'register.firstName': 'Nombre',
+    'register.lastName': 'Apellidos',
+    'register.passwordHint': 'Contraseña (mínimo 6 caracteres)',
+    'register.submit': 'Crear cuenta',
+    'register.submitting': 'Creando cuenta...',
+    'register.haveAccount': '¿Ya tienes cuenta?',
+    'register.passwordTooShort': 'La contraseña debe tener al menos 6 caracteres',
+    'register.allRequired': 'Todos los campos son obligatorios',
+    'header.welcome': '¡Hola de nuevo, {name}!',
+    'header.history': '📋 Historial',
+    'header.diary': '📔 Diario',
+    'header.profile': { one: '👤 Perfil ({count} alergia)', other: '👤 Perfil ({count} alergias)' },
+    'header.logout': '🚪 Cerrar sesión',
+    'offline.banner': '📴 Sin conexión: se muestran tu perfil y tus escaneos guardados. Los nuevos escaneos se subirán cuando vuelvas a conectarte.',
+    'offline.logoutPending': {
+      one: '{count} escaneo hecho sin conexión aún no se ha subido. Al cerrar sesión se eliminará.',
+      other: '{count} escaneos hechos sin conexión aún no se han subido. Al cerrar sesión se eliminarán.'
+    },
+    'notify.region': 'Notificaciones',
+    'notify.dismiss': 'Cerrar notificación',
+    'notify.retry': 'Reintentar',
+    'dialog.confirm': 'Aceptar',
+    'dialog.cancel': 'Cancelar',
+    'dialog.remove': 'Eliminar',
+    'dialog.leave': 'Salir sin guardar',
+    'dialog.logoutAnyway': 'Cerrar sesión de todos modos',
+    'scan.modes': 'Cómo comprobar tu comida',
+    'scan.photo': '📸 Foto',
+    'scan.text': '📝 Lista de ingredientes',
+    'scan.barcode': '🏷️ Código de barras',
+    'upload.preparing': 'Preparando la foto...',
+    'upload.drop': 'Suelta para subir',
+    'upload.title': 'Sube una foto de la comida',
+    'upload.hint': 'Haz clic aquí o pulsa Intro, arrastra y suelta o pega (Ctrl+V) tus fotos de comida',
+    'upload.formats': 'Admite JPG, PNG, WebP y HEIC de hasta {size} MB · hasta {count} fotos a la vez',
+    'upload.selected': 'Comida seleccionada',
+    'upload.camera': '📷 Usar la cámara',
+    'analyze.batchProgress': '🔍 Analizando {current} de {total}...',
+    'analyze.batch': '🔍 Analizar {count} fotos',
+    'analyze.waiting': '🔍 Analizando... Espera un momento',
+    'analyze.single': '🔍 Analizar alérgenos y nutrición',
+    'analyze.retry': '🔄 Reintentar',
+    'analyze.saveLater': '📥 Guardar y subir más tarde',
+    'history.recent': '📋 Escaneos recientes',
+    'footer.disclaimer': '⚠️ Esta herramienta es solo informativa. Si tienes alergias graves, comprueba siempre las etiquetas y pregunta al personal del restaurante.',
+    'footer.nutrition': '📊 La información nutricional la genera una IA y debe usarse solo como estimación.',
+    'nutrition.title': '📊 Información nutricional',
+    'nutrition.none': 'No hay datos nutricionales para este escaneo.',
+    'nutrition.show': '▶ Mostrar detalles',
+    'nutrition.hide': '▼ Ocultar detalles',
+    'nutrition.total': '🥗 Total estimado ({grams})',
+    'nutrition.calories': 'Calorías',
+    'nutrition.protein': 'Proteínas',
+    'nutrition.carbs': 'Carbohidratos',
+    'nutrition.fat': 'Grasas',
+    'nutrition.fiber': 'Fibra',
+    'nutrition.vitamins': '💊 Vitaminas principales:',
+    'nutrition.vitamin': 'Vitamina {name}',
+    'nutrition.minerals': '⚡ Minerales principales:',
+    'nutrition.perIngredient': '🔍 Por ingrediente:',
+    'nutrition.caloriesShort': 'Cal',
+    'nutrition.proteinShort': 'P',
+    'nutrition.carbsShort': 'HC',
+    'nutrition.fatShort': 'G',
+    'nutrition.confidence': '🤖 Estimación nutricional - Confianza: {value}',
+    'nutrition.corrected': '✏️ Totales recalculados a partir de tus ingredientes corregidos',
+    'nutrition.disclaimer': '⚠️ Los valores nutricionales son estimaciones basadas en los ingredientes detectados. Los valores reales pueden variar según la preparación, el tamaño de la porción y la marca de los ingredientes.',
+    'nutrition.portion': 'Porción',
+    'nutrition.portionAmount': 'Cantidad de la porción',
+    'nutrition.portionUnit': 'Unidad de la porción',
+    'nutrition.unit.grams': 'gramos',
+    'nutrition.unit.servings': 'raciones',
+    'nutrition.unit.plate': 'plato',
+    'nutrition.plate.small': 'Plato pequeño (~{grams})',
+    'nutrition.plate.medium': 'Plato mediano (~{grams})',
+    'nutrition.plate.large': 'Plato grande (~{grams})',
+    'nutrition.servingSize': '1 ración = {grams}',
+    'nutrition.dailyValue': '{value} IR',
+    'nutrition.dailyValueNote': 'IR = parte de tu ingesta de referencia diaria, que puedes cambiar en tu perfil.',
+    'a11y.title': '♿ Accesibilidad',
+    'a11y.hint': 'Se guarda en este dispositivo.',
+    'a11y.highContrast': 'Tema de alto contraste',
+    'a11y.highContrastHint': 'Texto negro sobre blanco, contornos marcados y la gravedad indicada con patrones además de colores.',
+    'a11y.readAloud': 'Leer los resultados en voz alta',
+    'a11y.readAloudHint': 'Lee el veredicto y cada aviso de alérgenos en cuanto se comprueba un escaneo.',
+    'a11y.noSpeech': 'Este navegador no puede leer texto en voz alta.',
+    'intakes.title': '🥗 Ingestas de referencia diarias',
+    'intakes.hint': 'Se usan para los porcentajes de la información nutricional. Por defecto son las ingestas de referencia de la UE para un adulto medio. Se guardan en este dispositivo.',
+    'intakes.showMore': '▶ Vitaminas y minerales',
+    'intakes.hideMore': '▼ Vitaminas y minerales',
+    'intakes.reset': 'Restablecer valores predeterminados',
+    'diary.title': '📔 Diario nutricional',
+    'diary.log': '📔 Anotar como comida',
+    'diary.logging': 'Anotando...',
+    'diary.meal': 'Comida',
+    'diary.meal.breakfast': 'Desayuno',
+    'diary.meal.lunch': 'Almuerzo',
+    'diary.meal.dinner': 'Cena',
+    'diary.meal.snack': 'Tentempié',
+    'diary.logged': '✓ Anotado en tu diario como {meal}',
+    'diary.logError': '❌ No se pudo anotar esta comida: {message}',
+    'diary.previousDay': '← Día anterior',
+    'diary.nextDay': 'Día siguiente →',
+    'diary.day': 'Día del diario',
+    'diary.dayTotals': 'Totales del {date}',
+    'diary.weekTotals': 'Últimos 7 días ({from} – {to})',
+    'diary.ofGoal': '{value} de {goal}',
+    'diary.empty': 'No hay nada anotado este día. Anota una comida desde cualquier resultado de escaneo.',
+    'diary.entry': '{grams} · {calories} kcal',
+    'diary.removeEntry': 'Quitar {title} del diario',
+    'diary.confirmRemove': '¿Quitar {title} de tu diario?',
+    'diary.removeError': '❌ No se pudo quitar la entrada: {message}',
+    'diary.loadError': 'No se pudo cargar tu diario: {message}',
+    'diary.trends': '📈 Últimos 30 días',
+    'diary.chart': '{nutrient} por día del {from} al {to}, con un objetivo diario de {goal}',
+    'diary.goals': '🎯 Objetivos diarios',
+    'diary.showGoals': '▶ Editar objetivos',
+    'diary.hideGoals': '▼ Editar objetivos',
+    'diary.goalsHint': 'Los objetivos semanales son siete veces los diarios. Se guardan en este dispositivo.',
+    'nutrition.sodium': 'Sodio',
+    'diet.vegan': 'vegana',
+    'diet.vegetarian': 'vegetariana',
+    'diet.halal': 'halal',
+    'diet.kosher': 'kosher',
+    'diet.low_fodmap': 'baja en FODMAP',
+    'diet.keto': 'keto',
+    'diet.low_sodium': 'baja en sodio',
+    'diets.title': '🥗 Reglas alimentarias',
+    'diets.hint': 'Los escaneos también se comprueban con estas dietas. Los problemas de dieta se muestran aparte de los avisos de alérgenos.',
+    'diets.limit': 'Máximo de {nutrient} por 100 g',
+    'diets.save': '💾 Guardar dietas',
+    'diets.saveSuccess': '✅ ¡Reglas alimentarias actualizadas!',
+    'diets.saveError': '❌ Error al actualizar las reglas alimentarias: {message}',
+    'diets.results': '🥗 Comprobación de dieta',
+    'diets.fits': '✓ Cumple tus dietas: {diets}',
+    'diets.violation.ingredient': 'Contiene {ingredient} (no es {diet})',
+    'diets.violation.combination': 'Mezcla carne ({meat}) con lácteos ({dairy}) (no es {diet})',
+    'diets.violation.nutrient': '{nutrient} por encima de tu límite ({diet}): {value} por 100 g (límite {limit})',
+    'profile.back': '← Volver al escáner',
+    'profile.title': '👤 Tu perfil',
+    'profile.account': 'Información de la cuenta',
+    'profile.name': 'Nombre',
+    'profile.email': 'Correo electrónico',
+    'profile.totalScans': 'Escaneos totales',
+    'profile.allergies': '🚨 Tus alergias ({count})',
+    'profile.quickAdd': 'Añadir alérgenos comunes:',
+    'profile.custom': 'Añadir otra alergia:',
+    'profile.customPlaceholder': 'Nombre de la alergia',
+    'profile.add': 'Añadir',
+    'profile.showDetails': '+ Añadir reacción, diagnóstico y notas',
+    'profile.hideDetails': '− Ocultar detalles',
+    'profile.current': 'Alergias actuales:',
+    'profile.none': 'Todavía no has añadido alergias.',
+    'profile.noneHint': '¡Añade alguna arriba para recibir avisos personalizados!',
+    'profile.severityOf': 'Gravedad de la alergia a {name}',
+    'profile.autoInjector': '💉 Autoinyector',
+    'profile.details': '✏️ Detalles',
+    'profile.done': 'Listo',
+    'profile.remove': 'Eliminar alergia',
+    'profile.unsaved': '● Tienes cambios sin guardar',
+    'profile.save': '💾 Guardar alergias',
+    'profile.saving': '💾 Guardando...',
+    'profile.saved': '✓ Todos los cambios guardados',
+    'profile.saveSuccess': '✅ ¡Alergias actualizadas!',
+    'profile.saveError': '❌ Error al actualizar las alergias: {message}',
+    'profile.leaveUnsaved': 'Tienes cambios sin guardar en tus alergias. ¿Salir sin guardarlos?',
+    'transfer.title': '📁 Importar o exportar alergias',
+    'transfer.hint': 'Trae tu lista de alergias diagnosticadas desde tu clínica u otra aplicación, o exporta la tuya para compartirla. Se pueden importar archivos FHIR, JSON de FoodGuard y CSV (una columna de nombre y otra de gravedad).',
+    'transfer.exportJson': '⬇️ Exportar JSON',
+    'transfer.exportFhir': '⬇️ Exportar FHIR',
+    'transfer.file': 'Archivo de alergias para importar',
+    'transfer.readError': '❌ No se pudo leer {file}: {message}',
+    'transfer.empty': 'No se encontraron alergias en {file}.',
+    'transfer.previewTitle': 'Vista previa de {file}',
+    'transfer.summary': '{added} nuevas · {updated} combinadas · {unchanged} ya en tu lista',
+    'transfer.skipped': { one: 'Se omitió {count} entrada: resuelta, descartada o sin nombre.', other: 'Se omitieron {count} entradas: resueltas, descartadas o sin nombre.' },
+    'transfer.status.new': 'Nueva',
+    'transfer.status.updated': 'Combinada',
+    'transfer.status.unchanged': 'Ya en la lista',
+    'transfer.mergeHint': 'Los duplicados se combinan: se conserva la gravedad más alta y se completan los detalles que faltan. No se guarda nada hasta que guardes tus alergias.',
+    'transfer.apply': 'Añadir a mis alergias',
+    'transfer.cancel': 'Cancelar',
+    'household.title': '👨‍👩‍👧 Familia ({count})',
+    'household.hint': 'Personas para las que escaneas, cada una con sus alergias. Elige quién come en el escáner.',
+    'household.memberName': 'Nombre del familiar',
+    'household.removeMember': 'Quitar a {name}',
+    'household.confirmRemove': '¿Quitar a {name} de tu familia?',
+    'household.noAllergies': 'Sin alergias por ahora',
+    'household.allergySeverity': 'Gravedad de la alergia de {name} a {allergy}',
+    'household.newAllergy': 'Nueva alergia de {name}',
+    'household.allergyPlaceholder': 'Añadir una alergia',
+    'household.newMember': 'Nuevo familiar',
+    'household.newMemberPlaceholder': 'Nombre, p. ej. Mia',
+    'household.addMember': '+ Añadir persona',
+    'household.save': '💾 Guardar familia',
+    'household.saveSuccess': '✅ ¡Familia actualizada!',
+    'household.saveError': '❌ Error al actualizar la familia: {message}',
+    'eating.label': 'Quién come',
+    'eating.title': '🍽️ ¿Quién come?',
+    'eating.you': '{name} (tú)',
+    'severity.mild': 'Leve',
+    'severity.moderate': 'Moderada',
+    'severity.severe': 'Grave',
+    'details.reaction': 'Tipo de reacción',
+    'details.diagnosed': 'Fecha del diagnóstico',
+    'details.diagnosedOn': 'Diagnosticada el {date}',
+    'details.epinephrine': 'Autoinyector de adrenalina recetado',
+    'details.notes': 'Notas',
+    'details.notesPlaceholder': 'p. ej. Tolero trazas; reacciono al alimento crudo pero no horneado',
+    'reaction.none': 'Sin especificar',
+    'reaction.skin': 'Urticaria / erupción cutánea',
+    'reaction.swelling': 'Hinchazón de labios, cara o garganta',
+    'reaction.digestive': 'Molestias digestivas',
+    'reaction.respiratory': 'Dificultad para respirar',
+    'reaction.anaphylaxis': 'Anafilaxia',
+    'reaction.other': 'Otra',
+    'session.expired': '⏰ La sesión ha caducado',
+    'session.signInAgain': 'Vuelve a iniciar sesión para continuar. Se conservan tu escaneo y tu imagen actuales.',
+    'session.signOut': 'Cerrar sesión',
+    'thresholds.title': '🎯 Umbrales de confianza',
+    'thresholds.hint': 'Las coincidencias y los veredictos por debajo de estos niveles se muestran como «incierto: verificar manualmente». Se guarda en este dispositivo.',
+    'thresholds.standard': 'Alergias leves y moderadas',
+    'thresholds.severe': 'Alergias graves',
+    'thresholds.reset': 'Restablecer valores predeterminados',
+    'cards.title': '🪪 Tarjetas de alergia',
+    'cards.hint': 'Una tarjeta de bolsillo para emergencias y una tarjeta para el chef en restaurantes, en el idioma del lugar al que viajas.',
+    'cards.create': 'Crear tarjeta de alergia',
+    'cards.type': 'Tipo de tarjeta',
+    'cards.wallet': '💳 Tarjeta de bolsillo',
+    'cards.chef': '👨‍🍳 Tarjeta para el chef',
+    'cards.language': 'Idioma',
+    'cards.contact.name': 'Contacto de emergencia',
+    'cards.contact.namePlaceholder': 'Nombre',
+    'cards.contact.relationship': 'Relación',
+    'cards.contact.relationshipPlaceholder': 'p. ej. pareja, padre o madre',
+    'cards.contact.phone': 'Teléfono',
+    'cards.contact.phonePlaceholder': 'Incluye el prefijo del país para viajar',
+    'cards.instructions': 'Instrucciones de emergencia',
+    'cards.instructionsPlaceholder': 'Déjalo vacío para usar las instrucciones estándar',
+    'cards.ownInstructions': 'Tus propias instrucciones se imprimen tal como las escribiste, sin traducir.',
+    'cards.previewAlt': 'Vista previa de {title}',
+    'cards.pdf': '📄 Descargar PDF',
+    'cards.image': '🖼️ Descargar imagen',
+    'cards.share': '📤 Compartir',
+    'cards.close': 'Cerrar',
+    'cards.printHint': 'El PDF imprime la tarjeta a tamaño real en A4: recórtala por la línea discontinua. Los datos de contacto solo se guardan en este dispositivo.',
+    'cards.error': '❌ No se pudo crear la tarjeta: {message}',
+    'match.listed': 'Aparece como {allergen}',
+    'match.alias': '{term} es el mismo alérgeno que {allergen}',
+    'match.synonym': '{term} es otro nombre de {allergen}',
+    'match.derived': '{term} se elabora con {allergen}',
+    'match.member': '{term} pertenece al grupo de {group}',
+    'match.parent': '{term} puede incluir {allergen}',
+    'match.crossReactive': '{term} suele causar reacciones en personas alérgicas a {allergen}',
+    'match.translation': '{term} significa {english} en {language}',
+    'match.reported': 'Señalado por el análisis de FoodGuard',
+    'uncertain.ingredient': '{ingredient} se identificó con un {confidence} de confianza: comprueba si contiene {allergen}',
+    'uncertain.overall': 'El análisis solo tiene un {confidence} de confianza en total, por debajo de tu umbral del {threshold}',
+    'warnings.detectedIn': 'detectado en',
+    'warnings.why': 'Por qué: {reason}',
+    'warnings.severity.mild': 'alergia leve',
+    'warnings.severity.moderate': 'alergia moderada',
+    'warnings.severity.severe': 'alergia grave',
+    'warnings.crossReaction': 'posible reacción cruzada',
+    'warnings.lowConfidence': 'poca confianza: verificar',
+    'warnings.confidence': '{value} de confianza',
+    'verdicts.title': '👨‍👩‍👧 ¿Quién puede comerlo?',
+    'verdicts.safe': '✅ Seguro',
+    'verdicts.warning': '⚠️ No es seguro',
+    'verdicts.uncertain': '❓ Verificar',
+    'verdicts.noAllergies': 'Sin alergias registradas',
+    'result.safe': '¡SEGURO PARA TI!',
+    'result.warning': '⚠️ ¡ALÉRGENO DETECTADO!',
+    'result.uncertain': '❓ INCIERTO: VERIFICA MANUALMENTE',
+    'result.safeDetail': 'No se encontraron alérgenos según tu perfil',
+    'result.warningDetail': {
+      one: 'Se encontró {count} posible alérgeno',
+      other: 'Se encontraron {count} posibles alérgenos'
+    },
+    'result.uncertainDetail': 'El análisis no tiene suficiente confianza para considerarlo seguro. Revisa la etiqueta o pregunta al personal.',
+    'result.household.safe': '¡SEGURO PARA TODOS LOS COMENSALES!',
+    'result.household.warning': '⚠️ ¡NO ES SEGURO PARA TODOS!',
+    'result.household.uncertain': '❓ VERIFICA ANTES DE SERVIR',
+    'result.household.safeDetail': 'No se encontraron alérgenos para {names}',
+    'result.household.warningDetail': 'No es seguro para {names}',
+    'result.household.uncertainDetail': 'Revisa la etiqueta antes de servir a {names}',
+    'result.confidence': 'Confianza del análisis: {value}',
+    'result.nutritionAvailable': '📊 Información nutricional disponible',
+    'result.readAloud': '🔊 Leer en voz alta',
+    'result.warnings': '⚠️ Avisos de alérgenos:',
+    'result.barcode': 'Código de barras {barcode}',
+    'result.per100g': 'nutrición por 100 g',
+    'result.ingredientsDetected': '🥘 Ingredientes detectados ({count}):',
+    'result.ingredientsListed': '🥘 Ingredientes indicados ({count}):',
+    'result.moreIngredients': {
+      one: '...y {count} ingrediente más detectado',
+      other: '...y {count} ingredientes más detectados'
+    },
+    'corrections.corrected': '✏️ Corregido por ti',
+    'corrections.edit': '✏️ Corregir ingredientes',
+    'corrections.ingredient': 'Ingrediente {number}',
+    'corrections.was': 'antes «{name}»',
+    'corrections.removeTitle': 'Quitar ingrediente',
+    'corrections.remove': 'Quitar {name}',
+    'corrections.missing': 'Añade un ingrediente que falte',
+    'corrections.add': 'Añadir',
+    'corrections.hint': 'Las correcciones se guardan con este escaneo y ayudan a FoodGuard a reconocer mejor los ingredientes.',
+    'corrections.saving': '💾 Guardando...',
+    'corrections.save': '💾 Guardar correcciones',
+    'corrections.error': 'No se pudieron guardar tus correcciones: {message}',
+    'historyCard.safe': '✅ Seguro',
+    'historyCard.warning': {
+      one: '⚠️ {count} aviso',
+      other: '⚠️ {count} avisos'
+    },
+    'historyCard.uncertain': '❓ Verificar',
+    'historyCard.nutrition': '📊 Datos nutricionales',
+    'history.viewAll': 'Ver todo →',
+    'queue.title': '📥 Escaneos sin conexión ({count})',
+    'queue.syncedSafe': '☁️ Sincronizado · ✅ Seguro',
+    'queue.syncedWarnings': '☁️ Sincronizado · ⚠️ Avisos',
+    'queue.failed': '❌ Error al subir: {message}',
+    'queue.pending': '⏳ Pendiente de subir',
+    'queue.discard': 'Descartar',
+    'export.open': '📤 Exportar historial',
+    'export.from': 'Desde',
+    'export.to': 'Hasta',
+    'export.format': 'Formato de exportación',
+    'export.format.csv': 'Hoja de cálculo CSV',
+    'export.format.json': 'Datos JSON',
+    'export.format.pdf': 'Informe PDF para tu médico',
+    'export.exporting': 'Exportando...',
+    'export.submit': '📤 Exportar',
+    'export.close': 'Cerrar',
+    'export.hint': 'Incluye fechas, resultados, avisos de alérgenos con gravedad y confianza, ingredientes y nutrición. El informe PDF añade un resumen de exposiciones a alérgenos para tu alergólogo o dietista.',
+    'export.empty': 'No hay escaneos en este intervalo de fechas.',
+    'export.done': {
+      one: '✓ {count} escaneo exportado',
+      other: '✓ {count} escaneos exportados'
+    },
+    'export.error': '❌ Error al exportar: {message}',
+    'history.title': '📋 Historial de escaneos',
+    'history.offline': '📴 Sin conexión: se muestran tus escaneos guardados más recientes.',
+    'history.search': 'Buscar ingredientes',
+    'history.searchPlaceholder': 'Buscar ingredientes...',
+    'history.result': 'Resultado',
+    'history.status.all': 'Todos los resultados',
+    'history.status.safe': '✅ Solo seguros',
+    'history.status.warning': '⚠️ Solo avisos',
+    'history.status.uncertain': '❓ Solo inciertos',
+    'history.allergen': 'Alérgeno',
+    'history.anyAllergen': 'Cualquier alérgeno',
+    'history.clearFilters': 'Quitar filtros',
+    'history.count': {
+      one: 'Mostrando {count} escaneo',
+      other: 'Mostrando {count} escaneos'
+    },
+    'history.countOf': 'Mostrando {count} de {total} escaneos',
+    'history.noMatches': 'Ningún escaneo coincide con estos filtros.',
+    'history.empty': 'Aún no hay escaneos: analiza una comida para empezar tu historial.',
+    'history.loading': 'Cargando escaneos...',
+    'history.loadMore': 'Cargar más',
+    'detail.back': '← Volver al historial',
+    'detail.loading': 'Cargando escaneo...',
+    'detail.scanned': '🕒 Escaneado el {date}',
+    'detail.showOriginal': '↩ Mostrar el resultado original del escaneo',
+    'detail.recheck': '🔄 Comprobar con mis alergias actuales',
+    'detail.checked': {
+      one: 'Comprobado con tu perfil actual ({count} alergia).',
+      other: 'Comprobado con tu perfil actual ({count} alergias).'
+    },
+    'detail.sameVerdict': 'El veredicto es el mismo que cuando se escaneó esta comida.',
+    'detail.wasSafe': 'Al escanearla, esta comida se marcó como segura.',
+    'detail.wasUnsafe': 'Al escanearla, esta comida se marcó como no segura.',
+    'progress.uploading': '📤 Subiendo la foto... {progress} %',
+    'progress.analyzing': '🤖 Foto subida: analizando los ingredientes...',
+    'progress.cancel': '✕ Cancelar',
+    'camera.error.blocked': 'Se bloqueó el acceso a la cámara. Permite el uso de la cámara en la configuración del navegador o sube una foto.',
+    'camera.error.missing': 'No se encontró ninguna cámara en este dispositivo.',
+    'camera.error.busy': 'Otra aplicación está usando la cámara.',
+    'camera.error.failed': 'No se pudo iniciar la cámara: {message}',
+    'camera.error.capture': 'No se pudo tomar una foto con la cámara',
+    'camera.captured': 'Comida fotografiada',
+    'camera.close': '✕ Cerrar',
+    'camera.retake': '🔄 Repetir',
+    'camera.use': '✓ Usar foto',
+    'camera.switch': '🔁 Cambiar cámara',
+    'camera.capture': '📸 Capturar',
+    'label.ingredients': 'Lista de ingredientes',
+    'label.ingredientsPlaceholder': 'Pega o escribe los ingredientes del envase, p. ej. harina de trigo, azúcar, mantequilla (leche), huevos. Puede contener frutos secos.',
+    'label.check': '🔍 Comprobar ingredientes',
+    'label.barcode': 'Número del código de barras',
+    'label.barcodePlaceholder': 'p. ej. 3017620422003',
+    'label.lookingUp': '🔍 Buscando...',
+    'label.lookUp': '🔍 Buscar producto',
+    'label.scan': '📷 Escanear código de barras',
+    'label.noDetector': 'Este navegador no puede leer códigos de barras con la cámara: escribe el número impreso debajo de las barras.',
+    'label.error.noIngredients': 'No se encontraron ingredientes: sepáralos con comas o saltos de línea',
+    'label.error.invalidBarcode': 'No parece un código EAN o UPC válido: revisa los dígitos bajo las barras',
+    'label.error.unknownProduct': 'Este producto aún no está en la base de datos. Escribe la lista de ingredientes del envase.',
+    'label.error.noIngredientList': 'No hay lista de ingredientes registrada para {product}. Escríbela desde el envase.',
+    'label.error.lookupFailed': 'Error al buscar el producto: {message}',
+    'batch.analyzing': '🔍 Analizando...',
+    'batch.verify': '❓ Comprobar a mano',
+    'batch.safe': '✅ Seguro',
+    'batch.allergens': {
+      one: '⚠️ {count} alérgeno',
+      other: '⚠️ {count} alérgenos'
+    },
+    'batch.failed': '❌ {message}',
+    'batch.queued': '📥 Guardado para subir',
+    'batch.waiting': '⏳ En espera',
+    'batch.title': '🗂️ Fotos en cola ({count})',
+    'batch.clear': 'Vaciar',
+    'batch.summary.safe': {
+      one: '{count} seguro',
+      other: '{count} seguros'
+    },
+    'batch.summary.unsafe': '{count} con alérgenos',
+    'batch.summary.uncertain': '{count} por comprobar',
+    'batch.summary.failed': {
+      one: '{count} con error',
+      other: '{count} con error'
+    },
+    'batch.view': 'Ver',
+    'upload.error.type': 'Selecciona un archivo de imagen válido',
+    'upload.error.size': 'La imagen debe pesar menos de {size} MB',
+    'upload.tooMany': 'Solo se analizarán las primeras {count} fotos',
+    'upload.skipped': 'Omitidas',
+    'analyze.error.failed': 'El análisis falló: {message}',
+    'offline.saved': {
+      one: '📥 Escaneo guardado. Se analizará automáticamente cuando vuelvas a estar en línea.',
+      other: '📥 {count} escaneos guardados. Se analizarán automáticamente cuando vuelvas a estar en línea.'
+    },
+    'offline.saveError': 'No se pudo guardar el escaneo para más tarde: {message}',
+    'speech.safe': 'Se puede comer. No se encontraron alérgenos según tu perfil.',
+    'speech.warning': 'Atención: no es seguro.',
+    'speech.uncertain': 'Dudoso. El análisis no tiene suficiente confianza para darlo por seguro. Revisa la etiqueta.',
+    'speech.household.safe': 'Seguro para todos los que comen.',
+    'speech.household.warning': 'Atención: no es seguro para todos.',
+    'speech.household.uncertain': 'Compruébalo antes de servir.',
+    'speech.person': '{name}: {verdict}.',
+    'speech.person.safe': 'seguro',
+    'speech.person.warning': 'no es seguro',
+    'speech.person.uncertain': 'compruébalo antes de servir',
+    'speech.detected': 'Alérgeno detectado: {allergen}',
+    'speech.possible': 'Posible alérgeno: {allergen}',
+    'speech.severity.mild': 'leve',
+    'speech.severity.moderate': 'moderada',
+    'speech.severity.severe': 'grave',
+    'speech.in': 'en {ingredients}',
+    'speech.lowConfidence': 'poca confianza',
+    'error.network': 'No se puede conectar con el servidor. Comprueba tu conexión a internet.',
+    'error.timeout': 'El servidor tardó demasiado en responder. Inténtalo de nuevo.',
+    'error.cancelled': 'Se canceló la solicitud',
+    'error.server': 'Error del servidor: {status}',
+    'error.unauthorized': 'Tu sesión ha terminado. Vuelve a iniciar sesión.',
+    'error.invalidLogin': 'Correo o contraseña incorrectos',
+    'error.imageDecode': 'No se pudo leer la imagen',
+    'error.imageHeic': 'No se pudo convertir esta foto HEIC. Prueba a compartirla como JPEG.',
+    'error.imageFormat': 'Este formato de imagen no es compatible. Usa una foto JPG, PNG o WebP.',
+    'error.imagePrepare': 'No se pudo preparar la imagen para subirla',
+    'error.cameraCapture': 'No se pudo tomar una foto con la cámara',
+    'queue.rejected': '⚠️ No se subió: {message}',
+    'queue.retry': 'Reintentar',
+    'report.title': 'Informe de alimentación y alérgenos de FoodGuard',
+    'report.patient': 'Paciente: {name}',
+    'report.period': 'Periodo: del {from} al {to}',
+    'report.generated': 'Generado: {date}',
+    'report.allergies': 'Alergias registradas',
+    'report.allergy': '- {name} ({severity})',
+    'report.allergyWithInjector': '- {name} ({severity}), autoinyector recetado',
+    'report.noAllergies': 'Ninguna registrada',
+    'report.summary': 'Resumen',
+    'report.summaryText': {
+      one: '{count} escaneo, {warnings} con avisos de alérgenos o resultados dudosos.',
+      other: '{count} escaneos, {warnings} con avisos de alérgenos o resultados dudosos.'
+    },
+    'report.exposures': 'Exposición a alérgenos',
+    'report.exposure': {
+      one: '{allergen}: {count} escaneo',
+      other: '{allergen}: {count} escaneos'
+    },
+    'report.exposureSeverity': ', alergia {severity}',
+    'report.exposureConfidence': ', confianza máxima {value}',
+    'report.exposureDetail': 'Primera vez {first}, última {last}. Encontrado en: {foods}',
+    'report.notRecorded': 'sin registrar',
+    'report.noExposures': 'No se detectaron alérgenos en este periodo.',
+    'report.log': 'Registro de escaneos',
+    'report.status.safe': 'SEGURO',
+    'report.status.warning': 'AVISO',
+    'report.status.uncertain': 'DUDOSO',
+    'report.warning': 'Aviso: {warning}',
+    'report.warningIn': '{allergen} en {ingredient}',
+    'report.ingredients': 'Ingredientes: {ingredients}',
+    'report.per100g': 'Por 100 g: {values}',
+    'report.severity.mild': 'leve',
+    'report.severity.moderate': 'moderada',
+    'report.severity.severe': 'grave',
+    'report.disclaimer': 'Los avisos proceden del análisis automático de fotos y etiquetas y pueden estar incompletos. No son un diagnóstico.'
+  },
+  fr: {
+    'language.label': 'Langue',
+    'app.loading': 'Chargement de votre assistant personnel de sécurité alimentaire et de nutrition...',
+    'hero.tagline': 'Détection personnalisée des allergènes alimentaires par IA, avec analyse nutritionnelle',
+    'hero.scan': "📸 Scannez n'importe quel plat",
+    'hero.detect': '🤖 Détection des ingrédients par IA',
+    'hero.alerts': '⚠️ Alertes allergènes personnalisées',
+    'hero.nutrition': '📊 Analyse nutritionnelle',
+    'auth.email': 'Adresse e-mail',
+    'auth.password': 'Mot de passe',
+    'login.title': '🍽️ Connexion à FoodGuard',
+    'login.submit': 'Se connecter',
+    'login.submitting': 'Connexion...',
+    'login.noAccount': "Vous n'avez pas de compte ?",
+    'register.title': '🚀 Créez votre compte',
+    'register.firstName': 'Prénom',
+    'register.lastName': 'Nom',
+    'register.passwordHint': 'Mot de passe (6 caractères minimum)',
+    'register.submit': 'Créer un compte',
+    'register.submitting': 'Création du compte...',
+    'register.haveAccount': 'Vous avez déjà un compte ?',
+    'register.passwordTooShort': 'Le mot de passe doit contenir au moins 6 caractères',
+    'register.allRequired': 'Tous les champs sont obligatoires',
+    'header.welcome': 'Bon retour, {name} !',
+    'header.history': '📋 Historique',
+    'header.diary': '📔 Journal',
+    'header.profile': { one: '👤 Profil ({count} allergie)', other: '👤 Profil ({count} allergies)' },
+    'header.logout': '🚪 Déconnexion',
+    'offline.banner': '📴 Vous êtes hors ligne : votre profil et vos analyses enregistrés sont affichés. Les nouvelles analyses seront envoyées à la reconnexion.',
+    'offline.logoutPending': {
+      one: '{count} analyse faite hors ligne n\'a pas encore été envoyée. La déconnexion la supprimera.',
+      other: '{count} analyses faites hors ligne n\'ont pas encore été envoyées. La déconnexion les supprimera.'
+    },
+    'notify.region': 'Notifications',
+    'notify.dismiss': 'Fermer la notification',
+    'notify.retry': 'Réessayer',
+    'dialog.confirm': 'OK',
+    'dialog.cancel': 'Annuler',
+    'dialog.remove': 'Supprimer',
+    'dialog.leave': 'Quitter sans enregistrer',
+    'dialog.logoutAnyway': 'Se déconnecter quand même',
+    'scan.modes': 'Comment vérifier votre plat',
+    'scan.photo': '📸 Photo',
+    'scan.text': '📝 Liste des ingrédients',
+    'scan.barcode': '🏷️ Code-barres',
+    'upload.preparing': 'Préparation de la photo...',
+    'upload.drop': 'Déposez pour envoyer',
+    'upload.title': 'Envoyer une photo du plat',
+    'upload.hint': 'Cliquez ici ou appuyez sur Entrée, glissez-déposez ou collez (Ctrl+V) vos photos',
+    'upload.formats': "JPG, PNG, WebP et HEIC jusqu'à {size} Mo · jusqu'à {count} photos à la fois",
+    'upload.selected': 'Plat sélectionné',
+    'upload.camera': "📷 Utiliser l'appareil photo",
+    'analyze.batchProgress': '🔍 Analyse {current} sur {total}...',
+    'analyze.batch': '🔍 Analyser {count} photos',
+    'analyze.waiting': '🔍 Analyse en cours... Veuillez patienter',
+    'analyze.single': '🔍 Analyser allergènes et nutrition',
+    'analyze.retry': '🔄 Réessayer',
+    'analyze.saveLater': '📥 Enregistrer et envoyer plus tard',
+    'history.recent': '📋 Analyses récentes',
+    'footer.disclaimer': "⚠️ Cet outil est fourni à titre informatif uniquement. En cas d'allergie sévère, vérifiez toujours les étiquettes et interrogez le personnel du restaurant.",
+    'footer.nutrition': '📊 Les informations nutritionnelles sont générées par IA et ne sont que des estimations.',
+    'nutrition.title': '📊 Informations nutritionnelles',
+    'nutrition.none': 'Aucune donnée nutritionnelle pour cette analyse.',
+    'nutrition.show': '▶ Afficher les détails',
+    'nutrition.hide': '▼ Masquer les détails',
+    'nutrition.total': '🥗 Total estimé ({grams})',
+    'nutrition.calories': 'Calories',
+    'nutrition.protein': 'Protéines',
+    'nutrition.carbs': 'Glucides',
+    'nutrition.fat': 'Lipides',
+    'nutrition.fiber': 'Fibres',
+    'nutrition.vitamins': '💊 Principales vitamines :',
+    'nutrition.vitamin': 'Vitamine {name}',
+    'nutrition.minerals': '⚡ Principaux minéraux :',
+    'nutrition.perIngredient': '🔍 Par ingrédient :',
+    'nutrition.caloriesShort': 'Cal',
+    'nutrition.proteinShort': 'P',
+    'nutrition.carbsShort': 'G',
+    'nutrition.fatShort': 'L',
+    'nutrition.confidence': '🤖 Estimation nutritionnelle - Confiance : {value}',
+    'nutrition.corrected': '✏️ Totaux recalculés à partir de vos ingrédients corrigés',
+    'nutrition.disclaimer': '⚠️ Les valeurs nutritionnelles sont des estimations basées sur les ingrédients détectés. Les valeurs réelles peuvent varier selon la préparation, la portion et les marques.',
+    'nutrition.portion': 'Portion',
+    'nutrition.portionAmount': 'Quantité de la portion',
+    'nutrition.portionUnit': 'Unité de la portion',
+    'nutrition.unit.grams': 'grammes',
+    'nutrition.unit.servings': 'portions',
+    'nutrition.unit.plate': 'assiette',
+    'nutrition.plate.small': 'Petite assiette (~{grams})',
+    'nutrition.plate.medium': 'Assiette moyenne (~{grams})',
+    'nutrition.plate.large': 'Grande assiette (~{grams})',
+    'nutrition.servingSize': '1 portion = {grams}',
+    'nutrition.dailyValue': '{value} AR',
+    'nutrition.dailyValueNote': 'AR = part de votre apport de référence quotidien, modifiable dans votre profil.',
+    'a11y.title': '♿ Accessibilité',
+    'a11y.hint': 'Enregistré sur cet appareil.',
+    'a11y.highContrast': 'Thème à contraste élevé',
+    'a11y.highContrastHint': 'Texte noir sur blanc, contours marqués et gravité indiquée par des motifs en plus des couleurs.',
+    'a11y.readAloud': 'Lire les résultats à voix haute',
+    'a11y.readAloudHint': 'Lit le verdict et chaque alerte allergène dès qu\'une analyse est vérifiée.',
+    'a11y.noSpeech': 'Ce navigateur ne peut pas lire de texte à voix haute.',
+    'intakes.title': '🥗 Apports de référence quotidiens',
+    'intakes.hint': 'Utilisés pour les pourcentages des valeurs nutritionnelles. Par défaut, ce sont les apports de référence de l’UE pour un adulte moyen. Enregistrés sur cet appareil.',
+    'intakes.showMore': '▶ Vitamines et minéraux',
+    'intakes.hideMore': '▼ Vitamines et minéraux',
+    'intakes.reset': 'Rétablir les valeurs par défaut',
+    'diary.title': '📔 Journal alimentaire',
+    'diary.log': '📔 Ajouter comme repas',
+    'diary.logging': 'Ajout...',
+    'diary.meal': 'Repas',
+    'diary.meal.breakfast': 'Petit-déjeuner',
+    'diary.meal.lunch': 'Déjeuner',
+    'diary.meal.dinner': 'Dîner',
+    'diary.meal.snack': 'En-cas',
+    'diary.logged': '✓ Ajouté à votre journal : {meal}',
+    'diary.logError': '❌ Impossible d’ajouter ce repas : {message}',
+    'diary.previousDay': '← Jour précédent',
+    'diary.nextDay': 'Jour suivant →',
+    'diary.day': 'Jour du journal',
+    'diary.dayTotals': 'Totaux du {date}',
+    'diary.weekTotals': '7 derniers jours ({from} – {to})',
+    'diary.ofGoal': '{value} sur {goal}',
+    'diary.empty': 'Rien n’a été noté ce jour-là. Ajoutez un repas depuis n’importe quel résultat d’analyse.',
+    'diary.entry': '{grams} · {calories} kcal',
+    'diary.removeEntry': 'Retirer {title} du journal',
+    'diary.confirmRemove': 'Retirer {title} de votre journal ?',
+    'diary.removeError': '❌ Impossible de retirer l’entrée : {message}',
+    'diary.loadError': 'Impossible de charger votre journal : {message}',
+    'diary.trends': '📈 30 derniers jours',
+    'diary.chart': '{nutrient} par jour du {from} au {to}, avec un objectif quotidien de {goal}',
+    'diary.goals': '🎯 Objectifs quotidiens',
+    'diary.showGoals': '▶ Modifier les objectifs',
+    'diary.hideGoals': '▼ Modifier les objectifs',
+    'diary.goalsHint': 'Les objectifs hebdomadaires valent sept fois les objectifs quotidiens. Enregistrés sur cet appareil.',
+    'nutrition.sodium': 'Sodium',
+    'diet.vegan': 'végan',
+    'diet.vegetarian': 'végétarien',
+    'diet.halal': 'halal',
+    'diet.kosher': 'casher',
+    'diet.low_fodmap': 'pauvre en FODMAP',
+    'diet.keto': 'céto',
+    'diet.low_sodium': 'pauvre en sodium',
+    'diets.title': '🥗 Règles alimentaires',
+    'diets.hint': 'Les analyses sont aussi vérifiées selon ces régimes. Les problèmes de régime sont affichés à part des alertes allergènes.',
+    'diets.limit': '{nutrient} max. pour 100 g',
+    'diets.save': '💾 Enregistrer les régimes',
+    'diets.saveSuccess': '✅ Règles alimentaires mises à jour !',
+    'diets.saveError': '❌ Erreur lors de la mise à jour des règles alimentaires : {message}',
+    'diets.results': '🥗 Vérification du régime',
+    'diets.fits': '✓ Compatible avec vos régimes : {diets}',
+    'diets.violation.ingredient': 'Contient {ingredient} (pas {diet})',
+    'diets.violation.combination': 'Mélange viande ({meat}) et produits laitiers ({dairy}) (pas {diet})',
+    'diets.violation.nutrient': '{nutrient} au-dessus de votre limite ({diet}) : {value} pour 100 g (limite {limit})',
+    'profile.back': '← Retour au scanner',
+    'profile.title': '👤 Votre profil',
+    'profile.account': 'Informations du compte',
+    'profile.name': 'Nom',
+    'profile.email': 'E-mail',
+    'profile.totalScans': 'Analyses au total',
+    'profile.allergies': '🚨 Vos allergies ({count})',
+    'profile.quickAdd': 'Ajout rapide des allergènes courants :',
+    'profile.custom': 'Ajouter une autre allergie :',
+    'profile.customPlaceholder': "Nom de l'allergie",
+    'profile.add': 'Ajouter',
+    'profile.showDetails': '+ Ajouter réaction, diagnostic et notes',
+    'profile.hideDetails': '− Masquer les détails',
+    'profile.current': 'Allergies actuelles :',
+    'profile.none': "Aucune allergie configurée pour l'instant.",
+    'profile.noneHint': 'Ajoutez-en ci-dessus pour recevoir des alertes personnalisées !',
+    'profile.severityOf': "Sévérité de l'allergie : {name}",
+    'profile.autoInjector': '💉 Auto-injecteur',
+    'profile.details': '✏️ Détails',
+    'profile.done': 'Terminé',
+    'profile.remove': "Supprimer l'allergie",
+    'profile.unsaved': '● Vous avez des modifications non enregistrées',
+    'profile.save': '💾 Enregistrer les allergies',
+    'profile.saving': '💾 Enregistrement...',
+    'profile.saved': '✓ Toutes les modifications sont enregistrées',
+    'profile.saveSuccess': '✅ Allergies mises à jour !',
+    'profile.saveError': '❌ Erreur lors de la mise à jour des allergies : {message}',
+    'profile.leaveUnsaved': 'Vos modifications d\'allergies ne sont pas enregistrées. Quitter sans les enregistrer ?',
+    'transfer.title': '📁 Importer ou exporter vos allergies',
+    'transfer.hint': 'Récupérez la liste de vos allergies diagnostiquées depuis votre clinique ou une autre application, ou exportez la vôtre pour la partager. Les fichiers FHIR, JSON FoodGuard et CSV (une colonne nom et une colonne gravité) peuvent être importés.',
+    'transfer.exportJson': '⬇️ Exporter en JSON',
+    'transfer.exportFhir': '⬇️ Exporter en FHIR',
+    'transfer.file': 'Fichier d\'allergies à importer',
+    'transfer.readError': '❌ Impossible de lire {file} : {message}',
+    'transfer.empty': 'Aucune allergie trouvée dans {file}.',
+    'transfer.previewTitle': 'Aperçu de {file}',
+    'transfer.summary': '{added} nouvelles · {updated} fusionnées · {unchanged} déjà dans votre liste',
+    'transfer.skipped': { one: '{count} entrée ignorée : résolue, réfutée ou sans nom.', other: '{count} entrées ignorées : résolues, réfutées ou sans nom.' },
+    'transfer.status.new': 'Nouvelle',
+    'transfer.status.updated': 'Fusionnée',
+    'transfer.status.unchanged': 'Déjà présente',
+    'transfer.mergeHint': 'Les doublons sont fusionnés : la gravité la plus élevée est conservée et les détails manquants sont complétés. Rien n\'est enregistré avant que vous enregistriez vos allergies.',
+    'transfer.apply': 'Ajouter à mes allergies',
+    'transfer.cancel': 'Annuler',
+    'household.title': '👨‍👩‍👧 Foyer ({count})',
+    'household.hint': 'Les personnes pour qui vous scannez, chacune avec ses allergies. Choisissez qui mange sur le scanner.',
+    'household.memberName': 'Nom du membre du foyer',
+    'household.removeMember': 'Retirer {name}',
+    'household.confirmRemove': 'Retirer {name} de votre foyer ?',
+    'household.noAllergies': "Pas encore d'allergie",
+    'household.allergySeverity': "Sévérité de l'allergie de {name} : {allergy}",
+    'household.newAllergy': 'Nouvelle allergie pour {name}',
+    'household.allergyPlaceholder': 'Ajouter une allergie',
+    'household.newMember': 'Nouveau membre du foyer',
+    'household.newMemberPlaceholder': 'Prénom, ex. Mia',
+    'household.addMember': '+ Ajouter une personne',
+    'household.save': '💾 Enregistrer le foyer',
+    'household.saveSuccess': '✅ Foyer mis à jour !',
+    'household.saveError': '❌ Erreur lors de la mise à jour du foyer : {message}',
+    'eating.label': 'Qui mange',
+    'eating.title': '🍽️ Qui mange ?',
+    'eating.you': '{name} (vous)',
+    'severity.mild': 'Légère',
+    'severity.moderate': 'Modérée',
+    'severity.severe': 'Sévère',
+    'details.reaction': 'Type de réaction',
+    'details.diagnosed': 'Date du diagnostic',
+    'details.diagnosedOn': 'Diagnostiquée le {date}',
+    'details.epinephrine': "Stylo auto-injecteur d'adrénaline prescrit",
+    'details.notes': 'Notes',
+    'details.notesPlaceholder': 'ex. Les traces ne posent pas de problème, réagit au cru mais pas au cuit',
+    'reaction.none': 'Non précisé',
+    'reaction.skin': 'Urticaire / éruption cutanée',
+    'reaction.swelling': 'Gonflement des lèvres, du visage ou de la gorge',
+    'reaction.digestive': 'Troubles digestifs',
+    'reaction.respiratory': 'Difficultés respiratoires',
+    'reaction.anaphylaxis': 'Anaphylaxie',
+    'reaction.other': 'Autre',
+    'session.expired': '⏰ Session expirée',
+    'session.signInAgain': 'Reconnectez-vous pour continuer. Votre analyse et votre image actuelles sont conservées.',
+    'session.signOut': 'Se déconnecter plutôt',
+    'thresholds.title': '🎯 Seuils de confiance',
+    'thresholds.hint': 'Les correspondances et verdicts en dessous de ces niveaux sont affichés comme « incertain - à vérifier ». Enregistré sur cet appareil.',
+    'thresholds.standard': 'Allergies légères et modérées',
+    'thresholds.severe': 'Allergies sévères',
+    'thresholds.reset': 'Rétablir les valeurs par défaut',
+    'cards.title': "🪪 Cartes d'allergie",
+    'cards.hint': 'Une carte de portefeuille pour les urgences et une carte pour le chef au restaurant, dans la langue de votre destination.',
+    'cards.create': "Créer une carte d'allergie",
+    'cards.type': 'Type de carte',
+    'cards.wallet': '💳 Carte de portefeuille',
+    'cards.chef': '👨‍🍳 Carte pour le chef',
+    'cards.language': 'Langue',
+    'cards.contact.name': "Contact d'urgence",
+    'cards.contact.namePlaceholder': 'Nom',
+    'cards.contact.relationship': 'Lien',
+    'cards.contact.relationshipPlaceholder': 'p. ex. conjoint, parent',
+    'cards.contact.phone': 'Téléphone',
+    'cards.contact.phonePlaceholder': "Indiquez l'indicatif du pays pour voyager",
+    'cards.instructions': "Consignes d'urgence",
+    'cards.instructionsPlaceholder': 'Laissez vide pour utiliser les consignes standard',
+    'cards.ownInstructions': 'Vos propres consignes sont imprimées telles quelles, sans traduction.',
+    'cards.previewAlt': 'Aperçu de {title}',
+    'cards.pdf': '📄 Télécharger le PDF',
+    'cards.image': "🖼️ Télécharger l'image",
+    'cards.share': '📤 Partager',
+    'cards.close': 'Fermer',
+    'cards.printHint': 'Le PDF imprime la carte à taille réelle sur A4 : découpez le long des pointillés. Les coordonnées ne sont enregistrées que sur cet appareil.',
+    'cards.error': '❌ Impossible de créer la carte : {message}',
+    'match.listed': 'Indiqué comme {allergen}',
+    'match.alias': '{term} est le même allergène que {allergen}',
+    'match.synonym': '{term} est un autre nom de {allergen}',
+    'match.derived': '{term} est fabriqué à partir de {allergen}',
+    'match.member': '{term} fait partie du groupe {group}',
+    'match.parent': '{term} peut contenir {allergen}',
+    'match.crossReactive': '{term} provoque souvent des réactions chez les personnes allergiques à {allergen}',
+    'match.translation': '{term} signifie {english} en {language}',
+    'match.reported': "Signalé par l'analyse FoodGuard",
+    'uncertain.ingredient': "{ingredient} a été identifié avec {confidence} de confiance - vérifiez s'il contient {allergen}",
+    'uncertain.overall': "L'analyse n'est fiable qu'à {confidence} au total, sous votre seuil de {threshold}",
+    'warnings.detectedIn': 'détecté dans',
+    'warnings.why': 'Pourquoi : {reason}',
+    'warnings.severity.mild': 'allergie légère',
+    'warnings.severity.moderate': 'allergie modérée',
+    'warnings.severity.severe': 'allergie sévère',
+    'warnings.crossReaction': 'réaction croisée possible',
+    'warnings.lowConfidence': 'confiance faible - à vérifier',
+    'warnings.confidence': '{value} de confiance',
+    'verdicts.title': '👨‍👩‍👧 Qui peut en manger ?',
+    'verdicts.safe': '✅ Sans danger',
+    'verdicts.warning': '⚠️ Dangereux',
+    'verdicts.uncertain': '❓ À vérifier',
+    'verdicts.noAllergies': 'Aucune allergie enregistrée',
+    'result.safe': 'SANS DANGER POUR VOUS !',
+    'result.warning': '⚠️ ALLERGÈNE DÉTECTÉ !',
+    'result.uncertain': '❓ INCERTAIN - À VÉRIFIER',
+    'result.safeDetail': "Aucun allergène trouvé d'après votre profil",
+    'result.warningDetail': {
+      one: '{count} allergène potentiel trouvé',
+      other: '{count} allergènes potentiels trouvés'
+    },
+    'result.uncertainDetail': "L'analyse n'est pas assez sûre pour le déclarer sans danger. Vérifiez l'étiquette ou demandez au personnel.",
+    'result.household.safe': 'SANS DANGER POUR TOUS LES CONVIVES !',
+    'result.household.warning': '⚠️ DANGEREUX POUR CERTAINS !',
+    'result.household.uncertain': '❓ À VÉRIFIER AVANT DE SERVIR',
+    'result.household.safeDetail': 'Aucun allergène trouvé pour {names}',
+    'result.household.warningDetail': 'Dangereux pour {names}',
+    'result.household.uncertainDetail': "Vérifiez l'étiquette avant de servir {names}",
+    'result.confidence': "Fiabilité de l'analyse : {value}",
+    'result.nutritionAvailable': '📊 Informations nutritionnelles disponibles',
+    'result.readAloud': '🔊 Lire à voix haute',
+    'result.warnings': '⚠️ Alertes allergènes :',
+    'result.barcode': 'Code-barres {barcode}',
+    'result.per100g': 'valeurs pour 100 g',
+    'result.ingredientsDetected': '🥘 Ingrédients détectés ({count}) :',
+    'result.ingredientsListed': '🥘 Ingrédients indiqués ({count}) :',
+    'result.moreIngredients': {
+      one: '...et {count} autre ingrédient détecté',
+      other: '...et {count} autres ingrédients détectés'
+    },
+    'corrections.corrected': '✏️ Corrigé par vous',
+    'corrections.edit': '✏️ Corriger les ingrédients',
+    'corrections.ingredient': 'Ingrédient {number}',
+    'corrections.was': 'était « {name} »',
+    'corrections.removeTitle': "Retirer l'ingrédient",
+    'corrections.remove': 'Retirer {name}',
+    'corrections.missing': 'Ajouter un ingrédient manquant',
+    'corrections.add': 'Ajouter',
+    'corrections.hint': 'Les corrections sont enregistrées avec cette analyse et aident FoodGuard à mieux reconnaître les ingrédients.',
+    'corrections.saving': '💾 Enregistrement...',
+    'corrections.save': '💾 Enregistrer les corrections',
+    'corrections.error': "Impossible d'enregistrer vos corrections : {message}",
+    'historyCard.safe': '✅ Sans danger',
+    'historyCard.warning': {
+      one: '⚠️ {count} alerte',
+      other: '⚠️ {count} alertes'
+    },
+    'historyCard.uncertain': '❓ À vérifier',
+    'historyCard.nutrition': '📊 Données nutritionnelles',
+    'history.viewAll': 'Tout voir →',
+    'queue.title': '📥 Analyses hors ligne ({count})',
+    'queue.syncedSafe': '☁️ Synchronisé · ✅ Sans danger',
+    'queue.syncedWarnings': '☁️ Synchronisé · ⚠️ Alertes',
+    'queue.failed': "❌ Échec de l'envoi : {message}",
+    'queue.pending': "⏳ En attente d'envoi",
+    'queue.discard': 'Supprimer',
+    'export.open': "📤 Exporter l'historique",
+    'export.from': 'Du',
+    'export.to': 'Au',
+    'export.format': "Format d'export",
+    'export.format.csv': 'Tableur CSV',
+    'export.format.json': 'Données JSON',
+    'export.format.pdf': 'Rapport PDF pour votre médecin',
+    'export.exporting': 'Export en cours...',
+    'export.submit': '📤 Exporter',
+    'export.close': 'Fermer',
+    'export.hint': 'Comprend les dates, les résultats, les alertes allergènes avec gravité et fiabilité, les ingrédients et la nutrition. Le rapport PDF ajoute un résumé des expositions aux allergènes pour votre allergologue ou diététicien.',
+    'export.empty': 'Aucune analyse sur cette période.',
+    'export.done': {
+      one: '✓ {count} analyse exportée',
+      other: '✓ {count} analyses exportées'
+    },
+    'export.error': "❌ Échec de l'export : {message}",
+    'history.title': '📋 Historique des analyses',
+    'history.offline': '📴 Hors ligne - affichage de vos dernières analyses enregistrées.',
+    'history.search': 'Rechercher des ingrédients',
+    'history.searchPlaceholder': 'Rechercher des ingrédients...',
+    'history.result': 'Résultat',
+    'history.status.all': 'Tous les résultats',
+    'history.status.safe': '✅ Sans danger uniquement',
+    'history.status.warning': '⚠️ Alertes uniquement',
+    'history.status.uncertain': '❓ Incertains uniquement',
+    'history.allergen': 'Allergène',
+    'history.anyAllergen': 'Tous les allergènes',
+    'history.clearFilters': 'Effacer les filtres',
+    'history.count': {
+      one: '{count} analyse affichée',
+      other: '{count} analyses affichées'
+    },
+    'history.countOf': '{count} analyses affichées sur {total}',
+    'history.noMatches': 'Aucune analyse ne correspond à ces filtres.',
+    'history.empty': "Aucune analyse pour l'instant - analysez un repas pour commencer votre historique.",
+    'history.loading': 'Chargement des analyses...',
+    'history.loadMore': 'Charger plus',
+    'detail.back': "← Retour à l'historique",
+    'detail.loading': "Chargement de l'analyse...",
+    'detail.scanned': '🕒 Analysé le {date}',
+    'detail.showOriginal': "↩ Afficher le résultat d'origine",
+    'detail.recheck': '🔄 Vérifier avec mes allergies actuelles',
+    'detail.checked': {
+      one: 'Vérifié avec votre profil actuel ({count} allergie).',
+      other: 'Vérifié avec votre profil actuel ({count} allergies).'
+    },
+    'detail.sameVerdict': "Le verdict est le même que lors de l'analyse de ce repas.",
+    'detail.wasSafe': "Lors de l'analyse, ce repas était marqué sans danger.",
+    'detail.wasUnsafe': "Lors de l'analyse, ce repas était marqué dangereux.",
+    'progress.uploading': '📤 Envoi de la photo... {progress} %',
+    'progress.analyzing': '🤖 Photo envoyée - analyse des ingrédients...',
+    'progress.cancel': '✕ Annuler',
+    'camera.error.blocked': "L'accès à la caméra a été bloqué. Autorisez la caméra dans les réglages du navigateur, ou envoyez plutôt une photo.",
+    'camera.error.missing': "Aucune caméra n'a été trouvée sur cet appareil.",
+    'camera.error.busy': 'La caméra est utilisée par une autre application.',
+    'camera.error.failed': 'Impossible de démarrer la caméra : {message}',
+    'camera.error.capture': 'Impossible de prendre une photo avec la caméra',
+    'camera.captured': 'Repas photographié',
+    'camera.close': '✕ Fermer',
+    'camera.retake': '🔄 Reprendre',
+    'camera.use': '✓ Utiliser la photo',
+    'camera.switch': '🔁 Changer de caméra',
+    'camera.capture': '📸 Prendre',
+    'label.ingredients': 'Liste des ingrédients',
+    'label.ingredientsPlaceholder': "Collez ou saisissez les ingrédients de l'emballage, p. ex. farine de blé, sucre, beurre (lait), œufs. Peut contenir des fruits à coque.",
+    'label.check': '🔍 Vérifier les ingrédients',
+    'label.barcode': 'Numéro du code-barres',
+    'label.barcodePlaceholder': 'p. ex. 3017620422003',
+    'label.lookingUp': '🔍 Recherche...',
+    'label.lookUp': '🔍 Rechercher le produit',
+    'label.scan': '📷 Scanner le code-barres',
+    'label.noDetector': 'Ce navigateur ne peut pas lire les codes-barres avec la caméra - saisissez le numéro imprimé sous les barres.',
+    'label.error.noIngredients': 'Aucun ingrédient trouvé - séparez-les par des virgules ou des retours à la ligne',
+    'label.error.invalidBarcode': "Ce n'est pas un code-barres EAN ou UPC valide - vérifiez les chiffres sous les barres",
+    'label.error.unknownProduct': "Ce produit n'est pas encore dans la base de données. Saisissez plutôt la liste des ingrédients de l'emballage.",
+    'label.error.noIngredientList': "Aucune liste d'ingrédients n'est enregistrée pour {product}. Saisissez-la depuis l'emballage.",
+    'label.error.lookupFailed': 'Échec de la recherche du produit : {message}',
+    'batch.analyzing': '🔍 Analyse...',
+    'batch.verify': '❓ À vérifier vous-même',
+    'batch.safe': '✅ Sûr',
+    'batch.allergens': {
+      one: '⚠️ {count} allergène',
+      other: '⚠️ {count} allergènes'
+    },
+    'batch.failed': '❌ {message}',
+    'batch.queued': "📥 Enregistré pour l'envoi",
+    'batch.waiting': '⏳ En attente',
+    'batch.title': '🗂️ File de photos ({count})',
+    'batch.clear': 'Vider',
+    'batch.summary.safe': {
+      one: '{count} sûr',
+      other: '{count} sûrs'
+    },
+    'batch.summary.unsafe': '{count} avec allergènes',
+    'batch.summary.uncertain': '{count} à vérifier',
+    'batch.summary.failed': {
+      one: '{count} en échec',
+      other: '{count} en échec'
+    },
+    'batch.view': 'Voir',
+    'upload.error.type': 'Veuillez choisir un fichier image valide',
+    'upload.error.size': "L'image doit faire moins de {size} Mo",
+    'upload.tooMany': 'Seules les {count} premières photos seront analysées',
+    'upload.skipped': 'Ignorées',
+    'analyze.error.failed': "L'analyse a échoué : {message}",
+    'offline.saved': {
+      one: '📥 Scan enregistré. Il sera analysé automatiquement dès votre retour en ligne.',
+      other: '📥 {count} scans enregistrés. Ils seront analysés automatiquement dès votre retour en ligne.'
+    },
+    'offline.saveError': "Impossible d'enregistrer le scan pour plus tard : {message}",
+    'speech.safe': "Vous pouvez en manger. Aucun allergène trouvé d'après votre profil.",
+    'speech.warning': 'Attention : pas sûr.',
+    'speech.uncertain': "Incertain. L'analyse n'est pas assez fiable pour le dire sûr. Vérifiez l'étiquette.",
+    'speech.household.safe': 'Sûr pour tous les convives.',
+    'speech.household.warning': 'Attention : pas sûr pour tout le monde.',
+    'speech.household.uncertain': 'À vérifier avant de servir.',
+    'speech.person': '{name} : {verdict}.',
+    'speech.person.safe': 'sûr',
+    'speech.person.warning': 'pas sûr',
+    'speech.person.uncertain': 'à vérifier avant de servir',
+    'speech.detected': 'Allergène détecté : {allergen}',
+    'speech.possible': 'Allergène possible : {allergen}',
+    'speech.severity.mild': 'légère',
+    'speech.severity.moderate': 'modérée',
+    'speech.severity.severe': 'sévère',
+    'speech.in': 'dans {ingredients}',
+    'speech.lowConfidence': 'faible confiance',
+    'error.network': 'Impossible de joindre le serveur. Vérifiez votre connexion internet.',
+    'error.timeout': 'Le serveur a mis trop de temps à répondre. Veuillez réessayer.',
+    'error.cancelled': 'La requête a été annulée',
+    'error.server': 'Erreur du serveur : {status}',
+    'error.unauthorized': 'Votre session a expiré. Veuillez vous reconnecter.',
+    'error.invalidLogin': 'E-mail ou mot de passe incorrect',
+    'error.imageDecode': "L'image n'a pas pu être lue",
+    'error.imageHeic': "Cette photo HEIC n'a pas pu être convertie. Essayez de la partager en JPEG.",
+    'error.imageFormat': "Ce format d'image n'est pas pris en charge. Utilisez une photo JPG, PNG ou WebP.",
+    'error.imagePrepare': "Impossible de préparer l'image pour l'envoi",
+    'error.cameraCapture': 'Impossible de prendre une photo avec la caméra',
+    'queue.rejected': '⚠️ Non envoyé : {message}',
+    'queue.retry': 'Réessayer',
+    'report.title': "Rapport FoodGuard sur l'alimentation et les allergènes",
+    'report.patient': 'Patient : {name}',
+    'report.period': 'Période : du {from} au {to}',
+    'report.generated': 'Généré le : {date}',
+    'report.allergies': 'Allergies enregistrées',
+    'report.allergy': '- {name} ({severity})',
+    'report.allergyWithInjector': '- {name} ({severity}), auto-injecteur prescrit',
+    'report.noAllergies': 'Aucune enregistrée',
+    'report.summary': 'Résumé',
+    'report.summaryText': {
+      one: '{count} analyse, dont {warnings} avec des alertes allergènes ou des résultats incertains.',
+      other: '{count} analyses, dont {warnings} avec des alertes allergènes ou des résultats incertains.'
+    },
+    'report.exposures': 'Expositions aux allergènes',
+    'report.exposure': {
+      one: '{allergen} : {count} analyse',
+      other: '{allergen} : {count} analyses'
+    },
+    'report.exposureSeverity': ', allergie {severity}',
+    'report.exposureConfidence': ', confiance maximale {value}',
+    'report.exposureDetail': 'Première fois {first}, dernière {last}. Trouvé dans : {foods}',
+    'report.notRecorded': 'non enregistré',
+    'report.noExposures': "Aucun allergène n'a été détecté sur cette période.",
+    'report.log': 'Journal des analyses',
+    'report.status.safe': 'SÛR',
+    'report.status.warning': 'ALERTE',
+    'report.status.uncertain': 'INCERTAIN',
+    'report.warning': 'Alerte : {warning}',
+    'report.warningIn': '{allergen} dans {ingredient}',
+    'report.ingredients': 'Ingrédients : {ingredients}',
+    'report.per100g': 'Pour 100 g : {values}',
+    'report.severity.mild': 'légère',
+    'report.severity.moderate': 'modérée',
+    'report.severity.severe': 'sévère',
+    'report.disclaimer': "Les alertes proviennent de l'analyse automatique des photos et étiquettes et peuvent être incomplètes. Elles ne constituent pas un diagnostic."
+  },
+  de: {
+    'language.label': 'Sprache',
+    'app.loading': 'Ihr persönlicher Assistent für Lebensmittelsicherheit und Ernährung wird geladen...',
+    'hero.tagline': 'KI-gestützte persönliche Allergenerkennung in Lebensmitteln mit Nährwertanalyse',
+    'hero.scan': '📸 Jedes Gericht scannen',
+    'hero.detect': '🤖 KI-Zutatenerkennung',
+    'hero.alerts': '⚠️ Persönliche Allergenwarnungen',
+    'hero.nutrition': '📊 Nährwertanalyse',
+    'auth.email': 'E-Mail-Adresse',
+    'auth.password': 'Passwort',
+    'login.title': '🍽️ Bei FoodGuard anmelden',
+    'login.submit': 'Anmelden',
+    'login.submitting': 'Anmeldung läuft...',
+    'login.noAccount': 'Noch kein Konto?',
+    'register.title': '🚀 Konto erstellen',
+    'register.firstName': 'Vorname',
+    'register.lastName': 'Nachname',
+    'register.passwordHint': 'Passwort (mindestens 6 Zeichen)',
+    'register.submit': 'Konto erstellen',
+    'register.submitting': 'Konto wird erstellt...',
+    'register.haveAccount': 'Sie haben bereits ein Konto?',
+    'register.passwordTooShort': 'Das Passwort muss mindestens 6 Zeichen lang sein',
+    'register.allRequired': 'Bitte füllen Sie alle Felder aus',
+    'header.welcome': 'Willkommen zurück, {name}!',
+    'header.history': '📋 Verlauf',
+    'header.diary': '📔 Tagebuch',
+    'header.profile': { one: '👤 Profil ({count} Allergie)', other: '👤 Profil ({count} Allergien)' },
+    'header.logout': '🚪 Abmelden',
+    'offline.banner': '📴 Sie sind offline - Ihr gespeichertes Profil und Ihre Scans werden angezeigt. Neue Scans werden hochgeladen, sobald Sie wieder verbunden sind.',
+    'offline.logoutPending': {
+      one: '{count} offline erstellter Scan wurde noch nicht hochgeladen. Beim Abmelden wird er gelöscht.',
+      other: '{count} offline erstellte Scans wurden noch nicht hochgeladen. Beim Abmelden werden sie gelöscht.'
+    },
+    'notify.region': 'Benachrichtigungen',
+    'notify.dismiss': 'Benachrichtigung schließen',
+    'notify.retry': 'Erneut versuchen',
+    'dialog.confirm': 'OK',
+    'dialog.cancel': 'Abbrechen',
+    'dialog.remove': 'Entfernen',
+    'dialog.leave': 'Ohne Speichern verlassen',
+    'dialog.logoutAnyway': 'Trotzdem abmelden',
+    'scan.modes': 'So prüfen Sie Ihr Essen',
+    'scan.photo': '📸 Foto',
+    'scan.text': '📝 Zutatenliste',
+    'scan.barcode': '🏷️ Barcode',
+    'upload.preparing': 'Foto wird vorbereitet...',
+    'upload.drop': 'Zum Hochladen loslassen',
+    'upload.title': 'Foto des Essens hochladen',
+    'upload.hint': 'Hier klicken oder Eingabetaste drücken, Fotos hineinziehen oder einfügen (Strg+V)',
+    'upload.formats': 'JPG, PNG, WebP und HEIC bis {size} MB · bis zu {count} Fotos auf einmal',
+    'upload.selected': 'Ausgewähltes Essen',
+    'upload.camera': '📷 Kamera verwenden',
+    'analyze.batchProgress': '🔍 Analysiere {current} von {total}...',
+    'analyze.batch': '🔍 {count} Fotos analysieren',
+    'analyze.waiting': '🔍 Analyse läuft... Bitte warten',
+    'analyze.single': '🔍 Auf Allergene & Nährwerte prüfen',
+    'analyze.retry': '🔄 Erneut versuchen',
+    'analyze.saveLater': '📥 Speichern & später hochladen',
+    'history.recent': '📋 Letzte Scans',
+    'footer.disclaimer': '⚠️ Dieses Tool dient nur zur Information. Prüfen Sie bei schweren Allergien immer die Etiketten und fragen Sie das Restaurantpersonal.',
+    'footer.nutrition': '📊 Nährwertangaben werden von einer KI erzeugt und sind nur Schätzwerte.',
+    'nutrition.title': '📊 Nährwertangaben',
+    'nutrition.none': 'Für diesen Scan sind keine Nährwertdaten verfügbar.',
+    'nutrition.show': '▶ Details anzeigen',
+    'nutrition.hide': '▼ Details ausblenden',
+    'nutrition.total': '🥗 Geschätzt insgesamt ({grams})',
+    'nutrition.calories': 'Kalorien',
+    'nutrition.protein': 'Eiweiß',
+    'nutrition.carbs': 'Kohlenhydrate',
+    'nutrition.fat': 'Fett',
+    'nutrition.fiber': 'Ballaststoffe',
+    'nutrition.vitamins': '💊 Wichtige Vitamine:',
+    'nutrition.vitamin': 'Vitamin {name}',
+    'nutrition.minerals': '⚡ Wichtige Mineralstoffe:',
+    'nutrition.perIngredient': '🔍 Pro Zutat:',
+    'nutrition.caloriesShort': 'kcal',
+    'nutrition.proteinShort': 'E',
+    'nutrition.carbsShort': 'KH',
+    'nutrition.fatShort': 'F',
+    'nutrition.confidence': '🤖 Nährwertschätzung - Sicherheit: {value}',
+    'nutrition.corrected': '✏️ Summen aus Ihren korrigierten Zutaten neu berechnet',
+    'nutrition.disclaimer': '⚠️ Nährwerte sind Schätzungen auf Basis der erkannten Zutaten. Die tatsächlichen Werte können je nach Zubereitung, Portionsgröße und Marke abweichen.',
+    'nutrition.portion': 'Portion',
+    'nutrition.portionAmount': 'Portionsmenge',
+    'nutrition.portionUnit': 'Portionseinheit',
+    'nutrition.unit.grams': 'Gramm',
+    'nutrition.unit.servings': 'Portionen',
+    'nutrition.unit.plate': 'Teller',
+    'nutrition.plate.small': 'Kleiner Teller (~{grams})',
+    'nutrition.plate.medium': 'Mittlerer Teller (~{grams})',
+    'nutrition.plate.large': 'Großer Teller (~{grams})',
+    'nutrition.servingSize': '1 Portion = {grams}',
+    'nutrition.dailyValue': '{value} RM',
+    'nutrition.dailyValueNote': 'RM = Anteil an Ihrer täglichen Referenzmenge, die Sie im Profil ändern können.',
+    'a11y.title': '♿ Barrierefreiheit',
+    'a11y.hint': 'Wird auf diesem Gerät gespeichert.',
+    'a11y.highContrast': 'Kontrastreiches Design',
+    'a11y.highContrastHint': 'Schwarzer Text auf Weiß, kräftige Umrisse und Schweregrade zusätzlich zur Farbe durch Muster gekennzeichnet.',
+    'a11y.readAloud': 'Ergebnisse vorlesen',
+    'a11y.readAloudHint': 'Liest das Ergebnis und jede Allergenwarnung vor, sobald ein Scan geprüft ist.',
+    'a11y.noSpeech': 'Dieser Browser kann keinen Text vorlesen.',
+    'intakes.title': '🥗 Tägliche Referenzmengen',
+    'intakes.hint': 'Grundlage für die Prozentangaben bei den Nährwerten. Voreingestellt sind die EU-Referenzmengen für einen durchschnittlichen Erwachsenen. Auf diesem Gerät gespeichert.',
+    'intakes.showMore': '▶ Vitamine & Mineralstoffe',
+    'intakes.hideMore': '▼ Vitamine & Mineralstoffe',
+    'intakes.reset': 'Auf Standardwerte zurücksetzen',
+    'diary.title': '📔 Ernährungstagebuch',
+    'diary.log': '📔 Als Mahlzeit eintragen',
+    'diary.logging': 'Wird eingetragen...',
+    'diary.meal': 'Mahlzeit',
+    'diary.meal.breakfast': 'Frühstück',
+    'diary.meal.lunch': 'Mittagessen',
+    'diary.meal.dinner': 'Abendessen',
+    'diary.meal.snack': 'Snack',
+    'diary.logged': '✓ Im Tagebuch eingetragen als {meal}',
+    'diary.logError': '❌ Diese Mahlzeit konnte nicht eingetragen werden: {message}',
+    'diary.previousDay': '← Vorheriger Tag',
+    'diary.nextDay': 'Nächster Tag →',
+    'diary.day': 'Tagebuchtag',
+    'diary.dayTotals': 'Summe für {date}',
+    'diary.weekTotals': 'Letzte 7 Tage ({from} – {to})',
+    'diary.ofGoal': '{value} von {goal}',
+    'diary.empty': 'An diesem Tag ist nichts eingetragen. Tragen Sie eine Mahlzeit aus einem Scan-Ergebnis ein.',
+    'diary.entry': '{grams} · {calories} kcal',
+    'diary.removeEntry': '{title} aus dem Tagebuch entfernen',
+    'diary.confirmRemove': '{title} aus Ihrem Tagebuch entfernen?',
+    'diary.removeError': '❌ Der Eintrag konnte nicht entfernt werden: {message}',
+    'diary.loadError': 'Ihr Tagebuch konnte nicht geladen werden: {message}',
+    'diary.trends': '📈 Letzte 30 Tage',
+    'diary.chart': '{nutrient} pro Tag vom {from} bis {to}, mit einem Tagesziel von {goal}',
+    'diary.goals': '🎯 Tagesziele',
+    'diary.showGoals': '▶ Ziele bearbeiten',
+    'diary.hideGoals': '▼ Ziele bearbeiten',
+    'diary.goalsHint': 'Wochenziele sind das Siebenfache der Tagesziele. Auf diesem Gerät gespeichert.',
+    'nutrition.sodium': 'Natrium',
+    'diet.vegan': 'vegan',
+    'diet.vegetarian': 'vegetarisch',
+    'diet.halal': 'halal',
+    'diet.kosher': 'koscher',
+    'diet.low_fodmap': 'FODMAP-arm',
+    'diet.keto': 'keto',
+    'diet.low_sodium': 'natriumarm',
+    'diets.title': '🥗 Ernährungsregeln',
+    'diets.hint': 'Scans werden auch mit diesen Ernährungsformen abgeglichen. Diät-Hinweise erscheinen getrennt von Allergenwarnungen.',
+    'diets.limit': 'Max. {nutrient} pro 100 g',
+    'diets.save': '💾 Ernährungsregeln speichern',
+    'diets.saveSuccess': '✅ Ernährungsregeln aktualisiert!',
+    'diets.saveError': '❌ Fehler beim Aktualisieren der Ernährungsregeln: {message}',
+    'diets.results': '🥗 Diät-Check',
+    'diets.fits': '✓ Passt zu Ihren Ernährungsformen: {diets}',
+    'diets.violation.ingredient': 'Enthält {ingredient} (nicht {diet})',
+    'diets.violation.combination': 'Kombiniert Fleisch ({meat}) mit Milchprodukten ({dairy}) (nicht {diet})',
+    'diets.violation.nutrient': '{nutrient} über Ihrem Limit ({diet}): {value} pro 100 g (Limit {limit})',
+    'profile.back': '← Zurück zum Scanner',
+    'profile.title': '👤 Ihr Profil',
+    'profile.account': 'Kontoinformationen',
+    'profile.name': 'Name',
+    'profile.email': 'E-Mail',
+    'profile.totalScans': 'Scans insgesamt',
+    'profile.allergies': '🚨 Ihre Allergien ({count})',
+    'profile.quickAdd': 'Häufige Allergene schnell hinzufügen:',
+    'profile.custom': 'Eigene Allergie hinzufügen:',
+    'profile.customPlaceholder': 'Name der Allergie',
+    'profile.add': 'Hinzufügen',
+    'profile.showDetails': '+ Reaktion, Diagnose und Notizen hinzufügen',
+    'profile.hideDetails': '− Details ausblenden',
+    'profile.current': 'Aktuelle Allergien:',
+    'profile.none': 'Noch keine Allergien eingetragen.',
+    'profile.noneHint': 'Fügen Sie oben welche hinzu, um persönliche Warnungen zu erhalten!',
+    'profile.severityOf': 'Schweregrad der Allergie gegen {name}',
+    'profile.autoInjector': '💉 Autoinjektor',
+    'profile.details': '✏️ Details',
+    'profile.done': 'Fertig',
+    'profile.remove': 'Allergie entfernen',
+    'profile.unsaved': '● Sie haben ungespeicherte Änderungen',
+    'profile.save': '💾 Allergien speichern',
+    'profile.saving': '💾 Wird gespeichert...',
+    'profile.saved': '✓ Alle Änderungen gespeichert',
+    'profile.saveSuccess': '✅ Allergien erfolgreich aktualisiert!',
+    'profile.saveError': '❌ Fehler beim Aktualisieren der Allergien: {message}',
+    'profile.leaveUnsaved': 'Sie haben ungespeicherte Änderungen an Ihren Allergien. Trotzdem verlassen?',
+    'transfer.title': '📁 Allergien importieren oder exportieren',
+    'transfer.hint': 'Übernehmen Sie Ihre diagnostizierten Allergien aus Ihrer Praxis oder einer anderen App, oder exportieren Sie Ihre Liste zum Teilen. Importiert werden können FHIR, FoodGuard-JSON und CSV (eine Spalte für den Namen und eine für den Schweregrad).',
+    'transfer.exportJson': '⬇️ Als JSON exportieren',
+    'transfer.exportFhir': '⬇️ Als FHIR exportieren',
+    'transfer.file': 'Allergiedatei zum Importieren',
+    'transfer.readError': '❌ {file} konnte nicht gelesen werden: {message}',
+    'transfer.empty': 'In {file} wurden keine Allergien gefunden.',
+    'transfer.previewTitle': 'Vorschau von {file}',
+    'transfer.summary': '{added} neu · {updated} zusammengeführt · {unchanged} bereits in Ihrer Liste',
+    'transfer.skipped': { one: '{count} Eintrag wurde ausgelassen: abgeklungen, widerlegt oder ohne Namen.', other: '{count} Einträge wurden ausgelassen: abgeklungen, widerlegt oder ohne Namen.' },
+    'transfer.status.new': 'Neu',
+    'transfer.status.updated': 'Zusammengeführt',
+    'transfer.status.unchanged': 'Bereits vorhanden',
+    'transfer.mergeHint': 'Doppelte Einträge werden zusammengeführt: Der höhere Schweregrad bleibt erhalten, fehlende Details werden ergänzt. Gespeichert wird erst, wenn Sie Ihre Allergien speichern.',
+    'transfer.apply': 'Zu meinen Allergien hinzufügen',
+    'transfer.cancel': 'Abbrechen',
+    'household.title': '👨‍👩‍👧 Haushalt ({count})',
+    'household.hint': 'Personen, für die Sie scannen, jeweils mit eigenen Allergien. Wählen Sie im Scanner, wer mitisst.',
+    'household.memberName': 'Name des Haushaltsmitglieds',
+    'household.removeMember': '{name} entfernen',
+    'household.confirmRemove': '{name} aus Ihrem Haushalt entfernen?',
+    'household.noAllergies': 'Noch keine Allergien',
+    'household.allergySeverity': 'Schweregrad der Allergie von {name} gegen {allergy}',
+    'household.newAllergy': 'Neue Allergie für {name}',
+    'household.allergyPlaceholder': 'Allergie hinzufügen',
+    'household.newMember': 'Neues Haushaltsmitglied',
+    'household.newMemberPlaceholder': 'Name, z. B. Mia',
+    'household.addMember': '+ Person hinzufügen',
+    'household.save': '💾 Haushalt speichern',
+    'household.saveSuccess': '✅ Haushalt erfolgreich aktualisiert!',
+    'household.saveError': '❌ Fehler beim Aktualisieren des Haushalts: {message}',
+    'eating.label': 'Wer isst mit',
+    'eating.title': '🍽️ Wer isst mit?',
+    'eating.you': '{name} (Sie)',
+    'severity.mild': 'Leicht',
+    'severity.moderate': 'Mittel',
+    'severity.severe': 'Schwer',
+    'details.reaction': 'Art der Reaktion',
+    'details.diagnosed': 'Diagnostiziert am',
+    'details.diagnosedOn': 'Diagnostiziert am {date}',
+    'details.epinephrine': 'Adrenalin-Autoinjektor verschrieben',
+    'details.notes': 'Notizen',
+    'details.notesPlaceholder': 'z. B. Spuren sind kein Problem, reagiert auf roh, aber nicht gebacken',
+    'reaction.none': 'Keine Angabe',
+    'reaction.skin': 'Nesselsucht / Hautausschlag',
+    'reaction.swelling': 'Schwellung von Lippen, Gesicht oder Rachen',
+    'reaction.digestive': 'Verdauungsbeschwerden',
+    'reaction.respiratory': 'Atemnot',
+    'reaction.anaphylaxis': 'Anaphylaxie',
+    'reaction.other': 'Sonstige',
+    'session.expired': '⏰ Sitzung abgelaufen',
+    'session.signInAgain': 'Bitte melden Sie sich erneut an. Ihr aktueller Scan und Ihr Bild bleiben erhalten.',
+    'session.signOut': 'Stattdessen abmelden',
+    'thresholds.title': '🎯 Konfidenzschwellen',
+    'thresholds.hint': 'Treffer und Urteile unter diesen Werten werden als „unsicher - manuell prüfen“ angezeigt. Auf diesem Gerät gespeichert.',
+    'thresholds.standard': 'Leichte und mittlere Allergien',
+    'thresholds.severe': 'Schwere Allergien',
+    'thresholds.reset': 'Auf Standardwerte zurücksetzen',
+    'cards.title': '🪪 Allergiekarten',
+    'cards.hint': 'Eine Notfallkarte für die Brieftasche und eine Küchenkarte für Restaurants, in der Sprache Ihres Reiseziels.',
+    'cards.create': 'Allergiekarte erstellen',
+    'cards.type': 'Kartentyp',
+    'cards.wallet': '💳 Brieftaschenkarte',
+    'cards.chef': '👨‍🍳 Küchenkarte',
+    'cards.language': 'Sprache',
+    'cards.contact.name': 'Notfallkontakt',
+    'cards.contact.namePlaceholder': 'Name',
+    'cards.contact.relationship': 'Beziehung',
+    'cards.contact.relationshipPlaceholder': 'z. B. Partner, Elternteil',
+    'cards.contact.phone': 'Telefon',
+    'cards.contact.phonePlaceholder': 'Für Reisen mit Landesvorwahl',
+    'cards.instructions': 'Notfallanweisungen',
+    'cards.instructionsPlaceholder': 'Leer lassen für die Standardanweisungen',
+    'cards.ownInstructions': 'Eigene Anweisungen werden wie geschrieben gedruckt, nicht übersetzt.',
+    'cards.previewAlt': 'Vorschau: {title}',
+    'cards.pdf': '📄 PDF herunterladen',
+    'cards.image': '🖼️ Bild herunterladen',
+    'cards.share': '📤 Teilen',
+    'cards.close': 'Schließen',
+    'cards.printHint': 'Das PDF druckt die Karte in Originalgröße auf A4 - entlang der gestrichelten Linie ausschneiden. Kontaktdaten werden nur auf diesem Gerät gespeichert.',
+    'cards.error': '❌ Die Karte konnte nicht erstellt werden: {message}',
+    'match.listed': 'Als {allergen} aufgeführt',
+    'match.alias': '{term} ist dasselbe Allergen wie {allergen}',
+    'match.synonym': '{term} ist ein anderer Name für {allergen}',
+    'match.derived': '{term} wird aus {allergen} hergestellt',
+    'match.member': '{term} gehört zur Gruppe {group}',
+    'match.parent': '{term} kann {allergen} enthalten',
+    'match.crossReactive': '{term} löst bei einer Allergie gegen {allergen} oft ebenfalls Reaktionen aus',
+    'match.translation': '{term} heißt auf {language} {english}',
+    'match.reported': 'Von der FoodGuard-Analyse gemeldet',
+    'uncertain.ingredient': '{ingredient} wurde mit {confidence} Sicherheit erkannt - prüfen Sie, ob es {allergen} enthält',
+    'uncertain.overall': 'Die Analyse ist insgesamt nur zu {confidence} sicher, unter Ihrer Schwelle von {threshold}',
+    'warnings.detectedIn': 'gefunden in',
+    'warnings.why': 'Warum: {reason}',
+    'warnings.severity.mild': 'leichte Allergie',
+    'warnings.severity.moderate': 'mittlere Allergie',
+    'warnings.severity.severe': 'schwere Allergie',
+    'warnings.crossReaction': 'mögliche Kreuzreaktion',
+    'warnings.lowConfidence': 'geringe Sicherheit - prüfen',
+    'warnings.confidence': '{value} Sicherheit',
+    'verdicts.title': '👨‍👩‍👧 Wer darf das essen?',
+    'verdicts.safe': '✅ Sicher',
+    'verdicts.warning': '⚠️ Nicht sicher',
+    'verdicts.uncertain': '❓ Prüfen',
+    'verdicts.noAllergies': 'Keine Allergien hinterlegt',
+    'result.safe': 'SICHER FÜR SIE!',
+    'result.warning': '⚠️ ALLERGEN GEFUNDEN!',
+    'result.uncertain': '❓ UNSICHER - MANUELL PRÜFEN',
+    'result.safeDetail': 'Laut Ihrem Profil keine Allergene gefunden',
+    'result.warningDetail': {
+      one: '{count} mögliches Allergen gefunden',
+      other: '{count} mögliche Allergene gefunden'
+    },
+    'result.uncertainDetail': 'Die Analyse ist nicht sicher genug, um das als unbedenklich einzustufen. Prüfen Sie das Etikett oder fragen Sie das Personal.',
+    'result.household.safe': 'SICHER FÜR ALLE AM TISCH!',
+    'result.household.warning': '⚠️ NICHT FÜR ALLE SICHER!',
+    'result.household.uncertain': '❓ VOR DEM SERVIEREN PRÜFEN',
+    'result.household.safeDetail': 'Keine Allergene gefunden für {names}',
+    'result.household.warningDetail': 'Nicht sicher für {names}',
+    'result.household.uncertainDetail': 'Prüfen Sie das Etikett, bevor {names} davon isst',
+    'result.confidence': 'Sicherheit der Analyse: {value}',
+    'result.nutritionAvailable': '📊 Nährwertangaben verfügbar',
+    'result.readAloud': '🔊 Vorlesen',
+    'result.warnings': '⚠️ Allergenwarnungen:',
+    'result.barcode': 'Barcode {barcode}',
+    'result.per100g': 'Nährwerte pro 100 g',
+    'result.ingredientsDetected': '🥘 Erkannte Zutaten ({count}):',
+    'result.ingredientsListed': '🥘 Angegebene Zutaten ({count}):',
+    'result.moreIngredients': {
+      one: '...und {count} weitere erkannte Zutat',
+      other: '...und {count} weitere erkannte Zutaten'
+    },
+    'corrections.corrected': '✏️ Von Ihnen korrigiert',
+    'corrections.edit': '✏️ Zutaten korrigieren',
+    'corrections.ingredient': 'Zutat {number}',
+    'corrections.was': 'war „{name}“',
+    'corrections.removeTitle': 'Zutat entfernen',
+    'corrections.remove': '{name} entfernen',
+    'corrections.missing': 'Fehlende Zutat hinzufügen',
+    'corrections.add': 'Hinzufügen',
+    'corrections.hint': 'Korrekturen werden mit diesem Scan gespeichert und helfen FoodGuard, Zutaten besser zu erkennen.',
+    'corrections.saving': '💾 Wird gespeichert...',
+    'corrections.save': '💾 Korrekturen speichern',
+    'corrections.error': 'Ihre Korrekturen konnten nicht gespeichert werden: {message}',
+    'historyCard.safe': '✅ Sicher',
+    'historyCard.warning': {
+      one: '⚠️ {count} Warnung',
+      other: '⚠️ {count} Warnungen'
+    },
+    'historyCard.uncertain': '❓ Prüfen',
+    'historyCard.nutrition': '📊 Nährwertdaten',
+    'history.viewAll': 'Alle anzeigen →',
+    'queue.title': '📥 Offline-Scans ({count})',
+    'queue.syncedSafe': '☁️ Synchronisiert · ✅ Sicher',
+    'queue.syncedWarnings': '☁️ Synchronisiert · ⚠️ Warnungen',
+    'queue.failed': '❌ Hochladen fehlgeschlagen: {message}',
+    'queue.pending': '⏳ Wartet auf Upload',
+    'queue.discard': 'Verwerfen',
+    'export.open': '📤 Verlauf exportieren',
+    'export.from': 'Von',
+    'export.to': 'Bis',
+    'export.format': 'Exportformat',
+    'export.format.csv': 'CSV-Tabelle',
+    'export.format.json': 'JSON-Daten',
+    'export.format.pdf': 'PDF-Bericht für Ihre Ärztin oder Ihren Arzt',
+    'export.exporting': 'Wird exportiert...',
+    'export.submit': '📤 Exportieren',
+    'export.close': 'Schließen',
+    'export.hint': 'Enthält Datum, Ergebnisse, Allergenwarnungen mit Schweregrad und Sicherheit, Zutaten und Nährwerte. Der PDF-Bericht fasst zusätzlich die Allergenkontakte für Ihre Allergologin oder Ernährungsberatung zusammen.',
+    'export.empty': 'Keine Scans in diesem Zeitraum.',
+    'export.done': {
+      one: '✓ {count} Scan exportiert',
+      other: '✓ {count} Scans exportiert'
+    },
+    'export.error': '❌ Export fehlgeschlagen: {message}',
+    'history.title': '📋 Scan-Verlauf',
+    'history.offline': '📴 Offline - Ihre zuletzt gespeicherten Scans werden angezeigt.',
+    'history.search': 'Zutaten suchen',
+    'history.searchPlaceholder': 'Zutaten suchen...',
+    'history.result': 'Ergebnis',
+    'history.status.all': 'Alle Ergebnisse',
+    'history.status.safe': '✅ Nur sichere',
+    'history.status.warning': '⚠️ Nur Warnungen',
+    'history.status.uncertain': '❓ Nur unsichere',
+    'history.allergen': 'Allergen',
+    'history.anyAllergen': 'Alle Allergene',
+    'history.clearFilters': 'Filter zurücksetzen',
+    'history.count': {
+      one: '{count} Scan angezeigt',
+      other: '{count} Scans angezeigt'
+    },
+    'history.countOf': '{count} von {total} Scans angezeigt',
+    'history.noMatches': 'Keine Scans passen zu diesen Filtern.',
+    'history.empty': 'Noch keine Scans - analysieren Sie eine Mahlzeit, um Ihren Verlauf zu beginnen.',
+    'history.loading': 'Scans werden geladen...',
+    'history.loadMore': 'Mehr laden',
+    'detail.back': '← Zurück zum Verlauf',
+    'detail.loading': 'Scan wird geladen...',
+    'detail.scanned': '🕒 Gescannt am {date}',
+    'detail.showOriginal': '↩ Ursprüngliches Ergebnis anzeigen',
+    'detail.recheck': '🔄 Mit meinen aktuellen Allergien prüfen',
+    'detail.checked': {
+      one: 'Mit Ihrem aktuellen Profil geprüft ({count} Allergie).',
+      other: 'Mit Ihrem aktuellen Profil geprüft ({count} Allergien).'
+    },
+    'detail.sameVerdict': 'Das Urteil ist dasselbe wie beim Scannen dieser Mahlzeit.',
+    'detail.wasSafe': 'Beim Scannen wurde diese Mahlzeit als sicher eingestuft.',
+    'detail.wasUnsafe': 'Beim Scannen wurde diese Mahlzeit als nicht sicher eingestuft.',
+    'progress.uploading': '📤 Foto wird hochgeladen... {progress} %',
+    'progress.analyzing': '🤖 Foto hochgeladen - Zutaten werden analysiert...',
+    'progress.cancel': '✕ Abbrechen',
+    'camera.error.blocked': 'Der Kamerazugriff wurde blockiert. Erlauben Sie die Kamera in den Browsereinstellungen oder laden Sie stattdessen ein Foto hoch.',
+    'camera.error.missing': 'Auf diesem Gerät wurde keine Kamera gefunden.',
+    'camera.error.busy': 'Die Kamera wird von einer anderen App verwendet.',
+    'camera.error.failed': 'Die Kamera konnte nicht gestartet werden: {message}',
+    'camera.error.capture': 'Mit der Kamera konnte kein Foto aufgenommen werden',
+    'camera.captured': 'Aufgenommenes Essen',
+    'camera.close': '✕ Schließen',
+    'camera.retake': '🔄 Neu aufnehmen',
+    'camera.use': '✓ Foto verwenden',
+    'camera.switch': '🔁 Kamera wechseln',
+    'camera.capture': '📸 Aufnehmen',
+    'label.ingredients': 'Zutatenliste',
+    'label.ingredientsPlaceholder': 'Zutaten von der Verpackung einfügen oder eintippen, z. B. Weizenmehl, Zucker, Butter (Milch), Eier. Kann Nüsse enthalten.',
+    'label.check': '🔍 Zutaten prüfen',
+    'label.barcode': 'Barcode-Nummer',
+    'label.barcodePlaceholder': 'z. B. 3017620422003',
+    'label.lookingUp': '🔍 Wird gesucht...',
+    'label.lookUp': '🔍 Produkt suchen',
+    'label.scan': '📷 Barcode scannen',
+    'label.noDetector': 'Dieser Browser kann keine Barcodes mit der Kamera lesen - geben Sie die Nummer unter den Strichen ein.',
+    'label.error.noIngredients': 'Keine Zutaten gefunden - trennen Sie sie mit Kommas oder Zeilenumbrüchen',
+    'label.error.invalidBarcode': 'Das ist kein gültiger EAN- oder UPC-Barcode - prüfen Sie die Ziffern unter den Strichen',
+    'label.error.unknownProduct': 'Dieses Produkt ist noch nicht in der Datenbank. Geben Sie stattdessen die Zutatenliste von der Verpackung ein.',
+    'label.error.noIngredientList': 'Für {product} ist keine Zutatenliste hinterlegt. Geben Sie sie von der Verpackung ein.',
+    'label.error.lookupFailed': 'Produktsuche fehlgeschlagen: {message}',
+    'batch.analyzing': '🔍 Wird analysiert...',
+    'batch.verify': '❓ Selbst prüfen',
+    'batch.safe': '✅ Sicher',
+    'batch.allergens': {
+      one: '⚠️ {count} Allergen',
+      other: '⚠️ {count} Allergene'
+    },
+    'batch.failed': '❌ {message}',
+    'batch.queued': '📥 Zum Hochladen gespeichert',
+    'batch.waiting': '⏳ Wartet',
+    'batch.title': '🗂️ Foto-Warteschlange ({count})',
+    'batch.clear': 'Leeren',
+    'batch.summary.safe': '{count} sicher',
+    'batch.summary.unsafe': '{count} mit Allergenen',
+    'batch.summary.uncertain': '{count} zu prüfen',
+    'batch.summary.failed': '{count} fehlgeschlagen',
+    'batch.view': 'Ansehen',
+    'upload.error.type': 'Bitte wählen Sie eine gültige Bilddatei',
+    'upload.error.size': 'Das Bild muss kleiner als {size} MB sein',
+    'upload.tooMany': 'Nur die ersten {count} Fotos werden analysiert',
+    'upload.skipped': 'Übersprungen',
+    'analyze.error.failed': 'Analyse fehlgeschlagen: {message}',
+    'offline.saved': {
+      one: '📥 Scan gespeichert. Er wird automatisch analysiert, sobald Sie wieder online sind.',
+      other: '📥 {count} Scans gespeichert. Sie werden automatisch analysiert, sobald Sie wieder online sind.'
+    },
+    'offline.saveError': 'Der Scan konnte nicht für später gespeichert werden: {message}',
+    'speech.safe': 'Unbedenklich. Laut Ihrem Profil wurden keine Allergene gefunden.',
+    'speech.warning': 'Achtung: nicht sicher.',
+    'speech.uncertain': 'Unsicher. Die Analyse ist nicht zuverlässig genug, um es als sicher einzustufen. Prüfen Sie das Etikett.',
+    'speech.household.safe': 'Sicher für alle, die mitessen.',
+    'speech.household.warning': 'Achtung: nicht für alle sicher.',
+    'speech.household.uncertain': 'Vor dem Servieren prüfen.',
+    'speech.person': '{name}: {verdict}.',
+    'speech.person.safe': 'sicher',
+    'speech.person.warning': 'nicht sicher',
+    'speech.person.uncertain': 'vor dem Servieren prüfen',
+    'speech.detected': 'Allergen erkannt: {allergen}',
+    'speech.possible': 'Mögliches Allergen: {allergen}',
+    'speech.severity.mild': 'leicht',
+    'speech.severity.moderate': 'mittel',
+    'speech.severity.severe': 'schwer',
+    'speech.in': 'in {ingredients}',
+    'speech.lowConfidence': 'geringe Sicherheit',
+    'error.network': 'Keine Verbindung zum Server. Bitte prüfen Sie Ihre Internetverbindung.',
+    'error.timeout': 'Der Server hat zu lange gebraucht. Bitte versuchen Sie es erneut.',
+    'error.cancelled': 'Die Anfrage wurde abgebrochen',
+    'error.server': 'Serverfehler: {status}',
+    'error.unauthorized': 'Ihre Sitzung ist abgelaufen. Bitte melden Sie sich erneut an.',
+    'error.invalidLogin': 'E-Mail oder Passwort ist falsch',
+    'error.imageDecode': 'Das Bild konnte nicht gelesen werden',
+    'error.imageHeic': 'Dieses HEIC-Foto konnte nicht umgewandelt werden. Teilen Sie es stattdessen als JPEG.',
+    'error.imageFormat': 'Dieses Bildformat wird nicht unterstützt. Bitte verwenden Sie ein JPG-, PNG- oder WebP-Foto.',
+    'error.imagePrepare': 'Das Bild konnte nicht zum Hochladen vorbereitet werden',
+    'error.cameraCapture': 'Mit der Kamera konnte kein Foto aufgenommen werden',
+    'queue.rejected': '⚠️ Nicht hochgeladen: {message}',
+    'queue.retry': 'Erneut versuchen',
+    'report.title': 'FoodGuard-Bericht zu Ernährung und Allergenen',
+    'report.patient': 'Patient: {name}',
+    'report.period': 'Zeitraum: {from} bis {to}',
+    'report.generated': 'Erstellt: {date}',
+    'report.allergies': 'Erfasste Allergien',
+    'report.allergy': '- {name} ({severity})',
+    'report.allergyWithInjector': '- {name} ({severity}), Autoinjektor verordnet',
+    'report.noAllergies': 'Keine erfasst',
+    'report.summary': 'Zusammenfassung',
+    'report.summaryText': {
+      one: '{count} Scan, davon {warnings} mit Allergenwarnungen oder unsicheren Ergebnissen.',
+      other: '{count} Scans, davon {warnings} mit Allergenwarnungen oder unsicheren Ergebnissen.'
+    },
+    'report.exposures': 'Allergenkontakte',
+    'report.exposure': {
+      one: '{allergen}: {count} Scan',
+      other: '{allergen}: {count} Scans'
+    },
+    'report.exposureSeverity': ', Allergie: {severity}',
+    'report.exposureConfidence': ', höchste Sicherheit {value}',
+    'report.exposureDetail': 'Erstmals {first}, zuletzt {last}. Gefunden in: {foods}',
+    'report.notRecorded': 'nicht erfasst',
+    'report.noExposures': 'In diesem Zeitraum wurden keine Allergene erkannt.',
+    'report.log': 'Scan-Protokoll',
+    'report.status.safe': 'SICHER',
+    'report.status.warning': 'WARNUNG',
+    'report.status.uncertain': 'UNSICHER',
+    'report.warning': 'Warnung: {warning}',
+    'report.warningIn': '{allergen} in {ingredient}',
+    'report.ingredients': 'Zutaten: {ingredients}',
+    'report.per100g': 'Pro 100 g: {values}',
+    'report.severity.mild': 'leicht',
+    'report.severity.moderate': 'mittel',
+    'report.severity.severe': 'schwer',
+    'report.disclaimer': 'Die Warnungen stammen aus der automatischen Foto- und Etikettenanalyse und können unvollständig sein. Sie sind keine Diagnose.'
+  }
+};
+
+const STORAGE_KEY = 'language';
+
+const isSupported = (lang) => LANGUAGES.some(([code]) => code === lang);
+
+// The saved choice, else the browser's language when we have it, else English
+export const detectLanguage = () => {
+  const saved = localStorage.getItem(STORAGE_KEY);
+  if (isSupported(saved)) return saved;
+  const browser = (navigator.languages || [navigator.language])
+    .map(locale => (locale || '').slice(0, 2).toLowerCase())
+    .find(isSupported);
+  return browser || 'en';
+};
+
+export const saveLanguage = (lang) => {
+  localStorage.setItem(STORAGE_KEY, lang);
+};
+
+// Prefer the browser's regional variant of the language (en-GB dates for a UK browser)
+export const localeFor = (lang) => (
+  (navigator.languages || [navigator.language]).find(locale => locale?.toLowerCase().startsWith(lang)) || lang
+);
+
+export const createTranslator = (lang) => {
+  const plurals = new Intl.PluralRules(localeFor(lang));
+  return (key, values = {}) => {
+    let message = MESSAGES[lang]?.[key] ?? MESSAGES.en[key] ?? key;
+    if (typeof message === 'object') message = message[plurals.select(values.count)] ?? message.other;
+    return message.replace(/\{(\w+)\}/g, (placeholder, name) => (name in values ? values[name] : placeholder));
+  };
+};
+
+export const formatNumber = (value, lang, options = {}) => (
+  new Intl.NumberFormat(localeFor(lang), options).format(value)
+);
+
+export const formatDate = (value, lang, options = { dateStyle: 'medium' }) => (
+  new Intl.DateTimeFormat(localeFor(lang), options).format(new Date(value))
+);
+
+// What went wrong, in the interface language. Our own errors (ApiError, ImageError) carry a
+// code for error.<code>; anything else, such as a server's own message, is shown as it came.
+export const errorMessage = (error, lang) => (
+  error?.code && MESSAGES.en[`error.${error.code}`]
+    ? createTranslator(lang)(`error.${error.code}`, { status: error.status })
+    : error?.message || String(error)
+);
+
+// A language code as a name in the interface language: 'es' is "Spanish", or "espagnol" in French
+export const languageName = (code, lang) => (
+  new Intl.DisplayNames([localeFor(lang)], { type: 'language' }).of(code)
+);
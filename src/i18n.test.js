@@ -0,0 +1,41 @@
+import { createTranslator, detectLanguage, saveLanguage, formatNumber, formatDate, errorMessage } from './i18n';
+import { HttpError, NetworkError } from './api';
+import { ImageError } from './images';
+
+afterEach(() => localStorage.clear());
+
+test('translates with placeholders, plurals and an English fallback', () => {
+  const t = createTranslator('es');
+  expect(t('header.welcome', { name: 'Ana' })).toBe('¡Hola de nuevo, Ana!');
+  expect(t('header.profile', { count: 1 })).toBe('👤 Perfil (1 alergia)');
+  expect(t('header.profile', { count: 3 })).toBe('👤 Perfil (3 alergias)');
+  expect(createTranslator('xx')('profile.add')).toBe('Add');
+  expect(t('missing.key')).toBe('missing.key');
+});
+
+test('uses the saved language, then the browser language', () => {
+  expect(detectLanguage()).toBe('en');
+  saveLanguage('de');
+  expect(detectLanguage()).toBe('de');
+  saveLanguage('xx');
+  expect(detectLanguage()).toBe('en');
+});
+
+test('formats numbers and dates for the language', () => {
+  expect(formatNumber(1234.5, 'de', { maximumFractionDigits: 1 })).toBe('1.234,5');
+  expect(formatNumber(1234.5, 'en', { maximumFractionDigits: 1 })).toBe('1,234.5');
+  expect(formatDate('2024-03-05T12:00:00', 'fr')).toBe('5 mars 2024');
+});
+
+test('explains our own errors in the language, and passes server messages through', () => {
+  expect(errorMessage(new NetworkError(), 'es')).toBe(
+    'No se puede conectar con el servidor. Comprueba tu conexión a internet.'
+  );
+  expect(errorMessage(new HttpError(undefined, { status: 502 }), 'de')).toBe('Serverfehler: 502');
+  expect(errorMessage(new ImageError('imagePrepare', 'Could not prepare the image for upload'), 'fr')).toBe(
+    'Impossible de préparer l\'image pour l\'envoi'
+  );
+  expect(errorMessage(new HttpError('No image provided', { status: 400 }), 'es')).toBe('No image provided');
+  expect(errorMessage(Object.assign(new Error('timeout of 20000ms exceeded'), { code: 'ECONNABORTED' }), 'es'))
+    .toBe('timeout of 20000ms exceeded');
+});
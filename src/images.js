@@ -0,0 +1,215 @@
+// images.js - Image files, upload preprocessing and camera capture for the scanner
+
+// Originals can be large - they are downscaled in the browser before upload
+export const MAX_IMAGE_SIZE = 40 * 1024 * 1024;  // 40MB
+export const MAX_BATCH_SIZE = 10;
+
+// Upload size limits, configurable per deployment like REACT_APP_API_URL
+export const UPLOAD_SETTINGS = {
+  maxDimension: Number(process.env.REACT_APP_UPLOAD_MAX_DIMENSION) || 1600,  // px, longest side
+  maxBytes: Number(process.env.REACT_APP_UPLOAD_MAX_BYTES) || 1.5 * 1024 * 1024,
+  quality: 0.85,
+  minQuality: 0.5
+};
+
+// The interface explains these by code (error.<code>); the message is the English fallback
+export class ImageError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'ImageError';
+    this.code = code;
+  }
+}
+
+const HEIC_TYPES = ['image/heic', 'image/heif', 'image/heic-sequence', 'image/heif-sequence'];
+
+// Some browsers report HEIC photos with an empty type, so check the extension too
+export const isHeic = (file) => HEIC_TYPES.includes(file.type.toLowerCase()) || /\.(heic|heif)$/i.test(file.name);
+
+const isImageFile = (file) => file.type.startsWith('image/') || isHeic(file);
+
+// Returns why the file cannot be scanned ('type' | 'size'), or null when it can
+export const validateImageFile = (file) => {
+  if (!isImageFile(file)) {
+    return 'type';
+  }
+  if (file.size > MAX_IMAGE_SIZE) {
+    return 'size';
+  }
+  return null;
+};
+
+// Pull image files out of a drop or paste event's DataTransfer
+export const getImageFiles = (dataTransfer) => {
+  if (!dataTransfer) return [];
+  return Array.from(dataTransfer.files || []).filter(isImageFile);
+};
+
+// EXIF orientation (1-8) of a JPEG, or 1 when there is none
+export const readExifOrientation = (buffer) => {
+  try {
+    const view = new DataView(buffer);
+    if (view.getUint16(0) !== 0xFFD8) return 1;
+
+    let offset = 2;
+    while (offset + 4 <= view.byteLength) {
+      const marker = view.getUint16(offset);
+      if ((marker & 0xFF00) !== 0xFF00) return 1;
+
+      if (marker === 0xFFE1 && view.getUint32(offset + 4) === 0x45786966) { // APP1 "Exif"
+        const tiff = offset + 10;
+        const little = view.getUint16(tiff) === 0x4949;
+        const ifd = tiff + view.getUint32(tiff + 4, little);
+        const entries = view.getUint16(ifd, little);
+        for (let i = 0; i < entries; i++) {
+          const entry = ifd + 2 + i * 12;
+          if (view.getUint16(entry, little) === 0x0112) {
+            return view.getUint16(entry + 8, little);
+          }
+        }
+        return 1;
+      }
+      offset += 2 + view.getUint16(offset + 2);
+    }
+  } catch {
+    // Truncated or malformed EXIF - treat as upright
+  }
+  return 1;
+};
+
+const loadImageElement = (blob) => new Promise((resolve, reject) => {
+  const url = URL.createObjectURL(blob);
+  const img = new Image();
+  img.onload = () => {
+    URL.revokeObjectURL(url);
+    resolve(img);
+  };
+  img.onerror = () => {
+    URL.revokeObjectURL(url);
+    reject(new ImageError('imageDecode', 'Image could not be decoded'));
+  };
+  img.src = url;
+});
+
+// Decode to something drawable, noting whether the EXIF orientation is already applied
+const decodeImage = async (blob) => {
+  if (typeof createImageBitmap === 'function') {
+    try {
+      return { source: await createImageBitmap(blob, { imageOrientation: 'from-image' }), oriented: true };
+    } catch {
+      // Fall back to an <img> below
+    }
+  }
+  const img = await loadImageElement(blob);
+  const oriented = typeof CSS !== 'undefined' && CSS.supports?.('image-orientation', 'from-image');
+  return { source: img, oriented: !!oriented };
+};
+
+const applyOrientation = (ctx, orientation, width, height) => {
+  switch (orientation) {
+    case 2: ctx.transform(-1, 0, 0, 1, width, 0); break;
+    case 3: ctx.transform(-1, 0, 0, -1, width, height); break;
+    case 4: ctx.transform(1, 0, 0, -1, 0, height); break;
+    case 5: ctx.transform(0, 1, 1, 0, 0, 0); break;
+    case 6: ctx.transform(0, 1, -1, 0, height, 0); break;
+    case 7: ctx.transform(0, -1, -1, 0, height, width); break;
+    case 8: ctx.transform(0, -1, 1, 0, 0, width); break;
+    default: break;
+  }
+};
+
+const canvasToBlob = (canvas, quality) => new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg', quality));
+
+// HEIC only decodes natively in Safari; elsewhere convert it with heic2any (loaded on demand)
+const decodeWithConversion = async (file) => {
+  try {
+    return await decodeImage(file);
+  } catch (error) {
+    if (!isHeic(file)) throw error;
+    const { default: heic2any } = await import('heic2any');
+    const converted = await heic2any({ blob: file, toType: 'image/jpeg', quality: UPLOAD_SETTINGS.quality });
+    return decodeImage(Array.isArray(converted) ? converted[0] : converted);
+  }
+};
+
+// Downscale, upright and re-encode a photo as JPEG. Drawing through a canvas
+// drops every bit of metadata, including the GPS location phones embed.
+export const prepareImageForUpload = async (file, settings = UPLOAD_SETTINGS) => {
+  let decoded;
+  try {
+    decoded = await decodeWithConversion(file);
+  } catch (error) {
+    console.error('❌ Image decode failed:', error);
+    throw isHeic(file)
+      ? new ImageError('imageHeic', 'This HEIC photo could not be converted. Try sharing it as a JPEG instead.')
+      : new ImageError('imageFormat', 'This image format is not supported. Please use a JPG, PNG or WebP photo.');
+  }
+
+  const { source, oriented } = decoded;
+  const orientation = oriented || !/jpe?g$/i.test(file.type)
+    ? 1
+    : readExifOrientation(await file.slice(0, 128 * 1024).arrayBuffer());
+
+  const scale = Math.min(1, settings.maxDimension / Math.max(source.width, source.height));
+  const width = Math.round(source.width * scale);
+  const height = Math.round(source.height * scale);
+  const sideways = orientation >= 5;
+
+  const canvas = document.createElement('canvas');
+  canvas.width = sideways ? height : width;
+  canvas.height = sideways ? width : height;
+  const ctx = canvas.getContext('2d');
+  ctx.fillStyle = '#ffffff'; // JPEG has no transparency
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  applyOrientation(ctx, orientation, width, height);
+  ctx.drawImage(source, 0, 0, width, height);
+  if (source.close) source.close();
+
+  // Step the quality down until the photo fits the upload budget
+  let quality = settings.quality;
+  let blob = await canvasToBlob(canvas, quality);
+  while (blob && blob.size > settings.maxBytes && quality > settings.minQuality) {
+    quality = Math.max(settings.minQuality, quality - 0.1);
+    blob = await canvasToBlob(canvas, quality);
+  }
+  if (!blob) {
+    throw new ImageError('imagePrepare', 'Could not prepare the image for upload');
+  }
+
+  const name = file.name.replace(/\.[^.]+$/, '') + '.jpg';
+  return new File([blob], name, { type: 'image/jpeg', lastModified: Date.now() });
+};
+
+export const hasCameraSupport = () => !!navigator.mediaDevices?.getUserMedia;
+
+// Grab the current viewfinder frame as a JPEG file
+export const captureVideoFrame = (video, quality = 0.92) => new Promise((resolve, reject) => {
+  const canvas = document.createElement('canvas');
+  canvas.width = video.videoWidth;
+  canvas.height = video.videoHeight;
+  canvas.getContext('2d').drawImage(video, 0, 0, canvas.width, canvas.height);
+  canvas.toBlob((blob) => {
+    if (!blob) {
+      reject(new ImageError('cameraCapture', 'Could not capture a photo from the camera'));
+      return;
+    }
+    resolve(new File([blob], `camera-${Date.now()}.jpg`, { type: 'image/jpeg' }));
+  }, 'image/jpeg', quality);
+});
+
+// What went wrong starting the camera, for the interface to explain:
+// 'blocked' | 'missing' | 'busy', or 'failed' for anything else
+export const cameraErrorType = (error) => {
+  switch (error.name) {
+    case 'NotAllowedError':
+    case 'SecurityError':
+      return 'blocked';
+    case 'NotFoundError':
+    case 'OverconstrainedError':
+      return 'missing';
+    case 'NotReadableError':
+      return 'busy';
+    default:
+      return 'failed';
+  }
+};
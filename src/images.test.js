@@ -0,0 +1,46 @@
+import { validateImageFile, getImageFiles, readExifOrientation, isHeic, MAX_IMAGE_SIZE } from './images';
+
+const makeFile = (name, type, size = 1024) => {
+  const file = new File(['x'], name, { type });
+  Object.defineProperty(file, 'size', { value: size });
+  return file;
+};
+
+test('accepts images and rejects other or oversized files', () => {
+  expect(validateImageFile(makeFile('meal.jpg', 'image/jpeg'))).toBeNull();
+  expect(validateImageFile(makeFile('menu.pdf', 'application/pdf'))).toBe('type');
+  expect(validateImageFile(makeFile('phone.jpg', 'image/jpeg', 12 * 1024 * 1024))).toBeNull();
+  expect(validateImageFile(makeFile('huge.jpg', 'image/jpeg', MAX_IMAGE_SIZE + 1))).toBe('size');
+});
+
+test('pulls only image files out of a drop or paste', () => {
+  const files = [makeFile('a.png', 'image/png'), makeFile('notes.txt', 'text/plain')];
+  expect(getImageFiles({ files }).map(f => f.name)).toEqual(['a.png']);
+  expect(getImageFiles(null)).toEqual([]);
+});
+
+test('recognises HEIC photos even without a MIME type', () => {
+  expect(isHeic(makeFile('IMG_0001.HEIC', ''))).toBe(true);
+  expect(isHeic(makeFile('photo', 'image/heif'))).toBe(true);
+  expect(isHeic(makeFile('photo.jpg', 'image/jpeg'))).toBe(false);
+  expect(validateImageFile(makeFile('IMG_0001.HEIC', ''))).toBeNull();
+});
+
+test('reads the EXIF orientation of a JPEG', () => {
+  const jpeg = (byteOrder) => {
+    const little = byteOrder === 'II';
+    const u16 = (n) => (little ? [n & 0xFF, n >> 8] : [n >> 8, n & 0xFF]);
+    const u32 = (n) => (little ? [n & 0xFF, (n >> 8) & 0xFF, (n >> 16) & 0xFF, n >>> 24] : [n >>> 24, (n >> 16) & 0xFF, (n >> 8) & 0xFF, n & 0xFF]);
+    const tiff = [
+      ...[...byteOrder].map(c => c.charCodeAt(0)), ...u16(42), ...u32(8),
+      ...u16(1), ...u16(0x0112), ...u16(3), ...u32(1), ...u16(6), 0, 0, ...u32(0)
+    ];
+    const exif = [0x45, 0x78, 0x69, 0x66, 0, 0, ...tiff];
+    return new Uint8Array([0xFF, 0xD8, 0xFF, 0xE1, (exif.length + 2) >> 8, (exif.length + 2) & 0xFF, ...exif]).buffer;
+  };
+
+  expect(readExifOrientation(jpeg('MM'))).toBe(6);
+  expect(readExifOrientation(jpeg('II'))).toBe(6);
+  expect(readExifOrientation(new Uint8Array([0x89, 0x50, 0x4E, 0x47]).buffer)).toBe(1);
+  expect(readExifOrientation(new Uint8Array([0xFF, 0xD8, 0xFF, 0xE1]).buffer)).toBe(1);
+});
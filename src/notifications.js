@@ -0,0 +1,35 @@
+// notifications.js - In-app toast notifications: levels, how long each stays up, and the visible stack
+export const NOTIFICATION_LEVELS = ['success', 'info', 'warning', 'error'];
+
+// Milliseconds on screen; errors stay until they are dismissed
+const DURATIONS = { success: 4000, info: 6000, warning: 8000, error: null };
+
+export const MAX_NOTIFICATIONS = 4;
+
+let nextId = 1;
+
+// { level, message, title?, actions?: [{ label, onClick }], duration? } - a toast
+// with actions stays up until it is used or dismissed, unless a duration is given
+export const createNotification = ({ level = 'info', message, title, actions = [], duration }) => {
+  const kind = NOTIFICATION_LEVELS.includes(level) ? level : 'info';
+  return {
+    id: nextId++,
+    level: kind,
+    title,
+    message,
+    actions,
+    duration: duration !== undefined ? duration : actions.length > 0 ? null : DURATIONS[kind]
+  };
+};
+
+// Newest last. Repeating a message moves it to the end instead of stacking copies,
+// and the oldest toasts make way once the stack is full.
+export const addNotification = (notifications, notification) => [
+  ...notifications.filter(n => n.level !== notification.level || n.message !== notification.message),
+  notification
+].slice(-MAX_NOTIFICATIONS);
+
+export const removeNotification = (notifications, id) => notifications.filter(n => n.id !== id);
+
+// Problems interrupt a screen reader; everything else waits its turn
+export const notificationRole = (level) => (level === 'error' || level === 'warning' ? 'alert' : 'status');
@@ -0,0 +1,35 @@
+import {
+  createNotification, addNotification, removeNotification, notificationRole, MAX_NOTIFICATIONS
+} from './notifications';
+
+test('keeps errors and toasts with actions up until they are dismissed', () => {
+  expect(createNotification({ level: 'success', message: 'Saved' })).toMatchObject({
+    level: 'success', message: 'Saved', actions: [], duration: 4000
+  });
+  expect(createNotification({ level: 'error', message: 'Failed' }).duration).toBeNull();
+  const retry = { label: 'Retry', onClick: () => {} };
+  expect(createNotification({ level: 'warning', message: 'Offline', actions: [retry] }).duration).toBeNull();
+  expect(createNotification({ level: 'loud', message: 'Hi', duration: 1000 })).toMatchObject({ level: 'info', duration: 1000 });
+
+  const [a, b] = [createNotification({ message: 'a' }), createNotification({ message: 'b' })];
+  expect(b.id).toBeGreaterThan(a.id);
+});
+
+test('stacks the newest last, without repeats or overflow', () => {
+  let stack = [];
+  for (let i = 0; i < MAX_NOTIFICATIONS + 2; i += 1) {
+    stack = addNotification(stack, createNotification({ message: `Message ${i}` }));
+  }
+  expect(stack.map(n => n.message)).toEqual(['Message 2', 'Message 3', 'Message 4', 'Message 5']);
+
+  const again = createNotification({ message: 'Message 3' });
+  stack = addNotification(stack, again);
+  expect(stack.map(n => n.message)).toEqual(['Message 2', 'Message 4', 'Message 5', 'Message 3']);
+  expect(removeNotification(stack, again.id).map(n => n.message)).toEqual(['Message 2', 'Message 4', 'Message 5']);
+});
+
+test('announces problems assertively', () => {
+  expect(notificationRole('error')).toBe('alert');
+  expect(notificationRole('warning')).toBe('alert');
+  expect(notificationRole('success')).toBe('status');
+});
@@ -0,0 +1,96 @@
+// nutrition.js - Scaling per-100g estimates to a portion, and percent of daily reference intakes
+
+// Plate sizes for when nobody weighs their food, in grams
+export const PLATE_SIZES = {
+  small: 250,
+  medium: 400,
+  large: 600
+};
+
+// Analyses report no serving size; packaged products may (see products.js)
+export const DEFAULT_SERVING_GRAMS = 100;
+
+// { unit: 'grams' | 'servings', amount } or { unit: 'plate', size }
+export const DEFAULT_PORTION = { unit: 'grams', amount: 100 };
+
+export const portionGrams = (portion, servingGrams = DEFAULT_SERVING_GRAMS) => {
+  if (portion.unit === 'plate') return PLATE_SIZES[portion.size] || PLATE_SIZES.medium;
+  const amount = Number(portion.amount) > 0 ? Number(portion.amount) : 0;
+  return portion.unit === 'servings' ? amount * servingGrams : amount;
+};
+
+const MACROS = ['calories', 'protein', 'carbs', 'fat', 'fiber'];
+
+const scaleEach = (values, factor) => Object.fromEntries(
+  Object.entries(values).map(([key, value]) => [key, value * factor])
+);
+
+// Totals from the analysis are per 100g; every macro, vitamin and mineral scales together
+export const scaleNutrition = (totals, grams) => {
+  const factor = grams / 100;
+  const scaled = { ...totals };
+  MACROS.forEach(key => {
+    if (totals[key] != null) scaled[key] = totals[key] * factor;
+  });
+  if (totals.vitamins) scaled.vitamins = scaleEach(totals.vitamins, factor);
+  if (totals.minerals) scaled.minerals = scaleEach(totals.minerals, factor);
+  return scaled;
+};
+
+// EU reference intakes for an average adult (Regulation 1169/2011, Annex XIII).
+// Vitamins are in the units analyses report them: mg, or µg for A, D, K, B12 and folate.
+// Fiber has no EU reference intake; 30g is the usual dietary guideline.
+export const DEFAULT_REFERENCE_INTAKES = {
+  calories: 2000,
+  protein: 50,
+  carbs: 260,
+  fat: 70,
+  fiber: 30,
+  vitamins: {
+    a: 800, d: 5, e: 12, k: 75, c: 80, b1: 1.1, b2: 1.4, b3: 16, b6: 1.4, b12: 2.5, folate: 200
+  },
+  minerals: {
+    calcium: 800, iron: 14, magnesium: 375, potassium: 2000, phosphorus: 700, zinc: 10, sodium: 2400
+  }
+};
+
+export const REFERENCE_UNITS = {
+  calories: 'kcal',
+  protein: 'g',
+  carbs: 'g',
+  fat: 'g',
+  fiber: 'g',
+  vitamins: { a: 'µg', d: 'µg', k: 'µg', b12: 'µg', folate: 'µg' }, // the rest in mg
+  minerals: {} // all in mg
+};
+
+export const referenceUnit = (group, key) => (
+  group ? REFERENCE_UNITS[group][key] || 'mg' : REFERENCE_UNITS[key]
+);
+
+const STORAGE_KEY = 'reference_intakes';
+
+// Saved intakes are merged over the defaults so nutrients added later still get one
+export const loadReferenceIntakes = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    if (!saved) return DEFAULT_REFERENCE_INTAKES;
+    return {
+      ...DEFAULT_REFERENCE_INTAKES,
+      ...saved,
+      vitamins: { ...DEFAULT_REFERENCE_INTAKES.vitamins, ...saved.vitamins },
+      minerals: { ...DEFAULT_REFERENCE_INTAKES.minerals, ...saved.minerals }
+    };
+  } catch {
+    return DEFAULT_REFERENCE_INTAKES;
+  }
+};
+
+export const saveReferenceIntakes = (intakes) => {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(intakes));
+};
+
+// Share of the daily reference intake as a fraction (0.25 = 25%), or null when there is none
+export const dailyValue = (value, reference) => (
+  value != null && reference > 0 ? value / reference : null
+);
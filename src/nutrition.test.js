@@ -0,0 +1,37 @@
+import {
+  DEFAULT_REFERENCE_INTAKES, portionGrams, scaleNutrition, dailyValue, loadReferenceIntakes, saveReferenceIntakes
+} from './nutrition';
+
+afterEach(() => localStorage.clear());
+
+test('works out the portion weight from grams, servings or a plate size', () => {
+  expect(portionGrams({ unit: 'grams', amount: '150' })).toBe(150);
+  expect(portionGrams({ unit: 'grams', amount: '' })).toBe(0);
+  expect(portionGrams({ unit: 'servings', amount: 2 })).toBe(200);
+  expect(portionGrams({ unit: 'servings', amount: 2 }, 30)).toBe(60);
+  expect(portionGrams({ unit: 'plate', size: 'large' })).toBe(600);
+});
+
+test('scales macros, vitamins and minerals from per-100g totals', () => {
+  const totals = { calories: 200, protein: 10, carbs: 20, fat: 8, fiber: 0, vitamins: { c: 12 }, minerals: { iron: 2 } };
+  expect(scaleNutrition(totals, 250)).toEqual({
+    calories: 500, protein: 25, carbs: 50, fat: 20, fiber: 0, vitamins: { c: 30 }, minerals: { iron: 5 }
+  });
+  expect(scaleNutrition({ calories: 100 }, 50)).toEqual({ calories: 50 });
+});
+
+test('gives each value as a share of the reference intake', () => {
+  expect(dailyValue(500, DEFAULT_REFERENCE_INTAKES.calories)).toBe(0.25);
+  expect(dailyValue(3, undefined)).toBeNull();
+  expect(dailyValue(3, 0)).toBeNull();
+});
+
+test('keeps the default intakes for anything the user has not changed', () => {
+  expect(loadReferenceIntakes()).toEqual(DEFAULT_REFERENCE_INTAKES);
+  saveReferenceIntakes({ calories: 1800, vitamins: { c: 90 } });
+  const intakes = loadReferenceIntakes();
+  expect(intakes.calories).toBe(1800);
+  expect(intakes.protein).toBe(50);
+  expect(intakes.vitamins).toEqual({ ...DEFAULT_REFERENCE_INTAKES.vitamins, c: 90 });
+  expect(intakes.minerals).toEqual(DEFAULT_REFERENCE_INTAKES.minerals);
+});
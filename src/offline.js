@@ -0,0 +1,165 @@
+// offline.js - Offline snapshots of server data and a queue of scans taken without a connection
+import { analyzeFood, NetworkError, TimeoutError, HttpError, UnauthorizedError } from './api';
+
+const SNAPSHOT_PREFIX = 'offline:';
+const DB_NAME = 'foodguard-offline';
+const DB_VERSION = 1;
+const QUEUE_STORE = 'queuedScans';
+const SYNCED_RETENTION = 7 * 24 * 60 * 60 * 1000; // keep "synced" markers for a week
+export const MAX_SYNC_ATTEMPTS = 3;
+
+export const isOffline = () => typeof navigator !== 'undefined' && navigator.onLine === false;
+
+// A failure that means "no connection", as opposed to the server saying no
+export const isConnectionError = (error) => error instanceof NetworkError || error instanceof TimeoutError;
+
+// Snapshots - the last profile and scan history the server sent, for offline start-up
+export const saveSnapshot = (key, value) => {
+  try {
+    localStorage.setItem(SNAPSHOT_PREFIX + key, JSON.stringify({ value, saved_at: Date.now() }));
+  } catch (error) {
+    console.warn('⚠️ Could not save offline snapshot:', error);
+  }
+};
+
+export const loadSnapshot = (key) => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(SNAPSHOT_PREFIX + key));
+    return stored ? stored.value : null;
+  } catch {
+    return null;
+  }
+};
+
+// Scan queue - photos are kept in IndexedDB until they can be uploaded
+const openDb = () => new Promise((resolve, reject) => {
+  const request = indexedDB.open(DB_NAME, DB_VERSION);
+  request.onupgradeneeded = () => {
+    request.result.createObjectStore(QUEUE_STORE, { keyPath: 'id' });
+  };
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const withQueue = async (mode, action) => {
+  const db = await openDb();
+  try {
+    return await new Promise((resolve, reject) => {
+      const tx = db.transaction(QUEUE_STORE, mode);
+      const request = action(tx.objectStore(QUEUE_STORE));
+      tx.oncomplete = () => resolve(request ? request.result : undefined);
+      tx.onerror = () => reject(tx.error);
+    });
+  } finally {
+    db.close();
+  }
+};
+
+export const queueScan = async (file) => {
+  const entry = {
+    id: `offline-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    file,
+    name: file.name,
+    created_at: new Date().toISOString(),
+    status: 'pending',
+    error: null
+  };
+  await withQueue('readwrite', store => store.put(entry));
+  return entry;
+};
+
+// Queue entries without the photo data, newest first
+export const listQueuedScans = async () => {
+  if (typeof indexedDB === 'undefined') return [];
+  const entries = await withQueue('readonly', store => store.getAll());
+  return (entries || [])
+    .map(({ file, ...entry }) => entry)
+    .sort((a, b) => b.created_at.localeCompare(a.created_at));
+};
+
+export const removeQueuedScan = (id) => withQueue('readwrite', store => store.delete(id));
+
+// Give a scan that needed attention a fresh set of upload attempts
+export const retryQueuedScan = async (id) => {
+  const entry = await withQueue('readonly', store => store.get(id));
+  if (entry) {
+    await withQueue('readwrite', store => store.put({ ...entry, status: 'pending', attempts: 0, error: null }));
+  }
+};
+
+// After a failed upload: 'failed' is tried again on the next sync, 'rejected' waits for
+// the user. The server refusing the photo (4xx other than 408/429) will not change by
+// itself, and neither will whatever failed MAX_SYNC_ATTEMPTS times.
+export const syncFailureStatus = (error, attempts) => {
+  const refused = error instanceof HttpError && error.status >= 400 && error.status < 500 &&
+    ![408, 429].includes(error.status);
+  return refused || attempts >= MAX_SYNC_ATTEMPTS ? 'rejected' : 'failed';
+};
+
+export const clearOfflineData = async () => {
+  Object.keys(localStorage)
+    .filter(key => key.startsWith(SNAPSHOT_PREFIX))
+    .forEach(key => localStorage.removeItem(key));
+  if (typeof indexedDB !== 'undefined') {
+    await withQueue('readwrite', store => store.clear()).catch(() => {});
+  }
+};
+
+// Upload pending scans one at a time. Stops at the first connection failure or
+// ended session, and concurrent callers (several "online" events) share the same run.
+// Scans waiting for the user ('rejected') are left alone.
+let syncRun = null;
+
+export const syncQueuedScans = () => {
+  if (!syncRun) {
+    syncRun = runSync().finally(() => {
+      syncRun = null;
+    });
+  }
+  return syncRun;
+};
+
+const runSync = async () => {
+  if (typeof indexedDB === 'undefined' || isOffline()) return 0;
+
+  const entries = await withQueue('readonly', store => store.getAll()) || [];
+  const now = Date.now();
+  let synced = 0;
+
+  for (const entry of entries.sort((a, b) => a.created_at.localeCompare(b.created_at))) {
+    if (entry.status === 'synced') {
+      if (now - entry.synced_at > SYNCED_RETENTION) {
+        await withQueue('readwrite', store => store.delete(entry.id));
+      }
+      continue;
+    }
+    if (entry.status === 'rejected') continue;
+
+    try {
+      const result = await analyzeFood(entry.file);
+      await withQueue('readwrite', store => store.put({
+        ...entry,
+        file: null, // the photo is on the server now
+        status: 'synced',
+        synced_at: Date.now(),
+        scan_id: result.scan_id ?? result.id ?? null,
+        is_safe: result.is_safe,
+        error: null
+      }));
+      synced += 1;
+    } catch (error) {
+      // Nothing else will upload either; the queue carries on after the next sign-in
+      if (isConnectionError(error) || error instanceof UnauthorizedError) break;
+      console.error(`❌ Queued scan ${entry.id} failed:`, error);
+      const attempts = (entry.attempts || 0) + 1;
+      await withQueue('readwrite', store => store.put({
+        ...entry,
+        status: syncFailureStatus(error, attempts),
+        attempts,
+        error: { code: error.code ?? null, message: error.message } // shown through errorMessage
+      }));
+    }
+  }
+
+  return synced;
+};
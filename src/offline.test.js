@@ -0,0 +1,41 @@
+import {
+  saveSnapshot, loadSnapshot, clearOfflineData, isConnectionError, listQueuedScans, syncFailureStatus, MAX_SYNC_ATTEMPTS
+} from './offline';
+import { NetworkError, TimeoutError, HttpError } from './api';
+
+beforeEach(() => {
+  localStorage.clear();
+});
+
+test('stores and restores snapshots of server data', () => {
+  saveSnapshot('profile', { user: { first_name: 'Ada' }, allergies: [] });
+  expect(loadSnapshot('profile')).toEqual({ user: { first_name: 'Ada' }, allergies: [] });
+  expect(loadSnapshot('recentScans')).toBeNull();
+});
+
+test('clears snapshots on logout but leaves other storage alone', async () => {
+  saveSnapshot('recentScans', [{ id: 1 }]);
+  localStorage.setItem('unrelated', 'keep');
+
+  await clearOfflineData();
+  expect(loadSnapshot('recentScans')).toBeNull();
+  expect(localStorage.getItem('unrelated')).toBe('keep');
+});
+
+test('tells connection failures apart from server errors', () => {
+  expect(isConnectionError(new NetworkError())).toBe(true);
+  expect(isConnectionError(new TimeoutError())).toBe(true);
+  expect(isConnectionError(new HttpError('Server error: 500', { status: 500 }))).toBe(false);
+});
+
+test('has an empty queue where IndexedDB is unavailable', async () => {
+  await expect(listQueuedScans()).resolves.toEqual([]);
+});
+
+test('stops retrying uploads the server refused, or that kept failing', () => {
+  expect(syncFailureStatus(new HttpError('Server error: 500', { status: 500 }), 1)).toBe('failed');
+  expect(syncFailureStatus(new HttpError(undefined, { status: 429 }), 1)).toBe('failed');
+  expect(syncFailureStatus(new HttpError('No image provided', { status: 400 }), 1)).toBe('rejected');
+  expect(syncFailureStatus(new HttpError(undefined, { status: 413 }), 1)).toBe('rejected');
+  expect(syncFailureStatus(new HttpError('Server error: 500', { status: 500 }), MAX_SYNC_ATTEMPTS)).toBe('rejected');
+});
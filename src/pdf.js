@@ -0,0 +1,125 @@
+// pdf.js - A small hand-written PDF writer: numbered objects and a cross-reference table,
+// plus paginated A4 text documents in the built-in Helvetica fonts
+
+export const A4 = { width: 595.28, height: 841.89 }; // points
+
+const ascii = (text) => Uint8Array.from(text, char => char.charCodeAt(0));
+
+// objects[i] becomes object i + 1; object 1 must be the catalog. A body is a string,
+// or an array of strings and byte arrays for binary streams.
+export const writePdf = (objects) => {
+  const parts = [ascii('%PDF-1.4\n')];
+  let length = parts[0].length;
+  const offsets = [];
+  const push = (part) => {
+    const bytes = typeof part === 'string' ? ascii(part) : part;
+    parts.push(bytes);
+    length += bytes.length;
+  };
+
+  objects.forEach((body, index) => {
+    offsets.push(length);
+    push(`${index + 1} 0 obj\n`);
+    (Array.isArray(body) ? body : [body]).forEach(push);
+    push('\nendobj\n');
+  });
+
+  const xrefStart = length;
+  push(`xref\n0 ${objects.length + 1}\n0000000000 65535 f \n` +
+    offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join(''));
+  push(`trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xrefStart}\n%%EOF\n`);
+
+  const pdf = new Uint8Array(length);
+  let position = 0;
+  parts.forEach(part => {
+    pdf.set(part, position);
+    position += part.length;
+  });
+  return pdf;
+};
+
+// The built-in fonts only cover WinAnsi (Latin-1 plus a few typographic marks).
+// Emoji are dropped and anything else that cannot be shown becomes "?".
+const WIN_ANSI_EXTRAS = {
+  '€': 0x80, '…': 0x85, '‘': 0x91, '’': 0x92, '“': 0x93, '”': 0x94,
+  '•': 0x95, '–': 0x96, '—': 0x97
+};
+
+const toWinAnsi = (text) => Array.from(String(text).replace(/[\p{Extended_Pictographic}\uFE0F\u200D]/gu, ''))
+  .map(char => {
+    if (WIN_ANSI_EXTRAS[char]) return String.fromCharCode(WIN_ANSI_EXTRAS[char]);
+    const code = char.charCodeAt(0);
+    return char.length === 1 && code < 256 && (code < 0x80 || code > 0x9f) ? char : '?';
+  })
+  .join('')
+  .trim();
+
+const escapePdfText = (text) => text.replace(/[\\()]/g, '\\$&');
+
+// Helvetica averages about half an em per character; a little extra keeps lines inside the margin
+const charWidth = (size, bold) => size * (bold ? 0.58 : 0.54);
+
+const wrapText = (text, maxChars) => {
+  const lines = [];
+  let line = '';
+  text.split(/\s+/).filter(Boolean).forEach(word => {
+    while (word.length > maxChars) {
+      if (line) lines.push(line);
+      lines.push(word.slice(0, maxChars));
+      word = word.slice(maxChars);
+      line = '';
+    }
+    if (!line) line = word;
+    else if (line.length + 1 + word.length <= maxChars) line += ` ${word}`;
+    else {
+      lines.push(line);
+      line = word;
+    }
+  });
+  if (line) lines.push(line);
+  return lines.length ? lines : [''];
+};
+
+const MARGIN = 50;
+
+// Blocks of text laid out top to bottom over as many A4 pages as they need:
+// [{ text, size = 10, bold = false, indent = 0, spaceBefore = 0 }]. Pages are numbered in the footer.
+export const buildTextPdf = (blocks) => {
+  const pages = [[]];
+  let y = A4.height - MARGIN;
+
+  blocks.forEach(({ text, size = 10, bold = false, indent = 0, spaceBefore = 0 }) => {
+    const lineHeight = size * 1.35;
+    const maxChars = Math.floor((A4.width - 2 * MARGIN - indent) / charWidth(size, bold));
+    y -= spaceBefore;
+    wrapText(toWinAnsi(text), maxChars).forEach(line => {
+      if (y - lineHeight < MARGIN) {
+        pages.push([]);
+        y = A4.height - MARGIN;
+      }
+      y -= lineHeight;
+      pages[pages.length - 1].push(
+        `BT /${bold ? 'F2' : 'F1'} ${size} Tf ${(MARGIN + indent).toFixed(2)} ${y.toFixed(2)} Td (${escapePdfText(line)}) Tj ET`
+      );
+    });
+  });
+
+  // 1 catalog, 2 page tree, 3-4 fonts, then a page and its content stream for each page
+  const pageIds = pages.map((_, i) => 5 + i * 2);
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`,
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>',
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>'
+  ];
+  pages.forEach((lines, i) => {
+    const footer = `BT /F1 8 Tf ${(A4.width - MARGIN - 60).toFixed(2)} 30 Td (Page ${i + 1} of ${pages.length}) Tj ET`;
+    const content = `${[...lines, footer].join('\n')}\n`;
+    objects.push(
+      `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${A4.width} ${A4.height}] ` +
+        `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${pageIds[i] + 1} 0 R >>`,
+      `<< /Length ${content.length} >>\nstream\n${content}endstream`
+    );
+  });
+  return writePdf(objects);
+};
@@ -0,0 +1,25 @@
+import { buildTextPdf } from './pdf';
+
+const pdfText = (blocks) => String.fromCharCode(...buildTextPdf(blocks));
+
+test('lays text out over numbered pages with a valid cross-reference table', () => {
+  const text = pdfText(Array.from({ length: 80 }, (_, i) => ({ text: `Line ${i + 1}`, size: 10 })));
+  expect(text).toContain('/Count 2');
+  expect(text).toContain('(Page 2 of 2)');
+
+  const xrefStart = Number(text.match(/startxref\n(\d+)/)[1]);
+  expect(text.slice(xrefStart, xrefStart + 4)).toBe('xref');
+  const offsets = [...text.slice(xrefStart).matchAll(/(\d{10}) 00000 n/g)].map(m => Number(m[1]));
+  expect(offsets).toHaveLength(8);
+  offsets.forEach((offset, index) => {
+    expect(text.slice(offset, offset + 8)).toBe(`${index + 1} 0 obj\n`);
+  });
+});
+
+test('wraps long lines and writes text the built-in fonts can show', () => {
+  const text = pdfText([{ text: `⚠️ Crème brûlée (with "cream") – ${'word '.repeat(40)}`, bold: true }]);
+  expect(text).toContain('/F2 10 Tf');
+  expect(text).toContain('(Crème brûlée \\(with "cream"\\) \u0096 word');
+  expect(text.match(/\) Tj ET/g).length).toBeGreaterThan(2);
+  expect(text).not.toContain('⚠');
+});
@@ -0,0 +1,139 @@
+// products.js - Packaged food checks: printed ingredient lists and barcode lookups
+import axios from 'axios';
+import { toApiError } from './api';
+import { checkIngredients } from './allergens';
+
+const OPEN_FOOD_FACTS_URL = 'https://world.openfoodfacts.org/api/v2/product';
+const LOOKUP_TIMEOUT = 10000;
+
+// Split a printed ingredient list into names. Sub-ingredients in brackets
+// ("chocolate (sugar, cocoa butter, milk)") are listed on their own as well.
+export const parseIngredientList = (text) => {
+  const cleaned = (text || '')
+    .replace(/^\s*ingredients?\s*:/i, '')
+    .replace(/\b(contains|may contain)\s*:?[^.\n]*\.?/gi, '') // allergen statements are handled separately
+    .replace(/\d+(\.\d+)?\s*%/g, '');
+
+  const names = cleaned
+    .split(/[,;\n()[\]]|\band\b/i)
+    .map(part => part.replace(/[.*_]/g, ' ').replace(/\s+/g, ' ').trim().toLowerCase())
+    .filter(part => part.length > 1);
+
+  return [...new Set(names)];
+};
+
+// Allergens printed in "Contains: ..." and "May contain: ..." statements
+export const parseAllergenStatements = (text) => {
+  const collect = (pattern) => {
+    const found = [];
+    let match;
+    while ((match = pattern.exec(text || '')) !== null) {
+      match[1].split(/,|\band\b|&/i)
+        .map(name => name.replace(/[.]/g, '').trim().toLowerCase())
+        .filter(Boolean)
+        .forEach(name => found.push(name));
+    }
+    return found;
+  };
+  return {
+    contains: collect(/\bcontains\s*:?\s*([^.\n]*)/gi),
+    traces: collect(/\bmay contain\s*(?:traces of)?\s*:?\s*([^.\n]*)/gi)
+  };
+};
+
+// Turn a label into a scan result shaped like the /analyze-food response
+const buildLabelResult = ({ ingredientNames, contains = [], traces = [], allergies, extra = {} }) => {
+  const ingredients = [
+    ...ingredientNames.map(name => ({ name, confidence: 1 })),
+    ...contains.map(name => ({ name: `${name} (declared allergen)`, confidence: 1 })),
+    ...traces.map(name => ({ name: `${name} (may contain)`, confidence: 0.5 }))
+  ];
+  const allergenWarnings = checkIngredients(ingredients, allergies);
+
+  return {
+    is_safe: allergenWarnings.length === 0,
+    allergen_warnings: allergenWarnings,
+    ingredients,
+    confidence_score: null,
+    ...extra
+  };
+};
+
+export const analyzeIngredientText = (text, allergies) => {
+  const { contains, traces } = parseAllergenStatements(text);
+  return buildLabelResult({
+    ingredientNames: parseIngredientList(text),
+    contains,
+    traces,
+    allergies,
+    extra: { source: 'text' }
+  });
+};
+
+// EAN-8, UPC-A, EAN-13 and GTIN-14, including the check digit
+export const isValidBarcode = (code) => {
+  if (!/^(\d{8}|\d{12,14})$/.test(code)) return false;
+  const digits = code.split('').map(Number);
+  const check = digits.pop();
+  const sum = digits.reverse().reduce((total, digit, i) => total + digit * (i % 2 === 0 ? 3 : 1), 0);
+  return (10 - (sum % 10)) % 10 === check;
+};
+
+const stripTag = (tag) => tag.replace(/^[a-z]{2}:/, '').replace(/-/g, ' ');
+
+const toProduct = (barcode, raw) => ({
+  barcode,
+  name: raw.product_name || 'Unnamed product',
+  brand: raw.brands || '',
+  imageUrl: raw.image_front_small_url || null,
+  ingredientsText: raw.ingredients_text || '',
+  allergens: (raw.allergens_tags || []).map(stripTag),
+  traces: (raw.traces_tags || []).map(stripTag),
+  nutrition: raw.nutriments ? {
+    total_estimated: {
+      calories: raw.nutriments['energy-kcal_100g'] || 0,
+      protein: raw.nutriments.proteins_100g || 0,
+      carbs: raw.nutriments.carbohydrates_100g || 0,
+      fat: raw.nutriments.fat_100g || 0,
+      fiber: raw.nutriments.fiber_100g || 0,
+      // Open Food Facts gives sodium in grams; analyses report minerals in mg
+      ...(raw.nutriments.sodium_100g != null && { minerals: { sodium: raw.nutriments.sodium_100g * 1000 } })
+    },
+    serving_size_g: Number(raw.serving_quantity) || null
+  } : null
+});
+
+// Product sources resolve a barcode to a product, or null when it is unknown
+export const openFoodFactsSource = async (barcode) => {
+  try {
+    const { data } = await axios.get(`${OPEN_FOOD_FACTS_URL}/${barcode}.json`, { timeout: LOOKUP_TIMEOUT });
+    return data.status === 1 && data.product ? toProduct(barcode, data.product) : null;
+  } catch (error) {
+    if (error.response?.status === 404) return null;
+    throw toApiError(error);
+  }
+};
+
+// Stand-in product database, keyed by barcode, in the Open Food Facts shape
+export const createLocalProductSource = (products) => async (barcode) => (
+  products[barcode] ? toProduct(barcode, products[barcode]) : null
+);
+
+export const lookupProduct = (barcode, source = openFoodFactsSource) => source(barcode);
+
+export const analyzeProduct = (product, allergies) => {
+  const ingredientNames = parseIngredientList(product.ingredientsText);
+  const statements = parseAllergenStatements(product.ingredientsText);
+  return buildLabelResult({
+    ingredientNames,
+    contains: [...new Set([...product.allergens, ...statements.contains])],
+    traces: [...new Set([...product.traces, ...statements.traces])],
+    allergies,
+    extra: {
+      source: 'barcode',
+      product,
+      nutrition: product.nutrition,
+      nutrition_available: !!product.nutrition
+    }
+  });
+};
@@ -0,0 +1,75 @@
+import {
+  parseIngredientList, parseAllergenStatements, analyzeIngredientText,
+  isValidBarcode, createLocalProductSource, lookupProduct, analyzeProduct
+} from './products';
+
+const allergies = [
+  { name: 'milk', severity: 'severe' },
+  { name: 'peanuts', severity: 'moderate' }
+];
+
+const products = createLocalProductSource({
+  '3017620422003': {
+    product_name: 'Hazelnut spread',
+    brands: 'Example Foods',
+    ingredients_text: 'Sugar, palm oil, hazelnuts 13%, skimmed milk powder 8.7%, cocoa',
+    allergens_tags: ['en:milk', 'en:nuts'],
+    traces_tags: ['en:peanuts'],
+    nutriments: { 'energy-kcal_100g': 539, proteins_100g: 6.3, carbohydrates_100g: 57.5, fat_100g: 30.9, sodium_100g: 0.04 },
+    serving_quantity: '15'
+  }
+});
+
+test('splits a printed ingredient list, including bracketed sub-ingredients', () => {
+  expect(parseIngredientList('Ingredients: Flour (wheat), chocolate (sugar, cocoa butter, milk) 12%; salt.'))
+    .toEqual(['flour', 'wheat', 'chocolate', 'sugar', 'cocoa butter', 'milk', 'salt']);
+});
+
+test('reads "contains" and "may contain" statements separately', () => {
+  const text = 'Oats, honey. Contains: milk and soy. May contain traces of peanuts.';
+  expect(parseAllergenStatements(text)).toEqual({ contains: ['milk', 'soy'], traces: ['peanuts'] });
+  expect(parseIngredientList(text)).toEqual(['oats', 'honey']);
+});
+
+test('ends an allergen statement at the line break on multi-line labels', () => {
+  // As Open Food Facts stores some labels: one line per section, no closing full stop
+  const text = 'Wheat flour, sugar, palm oil\nContains: gluten, milk\nCocoa powder 4%, salt, raising agent (sodium bicarbonate)';
+  expect(parseAllergenStatements(text).contains).toEqual(['gluten', 'milk']);
+  expect(parseIngredientList(text)).toEqual([
+    'wheat flour', 'sugar', 'palm oil', 'cocoa powder', 'salt', 'raising agent', 'sodium bicarbonate'
+  ]);
+});
+
+test('checks a typed ingredient list against allergies', () => {
+  const result = analyzeIngredientText('rice, peanut oil, salt', allergies);
+  expect(result.is_safe).toBe(false);
+  expect(result.allergen_warnings).toEqual([
+    expect.objectContaining({ allergen: 'peanuts', ingredient: 'peanut oil', severity: 'moderate', confidence: 1 })
+  ]);
+  expect(analyzeIngredientText('rice, salt', allergies).is_safe).toBe(true);
+});
+
+test('validates barcode check digits', () => {
+  expect(isValidBarcode('3017620422003')).toBe(true);
+  expect(isValidBarcode('3017620422004')).toBe(false);
+  expect(isValidBarcode('036000291452')).toBe(true);
+  expect(isValidBarcode('12345')).toBe(false);
+});
+
+test('looks a barcode up and checks the product', async () => {
+  expect(await lookupProduct('0000000000000', products)).toBeNull();
+
+  const product = await lookupProduct('3017620422003', products);
+  expect(product).toMatchObject({ name: 'Hazelnut spread', allergens: ['milk', 'nuts'], traces: ['peanuts'] });
+
+  const result = analyzeProduct(product, allergies);
+  expect(result.is_safe).toBe(false);
+  expect(result.allergen_warnings.map(w => [w.allergen, w.ingredient])).toEqual([
+    ['milk', 'skimmed milk powder'],
+    ['milk', 'milk (declared allergen)'],
+    ['peanuts', 'peanuts (may contain)']
+  ]);
+  expect(result.nutrition.total_estimated.calories).toBe(539);
+  expect(result.nutrition.serving_size_g).toBe(15);
+  expect(result.nutrition.total_estimated.minerals).toEqual({ sodium: 40 });
+});
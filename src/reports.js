@@ -0,0 +1,201 @@
+// reports.js - Exporting scan history as CSV, JSON or a PDF report for a clinician
+import { api } from './api';
+import {
+  EMPTY_HISTORY_FILTERS, buildHistoryParams, matchesHistoryFilters, getScanWarnings, hasMorePages
+} from './history';
+import { buildTextPdf } from './pdf';
+import { dayKey } from './diary';
+import { translateAllergen } from './allergens';
+import { createTranslator, formatNumber } from './i18n';
+
+export const EXPORT_FORMATS = ['csv', 'json', 'pdf'];
+
+const EXPORT_NUTRIENTS = ['calories', 'protein', 'carbs', 'fat', 'fiber'];
+
+// Exports are bounded by a date range, so paging through every matching scan is fine
+export const fetchScansForExport = async ({ from, to }) => {
+  const filters = { ...EMPTY_HISTORY_FILTERS, from, to };
+  const scans = [];
+  for (let page = 1; ; page += 1) {
+    const data = await api.get('/scan-history', { params: buildHistoryParams(filters, page) });
+    scans.push(...(data.scans || []));
+    if (!hasMorePages(data, page)) break;
+  }
+  return scans
+    .filter(scan => matchesHistoryFilters(scan, filters))
+    .sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+};
+
+// One flat record per scan; nutrition is per 100g, as the analysis reports it
+export const toExportRecord = (scan) => {
+  const warnings = getScanWarnings(scan);
+  return {
+    date: scan.created_at,
+    status: scan.status || (scan.is_safe === false || warnings.length > 0 ? 'warning' : 'safe'),
+    warnings: warnings.map(w => ({
+      allergen: w.allergen,
+      ingredient: w.ingredient ?? null,
+      severity: w.severity ?? null,
+      confidence: w.confidence ?? null
+    })),
+    ingredients: (scan.ingredients || []).map(ing => ing.name),
+    nutrition_per_100g: scan.nutrition?.total_estimated
+      ? Object.fromEntries(EXPORT_NUTRIENTS.map(key => [key, scan.nutrition.total_estimated[key] ?? null]))
+      : null
+  };
+};
+
+const percent = (confidence, lang) => (
+  confidence == null ? '' : formatNumber(confidence, lang, { style: 'percent', maximumFractionDigits: 0 })
+);
+
+// CSV and JSON are data for other programs, so they keep fixed English wording;
+// the PDF report is read by people and follows the interface language
+const ENGLISH = createTranslator('en');
+
+const describeWarning = (w, t = ENGLISH, lang = 'en') => {
+  const details = [w.severity && t(`report.severity.${w.severity}`), percent(w.confidence, lang)].filter(Boolean).join(', ');
+  const allergen = translateAllergen(w.allergen, lang);
+  const found = w.ingredient ? t('report.warningIn', { allergen, ingredient: w.ingredient }) : allergen;
+  return details ? `${found} (${details})` : found;
+};
+
+// Quote when needed, and keep spreadsheet apps from running a cell as a formula
+const csvCell = (value) => {
+  let text = value == null ? '' : String(value);
+  if (/^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const buildCsv = (records) => {
+  const header = [
+    'date', 'status', 'warnings', 'ingredients', ...EXPORT_NUTRIENTS.map(key => `${key}_per_100g`)
+  ];
+  const rows = records.map(record => [
+    record.date,
+    record.status,
+    record.warnings.map(w => describeWarning(w)).join('; '),
+    record.ingredients.join('; '),
+    ...EXPORT_NUTRIENTS.map(key => record.nutrition_per_100g?.[key] ?? '')
+  ]);
+  return [header, ...rows].map(row => row.map(csvCell).join(',')).join('\r\n');
+};
+
+export const buildJson = (records, { from, to }) => JSON.stringify({
+  exported_at: new Date().toISOString(),
+  from,
+  to,
+  scans: records
+}, null, 2);
+
+const SEVERITY_RANK = { mild: 1, moderate: 2, severe: 3 };
+
+// Per allergen: how often it turned up, the worst severity, the foods it was in, and when
+export const summarizeExposures = (records) => {
+  const byAllergen = new Map();
+  records.forEach(record => {
+    const counted = new Set(); // a scan counts once per allergen, however many ingredients matched
+    record.warnings.forEach(w => {
+      const key = w.allergen?.toLowerCase();
+      if (!key) return;
+      const exposure = byAllergen.get(key) || {
+        allergen: key, scans: 0, severity: null, maxConfidence: null, foods: new Set(), first: record.date, last: record.date
+      };
+      if (!counted.has(key)) {
+        exposure.scans += 1;
+        counted.add(key);
+      }
+      if ((SEVERITY_RANK[w.severity] || 0) > (SEVERITY_RANK[exposure.severity] || 0)) exposure.severity = w.severity;
+      if (w.confidence != null) exposure.maxConfidence = Math.max(exposure.maxConfidence ?? 0, w.confidence);
+      if (w.ingredient) exposure.foods.add(w.ingredient);
+      exposure.last = record.date;
+      byAllergen.set(key, exposure);
+    });
+  });
+  return [...byAllergen.values()]
+    .map(exposure => ({ ...exposure, foods: [...exposure.foods] }))
+    .sort((a, b) => b.scans - a.scans || a.allergen.localeCompare(b.allergen));
+};
+
+// Local time, as the patient lived it
+const dateTime = (date) => {
+  const d = new Date(date);
+  return `${dayKey(d)} ${String(d.getHours()).padStart(2, '0')}:${String(d.getMinutes()).padStart(2, '0')}`;
+};
+
+export const buildReportPdf = (records, { from, to, holder, allergies = [], lang = 'en' }) => {
+  const t = createTranslator(lang);
+  const exposures = summarizeExposures(records);
+  const withWarnings = records.filter(record => record.status !== 'safe').length;
+  const heading = (text) => ({ text, size: 13, bold: true, spaceBefore: 14 });
+  const allergen = (name) => translateAllergen(name, lang);
+
+  const blocks = [
+    { text: t('report.title'), size: 18, bold: true },
+    { text: t('report.patient', { name: holder }), spaceBefore: 8 },
+    { text: t('report.period', { from, to }) },
+    { text: t('report.generated', { date: dateTime(new Date()) }) },
+
+    heading(t('report.allergies')),
+    ...(allergies.length
+      ? allergies.map(a => ({
+        text: t(a.epinephrine ? 'report.allergyWithInjector' : 'report.allergy', {
+          name: allergen(a.name), severity: t(`report.severity.${a.severity}`)
+        }),
+        indent: 10
+      }))
+      : [{ text: t('report.noAllergies'), indent: 10 }]),
+
+    heading(t('report.summary')),
+    { text: t('report.summaryText', { count: records.length, warnings: withWarnings }) },
+
+    heading(t('report.exposures')),
+    ...(exposures.length
+      ? exposures.flatMap(e => [
+        {
+          text: t('report.exposure', { allergen: allergen(e.allergen), count: e.scans }) +
+            `${e.severity ? t('report.exposureSeverity', { severity: t(`report.severity.${e.severity}`) }) : ''}` +
+            `${e.maxConfidence != null ? t('report.exposureConfidence', { value: percent(e.maxConfidence, lang) }) : ''}`,
+          bold: true,
+          indent: 10,
+          spaceBefore: 4
+        },
+        {
+          text: t('report.exposureDetail', {
+            first: dayKey(e.first), last: dayKey(e.last), foods: e.foods.join(', ') || t('report.notRecorded')
+          }),
+          indent: 20
+        }
+      ])
+      : [{ text: t('report.noExposures'), indent: 10 }]),
+
+    heading(t('report.log')),
+    ...records.flatMap(record => [
+      { text: `${dateTime(record.date)}  ${t(`report.status.${record.status}`)}`, bold: true, spaceBefore: 6 },
+      ...record.warnings.map(w => ({ text: t('report.warning', { warning: describeWarning(w, t, lang) }), indent: 10 })),
+      { text: t('report.ingredients', { ingredients: record.ingredients.join(', ') || t('report.notRecorded') }), indent: 10 },
+      ...(record.nutrition_per_100g ? [{
+        text: t('report.per100g', {
+          values: EXPORT_NUTRIENTS
+            .map(key => `${t(`nutrition.${key}`)} ${record.nutrition_per_100g[key] ?? '-'}`)
+            .join(', ')
+        }),
+        indent: 10
+      }] : [])
+    ]),
+
+    { text: t('report.disclaimer'), size: 8, spaceBefore: 16 }
+  ];
+  return buildTextPdf(blocks);
+};
+
+export const exportFileName = (format, { from, to }) => `foodguard-history-${from}-to-${to}.${format}`;
+
+const MIME_TYPES = { csv: 'text/csv', json: 'application/json', pdf: 'application/pdf' };
+
+export const exportHistory = (format, records, options) => {
+  const body = format === 'csv'
+    ? buildCsv(records)
+    : format === 'json' ? buildJson(records, options) : buildReportPdf(records, options);
+  return new File([body], exportFileName(format, options), { type: MIME_TYPES[format] });
+};
@@ -0,0 +1,97 @@
+import {
+  fetchScansForExport, toExportRecord, buildCsv, buildJson, summarizeExposures, buildReportPdf, exportFileName
+} from './reports';
+import { apiClient } from './api';
+
+const scans = [
+  {
+    created_at: '2024-03-05T12:30:00',
+    is_safe: false,
+    allergen_warnings: [
+      { allergen: 'milk', ingredient: 'cheese', severity: 'severe', confidence: 0.92 },
+      { allergen: 'milk', ingredient: 'butter', severity: 'severe', confidence: 0.8 }
+    ],
+    ingredients: [{ name: 'bread' }, { name: 'cheese' }, { name: 'butter' }],
+    nutrition: { total_estimated: { calories: 310, protein: 12, carbs: 30, fat: 16, fiber: 2 } }
+  },
+  {
+    created_at: '2024-03-06T08:00:00',
+    is_safe: true,
+    ingredients: [{ name: '=oats, "rolled"' }]
+  }
+];
+
+test('flattens scans into records with warnings, ingredients and nutrition', () => {
+  const [unsafe, safe] = scans.map(toExportRecord);
+  expect(unsafe).toEqual({
+    date: '2024-03-05T12:30:00',
+    status: 'warning',
+    warnings: [
+      { allergen: 'milk', ingredient: 'cheese', severity: 'severe', confidence: 0.92 },
+      { allergen: 'milk', ingredient: 'butter', severity: 'severe', confidence: 0.8 }
+    ],
+    ingredients: ['bread', 'cheese', 'butter'],
+    nutrition_per_100g: { calories: 310, protein: 12, carbs: 30, fat: 16, fiber: 2 }
+  });
+  expect(safe).toMatchObject({ status: 'safe', warnings: [], nutrition_per_100g: null });
+});
+
+test('writes CSV with quoting and without spreadsheet formulas', () => {
+  const lines = buildCsv(scans.map(toExportRecord)).split('\r\n');
+  expect(lines[0]).toBe(
+    'date,status,warnings,ingredients,calories_per_100g,protein_per_100g,carbs_per_100g,fat_per_100g,fiber_per_100g'
+  );
+  expect(lines[1]).toBe(
+    '2024-03-05T12:30:00,warning,"milk in cheese (severe, 92%); milk in butter (severe, 80%)",bread; cheese; butter,310,12,30,16,2'
+  );
+  expect(lines[2]).toBe('2024-03-06T08:00:00,safe,,"\'=oats, ""rolled""",,,,,');
+});
+
+test('summarizes allergen exposures for a clinician', () => {
+  const records = scans.map(toExportRecord);
+  expect(summarizeExposures(records)).toEqual([{
+    allergen: 'milk',
+    scans: 1,
+    severity: 'severe',
+    maxConfidence: 0.92,
+    foods: ['cheese', 'butter'],
+    first: '2024-03-05T12:30:00',
+    last: '2024-03-05T12:30:00'
+  }]);
+  expect(JSON.parse(buildJson(records, { from: '2024-03-01', to: '2024-03-31' }))).toMatchObject({
+    from: '2024-03-01', to: '2024-03-31', scans: records
+  });
+
+  const pdf = String.fromCharCode(...buildReportPdf(records, {
+    from: '2024-03-01', to: '2024-03-31', holder: 'Sam Lee', allergies: [{ name: 'milk', severity: 'severe' }]
+  }));
+  expect(pdf).toContain('(Patient: Sam Lee)');
+  expect(pdf).toContain('(milk: 1 scan, severe allergy, highest confidence 92%)');
+  expect(exportFileName('pdf', { from: '2024-03-01', to: '2024-03-31' })).toBe('foodguard-history-2024-03-01-to-2024-03-31.pdf');
+});
+
+test('writes the PDF report in the interface language', () => {
+  const pdf = String.fromCharCode(...buildReportPdf(scans.map(toExportRecord), {
+    from: '2024-03-01', to: '2024-03-31', holder: 'Sam Lee', allergies: [{ name: 'milk', severity: 'severe' }], lang: 'es'
+  }));
+  expect(pdf).toContain('(Paciente: Sam Lee)');
+  expect(pdf).toContain('(Registro de escaneos)');
+  expect(pdf).not.toContain('Scan log');
+});
+
+test('fetches every page of scans in the range', async () => {
+  const pages = [];
+  apiClient.defaults.adapter = async (config) => {
+    pages.push(config.params);
+    const data = config.params.page === 1
+      ? { scans: [scans[1], { created_at: '2024-04-02T10:00:00', ingredients: [] }], has_next: true }
+      : { scans: [scans[0]], has_next: false };
+    return { data, status: 200, headers: {}, config };
+  };
+  const found = await fetchScansForExport({ from: '2024-03-01', to: '2024-03-31' });
+  expect(pages.map(p => [p.page, p.date_from, p.date_to])).toEqual([
+    [1, '2024-03-01', '2024-03-31'], [2, '2024-03-01', '2024-03-31']
+  ]);
+  // Outside the range is dropped even if the server sends it; the rest is oldest first
+  expect(found.map(scan => scan.created_at)).toEqual(['2024-03-05T12:30:00', '2024-03-06T08:00:00']);
+});
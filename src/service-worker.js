@@ -0,0 +1,44 @@
+/* eslint-disable no-restricted-globals */
+
+// service-worker.js - Caches the app shell so FoodGuard opens without a connection.
+// Built by CRA's InjectManifest step; API calls are never cached here - the app
+// keeps its own offline snapshots of the profile and scan history (see offline.js).
+
+import { clientsClaim } from 'workbox-core';
+import { ExpirationPlugin } from 'workbox-expiration';
+import { precacheAndRoute, createHandlerBoundToURL } from 'workbox-precaching';
+import { registerRoute } from 'workbox-routing';
+import { StaleWhileRevalidate } from 'workbox-strategies';
+
+clientsClaim();
+
+// Precache everything the build produced
+precacheAndRoute(self.__WB_MANIFEST);
+
+// App shell routing - every client-side route (/scan, /history/42, ...) is served index.html
+const fileExtensionRegexp = new RegExp('/[^/?]+\\.[^/]+$');
+registerRoute(
+  ({ request, url }) => {
+    if (request.mode !== 'navigate') return false;
+    if (url.pathname.startsWith('/_')) return false;
+    if (url.pathname.match(fileExtensionRegexp)) return false;
+    return true;
+  },
+  createHandlerBoundToURL(process.env.PUBLIC_URL + '/index.html')
+);
+
+// Same-origin static images that were not part of the precache (icons, manifest images)
+registerRoute(
+  ({ url }) => url.origin === self.location.origin && url.pathname.endsWith('.png'),
+  new StaleWhileRevalidate({
+    cacheName: 'images',
+    plugins: [new ExpirationPlugin({ maxEntries: 50 })]
+  })
+);
+
+// Lets the page activate a new version right away
+self.addEventListener('message', (event) => {
+  if (event.data && event.data.type === 'SKIP_WAITING') {
+    self.skipWaiting();
+  }
+});